@@ -1,7 +1,28 @@
 import primate from '@thewebchimp/primate';
 import {router as ai} from './routes/ai.js';
+import {router as networks} from './routes/networks.js';
+import {router as contractTemplates} from './routes/contract-templates.js';
+import JobRunnerService from '#services/job-runner.service.js';
+import VerifierService from '#services/verifier.service.js';
+import EventIndexerService from '#services/event-indexer.service.js';
+
+// Gas columns are BigInt in Prisma, send them as strings in JSON responses
+BigInt.prototype.toJSON = function() {
+	return this.toString();
+};
 
 await primate.setup();
 await primate.start();
 
+// Jobs queued or running before a restart can no longer finish
+await JobRunnerService.recover();
+
+// Keep polling the explorer for verifications submitted before a restart
+await VerifierService.recover();
+
+// Index the events of deployed contracts in the background
+EventIndexerService.start();
+
 primate.app.use('/ai', ai);
+primate.app.use('/networks', networks);
+primate.app.use('/contract-templates', contractTemplates);
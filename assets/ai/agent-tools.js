@@ -0,0 +1,623 @@
+import NetworkService from '#services/network.service.js';
+import ContractTemplateService from '#services/contract-template.service.js';
+import DependencyService from '#services/dependency.service.js';
+
+/**
+ * Tool definitions available to the AI agent.
+ *
+ * Each entry holds the JSON schema sent to the model plus the metadata the tool registry needs:
+ * - permissions: project permissions the caller must hold to run the tool.
+ * - inject: arguments filled from the request context. `from` is the context key, `value` replaces
+ *   the context value when set, and `override` replaces whatever the model sent.
+ *
+ * Executors are bound in AIService.registerTools(). Network enums come from the NetworkService registry
+ * template ids from ContractTemplateService and library names from DependencyService.
+ */
+export default {
+	// Tool for creating a new Foundry project
+	createFoundryProject: {
+		name: 'createFoundryProject',
+		description: 'Creates a new Foundry project for smart contract development on Mantle Network. Token, NFT, DeFi and DAO projects start with the matching contract template (with tests and a deploy script); Custom projects start with a sample contract',
+		parameters: {
+			type: 'object',
+			properties: {
+				projectName: {
+					type: 'string',
+					description: 'Name of the Foundry project to create',
+				},
+				description: {
+					type: 'string',
+					description: 'Brief description of what the project will do',
+				},
+				userId: {
+					type: 'string',
+					description: 'ID of the user creating the project',
+				},
+				projectType: {
+					type: 'string',
+					enum: [ 'Token', 'NFT', 'DeFi', 'DAO', 'Custom' ],
+					description: 'Type of smart contract project',
+				},
+				network: {
+					type: 'string',
+					enum: NetworkService.names(),
+					default: NetworkService.defaultNetwork,
+					description: 'Target network for deployment',
+				},
+				compilerVersion: {
+					type: 'string',
+					default: '0.8.19',
+					description: 'Solidity compiler version',
+				},
+				dependencies: {
+					type: 'array',
+					items: {
+						type: 'string',
+					},
+					description: `Solidity libraries to install, optionally pinned to a release (e.g. openzeppelin-contracts@v5.0.2). Available: ${ DependencyService.names().join(', ') }`,
+					default: [],
+				},
+			},
+			required: [ 'projectName', 'description', 'userId', 'projectType' ],
+		},
+		permissions: [ 'project:write' ],
+		inject: {
+			userId: { from: 'userId', override: true },
+			idProject: { from: 'idProject', override: true },
+			updateExisting: { from: 'idProject', value: true, override: true },
+		},
+	},
+
+	// Tool for adding a smart contract to a project
+	createSmartContract: {
+		name: 'createSmartContract',
+		description: 'Creates a new smart contract from Solidity source within an existing Foundry project. Prefer createContractFromTemplate when a template covers the contract, and updateSmartContract to change an existing contract',
+		parameters: {
+			type: 'object',
+			properties: {
+				projectId: {
+					type: 'string',
+					description: 'ID of the project to add the contract to',
+				},
+				contractName: {
+					type: 'string',
+					description: 'Name of the contract (without .sol extension)',
+				},
+				contractType: {
+					type: 'string',
+					enum: [ 'ERC20', 'ERC721', 'ERC1155', 'Custom' ],
+					description: 'Type of contract to create',
+				},
+				sourceCode: {
+					type: 'string',
+					description: 'Full Solidity source code for the contract',
+				},
+				isMain: {
+					type: 'boolean',
+					default: false,
+					description: 'Whether this is the main contract of the project',
+				},
+				constructorArgs: {
+					type: 'object',
+					description: 'Constructor arguments as key-value pairs',
+					additionalProperties: true,
+				},
+			},
+			required: [ 'projectId', 'contractName', 'contractType', 'sourceCode' ],
+		},
+		permissions: [ 'project:write' ],
+		inject: {
+			projectId: { from: 'idProject' },
+		},
+	},
+
+	// Tool for editing the source of an existing contract
+	updateSmartContract: {
+		name: 'updateSmartContract',
+		description: 'Replaces the Solidity source of an existing contract of the project. The previous source is kept in the contract revision history and can be restored',
+		parameters: {
+			type: 'object',
+			properties: {
+				projectId: {
+					type: 'string',
+					description: 'ID of the project',
+				},
+				contractId: {
+					type: 'string',
+					description: 'ID of the contract to update (or give contractName)',
+				},
+				contractName: {
+					type: 'string',
+					description: 'Name of the contract to update, when contractId is not known',
+				},
+				sourceCode: {
+					type: 'string',
+					description: 'Full new Solidity source code of the contract',
+				},
+				summary: {
+					type: 'string',
+					description: 'Short description of the change, stored with the revision',
+				},
+			},
+			required: [ 'projectId', 'sourceCode' ],
+		},
+		permissions: [ 'project:write' ],
+		inject: {
+			projectId: { from: 'idProject' },
+		},
+	},
+
+	// Tool for listing the contract templates
+	listContractTemplates: {
+		name: 'listContractTemplates',
+		description: 'Lists the contract templates (ERC20, ERC721 with royalties, ERC1155, Governor with timelock, vesting, staking, multisig) with the parameters each one accepts',
+		parameters: {
+			type: 'object',
+			properties: {
+				projectType: {
+					type: 'string',
+					enum: [ 'Token', 'NFT', 'DeFi', 'DAO' ],
+					description: 'Only templates suited to this project type (optional)',
+				},
+			},
+		},
+		permissions: [],
+		inject: {},
+	},
+
+	// Tool for adding contracts to a project from a template
+	createContractFromTemplate: {
+		name: 'createContractFromTemplate',
+		description: 'Creates contracts in the project from a template, together with a Foundry test and a deploy script, and adds the libraries they import. Call listContractTemplates first for the parameters',
+		parameters: {
+			type: 'object',
+			properties: {
+				projectId: {
+					type: 'string',
+					description: 'ID of the project to add the contracts to',
+				},
+				templateId: {
+					type: 'string',
+					enum: ContractTemplateService.ids(),
+					description: 'ID of the template',
+				},
+				params: {
+					type: 'object',
+					description: 'Template parameters, as listed by listContractTemplates. Omitted parameters take their defaults',
+					additionalProperties: true,
+					default: {},
+				},
+				isMain: {
+					type: 'boolean',
+					default: true,
+					description: 'Whether the template contract becomes the main contract of the project',
+				},
+			},
+			required: [ 'projectId', 'templateId' ],
+		},
+		permissions: [ 'project:write' ],
+		inject: {
+			projectId: { from: 'idProject' },
+		},
+	},
+
+	// Tool for adding a Solidity library to a project
+	addDependency: {
+		name: 'addDependency',
+		description: 'Installs a Solidity library in the project lib/ directory at a pinned release and adds its import remappings. Replaces the version when the project already depends on the library',
+		parameters: {
+			type: 'object',
+			properties: {
+				projectId: {
+					type: 'string',
+					description: 'ID of the project',
+				},
+				name: {
+					type: 'string',
+					enum: DependencyService.names(),
+					description: 'Library to install',
+				},
+				version: {
+					type: 'string',
+					description: 'Release tag (e.g. v5.0.2), the newest supported release if not specified',
+				},
+			},
+			required: [ 'projectId', 'name' ],
+		},
+		permissions: [ 'project:write' ],
+		inject: {
+			projectId: { from: 'idProject' },
+		},
+	},
+
+	// Tool for removing a Solidity library from a project
+	removeDependency: {
+		name: 'removeDependency',
+		description: 'Removes a Solidity library from the project together with its lib/ directory and remappings',
+		parameters: {
+			type: 'object',
+			properties: {
+				projectId: {
+					type: 'string',
+					description: 'ID of the project',
+				},
+				name: {
+					type: 'string',
+					description: 'Library to remove, as listed in the project dependencies',
+				},
+			},
+			required: [ 'projectId', 'name' ],
+		},
+		permissions: [ 'project:write' ],
+		inject: {
+			projectId: { from: 'idProject' },
+		},
+	},
+
+	// Tool for compiling a Foundry project
+	compileFoundryProject: {
+		name: 'compileFoundryProject',
+		description: 'Compiles all smart contracts in a Foundry project with the project\'s pinned Solidity compiler and returns errors and warnings with file and line',
+		parameters: {
+			type: 'object',
+			properties: {
+				projectId: {
+					type: 'string',
+					description: 'ID of the Foundry project to compile',
+				},
+				optimizationLevel: {
+					type: 'integer',
+					enum: [ 0, 1, 2, 3 ],
+					description: 'Solidity compiler optimization level, 0 disables the optimizer (defaults to the project config)',
+				},
+				runs: {
+					type: 'integer',
+					description: 'Number of optimization runs (defaults to the project config)',
+				},
+			},
+			required: [ 'projectId' ],
+		},
+		permissions: [ 'project:write' ],
+		inject: {
+			projectId: { from: 'idProject' },
+		},
+	},
+
+	// Tool for the static security analysis of a project's contracts
+	analyzeContracts: {
+		name: 'analyzeContracts',
+		description: 'Analyzes the source code of the project contracts for common vulnerabilities (reentrancy, unchecked calls, tx.origin authorization, missing access control, floating pragma, unbounded loops, selfdestruct) and returns the findings with severity and line ranges',
+		parameters: {
+			type: 'object',
+			properties: {
+				projectId: {
+					type: 'string',
+					description: 'ID of the project to analyze',
+				},
+				contractId: {
+					type: 'string',
+					description: 'ID of a specific contract to analyze (analyzes all contracts if not specified)',
+				},
+			},
+			required: [ 'projectId' ],
+		},
+		permissions: [ 'project:read' ],
+		inject: {
+			projectId: { from: 'idProject' },
+		},
+	},
+
+	// Tool for deploying a compiled Foundry project to Mantle Sepolia testnet
+	deployToMantleTestnet: {
+		name: 'deployToMantleTestnet',
+		description: 'Deploys a compiled contract of a Foundry project from its ABI and bytecode and waits for the receipt',
+		parameters: {
+			type: 'object',
+			properties: {
+				projectId: {
+					type: 'string',
+					description: 'ID of the Foundry project to deploy',
+				},
+				contractId: {
+					type: 'string',
+					description: 'ID of the specific contract to deploy (optional, deploys main contract if not specified)',
+				},
+				network: {
+					type: 'string',
+					enum: NetworkService.names({ testnet: true }),
+					default: NetworkService.defaultNetwork,
+					description: 'Target test network for deployment (local is a development node such as anvil)',
+				},
+				deploymentSettings: {
+					type: 'object',
+					properties: {
+						gasLimit: {
+							type: 'integer',
+							description: 'Maximum gas to use for deployment (estimated when not specified)',
+						},
+						constructorArgs: {
+							type: 'array',
+							items: {},
+							description: 'Constructor arguments in declaration order. Use strings for large integers and JSON for arrays or structs. Defaults to the arguments of the template the contract was created from, or none',
+						},
+						confirmations: {
+							type: 'integer',
+							minimum: 1,
+							default: 1,
+							description: 'Number of block confirmations to wait for',
+						},
+						verifyOnEtherscan: {
+							type: 'boolean',
+							default: true,
+							description: 'Whether to verify the source on the network block explorer after deployment. Verification finishes in the background',
+						},
+					},
+				},
+				walletId: {
+					type: 'string',
+					description: 'ID of the deployer wallet to sign with (optional, uses the wallet selected for the project if not specified)',
+				},
+			},
+			required: [ 'projectId', 'network' ],
+		},
+		permissions: [ 'project:deploy' ],
+		inject: {
+			projectId: { from: 'idProject' },
+		},
+	},
+
+	// Tool for running tests on a Foundry project
+	runFoundryTests: {
+		name: 'runFoundryTests',
+		description: 'Runs the tests of a Foundry project in a queued forge job and returns the results when it finishes',
+		parameters: {
+			type: 'object',
+			properties: {
+				projectId: {
+					type: 'string',
+					description: 'ID of the Foundry project to test',
+				},
+				testFile: {
+					type: 'string',
+					description: 'Specific test file to run (runs all tests if not specified)',
+				},
+				verbosity: {
+					type: 'integer',
+					enum: [ 0, 1, 2, 3, 4 ],
+					default: 2,
+					description: 'Verbosity level for test output',
+				},
+				gasReport: {
+					type: 'boolean',
+					default: true,
+					description: 'Whether to include the gas used by each test and contract function, compared with the previous run',
+				},
+			},
+			required: [ 'projectId' ],
+		},
+		permissions: [ 'project:write' ],
+		inject: {
+			projectId: { from: 'idProject' },
+		},
+	},
+
+	// Tool for comparing gas usage between test runs
+	compareGasSnapshots: {
+		name: 'compareGasSnapshots',
+		description: 'Compares the gas used by each contract function, deployment and test in a test run with the previous run, the project baseline or another run, largest changes first',
+		parameters: {
+			type: 'object',
+			properties: {
+				projectId: {
+					type: 'string',
+					description: 'ID of the project',
+				},
+				testRunId: {
+					type: 'string',
+					description: 'ID of the test run to inspect (defaults to the latest run)',
+				},
+				compareTo: {
+					type: 'string',
+					default: 'previous',
+					description: 'What to compare with: "previous" (the last earlier run over the same tests), "baseline" (the run marked as the project gas baseline) or a test run ID',
+				},
+				setAsBaseline: {
+					type: 'boolean',
+					default: false,
+					description: 'Whether to mark the inspected run as the project gas baseline afterwards',
+				},
+			},
+			required: [ 'projectId' ],
+		},
+		permissions: [ 'project:read' ],
+		inject: {
+			projectId: { from: 'idProject' },
+		},
+	},
+
+	// Tool for reading from a deployed contract
+	callContract: {
+		name: 'callContract',
+		description: 'Calls a view or pure function of a deployed contract of the project (e.g. totalSupply, balanceOf) and returns the decoded result',
+		parameters: {
+			type: 'object',
+			properties: {
+				projectId: {
+					type: 'string',
+					description: 'ID of the project',
+				},
+				contractId: {
+					type: 'string',
+					description: 'ID of the contract to call (optional, calls the main contract if not specified)',
+				},
+				method: {
+					type: 'string',
+					description: 'Function name, or its signature when the name is overloaded (e.g. balanceOf or balanceOf(address))',
+				},
+				args: {
+					type: 'array',
+					items: {},
+					description: 'Function arguments in declaration order. Use strings for large integers and JSON for arrays or structs',
+					default: [],
+				},
+				network: {
+					type: 'string',
+					enum: NetworkService.names(),
+					description: 'Network of the deployment to call (optional, uses the latest deployment if not specified)',
+				},
+				from: {
+					type: 'string',
+					description: 'Caller address, for functions that depend on msg.sender (optional)',
+				},
+			},
+			required: [ 'projectId', 'method' ],
+		},
+		permissions: [ 'project:read' ],
+		inject: {
+			projectId: { from: 'idProject' },
+		},
+	},
+
+	// Tool for writing to a deployed contract
+	sendContractTransaction: {
+		name: 'sendContractTransaction',
+		description: 'Sends a transaction to a state-changing function of a deployed contract of the project, signed with the project wallet, and waits for the receipt',
+		parameters: {
+			type: 'object',
+			properties: {
+				projectId: {
+					type: 'string',
+					description: 'ID of the project',
+				},
+				contractId: {
+					type: 'string',
+					description: 'ID of the contract (optional, uses the main contract if not specified)',
+				},
+				method: {
+					type: 'string',
+					description: 'Function name, or its signature when the name is overloaded (e.g. mint or mint(address,uint256))',
+				},
+				args: {
+					type: 'array',
+					items: {},
+					description: 'Function arguments in declaration order. Use strings for large integers and JSON for arrays or structs',
+					default: [],
+				},
+				value: {
+					type: 'string',
+					description: 'Native currency to send with a payable function, in ether units (e.g. "0.1")',
+				},
+				network: {
+					type: 'string',
+					enum: NetworkService.names(),
+					description: 'Network of the deployment (optional, uses the latest deployment if not specified)',
+				},
+				gasLimit: {
+					type: 'integer',
+					description: 'Maximum gas to use (estimated when not specified)',
+				},
+				walletId: {
+					type: 'string',
+					description: 'ID of the wallet to sign with (optional, uses the wallet selected for the project if not specified)',
+				},
+			},
+			required: [ 'projectId', 'method' ],
+		},
+		permissions: [ 'project:deploy' ],
+		inject: {
+			projectId: { from: 'idProject' },
+		},
+	},
+
+	// Tool for reading the indexed events of deployed contracts
+	getContractEvents: {
+		name: 'getContractEvents',
+		description: 'Lists the events emitted by the deployed contracts of the project (e.g. Transfer, Approval), newest first, with their decoded arguments',
+		parameters: {
+			type: 'object',
+			properties: {
+				projectId: {
+					type: 'string',
+					description: 'ID of the project',
+				},
+				contractId: {
+					type: 'string',
+					description: 'ID of the contract (optional, lists the events of every contract if not specified)',
+				},
+				name: {
+					type: 'string',
+					description: 'Event name to filter by (optional)',
+				},
+				network: {
+					type: 'string',
+					enum: NetworkService.names(),
+					description: 'Network to filter by (optional)',
+				},
+				txHash: {
+					type: 'string',
+					description: 'Only events emitted by this transaction (optional)',
+				},
+				fromBlock: {
+					type: 'integer',
+					description: 'First block to include (optional)',
+				},
+				toBlock: {
+					type: 'integer',
+					description: 'Last block to include (optional)',
+				},
+				limit: {
+					type: 'integer',
+					description: 'Maximum number of events to return (max 100)',
+					default: 20,
+				},
+			},
+			required: [ 'projectId' ],
+		},
+		permissions: [ 'project:read' ],
+		inject: {
+			projectId: { from: 'idProject' },
+		},
+	},
+
+	// Tool for getting testnet faucet tokens
+	requestMantleTestnetTokens: {
+		name: 'requestMantleTestnetTokens',
+		description: 'Requests test tokens from the faucet of a testnet for a wallet address',
+		parameters: {
+			type: 'object',
+			properties: {
+				walletAddress: {
+					type: 'string',
+					description: 'Ethereum wallet address to receive test tokens',
+				},
+				network: {
+					type: 'string',
+					enum: NetworkService.names({ faucet: true }),
+					default: NetworkService.defaultNetwork,
+					description: 'Testnet to request tokens from',
+				},
+			},
+			required: [ 'walletAddress' ],
+		},
+		permissions: [],
+		inject: {},
+	},
+
+	// Web search tool
+	webSearch: {
+		name: 'webSearch',
+		description: 'Search the web for current information on a given query.',
+		parameters: {
+			type: 'object',
+			properties: {
+				query: {
+					type: 'string',
+					description: 'The search query to look up.',
+				},
+			},
+			required: [ 'query' ],
+		},
+		permissions: [],
+		inject: {},
+	},
+};
@@ -0,0 +1,131 @@
+import { blocks, deployScript, header, indent, lines, str } from './solidity.js';
+
+export default {
+	id: 'erc1155',
+	name: 'ERC1155 multi-token',
+	description: 'Multi-token contract (game items, editions, tickets) with owner minting, per-id supply tracking and optional holder burning',
+	contractType: 'ERC1155',
+	projectTypes: [ 'NFT' ],
+	libraries: [ 'openzeppelin' ],
+	params: [
+		{ name: 'contractName', type: 'identifier', default: 'MyItems', description: 'Solidity contract name' },
+		{ name: 'uri', type: 'string', default: 'https://example.com/api/item/{id}.json', description: 'Metadata URI, clients replace {id} with the hex token id' },
+		{ name: 'burnable', type: 'boolean', default: true, description: 'Whether holders can burn their tokens' },
+	],
+
+	render(params, { pragma }) {
+		const { contractName: name, uri, burnable } = params;
+
+		const source = blocks(
+			header(pragma),
+			lines(
+				'import {ERC1155} from "@openzeppelin/contracts/token/ERC1155/ERC1155.sol";',
+				burnable && 'import {ERC1155Burnable} from "@openzeppelin/contracts/token/ERC1155/extensions/ERC1155Burnable.sol";',
+				'import {ERC1155Supply} from "@openzeppelin/contracts/token/ERC1155/extensions/ERC1155Supply.sol";',
+				'import {Ownable} from "@openzeppelin/contracts/access/Ownable.sol";',
+			),
+			lines(
+				`contract ${ name } is ${ [ 'ERC1155', burnable && 'ERC1155Burnable', 'ERC1155Supply', 'Ownable' ].filter(Boolean).join(', ') } {`,
+				indent(blocks(
+					`constructor() ERC1155(${ str(uri) }) Ownable(msg.sender) {}`,
+					lines(
+						'function setURI(string memory newUri) public onlyOwner {',
+						'    _setURI(newUri);',
+						'}',
+					),
+					lines(
+						'function mint(address account, uint256 id, uint256 amount, bytes memory data) public onlyOwner {',
+						'    _mint(account, id, amount, data);',
+						'}',
+					),
+					lines(
+						'function mintBatch(address to, uint256[] memory ids, uint256[] memory amounts, bytes memory data) public onlyOwner {',
+						'    _mintBatch(to, ids, amounts, data);',
+						'}',
+					),
+					lines(
+						'function _update(address from, address to, uint256[] memory ids, uint256[] memory values)',
+						'    internal',
+						'    override(ERC1155, ERC1155Supply)',
+						'{',
+						'    super._update(from, to, ids, values);',
+						'}',
+					),
+				)),
+				'}',
+			),
+		) + '\n';
+
+		const test = blocks(
+			header(pragma),
+			lines(
+				'import {Test} from "forge-std/Test.sol";',
+				'import {Ownable} from "@openzeppelin/contracts/access/Ownable.sol";',
+				`import {${ name }} from "../src/${ name }.sol";`,
+			),
+			lines(
+				`contract ${ name }Test is Test {`,
+				`    ${ name } internal items;`,
+				'    address internal alice = makeAddr("alice");',
+				'',
+				indent(blocks(
+					lines(
+						'function setUp() public {',
+						`    items = new ${ name }();`,
+						'}',
+					),
+					lines(
+						'function test_Uri() public view {',
+						`    assertEq(items.uri(1), ${ str(uri) });`,
+						'}',
+					),
+					lines(
+						'function test_OwnerCanMint() public {',
+						'    items.mint(alice, 1, 10, "");',
+						'    assertEq(items.balanceOf(alice, 1), 10);',
+						'    assertEq(items.totalSupply(1), 10);',
+						'}',
+					),
+					lines(
+						'function test_MintBatch() public {',
+						'    uint256[] memory ids = new uint256[](2);',
+						'    uint256[] memory amounts = new uint256[](2);',
+						'    ids[0] = 1;',
+						'    ids[1] = 2;',
+						'    amounts[0] = 5;',
+						'    amounts[1] = 7;',
+						'',
+						'    items.mintBatch(alice, ids, amounts, "");',
+						'    assertEq(items.balanceOf(alice, 2), 7);',
+						'    assertEq(items.totalSupply(), 12);',
+						'}',
+					),
+					lines(
+						'function test_RevertWhen_NonOwnerMints() public {',
+						'    vm.prank(alice);',
+						'    vm.expectRevert(abi.encodeWithSelector(Ownable.OwnableUnauthorizedAccount.selector, alice));',
+						'    items.mint(alice, 1, 1, "");',
+						'}',
+					),
+					burnable && lines(
+						'function test_HolderCanBurn() public {',
+						'    items.mint(alice, 1, 10, "");',
+						'',
+						'    vm.prank(alice);',
+						'    items.burn(alice, 1, 4);',
+						'    assertEq(items.balanceOf(alice, 1), 6);',
+						'    assertEq(items.totalSupply(1), 6);',
+						'}',
+					),
+				)),
+				'}',
+			),
+		) + '\n';
+
+		return {
+			contracts: [ { name, contractType: 'ERC1155', isMain: true, source, constructorArgs: [] } ],
+			tests: [ { path: `test/${ name }.t.sol`, content: test } ],
+			scripts: [ { path: `script/Deploy${ name }.s.sol`, content: deployScript(pragma, name, 'items') } ],
+		};
+	},
+};
@@ -0,0 +1,142 @@
+import { blocks, deployScript, header, indent, lines, str, tokens } from './solidity.js';
+
+export default {
+	id: 'erc20',
+	name: 'ERC20 token',
+	description: 'Fungible token with an initial supply minted to the deployer, owner minting, holder burning and EIP-2612 permit (gasless approvals)',
+	contractType: 'ERC20',
+	projectTypes: [ 'Token' ],
+	libraries: [ 'openzeppelin' ],
+	params: [
+		{ name: 'contractName', type: 'identifier', default: 'MyToken', description: 'Solidity contract name' },
+		{ name: 'name', type: 'string', default: 'My Token', description: 'Token name' },
+		{ name: 'symbol', type: 'symbol', default: 'MTK', description: 'Token symbol' },
+		{ name: 'initialSupply', type: 'integer', default: 1000000, min: 0, max: 1e15, description: 'Whole tokens (18 decimals) minted to the deployer' },
+		{ name: 'mintable', type: 'boolean', default: true, description: 'Whether the owner can mint new tokens' },
+		{ name: 'burnable', type: 'boolean', default: true, description: 'Whether holders can burn their tokens' },
+		{ name: 'permit', type: 'boolean', default: true, description: 'Whether to support EIP-2612 permit signatures' },
+	],
+
+	render(params, { pragma }) {
+		const { contractName: name, initialSupply, mintable, burnable, permit } = params;
+
+		const parents = [ 'ERC20', burnable && 'ERC20Burnable', permit && 'ERC20Permit', mintable && 'Ownable' ].filter(Boolean);
+		const modifiers = [ `ERC20(${ str(params.name) }, ${ str(params.symbol) })`, permit && `ERC20Permit(${ str(params.name) })`, mintable && 'Ownable(msg.sender)' ]
+			.filter(Boolean);
+
+		const source = blocks(
+			header(pragma),
+			lines(
+				'import {ERC20} from "@openzeppelin/contracts/token/ERC20/ERC20.sol";',
+				burnable && 'import {ERC20Burnable} from "@openzeppelin/contracts/token/ERC20/extensions/ERC20Burnable.sol";',
+				permit && 'import {ERC20Permit} from "@openzeppelin/contracts/token/ERC20/extensions/ERC20Permit.sol";',
+				mintable && 'import {Ownable} from "@openzeppelin/contracts/access/Ownable.sol";',
+			),
+			lines(
+				`contract ${ name } is ${ parents.join(', ') } {`,
+				`    constructor() ${ modifiers.join(' ') } {`,
+				initialSupply > 0 ? `        _mint(msg.sender, ${ tokens(initialSupply) });` : false,
+				'    }',
+				mintable && '',
+				mintable && indent(lines(
+					'function mint(address to, uint256 amount) public onlyOwner {',
+					'    _mint(to, amount);',
+					'}',
+				)),
+				'}',
+			),
+		) + '\n';
+
+		const tests = [
+			lines(
+				'function test_Metadata() public view {',
+				`    assertEq(token.name(), ${ str(params.name) });`,
+				`    assertEq(token.symbol(), ${ str(params.symbol) });`,
+				'    assertEq(token.decimals(), 18);',
+				'}',
+			),
+			lines(
+				'function test_InitialSupplyMintedToDeployer() public view {',
+				`    assertEq(token.totalSupply(), ${ tokens(initialSupply) });`,
+				'    assertEq(token.balanceOf(address(this)), token.totalSupply());',
+				'}',
+			),
+			initialSupply > 0 && lines(
+				'function test_Transfer() public {',
+				'    token.transfer(alice, 1e18);',
+				'    assertEq(token.balanceOf(alice), 1e18);',
+				'}',
+			),
+			mintable && lines(
+				'function test_OwnerCanMint() public {',
+				'    token.mint(alice, 5e18);',
+				'    assertEq(token.balanceOf(alice), 5e18);',
+				'}',
+			),
+			mintable && lines(
+				'function test_RevertWhen_NonOwnerMints() public {',
+				'    vm.prank(alice);',
+				'    vm.expectRevert(abi.encodeWithSelector(Ownable.OwnableUnauthorizedAccount.selector, alice));',
+				'    token.mint(alice, 1e18);',
+				'}',
+			),
+			burnable && initialSupply > 0 && lines(
+				'function test_Burn() public {',
+				'    uint256 supply = token.totalSupply();',
+				'    token.burn(1e18);',
+				'    assertEq(token.totalSupply(), supply - 1e18);',
+				'}',
+			),
+			permit && lines(
+				'function test_Permit() public {',
+				'    uint256 ownerKey = 0xA11CE;',
+				'    address owner = vm.addr(ownerKey);',
+				'    uint256 deadline = block.timestamp + 1 hours;',
+				'',
+				'    bytes32 structHash = keccak256(',
+				'        abi.encode(',
+				'            keccak256("Permit(address owner,address spender,uint256 value,uint256 nonce,uint256 deadline)"),',
+				'            owner, alice, 1e18, token.nonces(owner), deadline',
+				'        )',
+				'    );',
+				'    bytes32 digest = keccak256(abi.encodePacked("\\x19\\x01", token.DOMAIN_SEPARATOR(), structHash));',
+				'    (uint8 v, bytes32 r, bytes32 s) = vm.sign(ownerKey, digest);',
+				'',
+				'    token.permit(owner, alice, 1e18, deadline, v, r, s);',
+				'    assertEq(token.allowance(owner, alice), 1e18);',
+				'    assertEq(token.nonces(owner), 1);',
+				'}',
+			),
+		];
+
+		const test = blocks(
+			header(pragma),
+			lines(
+				'import {Test} from "forge-std/Test.sol";',
+				mintable && 'import {Ownable} from "@openzeppelin/contracts/access/Ownable.sol";',
+				`import {${ name }} from "../src/${ name }.sol";`,
+			),
+			lines(
+				`contract ${ name }Test is Test {`,
+				`    ${ name } internal token;`,
+				'    address internal alice = makeAddr("alice");',
+				'',
+				indent(blocks(
+					lines(
+						'function setUp() public {',
+						`    token = new ${ name }();`,
+						'}',
+					),
+					...tests,
+				)),
+				'}',
+			),
+		) + '\n';
+
+		return {
+			contracts: [ { name, contractType: 'ERC20', isMain: true, source, constructorArgs: [] } ],
+			tests: [ { path: `test/${ name }.t.sol`, content: test } ],
+			scripts: [ { path: `script/Deploy${ name }.s.sol`, content: deployScript(pragma, name) } ],
+		};
+	},
+};
@@ -0,0 +1,158 @@
+import { blocks, deployScript, header, indent, lines, str } from './solidity.js';
+
+export default {
+	id: 'erc721-royalty',
+	name: 'ERC721 NFT collection with royalties',
+	description: 'NFT collection minted by the owner with sequential ids, a base URI, an optional max supply and EIP-2981 royalties paid to the deployer',
+	contractType: 'ERC721',
+	projectTypes: [ 'NFT' ],
+	libraries: [ 'openzeppelin' ],
+	params: [
+		{ name: 'contractName', type: 'identifier', default: 'MyNFT', description: 'Solidity contract name' },
+		{ name: 'name', type: 'string', default: 'My NFT', description: 'Collection name' },
+		{ name: 'symbol', type: 'symbol', default: 'MNFT', description: 'Collection symbol' },
+		{ name: 'baseURI', type: 'string', default: '', allowEmpty: true, description: 'Base URI of the token metadata, the token id is appended (e.g. ipfs://<cid>/)' },
+		{ name: 'royaltyBps', type: 'integer', default: 500, min: 0, max: 10000, description: 'Royalty in basis points of the sale price (500 = 5%)' },
+		{ name: 'maxSupply', type: 'integer', default: 0, min: 0, max: 1e9, description: 'Maximum number of tokens, 0 for unlimited' },
+	],
+
+	render(params, { pragma }) {
+		const { contractName: name, baseURI, royaltyBps, maxSupply } = params;
+
+		const source = blocks(
+			header(pragma),
+			lines(
+				'import {ERC721} from "@openzeppelin/contracts/token/ERC721/ERC721.sol";',
+				'import {ERC721Royalty} from "@openzeppelin/contracts/token/ERC721/extensions/ERC721Royalty.sol";',
+				'import {Ownable} from "@openzeppelin/contracts/access/Ownable.sol";',
+			),
+			lines(
+				`contract ${ name } is ERC721Royalty, Ownable {`,
+				indent(blocks(
+					lines(
+						maxSupply > 0 && `uint256 public constant MAX_SUPPLY = ${ maxSupply };`,
+						'uint256 private _nextTokenId;',
+						'string private _baseTokenURI;',
+					),
+					maxSupply > 0 && 'error MaxSupplyReached();',
+					lines(
+						`constructor() ERC721(${ str(params.name) }, ${ str(params.symbol) }) Ownable(msg.sender) {`,
+						`    _baseTokenURI = ${ str(baseURI) };`,
+						`    _setDefaultRoyalty(msg.sender, ${ royaltyBps });`,
+						'}',
+					),
+					lines(
+						'function safeMint(address to) public onlyOwner returns (uint256 tokenId) {',
+						'    tokenId = _nextTokenId++;',
+						maxSupply > 0 && '    if (tokenId >= MAX_SUPPLY) revert MaxSupplyReached();',
+						'    _safeMint(to, tokenId);',
+						'}',
+					),
+					lines(
+						'function totalMinted() external view returns (uint256) {',
+						'    return _nextTokenId;',
+						'}',
+					),
+					lines(
+						'function setBaseURI(string calldata baseURI) external onlyOwner {',
+						'    _baseTokenURI = baseURI;',
+						'}',
+					),
+					lines(
+						'function setDefaultRoyalty(address receiver, uint96 feeNumerator) external onlyOwner {',
+						'    _setDefaultRoyalty(receiver, feeNumerator);',
+						'}',
+					),
+					lines(
+						'function _baseURI() internal view override returns (string memory) {',
+						'    return _baseTokenURI;',
+						'}',
+					),
+				)),
+				'}',
+			),
+		) + '\n';
+
+		// Minting up to the cap is only tested for small collections
+		const testCap = maxSupply > 0 && maxSupply <= 100;
+
+		const test = blocks(
+			header(pragma),
+			lines(
+				'import {Test} from "forge-std/Test.sol";',
+				'import {Ownable} from "@openzeppelin/contracts/access/Ownable.sol";',
+				`import {${ name }} from "../src/${ name }.sol";`,
+			),
+			lines(
+				`contract ${ name }Test is Test {`,
+				`    ${ name } internal nft;`,
+				'    address internal alice = makeAddr("alice");',
+				'',
+				indent(blocks(
+					lines(
+						'function setUp() public {',
+						`    nft = new ${ name }();`,
+						'}',
+					),
+					lines(
+						'function test_Metadata() public view {',
+						`    assertEq(nft.name(), ${ str(params.name) });`,
+						`    assertEq(nft.symbol(), ${ str(params.symbol) });`,
+						'}',
+					),
+					lines(
+						'function test_OwnerCanMint() public {',
+						'    uint256 tokenId = nft.safeMint(alice);',
+						'    assertEq(tokenId, 0);',
+						'    assertEq(nft.ownerOf(0), alice);',
+						'    assertEq(nft.totalMinted(), 1);',
+						'}',
+					),
+					lines(
+						'function test_RevertWhen_NonOwnerMints() public {',
+						'    vm.prank(alice);',
+						'    vm.expectRevert(abi.encodeWithSelector(Ownable.OwnableUnauthorizedAccount.selector, alice));',
+						'    nft.safeMint(alice);',
+						'}',
+					),
+					lines(
+						'function test_TokenURI() public {',
+						'    nft.safeMint(alice);',
+						baseURI
+							? `    assertEq(nft.tokenURI(0), ${ str(baseURI + '0') });`
+							: '    assertEq(nft.tokenURI(0), "");',
+						'',
+						'    nft.setBaseURI("ipfs://new/");',
+						'    assertEq(nft.tokenURI(0), "ipfs://new/0");',
+						'}',
+					),
+					lines(
+						'function test_Royalties() public view {',
+						'    (address receiver, uint256 amount) = nft.royaltyInfo(0, 10_000);',
+						'    assertEq(receiver, address(this));',
+						`    assertEq(amount, ${ royaltyBps });`,
+						'    assertTrue(nft.supportsInterface(0x2a55205a));',
+						'}',
+					),
+					testCap && lines(
+						'function test_RevertWhen_MaxSupplyReached() public {',
+						'    for (uint256 i = 0; i < nft.MAX_SUPPLY(); i++) {',
+						'        nft.safeMint(alice);',
+						'    }',
+						'',
+						`    vm.expectRevert(${ name }.MaxSupplyReached.selector);`,
+						'    nft.safeMint(alice);',
+						'}',
+					),
+				)),
+				'}',
+			),
+		) + '\n';
+
+		return {
+			contracts: [ { name, contractType: 'ERC721', isMain: true, source, constructorArgs: [] } ],
+			tests: [ { path: `test/${ name }.t.sol`, content: test } ],
+			scripts: [ { path: `script/Deploy${ name }.s.sol`, content: deployScript(pragma, name, 'nft') } ],
+		};
+	},
+};
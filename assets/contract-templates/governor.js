@@ -0,0 +1,290 @@
+import { blocks, header, indent, lines, str, tokens } from './solidity.js';
+
+export default {
+	id: 'governor-timelock',
+	name: 'DAO: Governor with Timelock',
+	description: 'On-chain governance: an ERC20Votes token, a Timelock that holds the treasury and executes proposals, and a Governor that counts votes. Deploy the token, then the timelock, then the governor, and grant the governor the proposer and canceller roles',
+	contractType: 'Governor',
+	projectTypes: [ 'DAO' ],
+	libraries: [ 'openzeppelin' ],
+	params: [
+		{ name: 'contractName', type: 'identifier', default: 'MyDAO', description: 'Prefix of the contract names (<prefix>Token, <prefix>Timelock and <prefix>Governor)' },
+		{ name: 'name', type: 'string', default: 'My DAO', description: 'DAO name, also used for the governance token name' },
+		{ name: 'symbol', type: 'symbol', default: 'MDAO', description: 'Governance token symbol' },
+		{ name: 'initialSupply', type: 'integer', default: 1000000, min: 1, max: 1e15, description: 'Whole governance tokens minted to the deployer' },
+		{ name: 'votingDelay', type: 'integer', default: 7200, min: 0, max: 1e7, description: 'Blocks between a proposal and the start of voting (7200 ≈ 1 day on Ethereum)' },
+		{ name: 'votingPeriod', type: 'integer', default: 50400, min: 1, max: 1e8, description: 'Blocks voting stays open (50400 ≈ 1 week on Ethereum)' },
+		{ name: 'proposalThreshold', type: 'integer', default: 0, min: 0, max: 1e15, description: 'Whole tokens of voting power needed to create a proposal' },
+		{ name: 'quorumPercent', type: 'integer', default: 4, min: 1, max: 100, description: 'Percentage of the token supply that must vote for a proposal to pass' },
+		{ name: 'timelockDelay', type: 'integer', default: 3600, min: 0, max: 31536000, description: 'Seconds a passed proposal waits in the timelock before execution' },
+	],
+
+	check(params) {
+		if(params.proposalThreshold > params.initialSupply) return 'proposalThreshold cannot exceed initialSupply';
+	},
+
+	render(params, { pragma }) {
+		const { contractName: prefix, initialSupply, votingDelay, votingPeriod, proposalThreshold, quorumPercent, timelockDelay } = params;
+		const token = `${ prefix }Token`;
+		const timelock = `${ prefix }Timelock`;
+		const governor = `${ prefix }Governor`;
+
+		const tokenSource = blocks(
+			header(pragma),
+			lines(
+				'import {ERC20} from "@openzeppelin/contracts/token/ERC20/ERC20.sol";',
+				'import {ERC20Permit} from "@openzeppelin/contracts/token/ERC20/extensions/ERC20Permit.sol";',
+				'import {ERC20Votes} from "@openzeppelin/contracts/token/ERC20/extensions/ERC20Votes.sol";',
+				'import {Nonces} from "@openzeppelin/contracts/utils/Nonces.sol";',
+			),
+			lines(
+				`contract ${ token } is ERC20, ERC20Permit, ERC20Votes {`,
+				indent(blocks(
+					lines(
+						`constructor() ERC20(${ str(params.name) }, ${ str(params.symbol) }) ERC20Permit(${ str(params.name) }) {`,
+						`    _mint(msg.sender, ${ tokens(initialSupply) });`,
+						'}',
+					),
+					lines(
+						'function _update(address from, address to, uint256 value) internal override(ERC20, ERC20Votes) {',
+						'    super._update(from, to, value);',
+						'}',
+					),
+					lines(
+						'function nonces(address owner) public view override(ERC20Permit, Nonces) returns (uint256) {',
+						'    return super.nonces(owner);',
+						'}',
+					),
+				)),
+				'}',
+			),
+		) + '\n';
+
+		const timelockSource = blocks(
+			header(pragma),
+			'import {TimelockController} from "@openzeppelin/contracts/governance/TimelockController.sol";',
+			lines(
+				'/// @notice Holds the DAO treasury and executes passed proposals after a delay.',
+				'/// The deployer is the initial admin: it grants the governor the proposer and canceller roles, then renounces.',
+				`contract ${ timelock } is TimelockController {`,
+				`    uint256 public constant MIN_DELAY = ${ timelockDelay };`,
+				'',
+				'    constructor() TimelockController(MIN_DELAY, new address[](0), new address[](0), msg.sender) {}',
+				'}',
+			),
+		) + '\n';
+
+		const overrides = [
+			[ 'votingDelay()', 'public view', 'GovernorSettings', 'uint256', 'super.votingDelay()' ],
+			[ 'votingPeriod()', 'public view', 'GovernorSettings', 'uint256', 'super.votingPeriod()' ],
+			[ 'quorum(uint256 blockNumber)', 'public view', 'GovernorVotesQuorumFraction', 'uint256', 'super.quorum(blockNumber)' ],
+			[ 'state(uint256 proposalId)', 'public view', 'GovernorTimelockControl', 'ProposalState', 'super.state(proposalId)' ],
+			[ 'proposalNeedsQueuing(uint256 proposalId)', 'public view', 'GovernorTimelockControl', 'bool', 'super.proposalNeedsQueuing(proposalId)' ],
+			[ 'proposalThreshold()', 'public view', 'GovernorSettings', 'uint256', 'super.proposalThreshold()' ],
+		];
+
+		const operations = 'address[] memory targets, uint256[] memory values, bytes[] memory calldatas, bytes32 descriptionHash';
+
+		const governorSource = blocks(
+			header(pragma),
+			lines(
+				'import {Governor} from "@openzeppelin/contracts/governance/Governor.sol";',
+				'import {GovernorSettings} from "@openzeppelin/contracts/governance/extensions/GovernorSettings.sol";',
+				'import {GovernorCountingSimple} from "@openzeppelin/contracts/governance/extensions/GovernorCountingSimple.sol";',
+				'import {GovernorVotes} from "@openzeppelin/contracts/governance/extensions/GovernorVotes.sol";',
+				'import {GovernorVotesQuorumFraction} from "@openzeppelin/contracts/governance/extensions/GovernorVotesQuorumFraction.sol";',
+				'import {GovernorTimelockControl} from "@openzeppelin/contracts/governance/extensions/GovernorTimelockControl.sol";',
+				'import {TimelockController} from "@openzeppelin/contracts/governance/TimelockController.sol";',
+				'import {IVotes} from "@openzeppelin/contracts/governance/utils/IVotes.sol";',
+			),
+			lines(
+				`contract ${ governor } is`,
+				'    Governor,',
+				'    GovernorSettings,',
+				'    GovernorCountingSimple,',
+				'    GovernorVotes,',
+				'    GovernorVotesQuorumFraction,',
+				'    GovernorTimelockControl',
+				'{',
+				indent(blocks(
+					lines(
+						'constructor(IVotes token, TimelockController timelock)',
+						`    Governor(${ str(`${ params.name } Governor`) })`,
+						`    GovernorSettings(${ votingDelay }, ${ votingPeriod }, ${ tokens(proposalThreshold) })`,
+						'    GovernorVotes(token)',
+						`    GovernorVotesQuorumFraction(${ quorumPercent })`,
+						'    GovernorTimelockControl(timelock)',
+						'{}',
+					),
+					'// The following functions are overrides required by Solidity.',
+					...overrides.map(([ signature, visibility, parent, returns, body ]) => lines(
+						`function ${ signature } ${ visibility } override(Governor, ${ parent }) returns (${ returns }) {`,
+						`    return ${ body };`,
+						'}',
+					)),
+					lines(
+						`function _queueOperations(uint256 proposalId, ${ operations })`,
+						'    internal',
+						'    override(Governor, GovernorTimelockControl)',
+						'    returns (uint48)',
+						'{',
+						'    return super._queueOperations(proposalId, targets, values, calldatas, descriptionHash);',
+						'}',
+					),
+					lines(
+						`function _executeOperations(uint256 proposalId, ${ operations })`,
+						'    internal',
+						'    override(Governor, GovernorTimelockControl)',
+						'{',
+						'    super._executeOperations(proposalId, targets, values, calldatas, descriptionHash);',
+						'}',
+					),
+					lines(
+						`function _cancel(${ operations })`,
+						'    internal',
+						'    override(Governor, GovernorTimelockControl)',
+						'    returns (uint256)',
+						'{',
+						'    return super._cancel(targets, values, calldatas, descriptionHash);',
+						'}',
+					),
+					lines(
+						'function _executor() internal view override(Governor, GovernorTimelockControl) returns (address) {',
+						'    return super._executor();',
+						'}',
+					),
+				)),
+				'}',
+			),
+		) + '\n';
+
+		const imports = lines(
+			`import {${ token }} from "../src/${ token }.sol";`,
+			`import {${ timelock }} from "../src/${ timelock }.sol";`,
+			`import {${ governor }} from "../src/${ governor }.sol";`,
+		);
+
+		// Shared by the test setUp and the deploy script
+		const wiring = lines(
+			`token = new ${ token }();`,
+			`timelock = new ${ timelock }();`,
+			`governor = new ${ governor }(token, timelock);`,
+			'',
+			'timelock.grantRole(timelock.PROPOSER_ROLE(), address(governor));',
+			'timelock.grantRole(timelock.CANCELLER_ROLE(), address(governor));',
+			'// Anyone can execute a proposal once its delay has passed',
+			'timelock.grantRole(timelock.EXECUTOR_ROLE(), address(0));',
+		);
+
+		const test = blocks(
+			header(pragma),
+			lines(
+				'import {Test} from "forge-std/Test.sol";',
+				'import {IGovernor} from "@openzeppelin/contracts/governance/IGovernor.sol";',
+				imports,
+			),
+			lines(
+				`contract ${ governor }Test is Test {`,
+				`    ${ token } internal token;`,
+				`    ${ timelock } internal timelock;`,
+				`    ${ governor } internal governor;`,
+				'    address internal alice = makeAddr("alice");',
+				'',
+				indent(blocks(
+					lines(
+						'function setUp() public {',
+						indent(wiring),
+						'',
+						'    // Votes are checkpointed, delegate a block before proposing',
+						'    token.delegate(address(this));',
+						'    vm.roll(block.number + 1);',
+						'}',
+					),
+					lines(
+						'function test_Settings() public view {',
+						`    assertEq(governor.votingDelay(), ${ votingDelay });`,
+						`    assertEq(governor.votingPeriod(), ${ votingPeriod });`,
+						`    assertEq(governor.proposalThreshold(), ${ tokens(proposalThreshold) });`,
+						`    assertEq(timelock.getMinDelay(), ${ timelockDelay });`,
+						'    assertEq(governor.timelock(), address(timelock));',
+						'}',
+					),
+					lines(
+						'function test_ProposalLifecycle() public {',
+						'    address[] memory targets = new address[](1);',
+						'    uint256[] memory values = new uint256[](1);',
+						'    bytes[] memory calldatas = new bytes[](1);',
+						'    targets[0] = address(timelock);',
+						'    calldatas[0] = abi.encodeCall(timelock.updateDelay, (2 days));',
+						'    string memory description = "Raise the timelock delay to 2 days";',
+						'',
+						'    uint256 proposalId = governor.propose(targets, values, calldatas, description);',
+						'    assertEq(uint256(governor.state(proposalId)), uint256(IGovernor.ProposalState.Pending));',
+						'',
+						'    vm.roll(block.number + governor.votingDelay() + 1);',
+						'    governor.castVote(proposalId, 1);',
+						'',
+						'    vm.roll(block.number + governor.votingPeriod());',
+						'    assertEq(uint256(governor.state(proposalId)), uint256(IGovernor.ProposalState.Succeeded));',
+						'',
+						'    bytes32 descriptionHash = keccak256(bytes(description));',
+						'    governor.queue(targets, values, calldatas, descriptionHash);',
+						'    vm.warp(block.timestamp + timelock.getMinDelay() + 1);',
+						'    governor.execute(targets, values, calldatas, descriptionHash);',
+						'',
+						'    assertEq(timelock.getMinDelay(), 2 days);',
+						'}',
+					),
+					lines(
+						'function test_RevertWhen_TimelockCalledDirectly() public {',
+						'    uint256 delay = timelock.getMinDelay();',
+						'',
+						'    vm.prank(alice);',
+						'    vm.expectRevert();',
+						'    timelock.schedule(address(token), 0, "", bytes32(0), bytes32(0), delay);',
+						'}',
+					),
+				)),
+				'}',
+			),
+		) + '\n';
+
+		const script = blocks(
+			header(pragma),
+			lines(
+				'import {Script, console} from "forge-std/Script.sol";',
+				imports,
+			),
+			lines(
+				`contract Deploy${ prefix } is Script {`,
+				`    function run() external returns (${ token } token, ${ timelock } timelock, ${ governor } governor) {`,
+				'        uint256 deployerPrivateKey = vm.envUint("PRIVATE_KEY");',
+				'        vm.startBroadcast(deployerPrivateKey);',
+				'',
+				indent(wiring, 2),
+				'',
+				'        // The DAO governs itself from now on',
+				'        timelock.renounceRole(timelock.DEFAULT_ADMIN_ROLE(), vm.addr(deployerPrivateKey));',
+				'',
+				'        vm.stopBroadcast();',
+				'',
+				`        console.log("${ token } deployed at", address(token));`,
+				`        console.log("${ timelock } deployed at", address(timelock));`,
+				`        console.log("${ governor } deployed at", address(governor));`,
+				'    }',
+				'}',
+			),
+		) + '\n';
+
+		return {
+			contracts: [
+				{ name: token, contractType: 'ERC20', isMain: false, source: tokenSource, constructorArgs: [] },
+				{ name: timelock, contractType: 'Timelock', isMain: false, source: timelockSource, constructorArgs: [] },
+				// Takes the addresses of the deployed token and timelock
+				{ name: governor, contractType: 'Governor', isMain: true, source: governorSource, constructorArgs: null },
+			],
+			tests: [ { path: `test/${ governor }.t.sol`, content: test } ],
+			scripts: [ { path: `script/Deploy${ prefix }.s.sol`, content: script } ],
+		};
+	},
+};
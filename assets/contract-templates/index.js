@@ -0,0 +1,19 @@
+/**
+ * Contract templates offered to the agent and the API, rendered by ContractTemplateService.
+ *
+ * A template declares its parameters (see ContractTemplateService.paramTypes), the libraries its
+ * sources import, an optional `check(params)` returning an error message for invalid combinations,
+ * and `render(params, { pragma })`, where pragma is the project compiler version (e.g. `0.8.24`), returning:
+ * - contracts: `{ name, contractType, isMain, source, constructorArgs }`, stored as project contracts in src/.
+ *   constructorArgs is null when the arguments are only known at deployment (e.g. other contract addresses).
+ * - tests and scripts: `{ path, content }` files written to test/ and script/.
+ */
+import erc20 from './erc20.js';
+import erc721 from './erc721.js';
+import erc1155 from './erc1155.js';
+import governor from './governor.js';
+import vesting from './vesting.js';
+import staking from './staking.js';
+import multisig from './multisig.js';
+
+export default [ erc20, erc721, erc1155, governor, vesting, staking, multisig ];
@@ -0,0 +1,270 @@
+import { blocks, header, indent, lines } from './solidity.js';
+
+export default {
+	id: 'multisig',
+	name: 'Multisig wallet',
+	description: 'Wallet shared by several owners: any owner submits a transaction, which executes once enough owners confirm it',
+	contractType: 'Multisig',
+	projectTypes: [ 'DAO', 'DeFi' ],
+	libraries: [],
+	params: [
+		{ name: 'contractName', type: 'identifier', default: 'MultiSigWallet', description: 'Solidity contract name' },
+		{ name: 'owners', type: 'address[]', required: true, description: 'Owner addresses' },
+		{ name: 'threshold', type: 'integer', default: 2, min: 1, max: 50, description: 'Confirmations needed to execute a transaction' },
+	],
+
+	check(params) {
+		if(params.threshold > params.owners.length) return `threshold cannot exceed the number of owners (${ params.owners.length })`;
+	},
+
+	render(params, { pragma }) {
+		const { contractName: name, owners, threshold } = params;
+
+		const source = blocks(
+			header(pragma),
+			lines(
+				'/// @notice Executes transactions confirmed by `threshold` of its owners.',
+				`contract ${ name } {`,
+				indent(blocks(
+					lines(
+						'struct Transaction {',
+						'    address to;',
+						'    uint256 value;',
+						'    bytes data;',
+						'    bool executed;',
+						'    uint256 confirmations;',
+						'}',
+					),
+					lines(
+						'address[] private _owners;',
+						'mapping(address => bool) public isOwner;',
+						'uint256 public immutable threshold;',
+					),
+					lines(
+						'Transaction[] private _transactions;',
+						'mapping(uint256 => mapping(address => bool)) public isConfirmed;',
+					),
+					lines(
+						'event Deposit(address indexed sender, uint256 amount, uint256 balance);',
+						'event Submitted(uint256 indexed txId, address indexed owner, address indexed to, uint256 value, bytes data);',
+						'event Confirmed(uint256 indexed txId, address indexed owner);',
+						'event Revoked(uint256 indexed txId, address indexed owner);',
+						'event Executed(uint256 indexed txId, address indexed owner);',
+					),
+					lines(
+						'error NotOwner();',
+						'error InvalidOwner(address owner);',
+						'error InvalidThreshold();',
+						'error TransactionNotFound();',
+						'error AlreadyExecuted();',
+						'error AlreadyConfirmed();',
+						'error NotConfirmed();',
+						'error NotEnoughConfirmations();',
+						'error ExecutionFailed();',
+					),
+					lines(
+						'modifier onlyOwner() {',
+						'    if (!isOwner[msg.sender]) revert NotOwner();',
+						'    _;',
+						'}',
+					),
+					lines(
+						'modifier pending(uint256 txId) {',
+						'    if (txId >= _transactions.length) revert TransactionNotFound();',
+						'    if (_transactions[txId].executed) revert AlreadyExecuted();',
+						'    _;',
+						'}',
+					),
+					lines(
+						'constructor(address[] memory owners_, uint256 threshold_) {',
+						'    if (threshold_ == 0 || threshold_ > owners_.length) revert InvalidThreshold();',
+						'',
+						'    for (uint256 i = 0; i < owners_.length; i++) {',
+						'        address owner = owners_[i];',
+						'        if (owner == address(0) || isOwner[owner]) revert InvalidOwner(owner);',
+						'',
+						'        isOwner[owner] = true;',
+						'        _owners.push(owner);',
+						'    }',
+						'',
+						'    threshold = threshold_;',
+						'}',
+					),
+					lines(
+						'receive() external payable {',
+						'    emit Deposit(msg.sender, msg.value, address(this).balance);',
+						'}',
+					),
+					lines(
+						'/// @notice Proposes a transaction and confirms it for the sender.',
+						'function submit(address to, uint256 value, bytes calldata data) external onlyOwner returns (uint256 txId) {',
+						'    txId = _transactions.length;',
+						'    _transactions.push(Transaction({to: to, value: value, data: data, executed: false, confirmations: 0}));',
+						'    emit Submitted(txId, msg.sender, to, value, data);',
+						'',
+						'    confirm(txId);',
+						'}',
+					),
+					lines(
+						'function confirm(uint256 txId) public onlyOwner pending(txId) {',
+						'    if (isConfirmed[txId][msg.sender]) revert AlreadyConfirmed();',
+						'',
+						'    isConfirmed[txId][msg.sender] = true;',
+						'    _transactions[txId].confirmations += 1;',
+						'    emit Confirmed(txId, msg.sender);',
+						'}',
+					),
+					lines(
+						'function revoke(uint256 txId) external onlyOwner pending(txId) {',
+						'    if (!isConfirmed[txId][msg.sender]) revert NotConfirmed();',
+						'',
+						'    isConfirmed[txId][msg.sender] = false;',
+						'    _transactions[txId].confirmations -= 1;',
+						'    emit Revoked(txId, msg.sender);',
+						'}',
+					),
+					lines(
+						'function execute(uint256 txId) external onlyOwner pending(txId) {',
+						'    Transaction storage transaction = _transactions[txId];',
+						'    if (transaction.confirmations < threshold) revert NotEnoughConfirmations();',
+						'',
+						'    transaction.executed = true;',
+						'    (bool success, ) = transaction.to.call{value: transaction.value}(transaction.data);',
+						'    if (!success) revert ExecutionFailed();',
+						'',
+						'    emit Executed(txId, msg.sender);',
+						'}',
+					),
+					lines(
+						'function getOwners() external view returns (address[] memory) {',
+						'    return _owners;',
+						'}',
+					),
+					lines(
+						'function getTransactionCount() external view returns (uint256) {',
+						'    return _transactions.length;',
+						'}',
+					),
+					lines(
+						'function getTransaction(uint256 txId) external view returns (Transaction memory) {',
+						'    return _transactions[txId];',
+						'}',
+					),
+				)),
+				'}',
+			),
+		) + '\n';
+
+		// The test uses its own owners, the configured ones may not be known keys
+		const test = blocks(
+			header(pragma),
+			lines(
+				'import {Test} from "forge-std/Test.sol";',
+				`import {${ name }} from "../src/${ name }.sol";`,
+			),
+			lines(
+				`contract ${ name }Test is Test {`,
+				`    ${ name } internal wallet;`,
+				'    address internal alice = makeAddr("alice");',
+				'    address internal bob = makeAddr("bob");',
+				'    address internal carol = makeAddr("carol");',
+				'    address internal recipient = makeAddr("recipient");',
+				'',
+				indent(blocks(
+					lines(
+						'function setUp() public {',
+						'    address[] memory owners = new address[](3);',
+						'    owners[0] = alice;',
+						'    owners[1] = bob;',
+						'    owners[2] = carol;',
+						'',
+						`    wallet = new ${ name }(owners, 2);`,
+						'    vm.deal(address(wallet), 10 ether);',
+						'}',
+					),
+					lines(
+						'function test_ExecuteWithEnoughConfirmations() public {',
+						'    vm.prank(alice);',
+						'    uint256 txId = wallet.submit(recipient, 1 ether, "");',
+						'',
+						'    vm.prank(bob);',
+						'    wallet.confirm(txId);',
+						'',
+						'    vm.prank(carol);',
+						'    wallet.execute(txId);',
+						'',
+						'    assertEq(recipient.balance, 1 ether);',
+						'    assertTrue(wallet.getTransaction(txId).executed);',
+						'}',
+					),
+					lines(
+						'function test_RevertWhen_NotEnoughConfirmations() public {',
+						'    vm.prank(alice);',
+						'    uint256 txId = wallet.submit(recipient, 1 ether, "");',
+						'',
+						'    vm.prank(alice);',
+						`    vm.expectRevert(${ name }.NotEnoughConfirmations.selector);`,
+						'    wallet.execute(txId);',
+						'}',
+					),
+					lines(
+						'function test_Revoke() public {',
+						'    vm.prank(alice);',
+						'    uint256 txId = wallet.submit(recipient, 1 ether, "");',
+						'',
+						'    vm.prank(alice);',
+						'    wallet.revoke(txId);',
+						'    assertEq(wallet.getTransaction(txId).confirmations, 0);',
+						'}',
+					),
+					lines(
+						'function test_RevertWhen_NotOwner() public {',
+						'    vm.prank(recipient);',
+						`    vm.expectRevert(${ name }.NotOwner.selector);`,
+						'    wallet.submit(recipient, 1 ether, "");',
+						'}',
+					),
+					lines(
+						'function test_RevertWhen_DuplicateOwner() public {',
+						'    address[] memory owners = new address[](2);',
+						'    owners[0] = alice;',
+						'    owners[1] = alice;',
+						'',
+						`    vm.expectRevert(abi.encodeWithSelector(${ name }.InvalidOwner.selector, alice));`,
+						`    new ${ name }(owners, 1);`,
+						'}',
+					),
+				)),
+				'}',
+			),
+		) + '\n';
+
+		const script = blocks(
+			header(pragma),
+			lines(
+				'import {Script, console} from "forge-std/Script.sol";',
+				`import {${ name }} from "../src/${ name }.sol";`,
+			),
+			lines(
+				`contract Deploy${ name } is Script {`,
+				`    function run() external returns (${ name } wallet) {`,
+				`        address[] memory owners = new address[](${ owners.length });`,
+				...owners.map((owner, index) => `        owners[${ index }] = ${ owner };`),
+				'',
+				'        vm.startBroadcast(vm.envUint("PRIVATE_KEY"));',
+				`        wallet = new ${ name }(owners, ${ threshold });`,
+				'        vm.stopBroadcast();',
+				'',
+				`        console.log("${ name } deployed at", address(wallet));`,
+				'    }',
+				'}',
+			),
+		) + '\n';
+
+		return {
+			contracts: [ { name, contractType: 'Multisig', isMain: true, source, constructorArgs: [ owners, threshold ] } ],
+			tests: [ { path: `test/${ name }.t.sol`, content: test } ],
+			scripts: [ { path: `script/Deploy${ name }.s.sol`, content: script } ],
+		};
+	},
+};
@@ -0,0 +1,62 @@
+/**
+ * Helpers shared by the contract templates to assemble Solidity files.
+ */
+
+/**
+ * Joins code blocks with a blank line, skipping the disabled ones (false, null or '').
+ *
+ * @param {...(string|false|null)} blocks - Code blocks.
+ * @returns {string}
+ */
+export const blocks = (...blocks) => blocks.filter(Boolean).join('\n\n');
+
+/**
+ * Joins lines, skipping the disabled ones.
+ *
+ * @param {...(string|false|null)} lines - Lines of code.
+ * @returns {string}
+ */
+export const lines = (...lines) => lines.filter(line => line !== false && line !== null).join('\n');
+
+/**
+ * Indents every non-empty line of a block by the given number of levels (4 spaces each).
+ */
+export const indent = (code, levels = 1) => code.split('\n').map(line => line ? ' '.repeat(4 * levels) + line : line).join('\n');
+
+/**
+ * Starts a Solidity file with its license and pragma.
+ */
+export const header = pragma => `// SPDX-License-Identifier: MIT\npragma solidity ${ pragma };`;
+
+/**
+ * Formats a whole-token amount as a Solidity literal with 18 decimals (e.g. 1000000 => 1_000_000e18).
+ */
+export const tokens = amount => amount === 0 ? '0' : `${ String(amount).replace(/\B(?=(\d{3})+(?!\d))/g, '_') }e18`;
+
+/**
+ * Escapes a value for a Solidity string literal. Template parameters already reject quotes and
+ * backslashes, this only guards against templates rendered with unvalidated input.
+ */
+export const str = value => `"${ String(value).replace(/["\\\r\n]/g, '') }"`;
+
+/**
+ * Renders the forge deploy script of a contract without constructor arguments.
+ */
+export const deployScript = (pragma, name, variable = 'instance') => blocks(
+	header(pragma),
+	lines(
+		'import {Script, console} from "forge-std/Script.sol";',
+		`import {${ name }} from "../src/${ name }.sol";`,
+	),
+	lines(
+		`contract Deploy${ name } is Script {`,
+		`    function run() external returns (${ name } ${ variable }) {`,
+		'        vm.startBroadcast(vm.envUint("PRIVATE_KEY"));',
+		`        ${ variable } = new ${ name }();`,
+		'        vm.stopBroadcast();',
+		'',
+		`        console.log("${ name } deployed at", address(${ variable }));`,
+		'    }',
+		'}',
+	),
+) + '\n';
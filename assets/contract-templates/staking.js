@@ -0,0 +1,294 @@
+import { blocks, header, indent, lines } from './solidity.js';
+
+export default {
+	id: 'staking',
+	name: 'Staking rewards',
+	description: 'Users stake an ERC20 token and earn another (or the same) ERC20 as rewards, streamed over reward periods funded by the owner',
+	contractType: 'Staking',
+	projectTypes: [ 'DeFi' ],
+	libraries: [ 'openzeppelin' ],
+	params: [
+		{ name: 'contractName', type: 'identifier', default: 'StakingRewards', description: 'Solidity contract name' },
+		{ name: 'rewardsDurationDays', type: 'integer', default: 7, min: 1, max: 3650, description: 'Days each funded reward period lasts' },
+	],
+
+	render(params, { pragma }) {
+		const { contractName: name, rewardsDurationDays } = params;
+
+		const source = blocks(
+			header(pragma),
+			lines(
+				'import {IERC20} from "@openzeppelin/contracts/token/ERC20/IERC20.sol";',
+				'import {SafeERC20} from "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";',
+				'import {Ownable} from "@openzeppelin/contracts/access/Ownable.sol";',
+				'import {ReentrancyGuard} from "@openzeppelin/contracts/utils/ReentrancyGuard.sol";',
+			),
+			lines(
+				'/// @notice Streams rewards to stakers pro rata to their stake. The owner funds each reward period',
+				'/// with notifyRewardAmount, which pulls the reward tokens from the owner.',
+				`contract ${ name } is Ownable, ReentrancyGuard {`,
+				indent(blocks(
+					'using SafeERC20 for IERC20;',
+					lines(
+						'IERC20 public immutable stakingToken;',
+						'IERC20 public immutable rewardsToken;',
+					),
+					lines(
+						`uint256 public rewardsDuration = ${ rewardsDurationDays } days;`,
+						'uint256 public periodFinish;',
+						'uint256 public rewardRate;',
+						'uint256 public lastUpdateTime;',
+						'uint256 public rewardPerTokenStored;',
+					),
+					lines(
+						'uint256 public totalSupply;',
+						'mapping(address => uint256) public balanceOf;',
+						'mapping(address => uint256) public userRewardPerTokenPaid;',
+						'mapping(address => uint256) public rewards;',
+					),
+					lines(
+						'event Staked(address indexed user, uint256 amount);',
+						'event Withdrawn(address indexed user, uint256 amount);',
+						'event RewardPaid(address indexed user, uint256 reward);',
+						'event RewardAdded(uint256 reward);',
+						'event RewardsDurationUpdated(uint256 duration);',
+					),
+					lines(
+						'error ZeroAmount();',
+						'error InsufficientBalance();',
+						'error RewardTooHigh();',
+						'error RewardPeriodActive();',
+					),
+					lines(
+						'constructor(address stakingToken_, address rewardsToken_) Ownable(msg.sender) {',
+						'    stakingToken = IERC20(stakingToken_);',
+						'    rewardsToken = IERC20(rewardsToken_);',
+						'}',
+					),
+					lines(
+						'modifier updateReward(address account) {',
+						'    rewardPerTokenStored = rewardPerToken();',
+						'    lastUpdateTime = lastTimeRewardApplicable();',
+						'    if (account != address(0)) {',
+						'        rewards[account] = earned(account);',
+						'        userRewardPerTokenPaid[account] = rewardPerTokenStored;',
+						'    }',
+						'    _;',
+						'}',
+					),
+					lines(
+						'function lastTimeRewardApplicable() public view returns (uint256) {',
+						'    return block.timestamp < periodFinish ? block.timestamp : periodFinish;',
+						'}',
+					),
+					lines(
+						'function rewardPerToken() public view returns (uint256) {',
+						'    if (totalSupply == 0) return rewardPerTokenStored;',
+						'    return rewardPerTokenStored + (lastTimeRewardApplicable() - lastUpdateTime) * rewardRate * 1e18 / totalSupply;',
+						'}',
+					),
+					lines(
+						'function earned(address account) public view returns (uint256) {',
+						'    return balanceOf[account] * (rewardPerToken() - userRewardPerTokenPaid[account]) / 1e18 + rewards[account];',
+						'}',
+					),
+					lines(
+						'function stake(uint256 amount) external nonReentrant updateReward(msg.sender) {',
+						'    if (amount == 0) revert ZeroAmount();',
+						'    totalSupply += amount;',
+						'    balanceOf[msg.sender] += amount;',
+						'    stakingToken.safeTransferFrom(msg.sender, address(this), amount);',
+						'    emit Staked(msg.sender, amount);',
+						'}',
+					),
+					lines(
+						'function withdraw(uint256 amount) public nonReentrant updateReward(msg.sender) {',
+						'    if (amount == 0) revert ZeroAmount();',
+						'    if (amount > balanceOf[msg.sender]) revert InsufficientBalance();',
+						'    totalSupply -= amount;',
+						'    balanceOf[msg.sender] -= amount;',
+						'    stakingToken.safeTransfer(msg.sender, amount);',
+						'    emit Withdrawn(msg.sender, amount);',
+						'}',
+					),
+					lines(
+						'function getReward() public nonReentrant updateReward(msg.sender) {',
+						'    uint256 reward = rewards[msg.sender];',
+						'    if (reward > 0) {',
+						'        rewards[msg.sender] = 0;',
+						'        rewardsToken.safeTransfer(msg.sender, reward);',
+						'        emit RewardPaid(msg.sender, reward);',
+						'    }',
+						'}',
+					),
+					lines(
+						'function exit() external {',
+						'    withdraw(balanceOf[msg.sender]);',
+						'    getReward();',
+						'}',
+					),
+					lines(
+						'/// @notice Starts a reward period, or extends the current one, with `reward` tokens pulled from the owner.',
+						'function notifyRewardAmount(uint256 reward) external onlyOwner updateReward(address(0)) {',
+						'    rewardsToken.safeTransferFrom(msg.sender, address(this), reward);',
+						'',
+						'    if (block.timestamp >= periodFinish) {',
+						'        rewardRate = reward / rewardsDuration;',
+						'    } else {',
+						'        uint256 leftover = (periodFinish - block.timestamp) * rewardRate;',
+						'        rewardRate = (reward + leftover) / rewardsDuration;',
+						'    }',
+						'',
+						'    // Staked tokens are not rewards when both tokens are the same',
+						'    uint256 available = rewardsToken.balanceOf(address(this));',
+						'    if (address(rewardsToken) == address(stakingToken)) available -= totalSupply;',
+						'    if (rewardRate == 0 || rewardRate > available / rewardsDuration) revert RewardTooHigh();',
+						'',
+						'    lastUpdateTime = block.timestamp;',
+						'    periodFinish = block.timestamp + rewardsDuration;',
+						'    emit RewardAdded(reward);',
+						'}',
+					),
+					lines(
+						'function setRewardsDuration(uint256 duration) external onlyOwner {',
+						'    if (block.timestamp < periodFinish) revert RewardPeriodActive();',
+						'    if (duration == 0) revert ZeroAmount();',
+						'    rewardsDuration = duration;',
+						'    emit RewardsDurationUpdated(duration);',
+						'}',
+					),
+				)),
+				'}',
+			),
+		) + '\n';
+
+		const test = blocks(
+			header(pragma),
+			lines(
+				'import {Test} from "forge-std/Test.sol";',
+				'import {ERC20} from "@openzeppelin/contracts/token/ERC20/ERC20.sol";',
+				`import {${ name }} from "../src/${ name }.sol";`,
+			),
+			lines(
+				'contract TestToken is ERC20 {',
+				'    constructor(string memory symbol) ERC20(symbol, symbol) {',
+				'        _mint(msg.sender, 1_000_000e18);',
+				'    }',
+				'}',
+			),
+			lines(
+				`contract ${ name }Test is Test {`,
+				`    ${ name } internal staking;`,
+				'    TestToken internal stakingToken;',
+				'    TestToken internal rewardsToken;',
+				'    address internal alice = makeAddr("alice");',
+				'    address internal bob = makeAddr("bob");',
+				'',
+				indent(blocks(
+					lines(
+						'function setUp() public {',
+						'    stakingToken = new TestToken("STK");',
+						'    rewardsToken = new TestToken("RWD");',
+						`    staking = new ${ name }(address(stakingToken), address(rewardsToken));`,
+						'',
+						'    stakingToken.transfer(alice, 100e18);',
+						'    stakingToken.transfer(bob, 100e18);',
+						'    rewardsToken.approve(address(staking), type(uint256).max);',
+						'}',
+					),
+					lines(
+						'function _stake(address user, uint256 amount) internal {',
+						'    vm.startPrank(user);',
+						'    stakingToken.approve(address(staking), amount);',
+						'    staking.stake(amount);',
+						'    vm.stopPrank();',
+						'}',
+					),
+					lines(
+						'function test_Stake() public {',
+						'    _stake(alice, 40e18);',
+						'    assertEq(staking.balanceOf(alice), 40e18);',
+						'    assertEq(staking.totalSupply(), 40e18);',
+						'    assertEq(stakingToken.balanceOf(address(staking)), 40e18);',
+						'}',
+					),
+					lines(
+						'function test_RewardsSplitByStake() public {',
+						'    _stake(alice, 30e18);',
+						'    _stake(bob, 10e18);',
+						'',
+						'    uint256 reward = 1000e18;',
+						'    staking.notifyRewardAmount(reward);',
+						'    vm.warp(block.timestamp + staking.rewardsDuration());',
+						'',
+						'    assertApproxEqRel(staking.earned(alice), reward * 3 / 4, 1e15);',
+						'    assertApproxEqRel(staking.earned(bob), reward / 4, 1e15);',
+						'',
+						'    vm.prank(alice);',
+						'    staking.getReward();',
+						'    assertEq(rewardsToken.balanceOf(alice), staking.rewardPerToken() * 30e18 / 1e18);',
+						'}',
+					),
+					lines(
+						'function test_Exit() public {',
+						'    _stake(alice, 50e18);',
+						'    staking.notifyRewardAmount(100e18);',
+						'    vm.warp(block.timestamp + 1 days);',
+						'',
+						'    vm.prank(alice);',
+						'    staking.exit();',
+						'    assertEq(stakingToken.balanceOf(alice), 100e18);',
+						'    assertGt(rewardsToken.balanceOf(alice), 0);',
+						'}',
+					),
+					lines(
+						'function test_RevertWhen_StakingZero() public {',
+						'    vm.prank(alice);',
+						`    vm.expectRevert(${ name }.ZeroAmount.selector);`,
+						'    staking.stake(0);',
+						'}',
+					),
+					lines(
+						'function test_RevertWhen_WithdrawingTooMuch() public {',
+						'    _stake(alice, 10e18);',
+						'',
+						'    vm.prank(alice);',
+						`    vm.expectRevert(${ name }.InsufficientBalance.selector);`,
+						'    staking.withdraw(11e18);',
+						'}',
+					),
+				)),
+				'}',
+			),
+		) + '\n';
+
+		const script = blocks(
+			header(pragma),
+			lines(
+				'import {Script, console} from "forge-std/Script.sol";',
+				`import {${ name }} from "../src/${ name }.sol";`,
+			),
+			lines(
+				`contract Deploy${ name } is Script {`,
+				`    function run() external returns (${ name } staking) {`,
+				'        address stakingToken = vm.envAddress("STAKING_TOKEN");',
+				'        address rewardsToken = vm.envAddress("REWARDS_TOKEN");',
+				'',
+				'        vm.startBroadcast(vm.envUint("PRIVATE_KEY"));',
+				`        staking = new ${ name }(stakingToken, rewardsToken);`,
+				'        vm.stopBroadcast();',
+				'',
+				`        console.log("${ name } deployed at", address(staking));`,
+				'    }',
+				'}',
+			),
+		) + '\n';
+
+		return {
+			// Takes the addresses of the staking and rewards tokens
+			contracts: [ { name, contractType: 'Staking', isMain: true, source, constructorArgs: null } ],
+			tests: [ { path: `test/${ name }.t.sol`, content: test } ],
+			scripts: [ { path: `script/Deploy${ name }.s.sol`, content: script } ],
+		};
+	},
+};
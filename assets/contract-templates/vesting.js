@@ -0,0 +1,129 @@
+import { blocks, deployScript, header, indent, lines } from './solidity.js';
+
+export default {
+	id: 'vesting',
+	name: 'Token vesting wallet',
+	description: 'Releases the native currency and any ERC20 sent to it linearly to a beneficiary over a duration, after an optional cliff',
+	contractType: 'Vesting',
+	projectTypes: [ 'DeFi', 'Token' ],
+	libraries: [ 'openzeppelin' ],
+	params: [
+		{ name: 'contractName', type: 'identifier', default: 'TokenVesting', description: 'Solidity contract name' },
+		{ name: 'beneficiary', type: 'address', required: true, description: 'Address that receives the vested funds' },
+		{ name: 'startTimestamp', type: 'integer', default: 0, min: 0, max: 4102444800, description: 'Unix time vesting starts, 0 for the deployment time' },
+		{ name: 'durationDays', type: 'integer', default: 365, min: 1, max: 36500, description: 'Days over which the funds vest' },
+		{ name: 'cliffDays', type: 'integer', default: 0, min: 0, max: 36500, description: 'Days after the start before anything can be released' },
+	],
+
+	check(params) {
+		if(params.cliffDays > params.durationDays) return 'cliffDays cannot exceed durationDays';
+	},
+
+	render(params, { pragma }) {
+		const { contractName: name, beneficiary, startTimestamp, durationDays, cliffDays } = params;
+		const start = startTimestamp > 0 ? String(startTimestamp) : 'uint64(block.timestamp)';
+
+		const source = blocks(
+			header(pragma),
+			'import {VestingWallet} from "@openzeppelin/contracts/finance/VestingWallet.sol";',
+			lines(
+				'/// @notice Vests ETH and ERC20 tokens linearly. Nothing is releasable before the cliff.',
+				'/// The beneficiary owns the wallet and can transfer it to a new address.',
+				`contract ${ name } is VestingWallet {`,
+				indent(blocks(
+					lines(
+						`uint64 public constant CLIFF_DURATION = ${ cliffDays } days;`,
+						'uint64 private immutable _cliff;',
+					),
+					lines(
+						`constructor() VestingWallet(${ beneficiary }, ${ start }, ${ durationDays } days) {`,
+						'    _cliff = uint64(start()) + CLIFF_DURATION;',
+						'}',
+					),
+					lines(
+						'function cliff() public view returns (uint256) {',
+						'    return _cliff;',
+						'}',
+					),
+					lines(
+						'function _vestingSchedule(uint256 totalAllocation, uint64 timestamp) internal view override returns (uint256) {',
+						'    return timestamp < cliff() ? 0 : super._vestingSchedule(totalAllocation, timestamp);',
+						'}',
+					),
+				)),
+				'}',
+			),
+		) + '\n';
+
+		const test = blocks(
+			header(pragma),
+			lines(
+				'import {Test} from "forge-std/Test.sol";',
+				'import {ERC20} from "@openzeppelin/contracts/token/ERC20/ERC20.sol";',
+				`import {${ name }} from "../src/${ name }.sol";`,
+			),
+			lines(
+				'contract TestToken is ERC20 {',
+				'    constructor() ERC20("Test Token", "TST") {',
+				'        _mint(msg.sender, 1_000_000e18);',
+				'    }',
+				'}',
+			),
+			lines(
+				`contract ${ name }Test is Test {`,
+				`    ${ name } internal vesting;`,
+				'    TestToken internal token;',
+				`    address internal beneficiary = ${ beneficiary };`,
+				'',
+				indent(blocks(
+					lines(
+						'function setUp() public {',
+						`    vesting = new ${ name }();`,
+						'    token = new TestToken();',
+						'    token.transfer(address(vesting), 1000e18);',
+						'}',
+					),
+					lines(
+						'function test_Schedule() public view {',
+						'    assertEq(vesting.owner(), beneficiary);',
+						`    assertEq(vesting.duration(), ${ durationDays } days);`,
+						`    assertEq(vesting.cliff(), vesting.start() + ${ cliffDays } days);`,
+						'}',
+					),
+					lines(
+						'function test_NothingReleasableBeforeStart() public view {',
+						'    if (block.timestamp < vesting.start()) {',
+						'        assertEq(vesting.releasable(address(token)), 0);',
+						'    }',
+						'}',
+					),
+					cliffDays > 0 && lines(
+						'function test_NothingReleasableBeforeCliff() public {',
+						'    vm.warp(vesting.cliff() - 1);',
+						'    assertEq(vesting.releasable(address(token)), 0);',
+						'}',
+					),
+					lines(
+						'function test_LinearRelease() public {',
+						'    vm.warp(vesting.start() + vesting.duration() / 2);',
+						cliffDays * 2 <= durationDays
+							? '    assertApproxEqAbs(vesting.releasable(address(token)), 500e18, 1e18);'
+							: '    assertEq(vesting.releasable(address(token)), 0);',
+						'',
+						'    vm.warp(vesting.end());',
+						'    vesting.release(address(token));',
+						'    assertEq(token.balanceOf(beneficiary), 1000e18);',
+						'}',
+					),
+				)),
+				'}',
+			),
+		) + '\n';
+
+		return {
+			contracts: [ { name, contractType: 'Vesting', isMain: true, source, constructorArgs: [] } ],
+			tests: [ { path: `test/${ name }.t.sol`, content: test } ],
+			scripts: [ { path: `script/Deploy${ name }.s.sol`, content: deployScript(pragma, name, 'vesting') } ],
+		};
+	},
+};
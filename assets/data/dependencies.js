@@ -0,0 +1,35 @@
+/**
+ * Solidity libraries projects can depend on.
+ *
+ * A dependency is pinned as `<repo>@<version>` (the forge install form), where version is one of the
+ * release tags listed here; the first one is used when no version is given. `include` lists the paths
+ * of the release archive that are vendored into `lib/<name>`, and `remappings` the import prefixes the
+ * library is reached with. `requires` names libraries that must be installed at the same version.
+ */
+export default [
+	{
+		name: 'openzeppelin-contracts',
+		repo: 'OpenZeppelin/openzeppelin-contracts',
+		aliases: [ '@openzeppelin/contracts', 'openzeppelin' ],
+		versions: [ 'v5.0.2', 'v5.1.0', 'v5.2.0', 'v4.9.6' ],
+		include: [ 'contracts', 'LICENSE' ],
+		remappings: [ '@openzeppelin/contracts/=lib/openzeppelin-contracts/contracts/' ],
+	},
+	{
+		name: 'openzeppelin-contracts-upgradeable',
+		repo: 'OpenZeppelin/openzeppelin-contracts-upgradeable',
+		aliases: [ '@openzeppelin/contracts-upgradeable' ],
+		versions: [ 'v5.0.2', 'v5.1.0', 'v5.2.0', 'v4.9.6' ],
+		include: [ 'contracts', 'LICENSE' ],
+		remappings: [ '@openzeppelin/contracts-upgradeable/=lib/openzeppelin-contracts-upgradeable/contracts/' ],
+		requires: [ 'openzeppelin-contracts' ],
+	},
+	{
+		name: 'forge-std',
+		repo: 'foundry-rs/forge-std',
+		aliases: [],
+		versions: [ 'v1.9.4', 'v1.9.5', 'v1.9.6', 'v1.9.7' ],
+		include: [ 'src', 'LICENSE-APACHE', 'LICENSE-MIT' ],
+		remappings: [ 'forge-std/=lib/forge-std/src/' ],
+	},
+];
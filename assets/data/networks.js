@@ -0,0 +1,80 @@
+/**
+ * Networks supported out of the box.
+ *
+ * RPC URLs are tried in order, so the first entry is the preferred node and the rest are fallbacks.
+ * `explorer.apiUrl` is the Etherscan-compatible API of the explorer, and `faucet.apiUrl` the endpoint
+ * the faucet tool posts to (null when the faucet can only be used from its website).
+ *
+ * Extra RPC URLs can be prepended from the environment (`<NAME>_RPC`, comma separated) and explorer API
+ * keys are read from `<NAME>_EXPLORER_API_KEY`.
+ *
+ * The local development network (`local`, for anvil, hardhat or ganache) is not listed here: it is
+ * configured from the environment and registered by NetworkService.registerLocal().
+ *
+ * - `LOCAL_RPC_URL`: the node, http://127.0.0.1:8545 by default. Setting it also enables `local` in production.
+ * - `LOCAL_CHAIN_ID`: its chain id, 31337 by default (anvil and hardhat; ganache uses 1337).
+ * - `LOCAL_CURRENCY`: the symbol of its native currency, ETH by default.
+ * - `LOCAL_EXPLORER_URL`: an optional block explorer, e.g. otterscan.
+ *
+ * Networks are only added through this file and the environment, never through the API, because the
+ * server connects to their RPC URLs itself (GET /networks is read-only).
+ */
+export default [
+	{
+		name: 'mantle_sepolia',
+		label: 'Mantle Sepolia',
+		chainId: 5003,
+		rpcUrls: [
+			'https://rpc.sepolia.mantle.xyz',
+			'https://mantle-sepolia.drpc.org',
+		],
+		explorer: {
+			name: 'Mantle Sepolia Explorer',
+			url: 'https://explorer.sepolia.mantle.xyz',
+			apiUrl: 'https://explorer.sepolia.mantle.xyz/api',
+		},
+		faucet: {
+			url: 'https://faucet.sepolia.mantle.xyz',
+			apiUrl: null,
+		},
+		nativeCurrency: { name: 'Mantle', symbol: 'MNT', decimals: 18 },
+		testnet: true,
+	},
+	{
+		name: 'mantle_testnet',
+		label: 'Mantle Testnet (deprecated)',
+		chainId: 5001,
+		rpcUrls: [
+			'https://rpc.testnet.mantle.xyz',
+		],
+		explorer: {
+			name: 'Mantle Testnet Explorer',
+			url: 'https://explorer.testnet.mantle.xyz',
+			apiUrl: 'https://explorer.testnet.mantle.xyz/api',
+		},
+		faucet: {
+			url: 'https://faucet.testnet.mantle.xyz',
+			apiUrl: null,
+		},
+		nativeCurrency: { name: 'Mantle', symbol: 'MNT', decimals: 18 },
+		testnet: true,
+	},
+	{
+		name: 'mantle_mainnet',
+		label: 'Mantle',
+		chainId: 5000,
+		rpcUrls: [
+			'https://rpc.mantle.xyz',
+			'https://mantle-rpc.publicnode.com',
+			'https://mantle.drpc.org',
+		],
+		explorer: {
+			name: 'Mantle Explorer',
+			url: 'https://explorer.mantle.xyz',
+			apiUrl: 'https://explorer.mantle.xyz/api',
+		},
+		faucet: null,
+		nativeCurrency: { name: 'Mantle', symbol: 'MNT', decimals: 18 },
+		testnet: false,
+	},
+];
@@ -1,6 +1,8 @@
 import 'dotenv/config';
+import { PrimateService } from '@thewebchimp/primate';
 import AIService from '#services/ai.service.js';
 import UserController from '#entities/users/user.controller.js';
+import ProjectMemberService from '#entities/project-members/project-member.service.js';
 import { createLogger } from '#utils/logger.js';
 
 /**
@@ -16,23 +18,44 @@ class AiController {
 	// Create a logger instance for the controller
 	static logger = createLogger({ name: 'AiController' });
 
+	/**
+	 * Generates a structured project brief from the user's objectives.
+	 * When `persist` is true the brief is also stored as a Draft project.
+	 *
+	 * @param {Object} req - Express request object
+	 * @param {Object} res - Express response object
+	 */
 	static async initialBrief(req, res) {
 		try {
-			const { prompt } = req.body;
+			const { prompt, persist = false, model } = req.body;
 			if(!prompt) return res.respond({ status: 400, message: 'Objectives not provided' });
 
-			const aiCampaign = await AIService.initialBrief(prompt);
+			const { brief, project } = await AIService.initialBrief(prompt, {
+				userId: req.user?.payload?.id,
+				persist: persist === true || persist === 'true',
+				model,
+			});
 
 			return res.respond({
-				data: aiCampaign,
-				message: 'Program generated successfully',
+				data: brief,
+				message: 'Brief generated successfully',
+				props: { project },
 			});
 
 		} catch(e) {
-			console.error('Error generating program:', e);
+			console.error('Error generating brief:', e);
+
+			// Only validation messages are shown, provider and database errors stay in the logs
+			if(/^(Could not generate a valid brief|Missing field|A user is required)/.test(e.message)) {
+				return res.respond({
+					status: 400,
+					message: 'Error generating brief: ' + e.message,
+				});
+			}
+
 			return res.respond({
 				status: 500,
-				message: 'Error generating program',
+				message: 'Error generating brief, please try again',
 			});
 		}
 	}
@@ -55,6 +78,15 @@ class AiController {
 			if(!idThread) return res.respond({ status: 400, error: 'No thread ID provided' });
 			if(!idProject) return res.respond({ status: 400, error: 'No project ID provided' });
 
+			// Members chat about the project with the tools their role allows, other users cannot
+			if(!await ProjectMemberService.can(idProject, user.id, 'project:read')) {
+				return res.respond({ status: 403, error: 'Access denied' });
+			}
+
+			// Every member has their own chats
+			const chat = await PrimateService.findById('chat', idChat);
+			if(chat && chat.userId !== user.id) return res.respond({ status: 403, error: 'Access denied' });
+
 			// Delegate to the AIService's handleAiMessage method
 			await AIService.handleAiMessage(req, res, user.id);
 
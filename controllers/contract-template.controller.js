@@ -0,0 +1,58 @@
+import ContractTemplateService from '#services/contract-template.service.js';
+
+class ContractTemplateController {
+
+	/**
+	 * Lists the contract templates with their parameters. `?projectType=` keeps the templates suited to a project type.
+	 *
+	 * @param {Object} req - Request object.
+	 * @param {Object} res - Response with the templates or error.
+	 * @returns {Promise<void>}
+	 */
+	static async getList(req, res) {
+		try {
+			const templates = ContractTemplateService.list({ projectType: req.query.projectType });
+
+			return res.respond({
+				data: templates.map(template => ContractTemplateService.toPublic(template)),
+				message: 'Contract templates retrieved successfully',
+			});
+		} catch(e) {
+			console.error(e);
+			return res.respond({
+				status: 400,
+				message: 'Error retrieving contract templates: ' + e.message,
+			});
+		}
+	}
+
+	/**
+	 * Retrieves a contract template by id.
+	 *
+	 * @param {Object} req - Request with the template id.
+	 * @param {Object} res - Response with the template or error.
+	 * @returns {Promise<void>}
+	 */
+	static async get(req, res) {
+		try {
+			const template = ContractTemplateService.templates.get(req.params.id);
+
+			if(!template) {
+				return res.respond({ status: 404, message: 'Contract template not found' });
+			}
+
+			return res.respond({
+				data: ContractTemplateService.toPublic(template),
+				message: 'Contract template retrieved successfully',
+			});
+		} catch(e) {
+			console.error(e);
+			return res.respond({
+				status: 400,
+				message: 'Error retrieving contract template: ' + e.message,
+			});
+		}
+	}
+}
+
+export default ContractTemplateController;
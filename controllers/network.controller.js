@@ -0,0 +1,60 @@
+import NetworkService from '#services/network.service.js';
+
+class NetworkController {
+
+	/**
+	 * Lists the supported networks. `?testnet=true|false` filters testnets or mainnets.
+	 *
+	 * @param {Object} req - Request object.
+	 * @param {Object} res - Response with the networks or error.
+	 * @returns {Promise<void>}
+	 */
+	static async getList(req, res) {
+		try {
+			const filter = {};
+			if(req.query.testnet !== undefined) filter.testnet = req.query.testnet === 'true';
+
+			return res.respond({
+				data: NetworkService.list(filter).map(network => NetworkService.toPublic(network)),
+				message: 'Networks retrieved successfully',
+				props: { defaultNetwork: NetworkService.defaultNetwork },
+			});
+		} catch(e) {
+			console.error(e);
+			return res.respond({
+				status: 400,
+				message: 'Error retrieving networks: ' + e.message,
+			});
+		}
+	}
+
+	/**
+	 * Retrieves a supported network by name.
+	 *
+	 * @param {Object} req - Request with the network name.
+	 * @param {Object} res - Response with the network or error.
+	 * @returns {Promise<void>}
+	 */
+	static async get(req, res) {
+		try {
+			const network = NetworkService.networks.get(req.params.name);
+
+			if(!network) {
+				return res.respond({ status: 404, message: 'Network not found' });
+			}
+
+			return res.respond({
+				data: NetworkService.toPublic(network),
+				message: 'Network retrieved successfully',
+			});
+		} catch(e) {
+			console.error(e);
+			return res.respond({
+				status: 400,
+				message: 'Error retrieving network: ' + e.message,
+			});
+		}
+	}
+}
+
+export default NetworkController;
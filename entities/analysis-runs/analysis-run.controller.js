@@ -0,0 +1,132 @@
+import { PrimateController } from '@thewebchimp/primate';
+import ProjectController from '#entities/projects/project.controller.js';
+import AnalysisRunService from './analysis-run.service.js';
+
+class AnalysisRunController extends PrimateController {
+
+	/**
+	 * Retrieves the latest static analysis of a project with its findings.
+	 *
+	 * Supports `severity`, `status` and `contractId` query parameters to filter the findings.
+	 *
+	 * @param {Object} req - Request with the project ID.
+	 * @param {Object} res - Response with the analysis run or error.
+	 * @returns {Promise<void>}
+	 */
+	static async getLatest(req, res) {
+		try {
+			const project = await ProjectController.getProject(req, res, 'project:read');
+			if(!project) return;
+
+			const run = await AnalysisRunService.findLatest(project.id, req.query);
+
+			if(!run) {
+				return res.respond({ status: 404, message: 'The project has not been analyzed yet' });
+			}
+
+			return res.respond({
+				data: run,
+				message: 'Analysis retrieved successfully',
+			});
+		} catch(e) {
+			console.error(e);
+			return res.respond({
+				status: 400,
+				message: 'Error retrieving analysis: ' + e.message,
+			});
+		}
+	}
+
+	/**
+	 * Analyzes the contracts of a project. Accepts an optional `contractId` in the body.
+	 *
+	 * @param {Object} req - Request with the project ID.
+	 * @param {Object} res - Response with the analysis run or error.
+	 * @returns {Promise<void>}
+	 */
+	static async run(req, res) {
+		try {
+			const project = await ProjectController.getProject(req, res, 'project:write');
+			if(!project) return;
+
+			const run = await AnalysisRunService.run(project.id, {
+				trigger: 'Manual',
+				contractId: req.body?.contractId,
+			});
+
+			return res.respond({
+				data: run,
+				message: 'Analysis completed successfully',
+			});
+		} catch(e) {
+			console.error(e);
+			return res.respond({
+				status: 400,
+				message: 'Error analyzing contracts: ' + e.message,
+			});
+		}
+	}
+
+	/**
+	 * Lists the analysis history of a project.
+	 *
+	 * Supports `trigger`, `page` and `limit` query parameters.
+	 *
+	 * @param {Object} req - Request with the project ID.
+	 * @param {Object} res - Response with the analysis runs or error.
+	 * @returns {Promise<void>}
+	 */
+	static async getProjectRuns(req, res) {
+		try {
+			const project = await ProjectController.getProject(req, res, 'project:read');
+			if(!project) return;
+
+			const runs = await AnalysisRunService.findByProject(project.id, req.query);
+
+			return res.respond({
+				data: runs.data,
+				message: 'Analysis runs retrieved successfully',
+				props: { count: runs.count },
+			});
+		} catch(e) {
+			console.error(e);
+			return res.respond({
+				status: 400,
+				message: 'Error retrieving analysis runs: ' + e.message,
+			});
+		}
+	}
+
+	/**
+	 * Dismisses or reopens a finding. The body holds `status` (Open or Dismissed) and an optional `reason`.
+	 *
+	 * @param {Object} req - Request with the project and finding IDs.
+	 * @param {Object} res - Response with the finding or error.
+	 * @returns {Promise<void>}
+	 */
+	static async updateFinding(req, res) {
+		try {
+			const project = await ProjectController.getProject(req, res, 'project:write');
+			if(!project) return;
+
+			const finding = await AnalysisRunService.updateFinding(project.id, req.params.findingId, req.body || {});
+
+			if(!finding) {
+				return res.respond({ status: 404, message: 'Finding not found' });
+			}
+
+			return res.respond({
+				data: finding,
+				message: 'Finding updated successfully',
+			});
+		} catch(e) {
+			console.error(e);
+			return res.respond({
+				status: 400,
+				message: 'Error updating finding: ' + e.message,
+			});
+		}
+	}
+}
+
+export default AnalysisRunController;
@@ -0,0 +1,214 @@
+import primate from '@thewebchimp/primate';
+import SolcService from '#services/solc.service.js';
+import StaticAnalysisService from '#services/static-analysis.service.js';
+
+class AnalysisRunService {
+	/**
+	 * Runs the static analysis over the source code of a project's contracts and stores the findings.
+	 *
+	 * Findings dismissed in an earlier run stay dismissed while their fingerprint is unchanged.
+	 * The severity counts of the run only include open findings.
+	 *
+	 * @param {number} projectId - The ID of the project.
+	 * @param {Object} [options={}] - Run options.
+	 * @param {string} [options.trigger='Manual'] - What started the run: Manual, Compile or Deploy.
+	 * @param {number} [options.contractId] - Only analyze this contract.
+	 * @returns {Promise<Object>} - The run with its findings.
+	 */
+	static async run(projectId, options = {}) {
+		try {
+			const { trigger = 'Manual', contractId } = options;
+
+			const where = { projectId: parseInt(projectId, 10) };
+			if(contractId) where.id = parseInt(contractId, 10);
+
+			const contracts = await primate.prisma.contract.findMany({ where, orderBy: { id: 'asc' } });
+			if(contractId && contracts.length === 0) throw new Error('Contract not found');
+
+			// Contracts created from one file share its source, it is analyzed once
+			const files = new Map();
+			for(const contract of contracts.filter(contract => contract.sourceCode)) {
+				const filePath = SolcService.sourcePath(contract);
+				if(!files.has(filePath)) files.set(filePath, { path: filePath, content: contract.sourceCode });
+			}
+
+			const { findings, errors } = StaticAnalysisService.analyze([ ...files.values() ]);
+
+			// Attribute findings to the contract row of the Solidity contract they are in, or of their file
+			for(const finding of findings) {
+				const contract = contracts.find(c => c.name === finding.contractName && SolcService.sourcePath(c) === finding.filePath)
+					|| contracts.find(c => SolcService.sourcePath(c) === finding.filePath);
+				finding.contractId = contract?.id || null;
+			}
+
+			const dismissed = await this.findDismissed(projectId, findings.map(finding => finding.fingerprint));
+			for(const finding of findings) {
+				const previous = dismissed.get(finding.fingerprint);
+				if(previous) Object.assign(finding, { status: 'Dismissed', dismissReason: previous.dismissReason });
+			}
+
+			const summary = StaticAnalysisService.summarize(findings.filter(finding => finding.status !== 'Dismissed'));
+
+			return await primate.prisma.analysisRun.create({
+				data: {
+					projectId: parseInt(projectId, 10),
+					trigger,
+					status: errors.length > 0 ? 'Failed' : 'Success',
+					contractId: contractId ? parseInt(contractId, 10) : null,
+					contracts: files.size,
+					...summary,
+					error: errors.length > 0
+						? errors.map(error => `${ error.file }:${ error.line }: ${ error.message }`).join('\n')
+						: null,
+					metas: { files: [ ...files.keys() ] },
+					findings: { create: findings },
+				},
+				include: { findings: { orderBy: { id: 'asc' } } },
+			});
+		} catch(e) {
+			throw e;
+		}
+	}
+
+	/**
+	 * Finds the latest dismissal of each fingerprint in a project.
+	 *
+	 * @param {number} projectId - The ID of the project.
+	 * @param {Array<string>} fingerprints - Fingerprints of new findings.
+	 * @returns {Promise<Map<string, Object>>} - Dismissed findings keyed by fingerprint.
+	 */
+	static async findDismissed(projectId, fingerprints) {
+		try {
+			if(fingerprints.length === 0) return new Map();
+
+			const previous = await primate.prisma.analysisFinding.findMany({
+				where: {
+					fingerprint: { in: [ ...new Set(fingerprints) ] },
+					analysisRun: { projectId: parseInt(projectId, 10) },
+				},
+				orderBy: { id: 'desc' },
+			});
+
+			// Only the most recent state of a fingerprint counts, a finding can be reopened
+			const latest = new Map();
+			for(const finding of previous) if(!latest.has(finding.fingerprint)) latest.set(finding.fingerprint, finding);
+
+			return new Map([ ...latest ].filter(([ , finding ]) => finding.status === 'Dismissed'));
+		} catch(e) {
+			throw e;
+		}
+	}
+
+	/**
+	 * Finds the latest analysis run of a project with its findings. Runs limited to one contract only
+	 * count when asking for the findings of that contract.
+	 *
+	 * @param {number} projectId - The ID of the project.
+	 * @param {Object} [options={}] - Finding filters.
+	 * @param {string} [options.severity] - Only findings with this severity.
+	 * @param {string} [options.status] - Only findings with this status (Open or Dismissed).
+	 * @param {number} [options.contractId] - Only findings in this contract.
+	 * @returns {Promise<Object|null>} - The run, or null if the project was never analyzed.
+	 */
+	static async findLatest(projectId, options = {}) {
+		try {
+			const where = {};
+			if(options.severity) where.severity = options.severity;
+			if(options.status) where.status = options.status;
+			if(options.contractId) where.contractId = parseInt(options.contractId, 10);
+
+			const runWhere = options.contractId
+				? { projectId: parseInt(projectId, 10), OR: [ { contractId: null }, { contractId: parseInt(options.contractId, 10) } ] }
+				: { projectId: parseInt(projectId, 10), contractId: null };
+
+			return await primate.prisma.analysisRun.findFirst({
+				where: runWhere,
+				orderBy: { createdAt: 'desc' },
+				include: {
+					findings: { where, orderBy: { id: 'asc' } },
+				},
+			});
+		} catch(e) {
+			throw e;
+		}
+	}
+
+	/**
+	 * Finds the analysis runs of a project, newest first, without their findings.
+	 *
+	 * @param {number} projectId - The ID of the project.
+	 * @param {Object} [options={}] - Filters and pagination.
+	 * @param {string} [options.trigger] - Only runs started by this trigger.
+	 * @param {number} [options.page=1] - Page number.
+	 * @param {number} [options.limit=20] - Runs per page (max 100).
+	 * @returns {Promise<{data: Array, count: number}>} - The runs and the total count.
+	 */
+	static async findByProject(projectId, options = {}) {
+		try {
+			const page = Math.max(parseInt(options.page, 10) || 1, 1);
+			const limit = Math.min(Math.max(parseInt(options.limit, 10) || 20, 1), 100);
+
+			const where = { projectId: parseInt(projectId, 10) };
+			if(options.trigger) where.trigger = options.trigger;
+
+			const [ data, count ] = await Promise.all([
+				primate.prisma.analysisRun.findMany({
+					where,
+					orderBy: { createdAt: 'desc' },
+					skip: (page - 1) * limit,
+					take: limit,
+				}),
+				primate.prisma.analysisRun.count({ where }),
+			]);
+
+			return { data, count };
+		} catch(e) {
+			throw e;
+		}
+	}
+
+	/**
+	 * Dismisses a finding (e.g. a false positive) or reopens it, and updates the counts of its run.
+	 *
+	 * @param {number} projectId - The ID of the project.
+	 * @param {number} id - The ID of the finding.
+	 * @param {Object} data - The update.
+	 * @param {string} data.status - Open or Dismissed.
+	 * @param {string} [data.reason] - Why the finding was dismissed.
+	 * @returns {Promise<Object|null>} - The finding, or null if it does not belong to the project.
+	 */
+	static async updateFinding(projectId, id, data) {
+		try {
+			if(![ 'Open', 'Dismissed' ].includes(data.status)) throw new Error('Status must be Open or Dismissed');
+
+			const finding = await primate.prisma.analysisFinding.findFirst({
+				where: { id: parseInt(id, 10), analysisRun: { projectId: parseInt(projectId, 10) } },
+			});
+			if(!finding) return null;
+
+			const updated = await primate.prisma.analysisFinding.update({
+				where: { id: finding.id },
+				data: {
+					status: data.status,
+					dismissReason: data.status === 'Dismissed' ? data.reason || null : null,
+				},
+			});
+
+			const open = await primate.prisma.analysisFinding.findMany({
+				where: { analysisRunId: finding.analysisRunId, status: 'Open' },
+				select: { severity: true },
+			});
+
+			await primate.prisma.analysisRun.update({
+				where: { id: finding.analysisRunId },
+				data: StaticAnalysisService.summarize(open),
+			});
+
+			return updated;
+		} catch(e) {
+			throw e;
+		}
+	}
+}
+
+export default AnalysisRunService;
@@ -0,0 +1,73 @@
+import { PrimateController } from '@thewebchimp/primate';
+import ProjectController from '#entities/projects/project.controller.js';
+import ContractEventService from './contract-event.service.js';
+
+class ContractEventController extends PrimateController {
+
+	/**
+	 * Lists the indexed events of a project's deployed contracts, with the indexing progress of each deployment.
+	 *
+	 * Supports `contractId`, `deploymentId`, `name`, `network`, `txHash`, `fromBlock`, `toBlock`,
+	 * `order`, `page` and `limit` query parameters.
+	 *
+	 * @param {Object} req - Request with the project ID.
+	 * @param {Object} res - Response with the events or error.
+	 * @returns {Promise<void>}
+	 */
+	static async getProjectEvents(req, res) {
+		try {
+			const project = await ProjectController.getProject(req, res, 'project:read');
+			if(!project) return;
+
+			const [ events, indexer ] = await Promise.all([
+				ContractEventService.findByProject(project.id, req.query),
+				ContractEventService.getIndexerStatus(project.id),
+			]);
+
+			return res.respond({
+				data: events.data,
+				message: 'Events retrieved successfully',
+				props: { count: events.count, indexer },
+			});
+		} catch(e) {
+			console.error(e);
+			return res.respond({
+				status: 400,
+				message: 'Error retrieving events: ' + e.message,
+			});
+		}
+	}
+
+	/**
+	 * Lists the indexed events of a project contract. Takes the same query parameters as getProjectEvents.
+	 *
+	 * @param {Object} req - Request with the project and contract IDs.
+	 * @param {Object} res - Response with the events or error.
+	 * @returns {Promise<void>}
+	 */
+	static async getContractEvents(req, res) {
+		try {
+			const project = await ProjectController.getProject(req, res, 'project:read');
+			if(!project) return;
+
+			const events = await ContractEventService.findByProject(project.id, {
+				...req.query,
+				contractId: req.params.contractId,
+			});
+
+			return res.respond({
+				data: events.data,
+				message: 'Events retrieved successfully',
+				props: { count: events.count },
+			});
+		} catch(e) {
+			console.error(e);
+			return res.respond({
+				status: 400,
+				message: 'Error retrieving events: ' + e.message,
+			});
+		}
+	}
+}
+
+export default ContractEventController;
@@ -0,0 +1,85 @@
+import primate from '@thewebchimp/primate';
+
+class ContractEventService {
+	/**
+	 * Finds the indexed events of a project, newest first.
+	 *
+	 * @param {number} projectId - The ID of the project.
+	 * @param {Object} [options={}] - Filters and pagination.
+	 * @param {number} [options.contractId] - Only events of this contract.
+	 * @param {number} [options.deploymentId] - Only events of this deployment.
+	 * @param {string} [options.name] - Only events with this name (e.g. Transfer).
+	 * @param {string} [options.network] - Only events on this network.
+	 * @param {string} [options.txHash] - Only events emitted by this transaction.
+	 * @param {number} [options.fromBlock] - First block, inclusive.
+	 * @param {number} [options.toBlock] - Last block, inclusive.
+	 * @param {string} [options.order='desc'] - Block order, 'asc' or 'desc'.
+	 * @param {number} [options.page=1] - Page number.
+	 * @param {number} [options.limit=20] - Events per page (max 100).
+	 * @returns {Promise<{data: Array, count: number}>} - The events and the total count.
+	 */
+	static async findByProject(projectId, options = {}) {
+		try {
+			const page = Math.max(parseInt(options.page, 10) || 1, 1);
+			const limit = Math.min(Math.max(parseInt(options.limit, 10) || 20, 1), 100);
+			const order = options.order === 'asc' ? 'asc' : 'desc';
+
+			const where = { projectId: parseInt(projectId, 10) };
+			if(options.contractId) where.contractId = parseInt(options.contractId, 10);
+			if(options.deploymentId) where.deploymentId = parseInt(options.deploymentId, 10);
+			if(options.name) where.name = options.name;
+			if(options.network) where.network = options.network;
+			if(options.txHash) where.txHash = options.txHash;
+
+			const fromBlock = parseInt(options.fromBlock, 10);
+			const toBlock = parseInt(options.toBlock, 10);
+			if(!isNaN(fromBlock) || !isNaN(toBlock)) {
+				where.blockNumber = {};
+				if(!isNaN(fromBlock)) where.blockNumber.gte = fromBlock;
+				if(!isNaN(toBlock)) where.blockNumber.lte = toBlock;
+			}
+
+			const [ events, count ] = await Promise.all([
+				primate.prisma.contractEvent.findMany({
+					where,
+					include: { contract: { select: { id: true, name: true } } },
+					orderBy: [ { blockNumber: order }, { logIndex: order } ],
+					skip: (page - 1) * limit,
+					take: limit,
+				}),
+				primate.prisma.contractEvent.count({ where }),
+			]);
+
+			return { data: events, count };
+		} catch(e) {
+			throw e;
+		}
+	}
+
+	/**
+	 * Returns how far the deployments of a project have been indexed.
+	 *
+	 * @param {number} projectId - The ID of the project.
+	 * @returns {Promise<Array>} - The successful deployments with their last indexed block.
+	 */
+	static async getIndexerStatus(projectId) {
+		try {
+			return await primate.prisma.deployment.findMany({
+				where: { projectId: parseInt(projectId, 10), status: 'Success' },
+				select: {
+					id: true,
+					contractId: true,
+					network: true,
+					contractAddress: true,
+					indexedBlock: true,
+					_count: { select: { events: true } },
+				},
+				orderBy: { createdAt: 'desc' },
+			});
+		} catch(e) {
+			throw e;
+		}
+	}
+}
+
+export default ContractEventService;
@@ -0,0 +1,185 @@
+import primate from '@thewebchimp/primate';
+import crypto from 'crypto';
+import { diffLines } from '#utils/diff.js';
+
+class ContractRevisionService {
+	/**
+	 * Returns the sha256 hash of a source.
+	 *
+	 * @param {string} sourceCode - The source.
+	 * @returns {string}
+	 */
+	static hash(sourceCode) {
+		return crypto.createHash('sha256').update(sourceCode || '').digest('hex');
+	}
+
+	/**
+	 * Stores the current source of a contract as a new revision, unless it did not change since the
+	 * latest one. Contracts created before revisions existed first get their previous source stored
+	 * as version 1, so no version is lost.
+	 *
+	 * @param {Object} contract - The contract with its new source.
+	 * @param {Object} [author={}] - Who made the change.
+	 * @param {string} [author.authorType='User'] - User, Assistant or System.
+	 * @param {number} [author.userId] - The user that made or asked for the change.
+	 * @param {number} [author.messageId] - The chat message that asked for the change.
+	 * @param {string} [author.tool] - The AI tool that made the change.
+	 * @param {string} [author.summary] - Why the source changed.
+	 * @param {number} [author.restoredFrom] - The version the source was restored from.
+	 * @param {string} [previousSource] - The source before the change, for contracts without revisions.
+	 * @returns {Promise<Object>} - The new revision, or the latest one if the source is unchanged.
+	 */
+	static async record(contract, author = {}, previousSource = null) {
+		try {
+			let latest = await primate.prisma.contractRevision.findFirst({
+				where: { contractId: contract.id },
+				orderBy: { version: 'desc' },
+			});
+
+			if(!latest && previousSource && previousSource !== contract.sourceCode) {
+				latest = await primate.prisma.contractRevision.create({
+					data: {
+						contractId: contract.id,
+						version: 1,
+						sourceCode: previousSource,
+						hash: this.hash(previousSource),
+						authorType: 'System',
+						summary: 'Source before revision history',
+					},
+				});
+			}
+
+			const hash = this.hash(contract.sourceCode);
+			if(latest?.hash === hash) return latest;
+
+			return await primate.prisma.contractRevision.create({
+				data: {
+					contractId: contract.id,
+					version: (latest?.version || 0) + 1,
+					sourceCode: contract.sourceCode,
+					hash,
+					authorType: author.authorType || 'User',
+					userId: author.userId ? parseInt(author.userId, 10) : null,
+					messageId: author.messageId ? parseInt(author.messageId, 10) : null,
+					tool: author.tool || null,
+					summary: author.summary || null,
+					restoredFrom: author.restoredFrom || null,
+				},
+			});
+		} catch(e) {
+			throw e;
+		}
+	}
+
+	/**
+	 * Finds the revisions of a project contract, newest first, without their source.
+	 *
+	 * @param {number} projectId - The ID of the project.
+	 * @param {number} contractId - The ID of the contract.
+	 * @param {Object} [options={}] - Pagination.
+	 * @param {number} [options.page=1] - Page number.
+	 * @param {number} [options.limit=20] - Revisions per page (max 100).
+	 * @returns {Promise<{data: Array, count: number}>} - The revisions and the total count.
+	 */
+	static async findByContract(projectId, contractId, options = {}) {
+		try {
+			const page = Math.max(parseInt(options.page, 10) || 1, 1);
+			const limit = Math.min(Math.max(parseInt(options.limit, 10) || 20, 1), 100);
+
+			const where = {
+				contractId: parseInt(contractId, 10),
+				contract: { projectId: parseInt(projectId, 10) },
+			};
+
+			const [ data, count ] = await Promise.all([
+				primate.prisma.contractRevision.findMany({
+					where,
+					select: {
+						id: true,
+						contractId: true,
+						version: true,
+						hash: true,
+						authorType: true,
+						userId: true,
+						messageId: true,
+						tool: true,
+						summary: true,
+						restoredFrom: true,
+						createdAt: true,
+					},
+					orderBy: { version: 'desc' },
+					skip: (page - 1) * limit,
+					take: limit,
+				}),
+				primate.prisma.contractRevision.count({ where }),
+			]);
+
+			return { data, count };
+		} catch(e) {
+			throw e;
+		}
+	}
+
+	/**
+	 * Finds a revision of a project contract with its source.
+	 *
+	 * @param {number} projectId - The ID of the project.
+	 * @param {number} contractId - The ID of the contract.
+	 * @param {number} [version] - The version, the latest when omitted.
+	 * @returns {Promise<Object|null>} - The revision, or null if it does not exist.
+	 */
+	static async findVersion(projectId, contractId, version) {
+		try {
+			const where = {
+				contractId: parseInt(contractId, 10),
+				contract: { projectId: parseInt(projectId, 10) },
+			};
+			if(version) where.version = parseInt(version, 10);
+
+			return await primate.prisma.contractRevision.findFirst({
+				where,
+				orderBy: { version: 'desc' },
+			});
+		} catch(e) {
+			throw e;
+		}
+	}
+
+	/**
+	 * Compares two revisions of a project contract.
+	 *
+	 * @param {number} projectId - The ID of the project.
+	 * @param {number} contractId - The ID of the contract.
+	 * @param {Object} [options={}] - The versions to compare.
+	 * @param {number} [options.to] - The newer version, the latest by default.
+	 * @param {number} [options.from] - The older version, the one before `to` by default.
+	 * @returns {Promise<Object>} - Both revisions (without source), the changed hunks and a unified diff.
+	 * @throws {Error} - If a revision does not exist.
+	 */
+	static async diff(projectId, contractId, options = {}) {
+		try {
+			const to = await this.findVersion(projectId, contractId, options.to);
+			if(!to) throw new Error(options.to ? `Revision ${ options.to } not found` : 'The contract has no revisions');
+
+			const fromVersion = options.from ? parseInt(options.from, 10) : to.version - 1;
+			const from = fromVersion > 0 ? await this.findVersion(projectId, contractId, fromVersion) : null;
+			if(!from && options.from) throw new Error(`Revision ${ options.from } not found`);
+
+			const { sourceCode: fromSource, ...fromRevision } = from || {};
+			const { sourceCode: toSource, ...toRevision } = to;
+
+			return {
+				from: from ? fromRevision : null,
+				to: toRevision,
+				...diffLines(fromSource || '', toSource, {
+					fromFile: from ? `v${ from.version }` : '/dev/null',
+					toFile: `v${ to.version }`,
+				}),
+			};
+		} catch(e) {
+			throw e;
+		}
+	}
+}
+
+export default ContractRevisionService;
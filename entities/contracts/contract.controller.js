@@ -0,0 +1,262 @@
+import { PrimateController } from '@thewebchimp/primate';
+import ProjectController from '#entities/projects/project.controller.js';
+import NetworkService from '#services/network.service.js';
+import ContractService from './contract.service.js';
+import ContractRevisionService from '#entities/contract-revisions/contract-revision.service.js';
+import GitService from '#services/git.service.js';
+
+class ContractController extends PrimateController {
+
+	/**
+	 * Lists the ABI functions and events of a project contract, with the deployments to call.
+	 *
+	 * @param {Object} req - Request with the project and contract IDs.
+	 * @param {Object} res - Response with the contract interface or error.
+	 * @returns {Promise<void>}
+	 */
+	static async getInterface(req, res) {
+		try {
+			const project = await ProjectController.getProject(req, res, 'project:read');
+			if(!project) return;
+
+			const contractInterface = await ContractService.getInterface(project.id, req.params.contractId);
+
+			return res.respond({
+				data: contractInterface,
+				message: 'Contract interface retrieved successfully',
+			});
+		} catch(e) {
+			console.error(e);
+			return res.respond({
+				status: 400,
+				message: 'Error retrieving contract interface: ' + e.message,
+			});
+		}
+	}
+
+	/**
+	 * Calls a view or pure function of a deployed project contract.
+	 *
+	 * Body: `method`, `args` (array or object by name), and optionally `deploymentId` or `network`, `from`, `blockTag`.
+	 *
+	 * @param {Object} req - Request with the project and contract IDs.
+	 * @param {Object} res - Response with the decoded result or error.
+	 * @returns {Promise<void>}
+	 */
+	static async call(req, res) {
+		try {
+			const project = await ProjectController.getProject(req, res, 'project:read');
+			if(!project) return;
+
+			const { method, args, deploymentId, network, from, blockTag } = req.body;
+
+			const result = await ContractService.call(project.id, req.params.contractId, {
+				method, args, deploymentId, network, from, blockTag,
+			});
+
+			return res.respond({
+				data: result,
+				message: 'Call executed successfully',
+			});
+		} catch(e) {
+			console.error(e);
+			return res.respond({
+				status: 400,
+				message: 'Error calling contract: ' + e.message,
+			});
+		}
+	}
+
+	/**
+	 * Sends a transaction to a deployed project contract from the user's selected wallet.
+	 *
+	 * Body: `method`, `args`, and optionally `value` (ether units), `gasLimit`, `walletId`,
+	 * `confirmations`, `deploymentId` or `network`.
+	 *
+	 * @param {Object} req - Request with the project and contract IDs.
+	 * @param {Object} res - Response with the receipt details or error.
+	 * @returns {Promise<void>}
+	 */
+	static async send(req, res) {
+		try {
+			const project = await ProjectController.getProject(req, res, 'project:deploy');
+			if(!project) return;
+
+			const { method, args, value, gasLimit, walletId, confirmations, deploymentId, network } = req.body;
+
+			const result = await ContractService.send(project, req.params.contractId, {
+				method, args, value, gasLimit, walletId, confirmations, deploymentId, network,
+			}, req.user.payload.id);
+
+			return res.respond({
+				data: result,
+				message: 'Transaction sent successfully',
+				props: { explorerUrl: NetworkService.explorerLink(result.network, 'tx', result.txHash) },
+			});
+		} catch(e) {
+			console.error(e);
+			return res.respond({
+				status: 400,
+				message: 'Error sending transaction: ' + e.message,
+			});
+		}
+	}
+	/**
+	 * Creates project contracts, tests and a deploy script from a contract template.
+	 *
+	 * Body: `templateId`, `params` (see GET /contract-templates/:id) and optionally `isMain` (default true).
+	 *
+	 * @param {Object} req - Request with the project ID.
+	 * @param {Object} res - Response with the created contracts and files or error.
+	 * @returns {Promise<void>}
+	 */
+	static async createFromTemplate(req, res) {
+		try {
+			const project = await ProjectController.getProject(req, res, 'project:write');
+			if(!project) return;
+
+			const { templateId, params, isMain } = req.body;
+			if(!templateId) {
+				return res.respond({ status: 400, message: 'templateId is required' });
+			}
+
+			const author = { authorType: 'User', userId: req.user.payload.id };
+			const result = await ContractService.createFromTemplate(project, templateId, params, {
+				isMain: isMain !== false,
+				author,
+			});
+			const commit = await GitService.record(project, `Create contracts from template ${ templateId }`, author);
+
+			return res.respond({
+				data: { ...result, commit },
+				message: 'Contracts created from template successfully',
+			});
+		} catch(e) {
+			console.error(e);
+			return res.respond({
+				status: 400,
+				message: 'Error creating contracts from template: ' + e.message,
+			});
+		}
+	}
+
+	/**
+	 * Lists the source revisions of a contract, newest first. Supports `page` and `limit` query parameters.
+	 *
+	 * @param {Object} req - Request with the project and contract IDs.
+	 * @param {Object} res - Response with the revisions or error.
+	 * @returns {Promise<void>}
+	 */
+	static async getRevisions(req, res) {
+		try {
+			const project = await ProjectController.getProject(req, res, 'project:read');
+			if(!project) return;
+
+			const revisions = await ContractRevisionService.findByContract(project.id, req.params.contractId, req.query);
+
+			return res.respond({
+				data: revisions.data,
+				message: 'Revisions retrieved successfully',
+				props: { count: revisions.count },
+			});
+		} catch(e) {
+			console.error(e);
+			return res.respond({
+				status: 400,
+				message: 'Error retrieving revisions: ' + e.message,
+			});
+		}
+	}
+
+	/**
+	 * Retrieves a revision of a contract with its source.
+	 *
+	 * @param {Object} req - Request with the project and contract IDs and the version.
+	 * @param {Object} res - Response with the revision or error.
+	 * @returns {Promise<void>}
+	 */
+	static async getRevision(req, res) {
+		try {
+			const project = await ProjectController.getProject(req, res, 'project:read');
+			if(!project) return;
+
+			const revision = await ContractRevisionService.findVersion(project.id, req.params.contractId, req.params.version);
+
+			if(!revision || revision.version !== parseInt(req.params.version, 10)) {
+				return res.respond({ status: 404, message: 'Revision not found' });
+			}
+
+			return res.respond({
+				data: revision,
+				message: 'Revision retrieved successfully',
+			});
+		} catch(e) {
+			console.error(e);
+			return res.respond({
+				status: 400,
+				message: 'Error retrieving revision: ' + e.message,
+			});
+		}
+	}
+
+	/**
+	 * Compares two revisions of a contract. `from` and `to` query parameters select the versions,
+	 * by default the latest revision and the one before it.
+	 *
+	 * @param {Object} req - Request with the project and contract IDs.
+	 * @param {Object} res - Response with the diff or error.
+	 * @returns {Promise<void>}
+	 */
+	static async diff(req, res) {
+		try {
+			const project = await ProjectController.getProject(req, res, 'project:read');
+			if(!project) return;
+
+			const diff = await ContractRevisionService.diff(project.id, req.params.contractId, req.query);
+
+			return res.respond({
+				data: diff,
+				message: 'Diff retrieved successfully',
+			});
+		} catch(e) {
+			console.error(e);
+			return res.respond({
+				status: 400,
+				message: 'Error comparing revisions: ' + e.message,
+			});
+		}
+	}
+
+	/**
+	 * Restores the source of a contract to a revision. The restored source becomes a new revision.
+	 *
+	 * @param {Object} req - Request with the project and contract IDs and the version.
+	 * @param {Object} res - Response with the contract and new revision or error.
+	 * @returns {Promise<void>}
+	 */
+	static async restore(req, res) {
+		try {
+			const project = await ProjectController.getProject(req, res, 'project:write');
+			if(!project) return;
+
+			const author = { authorType: 'User', userId: req.user.payload.id, summary: req.body?.summary };
+			const { contract, revision } = await ContractService.restore(project, req.params.contractId, req.params.version, author);
+			const commit = await GitService.record(project, `Restore ${ contract.name } to version ${ req.params.version }`, author);
+
+			const { sourceCode, ...revisionData } = revision;
+
+			return res.respond({
+				data: { contract, revision: revisionData, commit },
+				message: `Contract restored to version ${ req.params.version }`,
+			});
+		} catch(e) {
+			console.error(e);
+			return res.respond({
+				status: 400,
+				message: 'Error restoring revision: ' + e.message,
+			});
+		}
+	}
+}
+
+export default ContractController;
@@ -0,0 +1,399 @@
+import primate from '@thewebchimp/primate';
+import fs from 'fs';
+import path from 'path';
+import ContractInteractionService from '#services/contract-interaction.service.js';
+import WalletService from '#entities/wallets/wallet.service.js';
+import ContractTemplateService from '#services/contract-template.service.js';
+import DependencyService from '#services/dependency.service.js';
+import ContractRevisionService from '#entities/contract-revisions/contract-revision.service.js';
+
+class ContractService {
+	/**
+	 * Finds a contract of a project, or its main contract when no ID is given.
+	 *
+	 * @param {number} projectId - The ID of the project.
+	 * @param {number} [id] - The ID of the contract.
+	 * @returns {Promise<Object>} - The contract.
+	 * @throws {Error} - If the contract is not found.
+	 */
+	static async findForProject(projectId, id) {
+		try {
+			const where = { projectId: parseInt(projectId, 10) };
+
+			if(id) where.id = parseInt(id, 10);
+			else where.isMain = true;
+
+			const contract = await primate.prisma.contract.findFirst({ where });
+			if(!contract) throw new Error(id ? 'Contract not found' : 'The project has no main contract');
+
+			return contract;
+		} catch(e) {
+			throw e;
+		}
+	}
+
+	/**
+	 * Finds the deployment to interact with: the given one, or the latest successful deployment
+	 * of the contract (on the given network, if any).
+	 *
+	 * @param {Object} contract - The contract.
+	 * @param {Object} [options={}] - Selection.
+	 * @param {number} [options.deploymentId] - Explicit deployment.
+	 * @param {string} [options.network] - Only deployments to this network.
+	 * @returns {Promise<Object>} - The deployment.
+	 * @throws {Error} - If the contract has no matching successful deployment.
+	 */
+	static async findDeployment(contract, options = {}) {
+		try {
+			const where = { contractId: contract.id, status: 'Success', contractAddress: { not: null } };
+
+			if(options.deploymentId) where.id = parseInt(options.deploymentId, 10);
+			if(options.network) where.network = options.network;
+
+			const deployment = await primate.prisma.deployment.findFirst({ where, orderBy: { deployedAt: 'desc' } });
+
+			if(!deployment) {
+				throw new Error(`Contract ${ contract.name } has no successful deployment${ options.network ? ` on ${ options.network }` : '' }`);
+			}
+
+			return deployment;
+		} catch(e) {
+			throw e;
+		}
+	}
+
+	/**
+	 * Lists the functions and events of a contract together with its deployments.
+	 *
+	 * @param {number} projectId - The ID of the project.
+	 * @param {number} id - The ID of the contract.
+	 * @returns {Promise<Object>}
+	 */
+	static async getInterface(projectId, id) {
+		try {
+			const contract = await this.findForProject(projectId, id);
+			if(!contract.abi) throw new Error(`Contract ${ contract.name } needs to be compiled first`);
+
+			const deployments = await primate.prisma.deployment.findMany({
+				where: { contractId: contract.id, status: 'Success', contractAddress: { not: null } },
+				select: { id: true, network: true, contractAddress: true, deployedAt: true, verificationStatus: true },
+				orderBy: { deployedAt: 'desc' },
+			});
+
+			return {
+				contract: { id: contract.id, name: contract.name },
+				...ContractInteractionService.describe(contract.abi),
+				deployments,
+			};
+		} catch(e) {
+			throw e;
+		}
+	}
+
+	/**
+	 * Calls a view or pure function of a deployed contract.
+	 *
+	 * @param {number} projectId - The ID of the project.
+	 * @param {number} [id] - The ID of the contract, the main contract by default.
+	 * @param {Object} params - Call parameters.
+	 * @param {string} params.method - Function name or signature.
+	 * @param {Array|Object} [params.args] - Function arguments.
+	 * @param {number} [params.deploymentId] - Deployment to call.
+	 * @param {string} [params.network] - Network of the deployment to call.
+	 * @param {string} [params.from] - Caller address.
+	 * @param {string|number} [params.blockTag] - Block to read at.
+	 * @returns {Promise<Object>} - The decoded result.
+	 */
+	static async call(projectId, id, params = {}) {
+		try {
+			const contract = await this.findForProject(projectId, id);
+			if(!contract.abi) throw new Error(`Contract ${ contract.name } needs to be compiled first`);
+
+			const deployment = await this.findDeployment(contract, params);
+
+			const result = await ContractInteractionService.call({
+				abi: contract.abi,
+				address: deployment.contractAddress,
+				network: deployment.network,
+				method: params.method,
+				args: params.args,
+				from: params.from,
+				blockTag: params.blockTag,
+			});
+
+			return { contract: contract.name, deploymentId: deployment.id, network: deployment.network, address: deployment.contractAddress, ...result };
+		} catch(e) {
+			throw e;
+		}
+	}
+
+	/**
+	 * Sends a transaction to a deployed contract from a wallet of the user.
+	 *
+	 * @param {Object} project - The project.
+	 * @param {number} [id] - The ID of the contract, the main contract by default.
+	 * @param {Object} params - Call parameters (see call()), plus:
+	 * @param {string|number} [params.value] - Native currency to send, in ether units.
+	 * @param {number} [params.gasLimit] - Gas limit; estimated when not given.
+	 * @param {number} [params.walletId] - Wallet to sign with, the project wallet by default.
+	 * @param {number} [params.confirmations=1] - Blocks to wait for.
+	 * @param {Function} [params.onSent] - Called with the transaction hash once broadcast.
+	 * @param {number} [userId] - The sender, defaults to the project owner.
+	 * @returns {Promise<Object>} - The receipt details and emitted events.
+	 */
+	static async send(project, id, params = {}, userId) {
+		try {
+			const contract = await this.findForProject(project.id, id);
+			if(!contract.abi) throw new Error(`Contract ${ contract.name } needs to be compiled first`);
+
+			const deployment = await this.findDeployment(contract, params);
+			const wallet = await WalletService.findForProject(project, params.walletId, userId);
+
+			const result = await ContractInteractionService.send({
+				abi: contract.abi,
+				address: deployment.contractAddress,
+				network: deployment.network,
+				method: params.method,
+				args: params.args,
+				value: params.value,
+				gasLimit: params.gasLimit,
+				confirmations: params.confirmations,
+				privateKey: WalletService.decryptKey(wallet),
+				onSent: params.onSent,
+			});
+
+			return { contract: contract.name, deploymentId: deployment.id, network: deployment.network, address: deployment.contractAddress, ...result };
+		} catch(e) {
+			throw e;
+		}
+	}
+
+	/**
+	 * Creates project contracts from a template: writes the rendered sources, tests and deploy script
+	 * to the project directory, stores the contracts, and installs the libraries and sets the compiler
+	 * version the sources need.
+	 *
+	 * A contract with the same name is replaced rather than duplicated.
+	 *
+	 * @param {Object} project - The project, with `metas.projectDir`.
+	 * @param {string} templateId - The template id (see ContractTemplateService.list()).
+	 * @param {Object} [params={}] - Template parameters.
+	 * @param {Object} [options={}] - Options.
+	 * @param {boolean} [options.isMain=true] - Whether the template's main contract becomes the project main contract.
+	 * @param {Object} [options.author] - Who made the change, stored with the revisions (see ContractRevisionService.record()).
+	 * @returns {Promise<Object>} - The stored contracts, the written files and the updated project settings.
+	 *   `missingDependencies` lists the libraries that could not be installed.
+	 * @throws {Error} - If the template or parameters are invalid or the project has no directory.
+	 */
+	static async createFromTemplate(project, templateId, params = {}, options = {}) {
+		try {
+			const { isMain = true, author = {} } = options;
+			const projectDir = project.metas?.projectDir;
+			if(!projectDir) throw new Error('The project has no directory, create the Foundry project first');
+
+			// The sources pin the compiler version the project builds with
+			const compilerVersion = ContractTemplateService.compilerVersion(project.compilerVersion);
+			const rendered = ContractTemplateService.render(templateId, params, { compilerVersion });
+
+			const files = [
+				...rendered.contracts.map(contract => ({ path: contract.filePath, content: contract.source })),
+				...rendered.files,
+			];
+
+			for(const file of files) {
+				const filePath = path.join(projectDir, file.path);
+				await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+				await fs.promises.writeFile(filePath, file.content);
+			}
+
+			const contracts = [];
+
+			for(const rendition of rendered.contracts) {
+				const main = isMain && rendition.isMain;
+
+				const data = {
+					contractType: rendition.contractType,
+					sourceCode: rendition.source,
+					isMain: main,
+					abi: null,
+					bytecode: null,
+					metas: {
+						filePath: rendition.filePath,
+						template: { id: rendered.template, params: rendered.params },
+						constructorArgs: rendition.constructorArgs,
+						hasTests: rendition.isMain,
+						hasDeploymentScript: rendition.isMain,
+						creationTimestamp: new Date().toISOString(),
+					},
+				};
+
+				const existing = await primate.prisma.contract.findFirst({
+					where: { projectId: project.id, name: rendition.name },
+				});
+
+				const contract = existing
+					? await primate.prisma.contract.update({ where: { id: existing.id }, data })
+					: await primate.prisma.contract.create({ data: { ...data, projectId: project.id, name: rendition.name } });
+
+				if(main) {
+					await primate.prisma.contract.updateMany({
+						where: { projectId: project.id, isMain: true, id: { not: contract.id } },
+						data: { isMain: false },
+					});
+				}
+
+				await ContractRevisionService.record(contract, {
+					...author,
+					summary: author.summary || `Created from template ${ rendered.template }`,
+				}, existing?.sourceCode);
+
+				contracts.push(contract);
+			}
+
+			await primate.prisma.project.update({
+				where: { id: project.id },
+				data: { compilerVersion },
+			});
+
+			await DependencyService.updateFoundryToml(projectDir, { compilerVersion });
+
+			// Installs the libraries the sources import and writes their remappings
+			const { dependencies, missing } = await DependencyService.add(project, rendered.dependencies);
+
+			return {
+				template: rendered.template,
+				params: rendered.params,
+				contracts: contracts.map(({ id, name, contractType, isMain, metas }) => ({
+					id, name, contractType, isMain, filePath: metas.filePath, constructorArgs: metas.constructorArgs,
+				})),
+				files: files.map(file => file.path),
+				compilerVersion,
+				dependencies,
+				missingDependencies: missing,
+			};
+		} catch(e) {
+			throw e;
+		}
+	}
+
+	/**
+	 * Creates a contract from Solidity source, or updates the source of the project contract with the
+	 * same name (or the given ID) instead of adding a duplicate. The source is written to the project
+	 * directory and stored as a new revision.
+	 *
+	 * Updated contracts lose their bytecode until they are compiled again; the ABI is kept so their
+	 * existing deployments stay usable.
+	 *
+	 * @param {Object} project - The project, with `metas.projectDir`.
+	 * @param {Object} data - The contract.
+	 * @param {number} [data.id] - The contract to update; looked up by name when omitted.
+	 * @param {string} [data.name] - The contract name, required to create a contract.
+	 * @param {string} data.sourceCode - The Solidity source.
+	 * @param {string} [data.contractType] - ERC20, ERC721, ERC1155 or Custom.
+	 * @param {boolean} [data.isMain] - Whether the contract becomes the project main contract.
+	 * @param {Object} [data.constructorArgs] - Constructor arguments.
+	 * @param {string} [data.filePath] - File of a new contract, `src/<name>.sol` by default.
+	 * @param {Object} [author={}] - Who made the change (see ContractRevisionService.record()).
+	 * @returns {Promise<{contract: Object, revision: Object, created: boolean}>}
+	 * @throws {Error} - If the project has no directory, the name is invalid or the contract is not found.
+	 */
+	static async saveSource(project, data, author = {}) {
+		try {
+			const projectDir = project.metas?.projectDir;
+			if(!projectDir) throw new Error('The project has no directory, create the Foundry project first');
+
+			if(!data.sourceCode) throw new Error('The source code is empty');
+
+			const existing = data.id
+				? await this.findForProject(project.id, data.id)
+				: await primate.prisma.contract.findFirst({ where: { projectId: project.id, name: data.name } });
+
+			const name = existing?.name || data.name;
+			const previousSource = existing?.sourceCode;
+
+			// The name becomes the file name, so it may only be a Solidity identifier
+			if(!/^[A-Za-z_$][A-Za-z0-9_$]*$/.test(name || '')) throw new Error(`Invalid contract name: ${ name }`);
+
+			const filePath = existing?.metas?.filePath || data.filePath || `src/${ name }.sol`;
+			const absolutePath = path.join(projectDir, filePath);
+			await fs.promises.mkdir(path.dirname(absolutePath), { recursive: true });
+			await fs.promises.writeFile(absolutePath, data.sourceCode);
+
+			// A contract whose file was deleted gets its source back
+			const { sourceDeleted, ...existingMetas } = existing?.metas || { creationTimestamp: new Date().toISOString() };
+
+			const metas = {
+				...existingMetas,
+				filePath,
+				...(data.constructorArgs !== undefined ? { constructorArgs: data.constructorArgs } : {}),
+				...(existing ? { sourceUpdatedAt: new Date().toISOString() } : {}),
+			};
+
+			const contract = existing
+				? await primate.prisma.contract.update({
+					where: { id: existing.id },
+					data: {
+						sourceCode: data.sourceCode,
+						bytecode: previousSource === data.sourceCode ? existing.bytecode : null,
+						...(data.contractType ? { contractType: data.contractType } : {}),
+						// Updates can promote a contract to main, never demote it
+						...(data.isMain ? { isMain: true } : {}),
+						metas,
+					},
+				})
+				: await primate.prisma.contract.create({
+					data: {
+						projectId: project.id,
+						name,
+						contractType: data.contractType || 'Custom',
+						sourceCode: data.sourceCode,
+						isMain: !!data.isMain,
+						abi: null,
+						bytecode: null,
+						metas,
+					},
+				});
+
+			if(contract.isMain) {
+				await primate.prisma.contract.updateMany({
+					where: { projectId: project.id, isMain: true, id: { not: contract.id } },
+					data: { isMain: false },
+				});
+			}
+
+			const revision = await ContractRevisionService.record(contract, author, previousSource);
+
+			return { contract, revision, created: !existing };
+		} catch(e) {
+			throw e;
+		}
+	}
+
+	/**
+	 * Restores the source of a contract to one of its revisions. The restored source is stored as a
+	 * new revision, so later versions stay in the history.
+	 *
+	 * @param {Object} project - The project, with `metas.projectDir`.
+	 * @param {number} id - The ID of the contract.
+	 * @param {number} version - The version to restore.
+	 * @param {Object} [author={}] - Who restored it (see ContractRevisionService.record()).
+	 * @returns {Promise<{contract: Object, revision: Object, created: boolean}>}
+	 * @throws {Error} - If the contract or revision is not found.
+	 */
+	static async restore(project, id, version, author = {}) {
+		try {
+			const revision = await ContractRevisionService.findVersion(project.id, id, version);
+			if(!revision || revision.version !== parseInt(version, 10)) throw new Error(`Revision ${ version } not found`);
+
+			return await this.saveSource(project, { id, sourceCode: revision.sourceCode }, {
+				...author,
+				summary: author.summary || `Restored version ${ revision.version }`,
+				restoredFrom: revision.version,
+			});
+		} catch(e) {
+			throw e;
+		}
+	}
+}
+
+export default ContractService;
@@ -0,0 +1,117 @@
+import { PrimateController } from '@thewebchimp/primate';
+import ProjectController from '#entities/projects/project.controller.js';
+import DependencyService from '#services/dependency.service.js';
+import GitService from '#services/git.service.js';
+
+class DependencyController extends PrimateController {
+
+	/**
+	 * Lists the dependencies of a project with their installation status, and the libraries available.
+	 *
+	 * @param {Object} req - Request with the project ID.
+	 * @param {Object} res - Response with the dependencies or error.
+	 * @returns {Promise<void>}
+	 */
+	static async getProjectDependencies(req, res) {
+		try {
+			const project = await ProjectController.getProject(req, res, 'project:read');
+			if(!project) return;
+
+			return res.respond({
+				data: DependencyService.status(project),
+				message: 'Dependencies retrieved successfully',
+				props: {
+					remappings: project.foundryConfig?.remappings || [],
+					available: DependencyService.list().map(library => DependencyService.toPublic(library)),
+				},
+			});
+		} catch(e) {
+			console.error(e);
+			return res.respond({
+				status: 400,
+				message: 'Error retrieving dependencies: ' + e.message,
+			});
+		}
+	}
+
+	/**
+	 * Adds a dependency to a project and installs it.
+	 *
+	 * Body: `name` (library name, repository or alias) and optionally `version` (release tag).
+	 *
+	 * @param {Object} req - Request with the project ID.
+	 * @param {Object} res - Response with the project dependencies or error.
+	 * @returns {Promise<void>}
+	 */
+	static async add(req, res) {
+		try {
+			const project = await ProjectController.getProject(req, res, 'project:write');
+			if(!project) return;
+
+			const { name, version } = req.body;
+			if(!name) {
+				return res.respond({ status: 400, message: 'name is required' });
+			}
+
+			const result = await DependencyService.add(project, [ version ? `${ name }@${ version }` : name ]);
+
+			if(result.missing.length > 0) {
+				return res.respond({
+					status: 400,
+					data: result,
+					message: 'Error installing dependency: ' + result.missing.map(entry => entry.error).join('; '),
+				});
+			}
+
+			const commit = await GitService.record(project, `Add dependency ${ version ? `${ name }@${ version }` : name }`, {
+				authorType: 'User',
+				userId: req.user.payload.id,
+			});
+
+			return res.respond({
+				data: { ...result, commit },
+				message: 'Dependency added successfully',
+			});
+		} catch(e) {
+			console.error(e);
+			return res.respond({
+				status: 400,
+				message: 'Error adding dependency: ' + e.message,
+			});
+		}
+	}
+
+	/**
+	 * Removes a dependency from a project together with its lib/ directory.
+	 *
+	 * @param {Object} req - Request with the project ID and the library name.
+	 * @param {Object} res - Response with the project dependencies or error.
+	 * @returns {Promise<void>}
+	 */
+	static async remove(req, res) {
+		try {
+			const project = await ProjectController.getProject(req, res, 'project:write');
+			if(!project) return;
+
+			const result = await DependencyService.remove(project, req.params.name);
+
+			const commit = await GitService.record(project, `Remove dependency ${ req.params.name }`, {
+				authorType: 'User',
+				userId: req.user.payload.id,
+			});
+
+			return res.respond({
+				data: { ...result, commit },
+				message: 'Dependency removed successfully',
+			});
+		} catch(e) {
+			console.error(e);
+			return res.respond({
+				status: 400,
+				message: 'Error removing dependency: ' + e.message,
+			});
+		}
+	}
+}
+
+export default DependencyController;
@@ -0,0 +1,151 @@
+import { PrimateController } from '@thewebchimp/primate';
+import ProjectController from '#entities/projects/project.controller.js';
+import DeploymentService from './deployment.service.js';
+
+class DeploymentController extends PrimateController {
+
+	/**
+	 * Lists the deployments of a project.
+	 *
+	 * Supports `status`, `network`, `page` and `limit` query parameters.
+	 *
+	 * @param {Object} req - Request with the project ID.
+	 * @param {Object} res - Response with the deployments or error.
+	 * @returns {Promise<void>}
+	 */
+	static async getProjectDeployments(req, res) {
+		try {
+			const project = await ProjectController.getProject(req, res, 'project:read');
+			if(!project) return;
+
+			const deployments = await DeploymentService.findByProject(project.id, req.query);
+
+			return res.respond({
+				data: deployments.data,
+				message: 'Deployments retrieved successfully',
+				props: { count: deployments.count },
+			});
+		} catch(e) {
+			console.error(e);
+			return res.respond({
+				status: 400,
+				message: 'Error retrieving deployments: ' + e.message,
+			});
+		}
+	}
+
+	/**
+	 * Retrieves a deployment of a project with its verification status.
+	 *
+	 * @param {Object} req - Request with the project and deployment IDs.
+	 * @param {Object} res - Response with the deployment or error.
+	 * @returns {Promise<void>}
+	 */
+	static async getProjectDeployment(req, res) {
+		try {
+			const project = await ProjectController.getProject(req, res, 'project:read');
+			if(!project) return;
+
+			const deployment = await DeploymentService.findForProject(project.id, req.params.deploymentId);
+
+			if(!deployment) {
+				return res.respond({ status: 404, message: 'Deployment not found' });
+			}
+
+			return res.respond({
+				data: deployment,
+				message: 'Deployment retrieved successfully',
+			});
+		} catch(e) {
+			console.error(e);
+			return res.respond({
+				status: 400,
+				message: 'Error retrieving deployment: ' + e.message,
+			});
+		}
+	}
+
+	/**
+	 * Deploys a compiled contract of a project to any registered network, mainnets included.
+	 *
+	 * Body: `contractId` (main contract by default), `network`, `walletId`, `constructorArgs`, `gasLimit`,
+	 * `confirmations` and `verify`. Mainnet deployments are refused while the static analysis has open
+	 * high severity findings.
+	 *
+	 * @param {Object} req - Request with the project ID.
+	 * @param {Object} res - Response with the deployment or error.
+	 * @returns {Promise<void>}
+	 */
+	static async deploy(req, res) {
+		try {
+			const project = await ProjectController.getProject(req, res, 'project:deploy');
+			if(!project) return;
+
+			const { contractId, network, walletId, constructorArgs, gasLimit, confirmations, verify } = req.body;
+			const userId = req.user.payload.id;
+
+			const { deployment, verification } = await DeploymentService.deploy(project.id, {
+				contractId,
+				network,
+				walletId,
+				constructorArgs,
+				gasLimit: gasLimit ? parseInt(gasLimit, 10) : undefined,
+				confirmations: confirmations ? parseInt(confirmations, 10) : undefined,
+				verify: verify !== false,
+			}, {
+				userId,
+				author: { authorType: 'User', userId },
+			});
+
+			if(deployment.status === 'Failed') {
+				return res.respond({
+					status: 400,
+					data: deployment,
+					message: 'Error deploying contract: ' + deployment.errorMessage,
+				});
+			}
+
+			return res.respond({
+				data: deployment,
+				message: 'Contract deployed successfully',
+				props: { verification },
+			});
+		} catch(e) {
+			console.error(e);
+			return res.respond({
+				status: 400,
+				message: 'Error deploying contract: ' + e.message,
+			});
+		}
+	}
+
+	/**
+	 * Verifies a deployment on the block explorer of its network.
+	 * Verification runs in the background, poll the deployment for the result.
+	 *
+	 * @param {Object} req - Request with the project and deployment IDs.
+	 * @param {Object} res - Response with the pending deployment or error.
+	 * @returns {Promise<void>}
+	 */
+	static async verify(req, res) {
+		try {
+			const project = await ProjectController.getProject(req, res, 'project:deploy');
+			if(!project) return;
+
+			const deployment = await DeploymentService.verify(project.id, req.params.deploymentId);
+
+			return res.respond({
+				data: deployment,
+				message: 'Verification started',
+			});
+		} catch(e) {
+			console.error(e);
+			return res.respond({
+				status: 400,
+				message: 'Error verifying deployment: ' + e.message,
+			});
+		}
+	}
+}
+
+export default DeploymentController;
@@ -0,0 +1,258 @@
+import primate from '@thewebchimp/primate';
+import VerifierService from '#services/verifier.service.js';
+import DeployerService from '#services/deployer.service.js';
+import NetworkService from '#services/network.service.js';
+import StaticAnalysisService from '#services/static-analysis.service.js';
+import WalletService from '#entities/wallets/wallet.service.js';
+import AnalysisRunService from '#entities/analysis-runs/analysis-run.service.js';
+import ProjectService from '#entities/projects/project.service.js';
+
+class DeploymentService {
+	/**
+	 * Finds the deployments of a project, newest first.
+	 *
+	 * @param {number} projectId - The ID of the project.
+	 * @param {Object} [options={}] - Filters and pagination.
+	 * @param {string} [options.status] - Only deployments with this status.
+	 * @param {string} [options.network] - Only deployments to this network.
+	 * @param {number} [options.page=1] - Page number.
+	 * @param {number} [options.limit=20] - Deployments per page (max 100).
+	 * @returns {Promise<{data: Array, count: number}>} - The deployments and the total count.
+	 */
+	static async findByProject(projectId, options = {}) {
+		try {
+			const page = Math.max(parseInt(options.page, 10) || 1, 1);
+			const limit = Math.min(Math.max(parseInt(options.limit, 10) || 20, 1), 100);
+
+			const where = { projectId: parseInt(projectId, 10) };
+			if(options.status) where.status = options.status;
+			if(options.network) where.network = options.network;
+
+			const [ deployments, count ] = await Promise.all([
+				primate.prisma.deployment.findMany({
+					where,
+					include: { contract: { select: { id: true, name: true } } },
+					orderBy: { createdAt: 'desc' },
+					skip: (page - 1) * limit,
+					take: limit,
+				}),
+				primate.prisma.deployment.count({ where }),
+			]);
+
+			return { data: deployments, count };
+		} catch(e) {
+			throw e;
+		}
+	}
+
+	/**
+	 * Finds a deployment of a project.
+	 *
+	 * @param {number} projectId - The ID of the project.
+	 * @param {number} id - The ID of the deployment.
+	 * @returns {Promise<Object|null>} - The deployment, or null if it does not belong to the project.
+	 */
+	static async findForProject(projectId, id) {
+		try {
+			return await primate.prisma.deployment.findFirst({
+				where: { id: parseInt(id, 10), projectId: parseInt(projectId, 10) },
+				include: { contract: { select: { id: true, name: true } } },
+			});
+		} catch(e) {
+			throw e;
+		}
+	}
+
+	/**
+	 * Deploys a compiled contract of a project from its stored ABI and bytecode, signed by the project's
+	 * deployer wallet (or the signer's wallet given in `walletId`).
+	 *
+	 * The Deployment row is created as Pending, gets the transaction hash as soon as it is broadcast, and
+	 * the address, gas used and confirmations once the receipt arrives. Mainnet deployments first run the
+	 * static analysis and are refused while it has open high severity findings (ANALYSIS_BLOCK_MAINNET).
+	 * A successful deployment moves the project along its lifecycle, as far as its requirements allow.
+	 *
+	 * @param {number} projectId - The ID of the project.
+	 * @param {Object} [options={}] - Deployment options.
+	 * @param {number} [options.contractId] - The contract, the main contract by default.
+	 * @param {string} [options.network] - The network, NetworkService.defaultNetwork by default.
+	 * @param {number} [options.walletId] - A wallet of the signer, the project's deployer wallet by default.
+	 * @param {Array} [options.constructorArgs] - Defaults to the arguments of the contract's template, or none.
+	 * @param {number} [options.gasLimit] - Estimated when not given.
+	 * @param {number} [options.confirmations=1] - Confirmations to wait for.
+	 * @param {boolean} [options.verify=true] - Start the explorer verification when the network supports it.
+	 * @param {Object} [context={}] - Who deploys.
+	 * @param {number} [context.userId] - The signer.
+	 * @param {Object} [context.author={}] - Author of the lifecycle transitions (see ProjectStatusChangeService.record()).
+	 * @param {Function} [context.onSent] - Called with the transaction hash once it is broadcast.
+	 * @returns {Promise<{deployment: Object, contract: Object, result: Object|null, verification: Object}>} - The
+	 *   deployment, Success or Failed (with `errorMessage`), and the DeployerService result when it succeeded.
+	 * @throws {Error} - If the project, contract, wallet, network or arguments are invalid, or the analysis
+	 *   blocks a mainnet deployment. Nothing is recorded then.
+	 */
+	static async deploy(projectId, options = {}, context = {}) {
+		try {
+			const { contractId, network = NetworkService.defaultNetwork, walletId, gasLimit, confirmations = 1, verify = true } = options;
+			const { userId, author = {}, onSent } = context;
+
+			const project = await primate.prisma.project.findUnique({
+				where: { id: parseInt(projectId, 10) },
+				include: { contracts: true },
+			});
+			if(!project) throw new Error(`Project with ID ${ projectId } not found`);
+
+			const contract = contractId
+				? project.contracts.find(c => c.id === parseInt(contractId, 10))
+				: project.contracts.find(c => c.isMain);
+
+			if(!contract) {
+				throw new Error(contractId
+					? `Contract with ID ${ contractId } does not belong to project ${ project.id }`
+					: `No main contract found for project ${ project.id }`);
+			}
+
+			if(!contract.abi || !contract.bytecode) {
+				throw new Error(`Contract ${ contract.name } needs to be compiled before deployment`);
+			}
+
+			// Contracts created from a template keep the arguments they were rendered with
+			const templateArgs = contract.metas?.template && Array.isArray(contract.metas.constructorArgs)
+				? contract.metas.constructorArgs
+				: [];
+			const constructorArgs = options.constructorArgs ?? templateArgs;
+
+			const wallet = await WalletService.findForProject(project, walletId, userId);
+
+			// Fail before creating the deployment record when the network or arguments are wrong
+			const targetNetwork = NetworkService.get(network);
+			DeployerService.encodeConstructorArgs(contract.abi, constructorArgs);
+
+			// Mainnet deployments need a clean analysis, testnets only report it at compile time
+			if(!targetNetwork.testnet && StaticAnalysisService.blockMainnet) {
+				const analysis = await AnalysisRunService.run(project.id, { trigger: 'Deploy' });
+				const high = analysis.findings.filter(finding => finding.severity === 'High' && finding.status === 'Open');
+
+				if(high.length > 0) {
+					const list = high.map(finding => `${ finding.title } in ${ finding.contractName }${ finding.functionName ? `.${ finding.functionName }` : '' } (${ finding.filePath }:${ finding.startLine })`);
+					throw new Error(`Deployment to ${ network } blocked by ${ high.length } open high-severity finding(s): ${ list.join('; ') }. Fix them, or dismiss false positives at /projects/${ project.id }/analysis`);
+				}
+			}
+
+			const deployment = await primate.prisma.deployment.create({
+				data: {
+					projectId: project.id,
+					contractId: contract.id,
+					network,
+					status: 'Pending',
+					constructorArgs,
+					metas: {
+						walletId: wallet.id,
+						deployer: wallet.address,
+						gasLimit: gasLimit || null,
+						confirmations,
+						deploymentAttemptTimestamp: new Date().toISOString(),
+					},
+				},
+			});
+
+			let result;
+			try {
+				result = await DeployerService.deploy({
+					abi: contract.abi,
+					bytecode: contract.bytecode,
+					privateKey: WalletService.decryptKey(wallet),
+					network,
+					constructorArgs,
+					gasLimit,
+					confirmations,
+					onSent: async txHash => {
+						await primate.prisma.deployment.update({ where: { id: deployment.id }, data: { txHash } });
+						if(onSent) await onSent(txHash);
+					},
+				});
+			} catch(deployError) {
+				const failed = await primate.prisma.deployment.update({
+					where: { id: deployment.id },
+					data: { status: 'Failed', errorMessage: deployError.shortMessage || deployError.message },
+				});
+
+				return { deployment: failed, contract, result: null, verification: { status: 'NotStarted' } };
+			}
+
+			const deployedAt = new Date();
+
+			const deployed = await primate.prisma.deployment.update({
+				where: { id: deployment.id },
+				data: {
+					status: 'Success',
+					contractAddress: result.contractAddress,
+					txHash: result.txHash,
+					gasUsed: result.gasUsed,
+					deployedAt,
+					metas: {
+						...deployment.metas,
+						deployer: result.deployer,
+						blockNumber: result.blockNumber,
+						confirmations: result.confirmations,
+						gasEstimate: result.gasEstimate.toString(),
+						gasLimit: result.gasLimit.toString(),
+						effectiveGasPrice: result.effectiveGasPrice?.toString() || null,
+						constructorArgsEncoded: result.constructorArgsEncoded,
+					},
+				},
+			});
+
+			// The project keeps the address of its latest deployment
+			await primate.prisma.project.update({
+				where: { id: project.id },
+				data: {
+					contractAddress: result.contractAddress,
+					txHash: result.txHash,
+					gasUsed: result.gasUsed,
+					deployedAt,
+				},
+			});
+
+			await ProjectService.advance(project.id, targetNetwork.testnet ? 'DeployedTestnet' : 'DeployedMainnet', author)
+				.catch(e => console.error(`Could not update the status of project ${ project.id }: ${ e.message }`));
+
+			// Verification polls the explorer for minutes, it continues in the background
+			let verification = { status: 'NotStarted' };
+
+			if(verify && VerifierService.supports(network)) {
+				VerifierService.start(deployment.id);
+				verification = { status: 'Pending' };
+			} else if(verify) {
+				verification.message = `${ targetNetwork.label } has no explorer API, the contract was not verified`;
+			}
+
+			return { deployment: deployed, contract, result, verification };
+		} catch(e) {
+			throw e;
+		}
+	}
+
+	/**
+	 * Starts the explorer verification of a deployment. The result is recorded on the deployment.
+	 *
+	 * @param {number} projectId - The ID of the project.
+	 * @param {number} id - The ID of the deployment.
+	 * @returns {Promise<Object>} - The deployment, with its verification pending.
+	 * @throws {Error} - If the deployment is not found or cannot be verified.
+	 */
+	static async verify(projectId, id) {
+		try {
+			const deployment = await this.findForProject(projectId, id);
+			if(!deployment) throw new Error('Deployment not found');
+
+			VerifierService.assertVerifiable(deployment);
+			VerifierService.start(deployment.id);
+
+			return { ...deployment, verificationStatus: 'Pending', verificationGuid: null, verificationResult: null };
+		} catch(e) {
+			throw e;
+		}
+	}
+}
+
+export default DeploymentService;
@@ -0,0 +1,80 @@
+import { PrimateController } from '@thewebchimp/primate';
+import ProjectController from '#entities/projects/project.controller.js';
+import GasSnapshotService from './gas-snapshot.service.js';
+
+class GasSnapshotController extends PrimateController {
+
+	/**
+	 * Retrieves the gas snapshot of a test run and how it changed since an earlier run.
+	 *
+	 * Uses the run in the `runId` route parameter or `testRunId` query parameter, or the latest run.
+	 * `compareTo` is `previous` (default), `baseline` or the ID of another test run.
+	 *
+	 * @param {Object} req - Request with the project ID.
+	 * @param {Object} res - Response with the gas diff or error.
+	 * @returns {Promise<void>}
+	 */
+	static async getDiff(req, res) {
+		try {
+			const project = await ProjectController.getProject(req, res, 'project:read');
+			if(!project) return;
+
+			const diff = await GasSnapshotService.diff(project, {
+				testRunId: req.params.runId || req.query.testRunId,
+				compareTo: req.query.compareTo,
+			});
+
+			if(!diff) {
+				return res.respond({ status: 404, message: 'Test run not found' });
+			}
+
+			return res.respond({
+				data: diff,
+				message: 'Gas snapshot retrieved successfully',
+			});
+		} catch(e) {
+			console.error(e);
+			return res.respond({
+				status: 400,
+				message: 'Error retrieving gas snapshot: ' + e.message,
+			});
+		}
+	}
+
+	/**
+	 * Marks a test run as the gas baseline of a project. The body holds `testRunId`.
+	 *
+	 * @param {Object} req - Request with the project ID.
+	 * @param {Object} res - Response with the baseline run or error.
+	 * @returns {Promise<void>}
+	 */
+	static async setBaseline(req, res) {
+		try {
+			const project = await ProjectController.getProject(req, res, 'project:write');
+			if(!project) return;
+
+			if(!req.body?.testRunId) {
+				return res.respond({ status: 400, message: 'testRunId is required' });
+			}
+
+			const run = await GasSnapshotService.setBaseline(project, req.body.testRunId);
+
+			if(!run) {
+				return res.respond({ status: 404, message: 'Test run not found' });
+			}
+
+			return res.respond({
+				data: run,
+				message: 'Gas baseline updated successfully',
+			});
+		} catch(e) {
+			console.error(e);
+			return res.respond({
+				status: 400,
+				message: 'Error updating gas baseline: ' + e.message,
+			});
+		}
+	}
+}
+
+export default GasSnapshotController;
@@ -0,0 +1,290 @@
+import primate from '@thewebchimp/primate';
+
+// Test helpers and scripts are not part of what gets deployed
+const ignoredPaths = [ 'test/', 'script/' ];
+
+class GasSnapshotService {
+	/**
+	 * Finds the JSON gas report printed by `forge test --gas-report --json` in a job log.
+	 * The report is an array with one entry per contract, printed on a single line.
+	 *
+	 * @param {string} output - The job log.
+	 * @returns {Array|null} - The report, or null if the output has none.
+	 */
+	static extractReport(output = '') {
+		const lines = output.split('\n').map(line => line.trim()).filter(line => line.startsWith('['));
+
+		for(const line of lines.reverse()) {
+			try {
+				const report = JSON.parse(line);
+				if(Array.isArray(report) && report.every(entry => entry?.contract && entry.functions)) return report;
+			} catch(e) {
+				// Not the report line
+			}
+		}
+
+		return null;
+	}
+
+	/**
+	 * Flattens a forge gas report into snapshot rows: the deployment and every function of each contract.
+	 *
+	 * @param {Array} report - The parsed gas report.
+	 * @returns {Array<Object>} - The rows, without the test run ID.
+	 */
+	static parseReport(report) {
+		const rows = [];
+
+		for(const entry of report || []) {
+			if(ignoredPaths.some(prefix => entry.contract.startsWith(prefix))) continue;
+
+			if(entry.deployment?.gas) {
+				rows.push({
+					kind: 'Deployment',
+					contract: entry.contract,
+					name: 'deployment',
+					calls: 1,
+					mean: BigInt(entry.deployment.gas),
+					size: entry.deployment.size ?? null,
+				});
+			}
+
+			for(const [ name, gas ] of Object.entries(entry.functions)) {
+				rows.push({
+					kind: 'Function',
+					contract: entry.contract,
+					name,
+					calls: gas.calls || 0,
+					min: BigInt(gas.min),
+					mean: BigInt(gas.mean),
+					median: BigInt(gas.median),
+					max: BigInt(gas.max),
+				});
+			}
+		}
+
+		return rows;
+	}
+
+	/**
+	 * Stores the gas report of a test run.
+	 *
+	 * @param {number} testRunId - The ID of the test run.
+	 * @param {Array} report - The parsed gas report.
+	 * @returns {Promise<number>} - The number of snapshot rows stored.
+	 */
+	static async createFromReport(testRunId, report) {
+		try {
+			const rows = this.parseReport(report).map(row => ({ ...row, testRunId: parseInt(testRunId, 10) }));
+			if(rows.length === 0) return 0;
+
+			const { count } = await primate.prisma.gasSnapshot.createMany({ data: rows });
+			return count;
+		} catch(e) {
+			throw e;
+		}
+	}
+
+	/**
+	 * Returns the gas figures of a test run: the gas of each test and the mean gas of each
+	 * contract function and deployment.
+	 *
+	 * @param {Object} run - The test run with its results and gas snapshots.
+	 * @returns {Array<{kind: string, contract: string, name: string, gas: number}>}
+	 */
+	static entries(run) {
+		const tests = (run.results || [])
+			.filter(result => result.gas !== null && result.status === 'Passed')
+			.map(result => ({ kind: 'Test', contract: result.suite, name: result.test, gas: Number(result.gas) }));
+
+		const functions = (run.gas || [])
+			.map(snapshot => ({ kind: snapshot.kind, contract: snapshot.contract, name: snapshot.name, gas: Number(snapshot.mean) }));
+
+		return [ ...functions, ...tests ];
+	}
+
+	/**
+	 * Finds a test run of a project with the data gas snapshots are built from.
+	 *
+	 * @param {number} projectId - The ID of the project.
+	 * @param {number} [id] - The ID of the test run; the latest run with a report when omitted.
+	 * @returns {Promise<Object|null>}
+	 */
+	static async findRun(projectId, id) {
+		try {
+			const where = { projectId: parseInt(projectId, 10) };
+			if(id) where.id = parseInt(id, 10);
+			else where.status = { not: 'Error' };
+
+			return await primate.prisma.testRun.findFirst({
+				where,
+				orderBy: { createdAt: 'desc' },
+				include: {
+					results: { select: { suite: true, test: true, status: true, gas: true } },
+					gas: { orderBy: [ { contract: 'asc' }, { name: 'asc' } ] },
+				},
+			});
+		} catch(e) {
+			throw e;
+		}
+	}
+
+	/**
+	 * Finds the run a test run is compared with.
+	 *
+	 * @param {Object} project - The project.
+	 * @param {Object} run - The test run.
+	 * @param {string|number} [compareTo='previous'] - `previous` (the last earlier run over the same tests),
+	 *   `baseline` (the run marked as the project's gas baseline) or the ID of a test run.
+	 * @returns {Promise<Object|null>} - The base run, or null if there is none.
+	 */
+	static async findBase(project, run, compareTo = 'previous') {
+		try {
+			if(compareTo === 'previous') {
+				return await primate.prisma.testRun.findFirst({
+					where: {
+						projectId: project.id,
+						filter: run.filter,
+						status: { not: 'Error' },
+						createdAt: { lt: run.createdAt },
+					},
+					orderBy: { createdAt: 'desc' },
+					include: {
+						results: { select: { suite: true, test: true, status: true, gas: true } },
+						gas: true,
+					},
+				});
+			}
+
+			const baseId = compareTo === 'baseline' ? project.metas?.gasBaselineRunId : parseInt(compareTo, 10);
+			if(compareTo === 'baseline' && !baseId) throw new Error('The project has no gas baseline');
+			if(!baseId) throw new Error(`Invalid comparison: ${ compareTo }`);
+
+			const base = await this.findRun(project.id, baseId);
+			if(!base) throw new Error(`Test run ${ baseId } not found`);
+
+			return base;
+		} catch(e) {
+			throw e;
+		}
+	}
+
+	/**
+	 * Compares the gas figures of two test runs. Entries present in only one run are listed as
+	 * added or removed; changes are sorted by their absolute difference, largest first.
+	 *
+	 * @param {Object} run - The test run.
+	 * @param {Object|null} base - The run it is compared with.
+	 * @returns {Object} - The changes, added and removed entries, and counts.
+	 */
+	static compare(run, base) {
+		const key = entry => `${ entry.kind }|${ entry.contract }|${ entry.name }`;
+		const current = this.entries(run);
+		const previous = new Map(base ? this.entries(base).map(entry => [ key(entry), entry ]) : []);
+
+		const changes = [];
+		const added = [];
+		let unchanged = 0;
+
+		for(const entry of current) {
+			const before = previous.get(key(entry));
+			previous.delete(key(entry));
+
+			if(!before) {
+				added.push(entry);
+			} else if(before.gas === entry.gas) {
+				unchanged++;
+			} else {
+				const delta = entry.gas - before.gas;
+				changes.push({
+					kind: entry.kind,
+					contract: entry.contract,
+					name: entry.name,
+					before: before.gas,
+					after: entry.gas,
+					delta,
+					percent: before.gas ? Math.round(delta / before.gas * 10000) / 100 : null,
+				});
+			}
+		}
+
+		changes.sort((a, b) => Math.abs(b.delta) - Math.abs(a.delta));
+
+		return {
+			changes,
+			added: base ? added : [],
+			removed: [ ...previous.values() ],
+			summary: {
+				increased: changes.filter(change => change.delta > 0).length,
+				decreased: changes.filter(change => change.delta < 0).length,
+				unchanged,
+				added: base ? added.length : 0,
+				removed: previous.size,
+			},
+		};
+	}
+
+	/**
+	 * Returns the gas snapshot of a test run and its differences with a previous run or the baseline.
+	 *
+	 * @param {Object} project - The project.
+	 * @param {Object} [options={}] - Options.
+	 * @param {number} [options.testRunId] - The test run; the latest run with a report when omitted.
+	 * @param {string|number} [options.compareTo='previous'] - What to compare with, see findBase().
+	 * @returns {Promise<Object|null>} - The snapshot and diff, or null if the run does not exist.
+	 */
+	static async diff(project, options = {}) {
+		try {
+			const { testRunId, compareTo = 'previous' } = options;
+
+			const run = await this.findRun(project.id, testRunId);
+			if(!run) return null;
+
+			const base = await this.findBase(project, run, compareTo);
+			const summary = testRun => testRun && ({
+				id: testRun.id,
+				filter: testRun.filter,
+				status: testRun.status,
+				createdAt: testRun.createdAt,
+			});
+
+			return {
+				run: summary(run),
+				base: summary(base),
+				compareTo,
+				baselineRunId: project.metas?.gasBaselineRunId || null,
+				snapshot: this.entries(run),
+				...this.compare(run, base),
+			};
+		} catch(e) {
+			throw e;
+		}
+	}
+
+	/**
+	 * Marks a test run as the gas baseline of a project.
+	 *
+	 * @param {Object} project - The project.
+	 * @param {number} testRunId - The ID of the test run.
+	 * @returns {Promise<Object|null>} - The test run, or null if it does not belong to the project.
+	 */
+	static async setBaseline(project, testRunId) {
+		try {
+			const run = await primate.prisma.testRun.findFirst({
+				where: { id: parseInt(testRunId, 10), projectId: project.id },
+			});
+			if(!run) return null;
+
+			await primate.prisma.project.update({
+				where: { id: project.id },
+				data: { metas: { ...(project.metas || {}), gasBaselineRunId: run.id } },
+			});
+
+			return run;
+		} catch(e) {
+			throw e;
+		}
+	}
+}
+
+export default GasSnapshotService;
@@ -0,0 +1,96 @@
+import { PrimateController } from '@thewebchimp/primate';
+import ProjectController from '#entities/projects/project.controller.js';
+import JobService from './job.service.js';
+
+class JobController extends PrimateController {
+
+	/**
+	 * Lists the forge jobs of a project.
+	 *
+	 * Supports `status`, `type`, `page` and `limit` query parameters.
+	 *
+	 * @param {Object} req - Request with the project ID.
+	 * @param {Object} res - Response with the jobs or error.
+	 * @returns {Promise<void>}
+	 */
+	static async getProjectJobs(req, res) {
+		try {
+			const project = await ProjectController.getProject(req, res, 'project:read');
+			if(!project) return;
+
+			const jobs = await JobService.findByProject(project.id, req.query);
+
+			return res.respond({
+				data: jobs.data,
+				message: 'Jobs retrieved successfully',
+				props: { count: jobs.count },
+			});
+		} catch(e) {
+			console.error(e);
+			return res.respond({
+				status: 400,
+				message: 'Error retrieving jobs: ' + e.message,
+			});
+		}
+	}
+
+	/**
+	 * Retrieves a job of a project with its log.
+	 *
+	 * @param {Object} req - Request with the project and job IDs.
+	 * @param {Object} res - Response with the job or error.
+	 * @returns {Promise<void>}
+	 */
+	static async getProjectJob(req, res) {
+		try {
+			const project = await ProjectController.getProject(req, res, 'project:read');
+			if(!project) return;
+
+			const job = await JobService.findForProject(project.id, req.params.jobId);
+
+			if(!job) {
+				return res.respond({ status: 404, message: 'Job not found' });
+			}
+
+			return res.respond({
+				data: job,
+				message: 'Job retrieved successfully',
+			});
+		} catch(e) {
+			console.error(e);
+			return res.respond({
+				status: 400,
+				message: 'Error retrieving job: ' + e.message,
+			});
+		}
+	}
+
+	/**
+	 * Cancels a queued or running job of a project.
+	 *
+	 * @param {Object} req - Request with the project and job IDs.
+	 * @param {Object} res - Response with the cancelled job or error.
+	 * @returns {Promise<void>}
+	 */
+	static async cancel(req, res) {
+		try {
+			const project = await ProjectController.getProject(req, res, 'project:write');
+			if(!project) return;
+
+			const job = await JobService.cancel(project.id, req.params.jobId);
+
+			return res.respond({
+				data: job,
+				message: 'Job cancelled successfully',
+			});
+		} catch(e) {
+			console.error(e);
+			return res.respond({
+				status: 400,
+				message: 'Error cancelling job: ' + e.message,
+			});
+		}
+	}
+}
+
+export default JobController;
@@ -0,0 +1,80 @@
+import primate from '@thewebchimp/primate';
+import JobRunnerService from '#services/job-runner.service.js';
+
+class JobService {
+	/**
+	 * Finds the jobs of a project, newest first. Logs are left out of the list.
+	 *
+	 * @param {number} projectId - The ID of the project.
+	 * @param {Object} [options={}] - Filters and pagination.
+	 * @param {string} [options.status] - Only jobs with this status.
+	 * @param {string} [options.type] - Only jobs of this type (Build, Test, Script).
+	 * @param {number} [options.page=1] - Page number.
+	 * @param {number} [options.limit=20] - Jobs per page (max 100).
+	 * @returns {Promise<{data: Array, count: number}>} - The jobs and the total count.
+	 */
+	static async findByProject(projectId, options = {}) {
+		try {
+			const page = Math.max(parseInt(options.page, 10) || 1, 1);
+			const limit = Math.min(Math.max(parseInt(options.limit, 10) || 20, 1), 100);
+
+			const where = { projectId: parseInt(projectId, 10) };
+			if(options.status) where.status = options.status;
+			if(options.type) where.type = options.type;
+
+			const [ jobs, count ] = await Promise.all([
+				primate.prisma.job.findMany({
+					where,
+					orderBy: { createdAt: 'desc' },
+					skip: (page - 1) * limit,
+					take: limit,
+				}),
+				primate.prisma.job.count({ where }),
+			]);
+
+			return { data: jobs.map(({ log, ...job }) => job), count };
+		} catch(e) {
+			throw e;
+		}
+	}
+
+	/**
+	 * Finds a job of a project, including its log.
+	 *
+	 * @param {number} projectId - The ID of the project.
+	 * @param {number} id - The ID of the job.
+	 * @returns {Promise<Object|null>} - The job, or null if it does not belong to the project.
+	 */
+	static async findForProject(projectId, id) {
+		try {
+			return await primate.prisma.job.findFirst({
+				where: { id: parseInt(id, 10), projectId: parseInt(projectId, 10) },
+			});
+		} catch(e) {
+			throw e;
+		}
+	}
+
+	/**
+	 * Cancels a queued or running job of a project.
+	 *
+	 * @param {number} projectId - The ID of the project.
+	 * @param {number} id - The ID of the job.
+	 * @returns {Promise<Object>} - The job after cancellation.
+	 * @throws {Error} - Throws an error if the job is not found or already finished.
+	 */
+	static async cancel(projectId, id) {
+		try {
+			const job = await this.findForProject(projectId, id);
+
+			if(!job) throw new Error('Job not found');
+			if(JobRunnerService.finalStatuses.includes(job.status)) throw new Error(`Job already finished with status ${ job.status }`);
+
+			return await JobRunnerService.cancel(job.id);
+		} catch(e) {
+			throw e;
+		}
+	}
+}
+
+export default JobService;
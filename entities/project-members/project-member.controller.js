@@ -0,0 +1,228 @@
+import { PrimateController } from '@thewebchimp/primate';
+import ProjectController from '#entities/projects/project.controller.js';
+import UserController from '#entities/users/user.controller.js';
+import ProjectMemberService from './project-member.service.js';
+
+class ProjectMemberController extends PrimateController {
+
+	/**
+	 * Lists the members of a project and its pending invitations.
+	 *
+	 * @param {Object} req - Request with the project ID.
+	 * @param {Object} res - Response with the members or error.
+	 * @returns {Promise<void>}
+	 */
+	static async getMembers(req, res) {
+		try {
+			const project = await ProjectController.getProject(req, res, 'project:read');
+			if(!project) return;
+
+			const members = await ProjectMemberService.findByProject(project);
+
+			return res.respond({
+				data: members,
+				message: 'Members retrieved successfully',
+				props: { roles: ProjectMemberService.roles },
+			});
+		} catch(e) {
+			console.error(e);
+			return res.respond({
+				status: 400,
+				message: 'Error retrieving members: ' + e.message,
+			});
+		}
+	}
+
+	/**
+	 * Invites someone to a project by email. Body: `email` and `role` (owner, editor, viewer or deployer).
+	 * The invitation email holds the acceptance link.
+	 *
+	 * @param {Object} req - Request with the project ID.
+	 * @param {Object} res - Response with the pending membership or error.
+	 * @returns {Promise<void>}
+	 */
+	static async invite(req, res) {
+		try {
+			const project = await ProjectController.getProject(req, res, 'project:manage');
+			if(!project) return;
+
+			const user = await UserController.getMe(req);
+			if(!user) return res.respond({ status: 401, message: 'User not found or error fetching user' });
+
+			const { member, emailed } = await ProjectMemberService.invite(project, req.body, user);
+
+			return res.respond({
+				data: member,
+				message: emailed ? 'Invitation sent successfully' : 'Invitation created, but the email could not be sent',
+				props: { emailed },
+			});
+		} catch(e) {
+			console.error(e);
+			return res.respond({
+				status: 400,
+				message: 'Error inviting member: ' + e.message,
+			});
+		}
+	}
+
+	/**
+	 * Changes the role of a member or pending invitation. Body: `role`.
+	 *
+	 * @param {Object} req - Request with the project and membership IDs.
+	 * @param {Object} res - Response with the membership or error.
+	 * @returns {Promise<void>}
+	 */
+	static async updateMember(req, res) {
+		try {
+			const project = await ProjectController.getProject(req, res, 'project:manage');
+			if(!project) return;
+
+			const member = await ProjectMemberService.updateRole(project, req.params.memberId, req.body.role);
+
+			if(!member) {
+				return res.respond({ status: 404, message: 'Member not found' });
+			}
+
+			return res.respond({
+				data: member,
+				message: 'Member updated successfully',
+			});
+		} catch(e) {
+			console.error(e);
+			return res.respond({
+				status: 400,
+				message: 'Error updating member: ' + e.message,
+			});
+		}
+	}
+
+	/**
+	 * Removes a member or cancels a pending invitation. Members can also remove themselves to leave the project.
+	 *
+	 * @param {Object} req - Request with the project and membership IDs.
+	 * @param {Object} res - Response with the removed membership or error.
+	 * @returns {Promise<void>}
+	 */
+	static async removeMember(req, res) {
+		try {
+			const project = await ProjectController.getProject(req, res, 'project:read');
+			if(!project) return;
+
+			const members = await ProjectMemberService.findByProject(project);
+			const target = members.find(member => member.id === parseInt(req.params.memberId, 10));
+
+			if(!target) {
+				return res.respond({ status: 404, message: 'Member not found' });
+			}
+
+			const leaving = target.userId === req.user.payload.id;
+			if(!leaving && !await ProjectMemberService.can(project, req.user.payload.id, 'project:manage')) {
+				return res.respond({ status: 403, message: 'Access denied' });
+			}
+
+			const member = await ProjectMemberService.remove(project, target.id);
+
+			return res.respond({
+				data: member,
+				message: leaving ? 'You left the project' : 'Member removed successfully',
+			});
+		} catch(e) {
+			console.error(e);
+			return res.respond({
+				status: 400,
+				message: 'Error removing member: ' + e.message,
+			});
+		}
+	}
+
+	/**
+	 * Retrieves a pending invitation by the token of its acceptance link.
+	 *
+	 * @param {Object} req - Request with the invitation token.
+	 * @param {Object} res - Response with the invitation, its project and who sent it, or error.
+	 * @returns {Promise<void>}
+	 */
+	static async getInvitation(req, res) {
+		try {
+			const invitation = await ProjectMemberService.findInvitation(req.params.token);
+
+			if(!invitation) {
+				return res.respond({ status: 404, message: 'Invitation not found' });
+			}
+
+			return res.respond({
+				data: invitation,
+				message: 'Invitation retrieved successfully',
+			});
+		} catch(e) {
+			console.error(e);
+			return res.respond({
+				status: 400,
+				message: 'Error retrieving invitation: ' + e.message,
+			});
+		}
+	}
+
+	/**
+	 * Accepts an invitation. It must have been sent to the email of the authenticated user.
+	 *
+	 * @param {Object} req - Request with the invitation token.
+	 * @param {Object} res - Response with the membership or error.
+	 * @returns {Promise<void>}
+	 */
+	static async acceptInvitation(req, res) {
+		try {
+			const user = await UserController.getMe(req);
+			if(!user) return res.respond({ status: 401, message: 'User not found or error fetching user' });
+
+			const member = await ProjectMemberService.accept(req.params.token, user);
+
+			if(!member) {
+				return res.respond({ status: 404, message: 'Invitation not found' });
+			}
+
+			return res.respond({
+				data: member,
+				message: 'Invitation accepted successfully',
+			});
+		} catch(e) {
+			console.error(e);
+			return res.respond({
+				status: 400,
+				message: 'Error accepting invitation: ' + e.message,
+			});
+		}
+	}
+
+	/**
+	 * Declines an invitation. It must have been sent to the email of the authenticated user.
+	 *
+	 * @param {Object} req - Request with the invitation token.
+	 * @param {Object} res - Response with status message.
+	 * @returns {Promise<void>}
+	 */
+	static async declineInvitation(req, res) {
+		try {
+			const user = await UserController.getMe(req);
+			if(!user) return res.respond({ status: 401, message: 'User not found or error fetching user' });
+
+			const declined = await ProjectMemberService.decline(req.params.token, user);
+
+			if(!declined) {
+				return res.respond({ status: 404, message: 'Invitation not found' });
+			}
+
+			return res.respond({
+				message: 'Invitation declined successfully',
+			});
+		} catch(e) {
+			console.error(e);
+			return res.respond({
+				status: 400,
+				message: 'Error declining invitation: ' + e.message,
+			});
+		}
+	}
+}
+
+export default ProjectMemberController;
@@ -0,0 +1,320 @@
+import primate from '@thewebchimp/primate';
+import crypto from 'crypto';
+import MandrillService from '#services/mandrill.service.js';
+import 'dotenv/config';
+
+// Public fields of the users shown with a membership
+const USER_SELECT = { id: true, username: true, nicename: true, email: true };
+
+class ProjectMemberService {
+
+	// Permissions granted by each role. The project creator is always an owner.
+	static roles = {
+		owner: [ 'project:read', 'project:write', 'project:deploy', 'project:manage' ],
+		editor: [ 'project:read', 'project:write' ],
+		deployer: [ 'project:read', 'project:deploy' ],
+		viewer: [ 'project:read' ],
+	};
+
+	static invitationTemplate = process.env.MANDRILL_INVITATION_TEMPLATE || 'project-invitation';
+	static invitationDays = parseInt(process.env.PROJECT_INVITATION_DAYS, 10) || 7;
+
+	/**
+	 * Returns the sha256 hash of an invitation token. Only hashes are stored.
+	 *
+	 * @param {string} token - The token.
+	 * @returns {string}
+	 */
+	static hash(token) {
+		return crypto.createHash('sha256').update(token || '').digest('hex');
+	}
+
+	/**
+	 * Removes the invitation token hash from a membership before it leaves the service.
+	 *
+	 * @param {Object} member - The membership row.
+	 * @returns {Object} - The membership without `tokenHash`.
+	 */
+	static sanitize(member) {
+		if(!member) return member;
+
+		const { tokenHash, ...rest } = member;
+		return rest;
+	}
+
+	/**
+	 * Resolves the role and permissions of a user on a project.
+	 *
+	 * @param {Object|number} project - The project, or its ID.
+	 * @param {number} userId - The user.
+	 * @returns {Promise<{role: string|null, permissions: string[]}>} - No role and no permissions if the
+	 *   user is not a member.
+	 */
+	static async access(project, userId) {
+		try {
+			if(!userId) return { role: null, permissions: [] };
+
+			if(typeof project !== 'object') {
+				project = await primate.prisma.project.findUnique({
+					where: { id: parseInt(project, 10) },
+					select: { id: true, userId: true },
+				});
+				if(!project) return { role: null, permissions: [] };
+			}
+
+			if(project.userId === parseInt(userId, 10)) return { role: 'owner', permissions: this.roles.owner };
+
+			const member = await primate.prisma.projectMember.findFirst({
+				where: { projectId: project.id, userId: parseInt(userId, 10), status: 'Active' },
+			});
+
+			if(!member || !this.roles[member.role]) return { role: null, permissions: [] };
+			return { role: member.role, permissions: this.roles[member.role] };
+		} catch(e) {
+			throw e;
+		}
+	}
+
+	/**
+	 * Checks whether a user holds a permission on a project.
+	 *
+	 * @param {Object|number} project - The project, or its ID.
+	 * @param {number} userId - The user.
+	 * @param {string} permission - e.g. `project:write`.
+	 * @returns {Promise<boolean>}
+	 */
+	static async can(project, userId, permission) {
+		const { permissions } = await this.access(project, userId);
+		return permissions.includes(permission);
+	}
+
+	/**
+	 * Lists the members of a project and its pending invitations. The creator comes first.
+	 *
+	 * @param {Object} project - The project.
+	 * @returns {Promise<Array>} - The memberships with their user; the creator has `creator: true`.
+	 */
+	static async findByProject(project) {
+		try {
+			const [ creator, members ] = await Promise.all([
+				primate.prisma.user.findUnique({ where: { id: project.userId }, select: USER_SELECT }),
+				primate.prisma.projectMember.findMany({
+					where: { projectId: project.id },
+					include: { user: { select: USER_SELECT } },
+					orderBy: { createdAt: 'asc' },
+				}),
+			]);
+
+			return [
+				{ id: null, projectId: project.id, userId: project.userId, email: creator?.email, role: 'owner', status: 'Active', creator: true, user: creator },
+				...members.map(member => this.sanitize(member)),
+			];
+		} catch(e) {
+			throw e;
+		}
+	}
+
+	/**
+	 * Invites someone to a project by email. Inviting an address again renews its invitation.
+	 *
+	 * @param {Object} project - The project.
+	 * @param {Object} data - The invitation.
+	 * @param {string} data.email - The address to invite.
+	 * @param {string} data.role - owner, editor, viewer or deployer.
+	 * @param {Object} inviter - The user sending the invitation.
+	 * @returns {Promise<{member: Object, emailed: boolean}>} - The pending membership, and whether the
+	 *   email was sent.
+	 * @throws {Error} - If the role or email is invalid, or the address already belongs to a member.
+	 */
+	static async invite(project, data, inviter) {
+		try {
+			const email = (data.email || '').trim().toLowerCase();
+			if(!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) throw new Error('A valid email is required');
+			if(!this.roles[data.role]) throw new Error(`Invalid role ${ data.role }, expected one of: ${ Object.keys(this.roles).join(', ') }`);
+
+			const creator = await primate.prisma.user.findUnique({ where: { id: project.userId }, select: { email: true } });
+			if(creator?.email?.toLowerCase() === email) throw new Error('The project owner cannot be invited');
+
+			const existing = await primate.prisma.projectMember.findFirst({ where: { projectId: project.id, email } });
+			if(existing?.status === 'Active') throw new Error(`${ email } is already a member of the project`);
+
+			const token = crypto.randomBytes(32).toString('hex');
+			const invitation = {
+				role: data.role,
+				tokenHash: this.hash(token),
+				invitedById: inviter.id,
+				expiresAt: new Date(Date.now() + this.invitationDays * 24 * 60 * 60 * 1000),
+			};
+
+			const member = existing
+				? await primate.prisma.projectMember.update({ where: { id: existing.id }, data: invitation })
+				: await primate.prisma.projectMember.create({ data: { ...invitation, projectId: project.id, email } });
+
+			// The membership stays pending if the email fails, inviting again sends a new one
+			let emailed = true;
+			try {
+				const response = await this.sendInvitation(project, member, token, inviter);
+
+				// Mandrill answers rejected recipients instead of failing
+				const statuses = Array.isArray(response) ? response.map(recipient => recipient.status) : [];
+				if(!statuses.some(status => status === 'sent' || status === 'queued' || status === 'scheduled')) {
+					throw new Error(`The email was not sent (${ response?.[0]?.reject_reason || response?.message || 'unknown reason' })`);
+				}
+			} catch(e) {
+				console.error(`Error sending the invitation of project ${ project.id } to ${ email }:`, e);
+				emailed = false;
+			}
+
+			return { member: this.sanitize(member), emailed };
+		} catch(e) {
+			throw e;
+		}
+	}
+
+	/**
+	 * Emails an invitation with its acceptance link, through the Mandrill invitation template.
+	 *
+	 * Merge variables: PROJECT_NAME, ROLE, INVITER_NAME, LINK and EXPIRES_AT.
+	 *
+	 * @param {Object} project - The project.
+	 * @param {Object} member - The pending membership.
+	 * @param {string} token - The invitation token.
+	 * @param {Object} inviter - The user sending the invitation.
+	 * @returns {Promise<Object>} - The Mandrill response.
+	 */
+	static async sendInvitation(project, member, token, inviter) {
+		const message = {
+			to: [ { email: member.email, type: 'to' } ],
+			subject: `${ inviter.nicename || inviter.username } invited you to ${ project.name }`,
+			merge_language: 'handlebars',
+			global_merge_vars: [
+				{ name: 'PROJECT_NAME', content: project.name },
+				{ name: 'ROLE', content: member.role },
+				{ name: 'INVITER_NAME', content: inviter.nicename || inviter.username },
+				{ name: 'LINK', content: `${ process.env.CLIENT_URL }/invitations/${ token }` },
+				{ name: 'EXPIRES_AT', content: member.expiresAt.toISOString() },
+			],
+		};
+
+		return await MandrillService.sendMessageUsingTemplate(this.invitationTemplate, [], message);
+	}
+
+	/**
+	 * Finds a pending invitation by its token, with the project and who sent it.
+	 *
+	 * @param {string} token - The invitation token.
+	 * @returns {Promise<Object|null>} - The invitation with `expired`, or null if it does not exist.
+	 */
+	static async findInvitation(token) {
+		try {
+			const member = await primate.prisma.projectMember.findFirst({
+				where: { tokenHash: this.hash(token), status: 'Pending' },
+				include: {
+					project: { select: { id: true, name: true, description: true } },
+					invitedBy: { select: USER_SELECT },
+				},
+			});
+			if(!member) return null;
+
+			return { ...this.sanitize(member), expired: member.expiresAt < new Date() };
+		} catch(e) {
+			throw e;
+		}
+	}
+
+	/**
+	 * Accepts an invitation. It must have been sent to the email of the user accepting it.
+	 *
+	 * @param {string} token - The invitation token.
+	 * @param {Object} user - The user accepting it.
+	 * @returns {Promise<Object|null>} - The active membership, or null if the invitation does not exist.
+	 * @throws {Error} - If the invitation expired or was sent to another address.
+	 */
+	static async accept(token, user) {
+		try {
+			const invitation = await this.findInvitation(token);
+			if(!invitation) return null;
+
+			if(invitation.expired) throw new Error('The invitation expired, ask for a new one');
+			if(invitation.email !== (user.email || '').toLowerCase()) throw new Error('The invitation was sent to another email address');
+
+			// An earlier membership under another address is replaced
+			await primate.prisma.projectMember.deleteMany({
+				where: { projectId: invitation.projectId, userId: user.id, id: { not: invitation.id } },
+			});
+
+			const member = await primate.prisma.projectMember.update({
+				where: { id: invitation.id },
+				data: { userId: user.id, status: 'Active', tokenHash: null, acceptedAt: new Date() },
+			});
+
+			return this.sanitize(member);
+		} catch(e) {
+			throw e;
+		}
+	}
+
+	/**
+	 * Declines an invitation, which removes it. It must have been sent to the email of the user declining it.
+	 *
+	 * @param {string} token - The invitation token.
+	 * @param {Object} user - The user declining it.
+	 * @returns {Promise<boolean>} - Whether the invitation existed.
+	 * @throws {Error} - If the invitation was sent to another address.
+	 */
+	static async decline(token, user) {
+		try {
+			const invitation = await this.findInvitation(token);
+			if(!invitation) return false;
+
+			if(invitation.email !== (user.email || '').toLowerCase()) throw new Error('The invitation was sent to another email address');
+
+			await primate.prisma.projectMember.delete({ where: { id: invitation.id } });
+			return true;
+		} catch(e) {
+			throw e;
+		}
+	}
+
+	/**
+	 * Changes the role of a member or pending invitation.
+	 *
+	 * @param {Object} project - The project.
+	 * @param {number} id - The ID of the membership.
+	 * @param {string} role - The new role.
+	 * @returns {Promise<Object|null>} - The membership, or null if it does not belong to the project.
+	 */
+	static async updateRole(project, id, role) {
+		try {
+			if(!this.roles[role]) throw new Error(`Invalid role ${ role }, expected one of: ${ Object.keys(this.roles).join(', ') }`);
+
+			const member = await primate.prisma.projectMember.findFirst({ where: { id: parseInt(id, 10), projectId: project.id } });
+			if(!member) return null;
+
+			return this.sanitize(await primate.prisma.projectMember.update({ where: { id: member.id }, data: { role } }));
+		} catch(e) {
+			throw e;
+		}
+	}
+
+	/**
+	 * Removes a member or cancels a pending invitation.
+	 *
+	 * @param {Object} project - The project.
+	 * @param {number} id - The ID of the membership.
+	 * @returns {Promise<Object|null>} - The removed membership, or null if it does not belong to the project.
+	 */
+	static async remove(project, id) {
+		try {
+			const member = await primate.prisma.projectMember.findFirst({ where: { id: parseInt(id, 10), projectId: project.id } });
+			if(!member) return null;
+
+			await primate.prisma.projectMember.delete({ where: { id: member.id } });
+			return this.sanitize(member);
+		} catch(e) {
+			throw e;
+		}
+	}
+}
+
+export default ProjectMemberService;
@@ -0,0 +1,89 @@
+import primate from '@thewebchimp/primate';
+
+class ProjectStatusChangeService {
+	/**
+	 * Stores a lifecycle transition of a project.
+	 *
+	 * @param {Object} project - The project before the transition.
+	 * @param {string} toStatus - The new status.
+	 * @param {Object} [author={}] - Who made the change (see ContractRevisionService.record()).
+	 * @param {Object} [details={}] - Details of the transition.
+	 * @param {string} [details.reason] - Why the status changed.
+	 * @param {boolean} [details.forced=false] - Whether the requirements of the new status were skipped.
+	 * @param {Array} [details.checks=[]] - The requirements checked (see ProjectService.check()).
+	 * @returns {Promise<Object>} - The stored transition.
+	 */
+	static async record(project, toStatus, author = {}, details = {}) {
+		try {
+			return await primate.prisma.projectStatusChange.create({
+				data: {
+					projectId: project.id,
+					fromStatus: project.status,
+					toStatus,
+					authorType: author.authorType || 'User',
+					userId: author.userId ? parseInt(author.userId, 10) : null,
+					messageId: author.messageId ? parseInt(author.messageId, 10) : null,
+					tool: author.tool || null,
+					reason: details.reason || null,
+					forced: !!details.forced,
+					metas: { checks: details.checks || [] },
+				},
+			});
+		} catch(e) {
+			throw e;
+		}
+	}
+
+	/**
+	 * Finds the lifecycle transitions of a project, newest first.
+	 *
+	 * @param {number} projectId - The ID of the project.
+	 * @param {Object} [options={}] - Pagination.
+	 * @param {number} [options.page=1] - Page number.
+	 * @param {number} [options.limit=20] - Transitions per page (max 100).
+	 * @returns {Promise<{data: Array, count: number}>} - The transitions and the total count.
+	 */
+	static async findByProject(projectId, options = {}) {
+		try {
+			const page = Math.max(parseInt(options.page, 10) || 1, 1);
+			const limit = Math.min(Math.max(parseInt(options.limit, 10) || 20, 1), 100);
+
+			const where = { projectId: parseInt(projectId, 10) };
+
+			const [ data, count ] = await Promise.all([
+				primate.prisma.projectStatusChange.findMany({
+					where,
+					orderBy: { createdAt: 'desc' },
+					skip: (page - 1) * limit,
+					take: limit,
+				}),
+				primate.prisma.projectStatusChange.count({ where }),
+			]);
+
+			return { data, count };
+		} catch(e) {
+			throw e;
+		}
+	}
+
+	/**
+	 * Finds the status a project had before it was archived.
+	 *
+	 * @param {number} projectId - The ID of the project.
+	 * @returns {Promise<string|null>} - The status, or null if the project has no archive transition.
+	 */
+	static async findArchivedFrom(projectId) {
+		try {
+			const change = await primate.prisma.projectStatusChange.findFirst({
+				where: { projectId: parseInt(projectId, 10), toStatus: 'Archived' },
+				orderBy: { createdAt: 'desc' },
+			});
+
+			return change?.fromStatus || null;
+		} catch(e) {
+			throw e;
+		}
+	}
+}
+
+export default ProjectStatusChangeService;
@@ -0,0 +1,26 @@
+import Joi from 'joi';
+import NetworkService from '#services/network.service.js';
+
+export const projectTypes = [ 'Token', 'NFT', 'DeFi', 'DAO', 'Custom' ];
+export const contractTypes = [ 'ERC20', 'ERC721', 'ERC1155', 'Custom' ];
+export const briefNetworks = NetworkService.names();
+
+export default Joi.object({
+	name: Joi.string().trim().max(191).required(),
+	description: Joi.string().trim().required(),
+	projectType: Joi.string().valid(...projectTypes).required(),
+	network: Joi.string().valid(...briefNetworks).default(NetworkService.defaultNetwork),
+	compilerVersion: Joi.string().pattern(/^\d+\.\d+\.\d+$/).default('0.8.19'),
+	contracts: Joi.array().items(Joi.object({
+		name: Joi.string().pattern(/^[A-Za-z_][A-Za-z0-9_]*$/).required(),
+		contractType: Joi.string().valid(...contractTypes).default('Custom'),
+		description: Joi.string().allow('').default(''),
+		isMain: Joi.boolean().default(false),
+	})).min(1).required(),
+	dependencies: Joi.array().items(Joi.string()).default([]),
+	testPlan: Joi.array().items(Joi.object({
+		contract: Joi.string().required(),
+		scenario: Joi.string().required(),
+		expected: Joi.string().allow('').default(''),
+	})).min(1).required(),
+});
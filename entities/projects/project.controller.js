@@ -3,17 +3,22 @@ import primate, { PrimateService, PrimateController } from '@thewebchimp/primate
 import ProjectService from './project.service.js';
 import UploadService from '#services/upload.service.js';
 import UserController from '#entities/users/user.controller.js';
+import ProjectArchiveService from '#services/project-archive.service.js';
+import GitService from '#services/git.service.js';
+import AttachmentService from '#entities/attachments/attachment.service.js';
+import ProjectStatusChangeService from '#entities/project-status-changes/project-status-change.service.js';
+import ProjectMemberService from '#entities/project-members/project-member.service.js';
 
 class ProjectController extends PrimateController {
 
 	/**
-	 * Creates a new campaign.
+	 * Creates a new project.
 	 *
-	 * This method handles the creation of a campaign. It checks for user authentication,
-	 * merges user ID with request body, creates the campaign, and returns the new campaign.
+	 * This method handles the creation of a project. It checks for user authentication,
+	 * merges user ID with request body, creates the project as a draft, and returns it.
 	 *
-	 * @param {Object} req - The request object containing campaign data.
-	 * @param {Object} res - The response object used to return campaign data or error.
+	 * @param {Object} req - The request object containing project data.
+	 * @param {Object} res - The response object used to return project data or error.
 	 * @returns {Promise<void>}
 	 */
 	static async create(req, res) {
@@ -22,54 +27,44 @@ class ProjectController extends PrimateController {
 				return res.respond({ status: 401, message: 'Unauthorized' });
 			}
 
-			const campaignData = {
+			const projectData = {
 				...req.body,
 				userId: req.user.payload.id,
 			};
 
-			const campaign = await ProjectService.create(campaignData);
+			const project = await ProjectService.create(projectData);
 
 			return res.respond({
-				data: campaign,
-				message: 'Campaign created successfully',
+				data: project,
+				message: 'Project created successfully',
 			});
 		} catch (e) {
 			console.error(e);
 			return res.respond({
 				status: 400,
-				message: 'Error creating campaign: ' + e.message,
+				message: 'Error creating project: ' + e.message,
 			});
 		}
 	}
 
 	/**
-	 * Retrieves a campaign by ID.
+	 * Retrieves a project by ID.
 	 *
-	 * Verifies user ownership of the campaign before returning it.
+	 * Verifies the user is a member of the project before returning it, with their role and permissions.
 	 *
-	 * @param {Object} req - The request object with campaign ID.
-	 * @param {Object} res - The response object with campaign data or error.
+	 * @param {Object} req - The request object with project ID.
+	 * @param {Object} res - The response object with project data or error.
 	 * @returns {Promise<void>}
 	 */
 	static async get(req, res) {
 		try {
-			if (!req.user?.payload?.id) {
-				return res.respond({ status: 401, message: 'Unauthorized' });
-			}
-
-			const project = await PrimateService.findById('project', req.params.id);
-
-			if (!project) {
-				return res.respond({ status: 404, message: 'Campaign not found' });
-			}
-
-			if (project.userId !== req.user.payload.id) {
-				return res.respond({ status: 403, message: 'Access denied' });
-			}
+			const project = await ProjectController.getProject(req, res, 'project:read');
+			if(!project) return;
 
 			return res.respond({
 				data: project,
-				message: 'Campaign retrieved successfully',
+				message: 'Project retrieved successfully',
+				props: { access: await ProjectMemberService.access(project, req.user.payload.id) },
 			});
 		} catch (e) {
 			console.error(e);
@@ -81,80 +76,59 @@ class ProjectController extends PrimateController {
 	}
 
 	/**
-	 * Updates an existing campaign.
+	 * Updates an existing project.
 	 *
-	 * Authenticates the user, checks campaign ownership, and updates the data.
+	 * Authenticates the user, checks they can edit the project, and updates the data.
+	 * The status is changed through updateStatus().
 	 *
-	 * @param {Object} req - Request with campaign ID and update data.
-	 * @param {Object} res - Response with updated campaign or error.
+	 * @param {Object} req - Request with project ID and update data.
+	 * @param {Object} res - Response with updated project or error.
 	 * @returns {Promise<void>}
 	 */
 	static async update(req, res) {
 		try {
-			if (!req.user?.payload?.id) {
-				return res.respond({ status: 401, message: 'Unauthorized' });
-			}
-
-			const campaign = await PrimateService.findById('campaign', req.params.id);
-
-			if (!campaign) {
-				return res.respond({ status: 404, message: 'Campaign not found' });
-			}
+			const project = await ProjectController.getProject(req, res, 'project:write');
+			if(!project) return;
 
-			if (campaign.userId !== req.user.payload.id) {
-				return res.respond({ status: 403, message: 'Access denied' });
-			}
-
-			const updatedCampaign = await ProjectService.update(req.params.id, req.body);
+			const updatedProject = await ProjectService.update(req.params.id, req.body);
 
 			return res.respond({
-				data: updatedCampaign,
-				message: 'Campaign updated successfully',
+				data: updatedProject,
+				message: 'Project updated successfully',
 			});
 		} catch (e) {
 			console.error(e);
 			return res.respond({
 				status: 400,
-				message: 'Error updating campaign: ' + e.message,
+				message: 'Error updating project: ' + e.message,
 			});
 		}
 	}
 
 	/**
-	 * Deletes a campaign.
+	 * Deletes a project.
 	 *
-	 * Validates user access, then deletes the campaign by ID.
+	 * Validates the user is an owner of the project, then deletes it by ID.
 	 *
-	 * @param {Object} req - Request with campaign ID.
+	 * @param {Object} req - Request with project ID.
 	 * @param {Object} res - Response with status message.
 	 * @returns {Promise<void>}
 	 */
 	static async delete(req, res) {
 		try {
-			if (!req.user?.payload?.id) {
-				return res.respond({ status: 401, message: 'Unauthorized' });
-			}
-
-			const campaign = await PrimateService.findById('campaign', req.params.id);
-
-			if (!campaign) {
-				return res.respond({ status: 404, message: 'Campaign not found' });
-			}
+			const project = await ProjectController.getProject(req, res, 'project:manage');
+			if(!project) return;
 
-			if (campaign.userId !== req.user.payload.id) {
-				return res.respond({ status: 403, message: 'Access denied' });
-			}
-
-			await PrimateService.delete('campaign', req.params.id);
+			await PrimateService.delete('project', req.params.id);
 
 			return res.respond({
-				message: 'Campaign deleted successfully',
+				message: 'Project deleted successfully',
 			});
 		} catch (e) {
 			console.error(e);
 			return res.respond({
 				status: 400,
-				message: 'Error deleting campaign: ' + e.message,
+				message: 'Error deleting project: ' + e.message,
 			});
 		}
 	}
@@ -172,11 +146,11 @@ class ProjectController extends PrimateController {
 				return res.respond({ status: 401, message: 'Unauthorized' });
 			}
 
-			const campaigns = await ProjectService.findByUser(req.user.payload.id);
+			const projects = await ProjectService.findByUser(req.user.payload.id);
 
 			return res.respond({
-				data: campaigns,
-				message: 'Campaigns retrieved successfully',
+				data: projects,
+				message: 'Projects retrieved successfully',
 			});
 		} catch (e) {
 			console.error(e);
@@ -188,89 +162,126 @@ class ProjectController extends PrimateController {
 	}
 
 	/**
-	 * Updates the status of a campaign (activate, pause, complete).
+	 * Retrieves the lifecycle of a project: its status and the statuses it can move to,
+	 * with the requirements of each one.
 	 *
-	 * @param {Object} req - Request with campaign ID and action.
-	 * @param {Object} res - Response with updated campaign or error.
+	 * @param {Object} req - Request with the project ID.
+	 * @param {Object} res - Response with the lifecycle or error.
 	 * @returns {Promise<void>}
 	 */
-	static async updateStatus(req, res) {
+	static async getStatus(req, res) {
 		try {
-			if (!req.user?.payload?.id) {
-				return res.respond({ status: 401, message: 'Unauthorized' });
-			}
+			const project = await ProjectController.getProject(req, res, 'project:read');
+			if(!project) return;
 
-			const { id } = req.params;
-			const { action } = req.body;
+			const lifecycle = await ProjectService.lifecycle(project);
 
-			const campaign = await PrimateService.findById('campaign', id);
+			return res.respond({
+				data: lifecycle,
+				message: 'Project status retrieved successfully',
+			});
+		} catch (e) {
+			console.error(e);
+			return res.respond({
+				status: 400,
+				message: 'Error retrieving project status: ' + e.message,
+			});
+		}
+	}
 
-			if (!campaign) {
-				return res.respond({ status: 404, message: 'Campaign not found' });
-			}
+	/**
+	 * Moves a project to another lifecycle status.
+	 *
+	 * Body: `status`, optionally `reason`, and `force` to skip the requirements of the status
+	 * (e.g. after an external audit), which requires a reason and the owner role.
+	 *
+	 * @param {Object} req - Request with the project ID and the new status.
+	 * @param {Object} res - Response with the updated project and the transition, or error.
+	 * @returns {Promise<void>}
+	 */
+	static async updateStatus(req, res) {
+		try {
+			const project = await ProjectController.getProject(req, res, 'project:write');
+			if(!project) return;
 
-			if (campaign.userId !== req.user.payload.id) {
-				return res.respond({ status: 403, message: 'Access denied' });
+			const { status, reason } = req.body;
+			if(!status) {
+				return res.respond({ status: 400, message: 'status is required' });
 			}
 
-			let updatedCampaign;
-
-			switch (action) {
-				case 'activate':
-					updatedCampaign = await ProjectService.activate(id);
-					break;
-				case 'pause':
-					updatedCampaign = await ProjectService.pause(id);
-					break;
-				case 'complete':
-					updatedCampaign = await ProjectService.complete(id);
-					break;
-				default:
-					return res.respond({ status: 400, message: 'Invalid action' });
+			const force = req.body.force === true || req.body.force === 'true';
+			if(force && !await ProjectMemberService.can(project, req.user.payload.id, 'project:manage')) {
+				return res.respond({ status: 403, message: 'Only owners can skip the requirements of a status' });
 			}
 
+			const result = await ProjectService.transition(project.id, status, {
+				author: { authorType: 'User', userId: req.user.payload.id },
+				reason,
+				force,
+			});
+
+			return res.respond({
+				data: result,
+				message: `Project moved to ${ status }`,
+			});
+		} catch (e) {
+			console.error(e);
+			return res.respond({
+				status: 400,
+				message: 'Error updating project status: ' + e.message,
+			});
+		}
+	}
+
+	/**
+	 * Lists the lifecycle transitions of a project, newest first. Supports `page` and `limit` query parameters.
+	 *
+	 * @param {Object} req - Request with the project ID.
+	 * @param {Object} res - Response with the transitions or error.
+	 * @returns {Promise<void>}
+	 */
+	static async getStatusHistory(req, res) {
+		try {
+			const project = await ProjectController.getProject(req, res, 'project:read');
+			if(!project) return;
+
+			const { data, count } = await ProjectStatusChangeService.findByProject(project.id, {
+				page: req.query.page,
+				limit: req.query.limit,
+			});
+
 			return res.respond({
-				data: updatedCampaign,
-				message: `Campaign ${action}d successfully`,
+				data,
+				message: 'Status history retrieved successfully',
+				props: { count },
 			});
 		} catch (e) {
 			console.error(e);
 			return res.respond({
 				status: 400,
-				message: 'Error updating campaign status: ' + e.message,
+				message: 'Error retrieving status history: ' + e.message,
 			});
 		}
 	}
 
 	/**
-	 * Updates the campaign's cover image.
+	 * Updates the project's cover image.
 	 *
-	 * Validates ownership and uploads a new resized image.
+	 * Validates the user can edit the project and uploads a new resized image.
 	 *
-	 * @param {Object} req - Request with file and campaign ID.
-	 * @param {Object} res - Response with campaign and cover image.
+	 * @param {Object} req - Request with file and project ID.
+	 * @param {Object} res - Response with project and cover image.
 	 * @returns {Promise<void>}
 	 */
 	static async updateCoverImage(req, res) {
 		try {
-			if (!req.user?.payload?.id) {
-				return res.respond({ status: 401, message: 'Unauthorized' });
-			}
+			const project = await ProjectController.getProject(req, res, 'project:write');
+			if(!project) return;
 
 			if (!req.file) {
 				return res.respond({ status: 400, message: 'No file received' });
 			}
 
-			const campaign = await PrimateService.findById('campaign', req.params.id);
-
-			if (!campaign) {
-				return res.respond({ status: 404, message: 'Campaign not found' });
-			}
-
-			if (campaign.userId !== req.user.payload.id) {
-				return res.respond({ status: 403, message: 'Access denied' });
-			}
-
 			const coverBuffer = await sharp(req.file.buffer)
 				.resize(1200, 630, { fit: 'cover' })
 				.toBuffer();
@@ -281,69 +292,30 @@ class ProjectController extends PrimateController {
 				originalname: `cover-${req.file.originalname}`,
 				mimetype: req.file.mimetype,
 			}, {
-				metas: { type: 'cover', campaignId: campaign.id }
+				metas: { type: 'cover', projectId: project.id }
 			});
 
-			const updatedCampaign = await ProjectService.update(req.params.id, {
-				coverImage: coverAttachment.id,
+			const updatedProject = await ProjectService.update(req.params.id, {
+				coverImage: AttachmentService.getUrl(coverAttachment),
 				metas: {
-					...campaign.metas,
+					...project.metas,
 					coverAttachment: coverAttachment.id,
 				},
+				attachments: { connect: { id: coverAttachment.id } },
 			});
 
 			return res.respond({
 				data: {
-					campaign: updatedCampaign,
+					project: updatedProject,
 					cover: coverAttachment,
 				},
-				message: 'Campaign cover image updated successfully',
+				message: 'Project cover image updated successfully',
 			});
 		} catch (e) {
 			console.error(e);
 			return res.respond({
 				status: 400,
-				message: 'Error updating campaign cover image: ' + e.message,
-			});
-		}
-	}
-
-	/**
-	 * Updates the campaign metrics.
-	 *
-	 * Verifies ownership and updates analytics or performance data.
-	 *
-	 * @param {Object} req - Request with metrics data.
-	 * @param {Object} res - Response with updated campaign.
-	 * @returns {Promise<void>}
-	 */
-	static async updateMetrics(req, res) {
-		try {
-			if (!req.user?.payload?.id) {
-				return res.respond({ status: 401, message: 'Unauthorized' });
-			}
-
-			const campaign = await PrimateService.findById('campaign', req.params.id);
-
-			if (!campaign) {
-				return res.respond({ status: 404, message: 'Campaign not found' });
-			}
-
-			if (campaign.userId !== req.user.payload.id) {
-				return res.respond({ status: 403, message: 'Access denied' });
-			}
-
-			const updatedCampaign = await ProjectService.updateMetrics(req.params.id, req.body.metrics);
-
-			return res.respond({
-				data: updatedCampaign,
-				message: 'Campaign metrics updated successfully',
-			});
-		} catch (e) {
-			console.error(e);
-			return res.respond({
-				status: 400,
-				message: 'Error updating campaign metrics: ' + e.message,
+				message: 'Error updating project cover image: ' + e.message,
 			});
 		}
 	}
@@ -391,6 +363,10 @@ class ProjectController extends PrimateController {
 
 			if(!project) return res.respond({ status: 404, message: 'project not found' });
 
+			if(!await ProjectMemberService.can(project, user.id, 'project:read')) {
+				return res.respond({ status: 403, message: 'Access denied' });
+			}
+
 			return res.respond({
 				data: project,
 				message: 'project retrieved successfully',
@@ -401,6 +377,124 @@ class ProjectController extends PrimateController {
 			return res.respond({ status: 400, message: 'Error getting project: ' + e.message });
 		}
 	}
+
+	/**
+	 * Exports the project as a Foundry repository archive.
+	 *
+	 * `format` is `zip` (default) or `tar.gz`. The archive is downloaded, or with `upload=true`
+	 * stored as an attachment of the project and returned with a download URL.
+	 *
+	 * @param {Object} req - Request with the project ID.
+	 * @param {Object} res - Response with the archive, the attachment or error.
+	 * @returns {Promise<void>}
+	 */
+	static async export(req, res) {
+		try {
+			const project = await ProjectController.getProject(req, res, 'project:read');
+			if(!project) return;
+
+			const options = { format: req.query.format };
+
+			if(req.query.upload === 'true') {
+				const result = await ProjectArchiveService.upload(project, options);
+
+				return res.respond({
+					data: result,
+					message: 'Project exported successfully',
+				});
+			}
+
+			const { buffer, fileName, contentType } = await ProjectArchiveService.export(project, options);
+
+			res.set({
+				'Content-Type': contentType,
+				'Content-Disposition': `attachment; filename="${ fileName }"`,
+				'Content-Length': buffer.length,
+			});
+
+			return res.send(buffer);
+		} catch(e) {
+			console.error(e);
+			return res.respond({
+				status: 400,
+				message: 'Error exporting project: ' + e.message,
+			});
+		}
+	}
+
+	/**
+	 * Imports a Foundry or Hardhat project archive (zip, tar or tar.gz) uploaded as `file`.
+	 *
+	 * With `replace=true` the current sources, tests and scripts are deleted first. Responds with
+	 * what was imported and everything that could not be mapped onto the project.
+	 *
+	 * @param {Object} req - Request with the project ID and the archive.
+	 * @param {Object} res - Response with the import report or error.
+	 * @returns {Promise<void>}
+	 */
+	static async import(req, res) {
+		try {
+			const project = await ProjectController.getProject(req, res, 'project:write');
+			if(!project) return;
+
+			if(!req.file) {
+				return res.respond({ status: 400, message: 'No file received' });
+			}
+
+			const author = { authorType: 'User', userId: req.user.payload.id };
+			const report = await ProjectArchiveService.import(project, req.file.buffer, {
+				fileName: req.file.originalname,
+				replace: req.body?.replace === 'true' || req.query.replace === 'true',
+				author,
+			});
+
+			// Reloaded, the import may have created the workspace
+			const commit = await GitService.record(project.id, `Import ${ req.file.originalname || 'project archive' }`, author);
+
+			return res.respond({
+				data: { ...report, commit },
+				message: 'Project imported successfully',
+			});
+		} catch(e) {
+			console.error(e);
+			return res.respond({
+				status: 400,
+				message: 'Error importing project: ' + e.message,
+			});
+		}
+	}
+
+	/**
+	 * Loads the project of the request and checks that the user holds a permission on it
+	 * (see ProjectMemberService.roles). Responds with the matching error and returns null otherwise.
+	 *
+	 * @param {Object} req - Request with the project ID.
+	 * @param {Object} res - Response object.
+	 * @param {string} permission - `project:read`, `project:write`, `project:deploy` or `project:manage`.
+	 * @returns {Promise<Object|null>} - The project.
+	 */
+	static async getProject(req, res, permission) {
+		if(!req.user?.payload?.id) {
+			res.respond({ status: 401, message: 'Unauthorized' });
+			return null;
+		}
+
+		const project = await PrimateService.findById('project', req.params.id);
+
+		if(!project) {
+			res.respond({ status: 404, message: 'Project not found' });
+			return null;
+		}
+
+		const { role, permissions } = await ProjectMemberService.access(project, req.user.payload.id);
+
+		if(!permissions.includes(permission)) {
+			res.respond({ status: 403, message: role ? `Access denied: the ${ role } role cannot do this` : 'Access denied' });
+			return null;
+		}
+
+		return project;
+	}
 }
 
 export default ProjectController;
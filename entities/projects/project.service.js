@@ -1,65 +1,80 @@
 import primate, { PrimateService } from '@thewebchimp/primate';
+import ProjectStatusChangeService from '#entities/project-status-changes/project-status-change.service.js';
+import NetworkService from '#services/network.service.js';
 import 'dotenv/config';
 import moment from 'moment-timezone';
 moment.locale('es');
 
 class ProjectService {
+
+	// Lifecycle of a project, in order. Archived is reachable from any other status.
+	static statuses = [ 'Draft', 'Building', 'Tested', 'DeployedTestnet', 'Audited', 'DeployedMainnet', 'Archived' ];
+
+	// Projects move forward one step at a time, back to Building to change their contracts, or to Archived
+	static transitions = {
+		Draft: [ 'Building', 'Archived' ],
+		Building: [ 'Tested', 'Draft', 'Archived' ],
+		Tested: [ 'DeployedTestnet', 'Building', 'Archived' ],
+		DeployedTestnet: [ 'Audited', 'Building', 'Archived' ],
+		Audited: [ 'DeployedMainnet', 'Building', 'Archived' ],
+		DeployedMainnet: [ 'Building', 'Archived' ],
+		Archived: [],
+	};
+
 	/**
-	 * Creates a new campaign with the given data.
+	 * Creates a new project. Projects start as drafts.
 	 *
-	 * @param {Object} data - The data for the new campaign.
-	 * @returns {Promise<Object>} - A promise that resolves to the created campaign object.
+	 * @param {Object} data - The data for the new project.
+	 * @returns {Promise<Object>} - A promise that resolves to the created project.
 	 */
 	static async create(data) {
 		try {
-			// Business Logic
-
-			const metas = {};
-
-			if(data.client) metas.client = data.client;
-			if(data.productService) metas.productService = data.productService;
-
-			// Primate Create
-			return PrimateService.create('project', data);
+			return await PrimateService.create('project', { ...data, status: 'Draft' });
 		} catch(e) {
 			throw e;
 		}
 	}
 
 	/**
-	 * Updates a campaign with the given data.
+	 * Updates a project with the given data.
 	 *
-	 * @param {number} id - The ID of the campaign to update.
-	 * @param {Object} data - The data to update the campaign with.
-	 * @param {Object} [options={}] - Additional options for updating the campaign.
-	 * @returns {Promise<Object>} - A promise that resolves to the updated campaign object.
+	 * @param {number} id - The ID of the project to update.
+	 * @param {Object} data - The data to update the project with.
+	 * @param {Object} [options={}] - Additional options for updating the project.
+	 * @returns {Promise<Object>} - A promise that resolves to the updated project.
 	 */
 	static async update(id, data, options = {}) {
 		try {
-			// Handle date conversions if provided
-			if(data.startDate) data.startDate = new Date(data.startDate);
-			if(data.endDate) data.endDate = new Date(data.endDate);
+			// The deployer wallet is selected and shared through PUT /projects/:id/wallet, which checks its owner
+			delete data.walletId;
+			delete data.walletShared;
 
-			return PrimateService.update('project', id, data);
+			// The status follows the lifecycle through PUT /projects/:id/status
+			delete data.status;
+
+			return await PrimateService.update('project', id, data);
 		} catch(e) {
 			throw e;
 		}
 	}
 
 	/**
-	 * Finds projects by user ID.
+	 * Finds the projects of a user: the ones they created and the ones they are a member of.
 	 *
 	 * @param {number} userId - The ID of the user to find projects for.
-	 * @returns {Promise<Array>} - A promise that resolves to an array of campaign objects.
+	 * @returns {Promise<Array>} - A promise that resolves to an array of projects.
 	 */
 	static async findByUser(userId) {
 		try {
 			return await primate.prisma.project.findMany({
 				where: {
-					userId,
+					OR: [
+						{ userId },
+						{ members: { some: { userId, status: 'Active' } } },
+					],
 				},
 				orderBy: {
-					created: 'desc',
+					createdAt: 'desc',
 				},
 			});
 		} catch(e) {
@@ -68,90 +83,248 @@ class ProjectService {
 	}
 
 	/**
-	 * Activates a campaign by updating its status to 'Active'.
+	 * Returns the lifecycle status of a project. Projects with a status from before the lifecycle are drafts.
+	 *
+	 * @param {Object} project - The project.
+	 * @returns {string}
+	 */
+	static statusOf(project) {
+		return this.statuses.includes(project.status) ? project.status : 'Draft';
+	}
+
+	/**
+	 * Returns the statuses a project can move to from its current one.
+	 * Archived projects can only be restored to the status they had before.
 	 *
-	 * @param {number} id - The ID of the campaign to activate.
-	 * @returns {Promise<Object>} - A promise that resolves to the activated campaign object.
-	 * @throws {Error} - Throws an error if the campaign is not found or if it cannot be activated.
+	 * @param {Object} project - The project.
+	 * @returns {Promise<string[]>}
 	 */
-	static async activate(id) {
+	static async targets(project) {
 		try {
-			const project = await PrimateService.findById('project', id);
+			const status = this.statusOf(project);
+			if(status !== 'Archived') return this.transitions[status];
+
+			const archivedFrom = await ProjectStatusChangeService.findArchivedFrom(project.id);
+			return [ archivedFrom && archivedFrom !== 'Archived' ? archivedFrom : 'Draft' ];
+		} catch(e) {
+			throw e;
+		}
+	}
+
+	/**
+	 * Checks the requirements of a status for a project.
+	 *
+	 * - Building: the project has contracts.
+	 * - Tested: the last build succeeded and the last full test run passed.
+	 * - DeployedTestnet / DeployedMainnet: a contract was deployed successfully on a testnet / mainnet.
+	 * - Audited: the last static analysis of all the contracts succeeded without open high severity findings.
+	 *
+	 * @param {Object} project - The project.
+	 * @param {string} status - The status.
+	 * @returns {Promise<Array<{requirement: string, met: boolean, detail: string}>>}
+	 */
+	static async check(project, status) {
+		try {
+			const checks = [];
+			const projectId = project.id;
+
+			if(status === 'Building') {
+				const contracts = await primate.prisma.contract.count({ where: { projectId } });
+				checks.push({
+					requirement: 'contracts',
+					met: contracts > 0,
+					detail: contracts > 0 ? `${ contracts } contract(s)` : 'The project has no contracts',
+				});
+			}
+
+			if(status === 'Tested') {
+				checks.push({
+					requirement: 'build',
+					met: project.buildStatus === 'Success',
+					detail: project.buildStatus === 'Success' ? 'The last build succeeded' : `The last build status is ${ project.buildStatus }`,
+				});
+
+				// Runs limited to one test file do not count
+				const testRun = await primate.prisma.testRun.findFirst({
+					where: { projectId, filter: null },
+					orderBy: { createdAt: 'desc' },
+				});
+
+				let detail = 'The tests were never run';
+				if(testRun?.status === 'Error') detail = 'The last test run produced no report';
+				else if(testRun && testRun.failed > 0) detail = `${ testRun.failed } test(s) failed in the last run`;
+				else if(testRun && testRun.passed === 0) detail = 'The last test run has no passing tests';
+				else if(testRun) detail = `${ testRun.passed } test(s) passed in the last run`;
 
-			if(!project) throw new Error('project not found');
+				checks.push({
+					requirement: 'tests',
+					met: !!testRun && testRun.status === 'Success' && testRun.failed === 0 && testRun.passed > 0,
+					detail,
+				});
+			}
 
-			// Check if campaign can be activated (has required fields)
-			if(!project.startDate) throw new Error('Cannot activate campaign without a start date');
+			if(status === 'DeployedTestnet' || status === 'DeployedMainnet') {
+				const testnet = status === 'DeployedTestnet';
+				const deployments = await primate.prisma.deployment.findMany({
+					where: { projectId, status: 'Success' },
+					select: { network: true },
+				});
+				const networks = [ ...new Set(deployments.map(deployment => deployment.network)) ]
+					.filter(name => NetworkService.networks.get(name)?.testnet === testnet);
 
-			return await PrimateService.update('project', id, { status: 'Active' });
+				checks.push({
+					requirement: testnet ? 'testnetDeployment' : 'mainnetDeployment',
+					met: networks.length > 0,
+					detail: networks.length > 0
+						? `Deployed on ${ networks.join(', ') }`
+						: `No successful deployment on a ${ testnet ? 'testnet' : 'mainnet' }`,
+				});
+			}
+
+			if(status === 'Audited') {
+				// Runs limited to one contract do not count
+				const analysisRun = await primate.prisma.analysisRun.findFirst({
+					where: { projectId, contractId: null },
+					orderBy: { createdAt: 'desc' },
+				});
+
+				let detail = 'The contracts were never analyzed';
+				if(analysisRun?.status === 'Failed') detail = 'The last static analysis failed';
+				else if(analysisRun?.high > 0) detail = `${ analysisRun.high } open high severity finding(s)`;
+				else if(analysisRun) detail = 'No open high severity findings';
+
+				checks.push({
+					requirement: 'analysis',
+					met: !!analysisRun && analysisRun.status === 'Success' && analysisRun.high === 0,
+					detail,
+				});
+			}
+
+			return checks;
 		} catch(e) {
 			throw e;
 		}
 	}
 
 	/**
-	 * Pauses a campaign by updating its status to 'Paused'.
+	 * Returns the lifecycle of a project: its status and the statuses it can move to with their requirements.
 	 *
-	 * @param {number} id - The ID of the campaign to pause.
-	 * @returns {Promise<Object>} - A promise that resolves to the paused campaign object.
-	 * @throws {Error} - Throws an error if the campaign is not found.
+	 * @param {Object} project - The project.
+	 * @returns {Promise<{status: string, transitions: Array<{status: string, allowed: boolean, checks: Array}>}>}
 	 */
-	static async pause(id) {
+	static async lifecycle(project) {
 		try {
-			const campaign = await PrimateService.findById('campaign', id);
+			const transitions = [];
 
-			if(!campaign) throw new Error('Campaign not found');
+			for(const status of await this.targets(project)) {
+				const checks = this.statusOf(project) === 'Archived' ? [] : await this.check(project, status);
+				transitions.push({ status, allowed: checks.every(check => check.met), checks });
+			}
 
-			return await PrimateService.update('campaign', id, { status: 'Paused' });
+			return { status: this.statusOf(project), transitions };
 		} catch(e) {
 			throw e;
 		}
 	}
 
 	/**
-	 * Completes a campaign by updating its status to 'Completed'.
+	 * Moves a project to another lifecycle status and records the transition.
 	 *
-	 * @param {number} id - The ID of the campaign to complete.
-	 * @returns {Promise<Object>} - A promise that resolves to the completed campaign object.
-	 * @throws {Error} - Throws an error if the campaign is not found.
+	 * @param {number} id - The ID of the project.
+	 * @param {string} status - The new status.
+	 * @param {Object} [options={}] - Options.
+	 * @param {Object} [options.author={}] - Who made the change (see ContractRevisionService.record()).
+	 * @param {string} [options.reason] - Why the status changed.
+	 * @param {boolean} [options.force=false] - Skips the requirements of the new status, e.g. for an external
+	 *   audit. Requires a reason.
+	 * @returns {Promise<{project: Object, transition: Object}>} - The updated project and the transition.
+	 * @throws {Error} - If the project is not found, the transition is not allowed or its requirements are not met.
 	 */
-	static async complete(id) {
+	static async transition(id, status, options = {}) {
 		try {
-			const campaign = await PrimateService.findById('campaign', id);
+			const { author = {}, reason, force = false } = options;
+
+			const project = await PrimateService.findById('project', id);
+			if(!project) throw new Error('Project not found');
+
+			if(!this.statuses.includes(status)) {
+				throw new Error(`Invalid status ${ status }, expected one of: ${ this.statuses.join(', ') }`);
+			}
+
+			const current = this.statusOf(project);
+			if(status === current) throw new Error(`The project is already ${ status }`);
 
-			if(!campaign) throw new Error('Campaign not found');
+			const targets = await this.targets(project);
+			if(!targets.includes(status)) {
+				throw new Error(`The project cannot move from ${ current } to ${ status }, only to: ${ targets.join(', ') }`);
+			}
 
-			return await PrimateService.update('campaign', id, {
-				status: 'Completed',
-				endDate: new Date(), // Set end date to current date if not specified
+			if(force && !reason) throw new Error('A reason is required to skip the requirements');
+
+			// Restoring an archived project brings it back to where it was, whatever got it there
+			const checks = current === 'Archived' ? [] : await this.check(project, status);
+			const unmet = checks.filter(check => !check.met);
+			if(unmet.length > 0 && !force) {
+				throw new Error(`The project cannot move to ${ status }: ${ unmet.map(check => check.detail).join('; ') }`);
+			}
+
+			const updated = await primate.prisma.project.update({
+				where: { id: project.id },
+				data: { status },
 			});
+
+			const transition = await ProjectStatusChangeService.record({ ...project, status: current }, status, author, {
+				reason,
+				forced: unmet.length > 0,
+				checks,
+			});
+
+			return { project: updated, transition };
 		} catch(e) {
 			throw e;
 		}
 	}
 
 	/**
-	 * Updates campaign metrics.
+	 * Moves a project forward along the lifecycle towards a status, one step at a time while the
+	 * requirements of the next step are met. Used when something happens outside of PUT /projects/:id/status,
+	 * e.g. a deployment.
 	 *
-	 * @param {number} id - The ID of the campaign to update metrics for.
-	 * @param {Object} metrics - The metrics data to update.
-	 * @returns {Promise<Object>} - A promise that resolves to the updated campaign object.
-	 * @throws {Error} - Throws an error if the campaign is not found.
+	 * @param {number} id - The ID of the project.
+	 * @param {string} status - The status to reach.
+	 * @param {Object} [author={}] - Who made the change.
+	 * @returns {Promise<Array<Object>>} - The transitions made, none if the project is archived, already
+	 *   past the status or blocked by a requirement.
 	 */
-	static async updateMetrics(id, metrics) {
+	static async advance(id, status, author = {}) {
 		try {
-			const campaign = await PrimateService.findById('campaign', id);
+			const path = this.statuses.filter(name => name !== 'Archived');
+			const made = [];
+
+			let project = await PrimateService.findById('project', id);
+
+			while(project) {
+				const index = path.indexOf(this.statusOf(project));
+				if(index === -1 || index >= path.indexOf(status)) break;
+
+				const next = path[index + 1];
+				const checks = await this.check(project, next);
+				if(checks.some(check => !check.met)) break;
 
-			if(!campaign) throw new Error('Campaign not found');
+				const { project: updated, transition } = await this.transition(project.id, next, {
+					author,
+					reason: `Reached on the way to ${ status }`,
+				});
 
-			// Merge existing metrics with new metrics
-			const updatedMetrics = { ...campaign.metrics, ...metrics };
+				made.push(transition);
+				project = updated;
+			}
 
-			return await PrimateService.update('campaign', id, { metrics: updatedMetrics });
+			return made;
 		} catch(e) {
 			throw e;
 		}
 	}
 }
 
-export default ProjectService;
\ No newline at end of file
+export default ProjectService;
@@ -1,38 +1,199 @@
 import { auth, Primate } from '@thewebchimp/primate';
 import ProjectController from './project.controller.js';
+import JobController from '#entities/jobs/job.controller.js';
+import TestRunController from '#entities/test-runs/test-run.controller.js';
+import WalletController from '#entities/wallets/wallet.controller.js';
+import DeploymentController from '#entities/deployments/deployment.controller.js';
+import ContractController from '#entities/contracts/contract.controller.js';
+import ContractEventController from '#entities/contract-events/contract-event.controller.js';
+import DependencyController from '#entities/dependencies/dependency.controller.js';
+import AnalysisRunController from '#entities/analysis-runs/analysis-run.controller.js';
+import GasSnapshotController from '#entities/gas-snapshots/gas-snapshot.controller.js';
+import WorkspaceController from '#entities/workspaces/workspace.controller.js';
+import ProjectMemberController from '#entities/project-members/project-member.controller.js';
+import ProjectArchiveService from '#services/project-archive.service.js';
 import multer from 'multer';
 
 const router = Primate.getRouter();
 const storage = multer.memoryStorage();
-const upload = multer({ storage: storage });
+// Uploads are buffered in memory, so they stop at the archive size limit
+const upload = multer({ storage: storage, limits: { fileSize: ProjectArchiveService.maxArchiveSize } });
 
-// Create a new campaign
+// Create a new project
 router.post('/', auth, ProjectController.create);
 
 // Get authenticated user's projects
 router.get('/my-projects', auth, ProjectController.getMyList);
 
-// Get a specific campaign by ID
+// Get an invitation by the token of its acceptance link
+router.get('/invitations/:token', auth, ProjectMemberController.getInvitation);
+
+// Accept an invitation sent to the user's email
+router.post('/invitations/:token/accept', auth, ProjectMemberController.acceptInvitation);
+
+// Decline an invitation sent to the user's email
+router.post('/invitations/:token/decline', auth, ProjectMemberController.declineInvitation);
+
+// Get a specific project by ID
 router.get('/:id', auth, ProjectController.get);
 
-// Update a campaign
+// Update a project
 router.put('/:id', auth, ProjectController.update);
 
-// Delete a campaign
+// Delete a project
 router.delete('/:id', auth, ProjectController.delete);
 
-// Update campaign status
+// Lifecycle status with the requirements of the next statuses
+router.get('/:id/status', auth, ProjectController.getStatus);
+
+// Move the project to another lifecycle status ({ status, reason, force })
 router.put('/:id/status', auth, ProjectController.updateStatus);
 
-// Update campaign cover image
+// Lifecycle transition history
+router.get('/:id/status/history', auth, ProjectController.getStatusHistory);
+
+// Update project cover image
 router.put('/:id/cover', auth, upload.single('file'), ProjectController.updateCoverImage);
 
-// Update campaign metrics
-router.put('/:id/metrics', auth, ProjectController.updateMetrics);
+// Members and pending invitations of a project
+router.get('/:id/members', auth, ProjectMemberController.getMembers);
+
+// Invite someone by email ({ email, role })
+router.post('/:id/members', auth, ProjectMemberController.invite);
+
+// Change the role of a member ({ role })
+router.put('/:id/members/:memberId', auth, ProjectMemberController.updateMember);
+
+// Remove a member, cancel an invitation or leave the project
+router.delete('/:id/members/:memberId', auth, ProjectMemberController.removeMember);
+
+// Get the deployer wallet selected for a project
+router.get('/:id/wallet', auth, WalletController.getProjectWallet);
+
+// Select the deployer wallet of a project
+router.put('/:id/wallet', auth, WalletController.selectProjectWallet);
+
+// List the forge jobs of a project
+router.get('/:id/jobs', auth, JobController.getProjectJobs);
+
+// Get a job with its log
+router.get('/:id/jobs/:jobId', auth, JobController.getProjectJob);
+
+// Cancel a queued or running job
+router.post('/:id/jobs/:jobId/cancel', auth, JobController.cancel);
+
+// Test run history of a project
+router.get('/:id/test-runs', auth, TestRunController.getProjectRuns);
+
+// Get a test run with its per-test results
+router.get('/:id/test-runs/:runId', auth, TestRunController.getProjectRun);
+
+// Gas snapshot of a test run, compared with the previous run or the baseline
+router.get('/:id/test-runs/:runId/gas', auth, GasSnapshotController.getDiff);
+
+// Gas snapshot of the latest test run, compared with the previous run or the baseline
+router.get('/:id/gas', auth, GasSnapshotController.getDiff);
+
+// Mark a test run as the gas baseline
+router.put('/:id/gas/baseline', auth, GasSnapshotController.setBaseline);
+
+// Deployment history of a project
+router.get('/:id/deployments', auth, DeploymentController.getProjectDeployments);
+
+// Deploy a compiled contract, on a testnet or a mainnet
+router.post('/:id/deployments', auth, DeploymentController.deploy);
+
+// Get a deployment with its verification status
+router.get('/:id/deployments/:deploymentId', auth, DeploymentController.getProjectDeployment);
+
+// Verify a deployment on the network's block explorer
+router.post('/:id/deployments/:deploymentId/verify', auth, DeploymentController.verify);
+
+// Solidity libraries installed in a project
+router.get('/:id/dependencies', auth, DependencyController.getProjectDependencies);
+
+// Install a library at a pinned release
+router.post('/:id/dependencies', auth, DependencyController.add);
+
+// Uninstall a library
+router.delete('/:id/dependencies/:name', auth, DependencyController.remove);
+
+// Create contracts, tests and a deploy script from a contract template
+router.post('/:id/contracts/from-template', auth, ContractController.createFromTemplate);
+
+// List the ABI functions and events of a contract
+router.get('/:id/contracts/:contractId', auth, ContractController.getInterface);
+
+// Call a view or pure function of a deployed contract
+router.post('/:id/contracts/:contractId/call', auth, ContractController.call);
+
+// Send a transaction to a deployed contract from the project wallet
+router.post('/:id/contracts/:contractId/send', auth, ContractController.send);
+
+// Source revisions of a contract
+router.get('/:id/contracts/:contractId/revisions', auth, ContractController.getRevisions);
+
+// Get a revision with its source
+router.get('/:id/contracts/:contractId/revisions/:version', auth, ContractController.getRevision);
+
+// Restore the source of a contract to a revision
+router.post('/:id/contracts/:contractId/revisions/:version/restore', auth, ContractController.restore);
+
+// Diff between two revisions of a contract (?from=&to=)
+router.get('/:id/contracts/:contractId/diff', auth, ContractController.diff);
+
+// Events emitted by the project's deployed contracts
+router.get('/:id/events', auth, ContractEventController.getProjectEvents);
+
+// Events emitted by the deployments of a contract
+router.get('/:id/contracts/:contractId/events', auth, ContractEventController.getContractEvents);
+
+// Latest static analysis of the project's contracts
+router.get('/:id/analysis', auth, AnalysisRunController.getLatest);
+
+// Analyze the project's contracts
+router.post('/:id/analysis', auth, AnalysisRunController.run);
+
+// Analysis history of a project
+router.get('/:id/analysis/runs', auth, AnalysisRunController.getProjectRuns);
+
+// Dismiss or reopen a finding
+router.put('/:id/analysis/findings/:findingId', auth, AnalysisRunController.updateFinding);
+
+// File tree of the project's src, test and script folders
+router.get('/:id/files', auth, WorkspaceController.getTree);
+
+// Read a file (e.g. /files/src/Token.sol)
+router.get('/:id/files/*', auth, WorkspaceController.getFile);
+
+// Create a file
+router.post('/:id/files/*', auth, WorkspaceController.createFile);
+
+// Update a file
+router.put('/:id/files/*', auth, WorkspaceController.updateFile);
+
+// Rename or move a file or directory ({ to })
+router.patch('/:id/files/*', auth, WorkspaceController.renameFile);
+
+// Delete a file or directory
+router.delete('/:id/files/*', auth, WorkspaceController.deleteFile);
+
+// Workspace history (?page, ?limit, ?path)
+router.get('/:id/git/log', auth, WorkspaceController.getLog);
+
+// A commit with its changed files and diff
+router.get('/:id/git/commits/:hash', auth, WorkspaceController.getCommit);
+
+// Revert a commit with a new commit
+router.post('/:id/git/commits/:hash/revert', auth, WorkspaceController.revertCommit);
+
+// Push the workspace history to the project repoUrl
+router.post('/:id/git/push', auth, WorkspaceController.push);
+
+// Download the project as a Foundry repository (?format=zip|tar.gz, ?upload=true to store it as an attachment)
+router.get('/:id/export', auth, ProjectController.export);
 
-Primate.setupRoute('campaign', router, {
-	searchField: ['name'],
-	queryableFields: ['name', 'type', 'status'],
-});
+// Import a Foundry or Hardhat project archive (multipart `file`, ?replace=true to clear the sources first)
+router.post('/:id/import', auth, upload.single('file'), ProjectController.import);
 
 export { router };
\ No newline at end of file
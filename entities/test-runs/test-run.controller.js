@@ -0,0 +1,69 @@
+import { PrimateController } from '@thewebchimp/primate';
+import ProjectController from '#entities/projects/project.controller.js';
+import TestRunService from './test-run.service.js';
+
+class TestRunController extends PrimateController {
+
+	/**
+	 * Lists the test run history of a project.
+	 *
+	 * Supports `status`, `page` and `limit` query parameters.
+	 *
+	 * @param {Object} req - Request with the project ID.
+	 * @param {Object} res - Response with the test runs or error.
+	 * @returns {Promise<void>}
+	 */
+	static async getProjectRuns(req, res) {
+		try {
+			const project = await ProjectController.getProject(req, res, 'project:read');
+			if(!project) return;
+
+			const runs = await TestRunService.findByProject(project.id, req.query);
+
+			return res.respond({
+				data: runs.data,
+				message: 'Test runs retrieved successfully',
+				props: { count: runs.count },
+			});
+		} catch(e) {
+			console.error(e);
+			return res.respond({
+				status: 400,
+				message: 'Error retrieving test runs: ' + e.message,
+			});
+		}
+	}
+
+	/**
+	 * Retrieves a test run of a project with its per-test results.
+	 *
+	 * @param {Object} req - Request with the project and run IDs.
+	 * @param {Object} res - Response with the test run or error.
+	 * @returns {Promise<void>}
+	 */
+	static async getProjectRun(req, res) {
+		try {
+			const project = await ProjectController.getProject(req, res, 'project:read');
+			if(!project) return;
+
+			const run = await TestRunService.findForProject(project.id, req.params.runId);
+
+			if(!run) {
+				return res.respond({ status: 404, message: 'Test run not found' });
+			}
+
+			return res.respond({
+				data: run,
+				message: 'Test run retrieved successfully',
+			});
+		} catch(e) {
+			console.error(e);
+			return res.respond({
+				status: 400,
+				message: 'Error retrieving test run: ' + e.message,
+			});
+		}
+	}
+}
+
+export default TestRunController;
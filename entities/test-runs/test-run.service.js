@@ -0,0 +1,206 @@
+import primate from '@thewebchimp/primate';
+
+// forge reports Success, Failure or Skipped for each test
+const statusMap = {
+	Success: 'Passed',
+	Failure: 'Failed',
+	Skipped: 'Skipped',
+};
+
+const durationUnits = {
+	h: 3600000,
+	m: 60000,
+	s: 1000,
+	ms: 1,
+	'µs': 0.001,
+	us: 0.001,
+	ns: 0.000001,
+};
+
+class TestRunService {
+	/**
+	 * Finds the JSON report printed by `forge test --json` in a job log.
+	 * The report is printed on a single line; other lines are compiler progress.
+	 *
+	 * @param {string} output - The job log.
+	 * @returns {Object|null} - The report, or null if the output has none.
+	 */
+	static extractReport(output = '') {
+		const lines = output.split('\n').map(line => line.trim()).filter(line => line.startsWith('{'));
+
+		for(const line of lines.reverse()) {
+			try {
+				const report = JSON.parse(line);
+				if(report && typeof report === 'object' && !Array.isArray(report)) return report;
+			} catch(e) {
+				// Not the report line
+			}
+		}
+
+		return null;
+	}
+
+	/**
+	 * Converts a forge duration to milliseconds. Older forge versions print `{ secs, nanos }`,
+	 * newer ones a human readable string like "1s 23ms 4µs".
+	 *
+	 * @param {Object|string} duration - The forge duration.
+	 * @returns {number|null} - Milliseconds, rounded.
+	 */
+	static parseDuration(duration) {
+		if(!duration) return null;
+
+		if(typeof duration === 'object') {
+			return Math.round((duration.secs || 0) * 1000 + (duration.nanos || 0) / 1e6);
+		}
+
+		let total = 0;
+		let matched = false;
+
+		for(const [ , value, unit ] of String(duration).matchAll(/(\d+(?:\.\d+)?)\s*(ms|µs|us|ns|h|m|s)/g)) {
+			total += parseFloat(value) * durationUnits[unit];
+			matched = true;
+		}
+
+		return matched ? Math.round(total) : null;
+	}
+
+	/**
+	 * Flattens a forge JSON report into per-test results.
+	 *
+	 * @param {Object} report - The parsed `forge test --json` output.
+	 * @returns {{results: Array, duration: number}} - Results and the summed suite duration in ms.
+	 */
+	static parseReport(report) {
+		const results = [];
+		let duration = 0;
+
+		for(const [ suite, suiteResult ] of Object.entries(report || {})) {
+			duration += this.parseDuration(suiteResult?.duration) || 0;
+
+			for(const [ test, result ] of Object.entries(suiteResult?.test_results || {})) {
+				const [ kind, details = {} ] = Object.entries(result.kind || {})[0] || [ 'Unit', {} ];
+				const gas = details.gas ?? details.mean_gas ?? null;
+
+				const metas = {};
+				if(kind === 'Fuzz') Object.assign(metas, { runs: details.runs, medianGas: details.median_gas });
+				if(kind === 'Invariant') Object.assign(metas, { runs: details.runs, calls: details.calls, reverts: details.reverts });
+
+				results.push({
+					suite,
+					test,
+					status: statusMap[result.status] || result.status,
+					kind,
+					gas: gas !== null ? BigInt(gas) : null,
+					reason: result.reason || null,
+					logs: result.decoded_logs || [],
+					counterexample: result.counterexample || null,
+					duration: this.parseDuration(result.duration),
+					metas,
+				});
+			}
+		}
+
+		return { results, duration };
+	}
+
+	/**
+	 * Stores a test run with its results.
+	 *
+	 * @param {Object} data - The run.
+	 * @param {number} data.projectId - The ID of the project.
+	 * @param {number} [data.jobId] - The ID of the forge job.
+	 * @param {string} [data.filter] - Test file the run was limited to.
+	 * @param {Object|null} data.report - The parsed forge report; null when forge printed none.
+	 * @param {string} [data.error] - Why the run produced no report.
+	 * @returns {Promise<Object>} - The test run with its results.
+	 */
+	static async createFromReport(data) {
+		try {
+			const { projectId, jobId = null, filter = null, report, error = null } = data;
+			const { results, duration } = this.parseReport(report);
+
+			const passed = results.filter(r => r.status === 'Passed').length;
+			const failed = results.filter(r => r.status === 'Failed').length;
+			const skipped = results.filter(r => r.status === 'Skipped').length;
+
+			let status = failed > 0 ? 'Failed' : 'Success';
+			if(!report) status = 'Error';
+
+			return await primate.prisma.testRun.create({
+				data: {
+					projectId: parseInt(projectId, 10),
+					jobId,
+					status,
+					filter,
+					total: results.length,
+					passed,
+					failed,
+					skipped,
+					duration: report ? duration : null,
+					error,
+					results: { create: results },
+				},
+				include: { results: true },
+			});
+		} catch(e) {
+			throw e;
+		}
+	}
+
+	/**
+	 * Finds the test runs of a project, newest first, without their results.
+	 *
+	 * @param {number} projectId - The ID of the project.
+	 * @param {Object} [options={}] - Filters and pagination.
+	 * @param {string} [options.status] - Only runs with this status.
+	 * @param {number} [options.page=1] - Page number.
+	 * @param {number} [options.limit=20] - Runs per page (max 100).
+	 * @returns {Promise<{data: Array, count: number}>} - The runs and the total count.
+	 */
+	static async findByProject(projectId, options = {}) {
+		try {
+			const page = Math.max(parseInt(options.page, 10) || 1, 1);
+			const limit = Math.min(Math.max(parseInt(options.limit, 10) || 20, 1), 100);
+
+			const where = { projectId: parseInt(projectId, 10) };
+			if(options.status) where.status = options.status;
+
+			const [ data, count ] = await Promise.all([
+				primate.prisma.testRun.findMany({
+					where,
+					orderBy: { createdAt: 'desc' },
+					skip: (page - 1) * limit,
+					take: limit,
+				}),
+				primate.prisma.testRun.count({ where }),
+			]);
+
+			return { data, count };
+		} catch(e) {
+			throw e;
+		}
+	}
+
+	/**
+	 * Finds a test run of a project with its results.
+	 *
+	 * @param {number} projectId - The ID of the project.
+	 * @param {number} id - The ID of the test run.
+	 * @returns {Promise<Object|null>} - The run, or null if it does not belong to the project.
+	 */
+	static async findForProject(projectId, id) {
+		try {
+			return await primate.prisma.testRun.findFirst({
+				where: { id: parseInt(id, 10), projectId: parseInt(projectId, 10) },
+				include: {
+					results: { orderBy: [ { suite: 'asc' }, { test: 'asc' } ] },
+				},
+			});
+		} catch(e) {
+			throw e;
+		}
+	}
+}
+
+export default TestRunService;
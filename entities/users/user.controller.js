@@ -3,6 +3,7 @@ import queryString from 'query-string';
 import primate, { PrimateService, PrimateController, jwt } from '@thewebchimp/primate';
 import UserService from '#entities/users/user.service.js';
 import UploadService from '#services/upload.service.js';
+import ProjectMemberService from '#entities/project-members/project-member.service.js';
 import bcrypt from 'bcrypt';
 
 class UserController extends PrimateController {
@@ -602,6 +603,11 @@ class UserController extends PrimateController {
 		if(!isNaN(entityId)) entityId = parseInt(entityId);
 
 		try {
+			// Project chats are open to the project members
+			if(!await ProjectMemberService.can(entityId, user.id, 'project:read')) {
+				return res.respond({ status: 403, message: 'Access denied' });
+			}
+
 			// check if a chat exists for the user
 			let chat = await PrimateService.findBy('chat', { userId: user.id, projectId: entityId, entity, entityId });
 			if(!chat) chat = await PrimateService.create('chat', { userId: user.id, projectId: entityId, entity, entityId });
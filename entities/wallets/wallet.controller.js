@@ -0,0 +1,255 @@
+import { PrimateService, PrimateController } from '@thewebchimp/primate';
+import ProjectController from '#entities/projects/project.controller.js';
+import WalletService from './wallet.service.js';
+
+class WalletController extends PrimateController {
+
+	/**
+	 * Lists the deployer wallets of the authenticated user.
+	 *
+	 * @param {Object} req - Request object.
+	 * @param {Object} res - Response with the wallets or error.
+	 * @returns {Promise<void>}
+	 */
+	static async getMyList(req, res) {
+		try {
+			if(!req.user?.payload?.id) {
+				return res.respond({ status: 401, message: 'Unauthorized' });
+			}
+
+			const wallets = await WalletService.findByUser(req.user.payload.id);
+
+			return res.respond({
+				data: wallets,
+				message: 'Wallets retrieved successfully',
+			});
+		} catch(e) {
+			console.error(e);
+			return res.respond({
+				status: 400,
+				message: 'Error retrieving wallets: ' + e.message,
+			});
+		}
+	}
+
+	/**
+	 * Creates a new random deployer wallet.
+	 *
+	 * @param {Object} req - Request with the wallet name.
+	 * @param {Object} res - Response with the wallet or error.
+	 * @returns {Promise<void>}
+	 */
+	static async create(req, res) {
+		try {
+			if(!req.user?.payload?.id) {
+				return res.respond({ status: 401, message: 'Unauthorized' });
+			}
+
+			const wallet = await WalletService.create(req.user.payload.id, { name: req.body.name });
+
+			return res.respond({
+				data: wallet,
+				message: 'Wallet created successfully',
+			});
+		} catch(e) {
+			console.error(e);
+			return res.respond({
+				status: 400,
+				message: 'Error creating wallet: ' + e.message,
+			});
+		}
+	}
+
+	/**
+	 * Imports a wallet from a private key or mnemonic.
+	 *
+	 * @param {Object} req - Request with name and privateKey or mnemonic.
+	 * @param {Object} res - Response with the wallet or error.
+	 * @returns {Promise<void>}
+	 */
+	static async import(req, res) {
+		try {
+			if(!req.user?.payload?.id) {
+				return res.respond({ status: 401, message: 'Unauthorized' });
+			}
+
+			const { name, privateKey, mnemonic } = req.body;
+			const wallet = await WalletService.import(req.user.payload.id, { name, privateKey, mnemonic });
+
+			return res.respond({
+				data: wallet,
+				message: 'Wallet imported successfully',
+			});
+		} catch(e) {
+			// The request carries a secret, so it is not logged
+			return res.respond({
+				status: 400,
+				message: 'Error importing wallet: ' + e.message,
+			});
+		}
+	}
+
+	/**
+	 * Retrieves a wallet of the authenticated user.
+	 *
+	 * @param {Object} req - Request with the wallet ID.
+	 * @param {Object} res - Response with the wallet or error.
+	 * @returns {Promise<void>}
+	 */
+	static async get(req, res) {
+		try {
+			if(!req.user?.payload?.id) {
+				return res.respond({ status: 401, message: 'Unauthorized' });
+			}
+
+			const wallet = await WalletService.findForUser(req.user.payload.id, req.params.id);
+
+			if(!wallet) {
+				return res.respond({ status: 404, message: 'Wallet not found' });
+			}
+
+			return res.respond({
+				data: WalletService.sanitize(wallet),
+				message: 'Wallet retrieved successfully',
+			});
+		} catch(e) {
+			console.error(e);
+			return res.respond({
+				status: 400,
+				message: 'Error retrieving wallet: ' + e.message,
+			});
+		}
+	}
+
+	/**
+	 * Returns the balance of a wallet on the `network` query parameter, or on every network.
+	 *
+	 * @param {Object} req - Request with the wallet ID.
+	 * @param {Object} res - Response with the balances or error.
+	 * @returns {Promise<void>}
+	 */
+	static async getBalance(req, res) {
+		try {
+			if(!req.user?.payload?.id) {
+				return res.respond({ status: 401, message: 'Unauthorized' });
+			}
+
+			const wallet = await WalletService.findForUser(req.user.payload.id, req.params.id);
+
+			if(!wallet) {
+				return res.respond({ status: 404, message: 'Wallet not found' });
+			}
+
+			const balances = req.query.network
+				? [ await WalletService.getBalance(wallet, req.query.network) ]
+				: await WalletService.getBalances(wallet);
+
+			return res.respond({
+				data: balances,
+				message: 'Balances retrieved successfully',
+			});
+		} catch(e) {
+			console.error(e);
+			return res.respond({
+				status: 400,
+				message: 'Error retrieving balance: ' + e.message,
+			});
+		}
+	}
+
+	/**
+	 * Archives a wallet of the authenticated user.
+	 *
+	 * @param {Object} req - Request with the wallet ID.
+	 * @param {Object} res - Response with the archived wallet or error.
+	 * @returns {Promise<void>}
+	 */
+	static async archive(req, res) {
+		try {
+			if(!req.user?.payload?.id) {
+				return res.respond({ status: 401, message: 'Unauthorized' });
+			}
+
+			const wallet = await WalletService.archive(req.user.payload.id, req.params.id);
+
+			return res.respond({
+				data: wallet,
+				message: 'Wallet archived successfully',
+			});
+		} catch(e) {
+			console.error(e);
+			return res.respond({
+				status: 400,
+				message: 'Error archiving wallet: ' + e.message,
+			});
+		}
+	}
+
+	/**
+	 * Retrieves the deployer wallet selected for a project.
+	 *
+	 * @param {Object} req - Request with the project ID.
+	 * @param {Object} res - Response with the wallet (or null) or error.
+	 * @returns {Promise<void>}
+	 */
+	static async getProjectWallet(req, res) {
+		try {
+			const project = await ProjectController.getProject(req, res, 'project:read');
+			if(!project) return;
+
+			const wallet = project.walletId
+				? await PrimateService.prisma.wallet.findUnique({ where: { id: project.walletId } })
+				: null;
+
+			return res.respond({
+				data: wallet ? { ...WalletService.sanitize(wallet), shared: project.walletShared } : null,
+				message: wallet ? 'Project wallet retrieved successfully' : 'No wallet selected for this project',
+			});
+		} catch(e) {
+			console.error(e);
+			return res.respond({
+				status: 400,
+				message: 'Error retrieving project wallet: ' + e.message,
+			});
+		}
+	}
+
+	/**
+	 * Selects the deployer wallet of a project. Send `walletId: null` to unselect it, and `shared: true`
+	 * to let the members allowed to deploy sign with it (project owner only).
+	 *
+	 * @param {Object} req - Request with the project ID and walletId.
+	 * @param {Object} res - Response with the selected wallet or error.
+	 * @returns {Promise<void>}
+	 */
+	static async selectProjectWallet(req, res) {
+		try {
+			const project = await ProjectController.getProject(req, res, 'project:manage');
+			if(!project) return;
+
+			const { walletId, shared } = req.body;
+
+			if(walletId === undefined && shared === undefined) {
+				return res.respond({ status: 400, message: 'walletId or shared is required' });
+			}
+
+			const wallet = await WalletService.selectForProject(project, walletId, {
+				userId: req.user.payload.id,
+				shared: shared === undefined ? undefined : shared === true || shared === 'true',
+			});
+
+			return res.respond({
+				data: wallet,
+				message: wallet ? 'Project wallet selected successfully' : 'Project wallet unselected successfully',
+			});
+		} catch(e) {
+			console.error(e);
+			return res.respond({
+				status: 400,
+				message: 'Error selecting project wallet: ' + e.message,
+			});
+		}
+	}
+}
+
+export default WalletController;
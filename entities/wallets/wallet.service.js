@@ -0,0 +1,293 @@
+import primate from '@thewebchimp/primate';
+import { Wallet, formatEther } from 'ethers';
+import KeyVaultService from '#services/key-vault.service.js';
+import NetworkService from '#services/network.service.js';
+
+class WalletService {
+	/**
+	 * Removes the encrypted key from a wallet before it leaves the service.
+	 *
+	 * @param {Object} wallet - The wallet row.
+	 * @returns {Object} - The wallet without `encryptedKey`.
+	 */
+	static sanitize(wallet) {
+		if(!wallet) return wallet;
+
+		const { encryptedKey, ...rest } = wallet;
+		return rest;
+	}
+
+	/**
+	 * Additional data the key envelope is bound to, so an envelope copied to another row does not decrypt.
+	 */
+	static envelopeAad(userId, address) {
+		return `wallet:${ userId }:${ address.toLowerCase() }`;
+	}
+
+	/**
+	 * Creates a new random deployer wallet for a user.
+	 *
+	 * @param {number} userId - The owner.
+	 * @param {Object} data - Wallet data.
+	 * @param {string} data.name - Display name.
+	 * @returns {Promise<Object>} - The wallet, without its key.
+	 */
+	static async create(userId, data = {}) {
+		try {
+			const account = Wallet.createRandom();
+			return await this.store(userId, account, data.name, 'Generated');
+		} catch(e) {
+			throw e;
+		}
+	}
+
+	/**
+	 * Imports an existing account from a private key or a mnemonic phrase.
+	 *
+	 * @param {number} userId - The owner.
+	 * @param {Object} data - Wallet data.
+	 * @param {string} data.name - Display name.
+	 * @param {string} [data.privateKey] - Hex private key.
+	 * @param {string} [data.mnemonic] - BIP-39 phrase (first account of the default path).
+	 * @returns {Promise<Object>} - The wallet, without its key.
+	 * @throws {Error} - If neither a valid key nor a valid phrase is given.
+	 */
+	static async import(userId, data = {}) {
+		try {
+			const { name, privateKey, mnemonic } = data;
+			let account;
+
+			try {
+				if(privateKey) {
+					account = new Wallet(privateKey.startsWith('0x') ? privateKey : `0x${ privateKey }`);
+				} else if(mnemonic) {
+					account = Wallet.fromPhrase(mnemonic.trim());
+				}
+			} catch(e) {
+				throw new Error('Invalid private key or mnemonic');
+			}
+
+			if(!account) throw new Error('A private key or mnemonic is required');
+
+			return await this.store(userId, account, name, 'Imported');
+		} catch(e) {
+			throw e;
+		}
+	}
+
+	/**
+	 * Encrypts and saves an account. Importing an archived wallet again reactivates it.
+	 */
+	static async store(userId, account, name, source) {
+		const ownerId = parseInt(userId, 10);
+		const address = account.address;
+
+		const existing = await primate.prisma.wallet.findUnique({
+			where: { userId_address: { userId: ownerId, address } },
+		});
+
+		if(existing && existing.status === 'Active') throw new Error(`Wallet ${ address } already exists`);
+
+		const data = {
+			name: name || `Deployer ${ address.slice(0, 8) }`,
+			encryptedKey: KeyVaultService.encrypt(account.privateKey, this.envelopeAad(ownerId, address)),
+			source,
+			status: 'Active',
+		};
+
+		const wallet = existing
+			? await primate.prisma.wallet.update({ where: { id: existing.id }, data })
+			: await primate.prisma.wallet.create({ data: { ...data, userId: ownerId, address } });
+
+		return this.sanitize(wallet);
+	}
+
+	/**
+	 * Finds the active wallets of a user.
+	 *
+	 * @param {number} userId - The owner.
+	 * @returns {Promise<Array>} - Wallets without their keys.
+	 */
+	static async findByUser(userId) {
+		try {
+			const wallets = await primate.prisma.wallet.findMany({
+				where: { userId: parseInt(userId, 10), status: 'Active' },
+				orderBy: { createdAt: 'desc' },
+			});
+
+			return wallets.map(wallet => this.sanitize(wallet));
+		} catch(e) {
+			throw e;
+		}
+	}
+
+	/**
+	 * Finds an active wallet of a user, including its encrypted key.
+	 *
+	 * @param {number} userId - The owner.
+	 * @param {number} id - The wallet ID.
+	 * @returns {Promise<Object|null>}
+	 */
+	static async findForUser(userId, id) {
+		try {
+			return await primate.prisma.wallet.findFirst({
+				where: { id: parseInt(id, 10), userId: parseInt(userId, 10), status: 'Active' },
+			});
+		} catch(e) {
+			throw e;
+		}
+	}
+
+	/**
+	 * Finds the wallet to sign a project's transactions with: the given one, or the one selected for the project.
+	 *
+	 * An explicit wallet must belong to the signer. The wallet selected for the project belongs to the
+	 * project owner; members allowed to deploy only sign with it when the owner shares it (`walletShared`),
+	 * otherwise they must give one of their own wallets.
+	 *
+	 * @param {Object} project - The project.
+	 * @param {number} [walletId] - Explicit wallet ID.
+	 * @param {number} [userId] - The signer, defaults to the project owner.
+	 * @returns {Promise<Object>} - The wallet, including its encrypted key.
+	 * @throws {Error} - If no wallet is selected, the project wallet is not shared with the signer, or the
+	 *   wallet is not found.
+	 */
+	static async findForProject(project, walletId, userId) {
+		try {
+			const signerId = parseInt(userId, 10) || project.userId;
+
+			if(walletId) {
+				const wallet = await this.findForUser(signerId, walletId);
+				if(!wallet) throw new Error(`Wallet with ID ${ walletId } not found`);
+				return wallet;
+			}
+
+			if(!project.walletId) {
+				throw new Error('No deployer wallet selected for this project. Create or import a wallet and select it for the project');
+			}
+
+			if(signerId !== project.userId && !project.walletShared) {
+				throw new Error('The project owner does not share the project wallet with members, sign with one of your own wallets (walletId)');
+			}
+
+			const wallet = await this.findForUser(project.userId, project.walletId);
+			if(!wallet) throw new Error(`Wallet with ID ${ project.walletId } not found`);
+
+			return wallet;
+		} catch(e) {
+			throw e;
+		}
+	}
+
+	/**
+	 * Decrypts the private key of a wallet. Only the deploy pipeline should call this.
+	 *
+	 * @param {Object} wallet - The wallet row with its encrypted key.
+	 * @returns {string} - The private key.
+	 */
+	static decryptKey(wallet) {
+		return KeyVaultService.decrypt(wallet.encryptedKey, this.envelopeAad(wallet.userId, wallet.address));
+	}
+
+	/**
+	 * Looks up the native balance of a wallet on a network.
+	 *
+	 * @param {Object} wallet - The wallet.
+	 * @param {string} network - The network name.
+	 * @returns {Promise<{network: string, balance: string, formatted: string, currency: string}>}
+	 */
+	static async getBalance(wallet, network) {
+		try {
+			const { nativeCurrency } = NetworkService.get(network);
+			const provider = await NetworkService.getProvider(network);
+			const balance = await provider.getBalance(wallet.address);
+
+			return { network, balance: balance.toString(), formatted: formatEther(balance), currency: nativeCurrency.symbol };
+		} catch(e) {
+			throw e;
+		}
+	}
+
+	/**
+	 * Looks up the balance of a wallet on every registered network.
+	 * Networks that cannot be reached are reported with an error instead of failing the lookup.
+	 *
+	 * @param {Object} wallet - The wallet.
+	 * @returns {Promise<Array>}
+	 */
+	static async getBalances(wallet) {
+		const networks = NetworkService.names();
+		const results = await Promise.allSettled(networks.map(network => this.getBalance(wallet, network)));
+
+		return results.map((result, index) => result.status === 'fulfilled'
+			? result.value
+			: { network: networks[index], error: result.reason?.shortMessage || result.reason?.message });
+	}
+
+	/**
+	 * Archives a wallet and unselects it from the projects using it.
+	 * The encrypted key is kept so the wallet can be restored by importing it again.
+	 *
+	 * @param {number} userId - The owner.
+	 * @param {number} id - The wallet ID.
+	 * @returns {Promise<Object>} - The archived wallet.
+	 */
+	static async archive(userId, id) {
+		try {
+			const wallet = await this.findForUser(userId, id);
+			if(!wallet) throw new Error('Wallet not found');
+
+			const [ , archived ] = await primate.prisma.$transaction([
+				primate.prisma.project.updateMany({ where: { walletId: wallet.id }, data: { walletId: null } }),
+				primate.prisma.wallet.update({ where: { id: wallet.id }, data: { status: 'Archived' } }),
+			]);
+
+			return this.sanitize(archived);
+		} catch(e) {
+			throw e;
+		}
+	}
+
+	/**
+	 * Selects the deployer wallet of a project. The wallet must belong to the project owner.
+	 *
+	 * Only the owner can share the wallet with the members allowed to deploy. Selecting another wallet
+	 * stops sharing unless the owner shares it again.
+	 *
+	 * @param {Object} project - The project.
+	 * @param {number|null|undefined} walletId - The wallet ID, null to unselect, or undefined to keep the current one.
+	 * @param {Object} [options={}] - Options.
+	 * @param {number} [options.userId] - Who makes the change, defaults to the project owner.
+	 * @param {boolean} [options.shared] - Let members sign with the wallet.
+	 * @returns {Promise<Object|null>} - The selected wallet, without its key, with `shared`.
+	 * @throws {Error} - If the wallet is not found or someone else than the owner shares it.
+	 */
+	static async selectForProject(project, walletId, options = {}) {
+		try {
+			const owner = (parseInt(options.userId, 10) || project.userId) === project.userId;
+			if(options.shared !== undefined && !owner) throw new Error('Only the project owner can share the project wallet');
+
+			let wallet = null;
+			const selected = walletId === undefined ? project.walletId : walletId;
+
+			if(selected !== null && selected !== undefined) {
+				wallet = await this.findForUser(project.userId, selected);
+				if(!wallet) throw new Error('Wallet not found');
+			}
+
+			const unchanged = wallet?.id === project.walletId;
+			const shared = !!wallet && (options.shared ?? (unchanged ? !!project.walletShared : false));
+
+			await primate.prisma.project.update({
+				where: { id: project.id },
+				data: { walletId: wallet ? wallet.id : null, walletShared: shared },
+			});
+
+			return wallet ? { ...this.sanitize(wallet), shared } : null;
+		} catch(e) {
+			throw e;
+		}
+	}
+}
+
+export default WalletService;
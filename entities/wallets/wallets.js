@@ -0,0 +1,26 @@
+import { auth, Primate } from '@thewebchimp/primate';
+import WalletController from './wallet.controller.js';
+
+const router = Primate.getRouter();
+
+// List the authenticated user's deployer wallets
+router.get('/', auth, WalletController.getMyList);
+
+// Create a new random wallet
+router.post('/', auth, WalletController.create);
+
+// Import a wallet from a private key or mnemonic
+router.post('/import', auth, WalletController.import);
+
+// Get a wallet
+router.get('/:id', auth, WalletController.get);
+
+// Get the balance of a wallet (?network=mantle_sepolia, all networks by default)
+router.get('/:id/balance', auth, WalletController.getBalance);
+
+// Archive a wallet
+router.delete('/:id', auth, WalletController.archive);
+
+// Wallets hold encrypted keys, so no generic CRUD routes are set up for them
+
+export { router };
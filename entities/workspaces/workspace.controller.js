@@ -0,0 +1,324 @@
+import { PrimateController } from '@thewebchimp/primate';
+import ProjectController from '#entities/projects/project.controller.js';
+import WorkspaceService from '#services/workspace.service.js';
+import GitService from '#services/git.service.js';
+
+class WorkspaceController extends PrimateController {
+
+	/**
+	 * Retrieves the files of a project's src, test and script folders as a tree.
+	 *
+	 * @param {Object} req - Request with the project ID.
+	 * @param {Object} res - Response with the file tree or error.
+	 * @returns {Promise<void>}
+	 */
+	static async getTree(req, res) {
+		try {
+			const project = await ProjectController.getProject(req, res, 'project:read');
+			if(!project) return;
+
+			const [ tree, usage ] = await Promise.all([
+				WorkspaceService.tree(project),
+				WorkspaceService.usage(project),
+			]);
+
+			return res.respond({
+				data: tree,
+				message: 'Files retrieved successfully',
+				props: { usage, limits: { fileSize: WorkspaceService.maxFileSize, size: WorkspaceService.maxSize, files: WorkspaceService.maxFiles } },
+			});
+		} catch(e) {
+			console.error(e);
+			return res.respond({
+				status: 400,
+				message: 'Error retrieving files: ' + e.message,
+			});
+		}
+	}
+
+	/**
+	 * Retrieves a file with its content. The path follows `/files/` in the URL.
+	 *
+	 * @param {Object} req - Request with the project ID and file path.
+	 * @param {Object} res - Response with the file or error.
+	 * @returns {Promise<void>}
+	 */
+	static async getFile(req, res) {
+		try {
+			const project = await ProjectController.getProject(req, res, 'project:read');
+			if(!project) return;
+
+			const file = await WorkspaceService.read(project, req.params[0]);
+
+			if(!file) {
+				return res.respond({ status: 404, message: 'File not found' });
+			}
+
+			return res.respond({
+				data: file,
+				message: 'File retrieved successfully',
+			});
+		} catch(e) {
+			console.error(e);
+			return res.respond({
+				status: 400,
+				message: 'Error retrieving file: ' + e.message,
+			});
+		}
+	}
+
+	/**
+	 * Creates a file. The body holds `content`; fails if the file already exists.
+	 * Solidity files in src create or update the project contracts they declare.
+	 *
+	 * @param {Object} req - Request with the project ID and file path.
+	 * @param {Object} res - Response with the file and synced contracts, or error.
+	 * @returns {Promise<void>}
+	 */
+	static async createFile(req, res) {
+		return WorkspaceController.write(req, res, 'create');
+	}
+
+	/**
+	 * Updates a file. The body holds `content`; fails if the file does not exist.
+	 * Solidity files in src update the project contracts they declare.
+	 *
+	 * @param {Object} req - Request with the project ID and file path.
+	 * @param {Object} res - Response with the file and synced contracts, or error.
+	 * @returns {Promise<void>}
+	 */
+	static async updateFile(req, res) {
+		return WorkspaceController.write(req, res, 'update');
+	}
+
+	/**
+	 * Renames or moves a file or directory. The body holds the new path as `to`.
+	 * Contracts follow their file; moving a file out of src or into it removes or adds its contracts.
+	 *
+	 * @param {Object} req - Request with the project ID and file path.
+	 * @param {Object} res - Response with the new path or error.
+	 * @returns {Promise<void>}
+	 */
+	static async renameFile(req, res) {
+		try {
+			const project = await ProjectController.getProject(req, res, 'project:write');
+			if(!project) return;
+
+			if(!req.body?.to) {
+				return res.respond({ status: 400, message: 'to is required' });
+			}
+
+			const author = { authorType: 'User', userId: req.user.payload.id };
+			const result = await WorkspaceService.rename(project, req.params[0], req.body.to, author);
+			const commit = await GitService.record(project, `Rename ${ req.params[0] } to ${ result.path }`, author);
+
+			return res.respond({
+				data: { ...result, commit },
+				message: 'File renamed successfully',
+			});
+		} catch(e) {
+			console.error(e);
+			return res.respond({
+				status: 400,
+				message: 'Error renaming file: ' + e.message,
+			});
+		}
+	}
+
+	/**
+	 * Deletes a file or directory, with the contracts declared in it.
+	 *
+	 * @param {Object} req - Request with the project ID and file path.
+	 * @param {Object} res - Response with the removed contracts or error.
+	 * @returns {Promise<void>}
+	 */
+	static async deleteFile(req, res) {
+		try {
+			const project = await ProjectController.getProject(req, res, 'project:write');
+			if(!project) return;
+
+			const result = await WorkspaceService.remove(project, req.params[0]);
+
+			if(!result) {
+				return res.respond({ status: 404, message: 'File not found' });
+			}
+
+			const commit = await GitService.record(project, `Delete ${ result.path }`, {
+				authorType: 'User',
+				userId: req.user.payload.id,
+			});
+
+			return res.respond({
+				data: { ...result, commit },
+				message: 'File deleted successfully',
+			});
+		} catch(e) {
+			console.error(e);
+			return res.respond({
+				status: 400,
+				message: 'Error deleting file: ' + e.message,
+			});
+		}
+	}
+
+	/**
+	 * Lists the commits of a project workspace, newest first.
+	 * Supports `page`, `limit` and `path` (only commits changing that file or directory) query parameters.
+	 *
+	 * @param {Object} req - Request with the project ID.
+	 * @param {Object} res - Response with the commits or error.
+	 * @returns {Promise<void>}
+	 */
+	static async getLog(req, res) {
+		try {
+			const project = await ProjectController.getProject(req, res, 'project:read');
+			if(!project) return;
+
+			const { data, count } = await GitService.log(project, {
+				page: req.query.page,
+				limit: req.query.limit,
+				path: req.query.path,
+			});
+
+			return res.respond({
+				data,
+				message: 'Commits retrieved successfully',
+				props: { count },
+			});
+		} catch(e) {
+			console.error(e);
+			return res.respond({
+				status: 400,
+				message: 'Error retrieving commits: ' + e.message,
+			});
+		}
+	}
+
+	/**
+	 * Retrieves a commit of a project workspace with the files it changed and its diff.
+	 *
+	 * @param {Object} req - Request with the project ID and the commit hash.
+	 * @param {Object} res - Response with the commit or error.
+	 * @returns {Promise<void>}
+	 */
+	static async getCommit(req, res) {
+		try {
+			const project = await ProjectController.getProject(req, res, 'project:read');
+			if(!project) return;
+
+			const commit = await GitService.show(project, req.params.hash);
+
+			if(!commit) {
+				return res.respond({ status: 404, message: 'Commit not found' });
+			}
+
+			return res.respond({
+				data: commit,
+				message: 'Commit retrieved successfully',
+			});
+		} catch(e) {
+			console.error(e);
+			return res.respond({
+				status: 400,
+				message: 'Error retrieving commit: ' + e.message,
+			});
+		}
+	}
+
+	/**
+	 * Reverts a commit of a project workspace with a new commit. Contracts of the reverted sources are updated.
+	 *
+	 * @param {Object} req - Request with the project ID and the commit hash.
+	 * @param {Object} res - Response with the revert commit and synced contracts, or error.
+	 * @returns {Promise<void>}
+	 */
+	static async revertCommit(req, res) {
+		try {
+			const project = await ProjectController.getProject(req, res, 'project:write');
+			if(!project) return;
+
+			const commit = await GitService.revert(project, req.params.hash, {
+				authorType: 'User',
+				userId: req.user.payload.id,
+			});
+
+			if(!commit) {
+				return res.respond({ status: 404, message: 'Commit not found' });
+			}
+
+			return res.respond({
+				data: commit,
+				message: 'Commit reverted successfully',
+			});
+		} catch(e) {
+			console.error(e);
+			return res.respond({
+				status: 400,
+				message: 'Error reverting commit: ' + e.message,
+			});
+		}
+	}
+
+	/**
+	 * Pushes the workspace history to the project `repoUrl`.
+	 *
+	 * @param {Object} req - Request with the project ID.
+	 * @param {Object} res - Response with the remote, branch and pushed commit, or error.
+	 * @returns {Promise<void>}
+	 */
+	static async push(req, res) {
+		try {
+			const project = await ProjectController.getProject(req, res, 'project:write');
+			if(!project) return;
+
+			const result = await GitService.push(project);
+
+			return res.respond({
+				data: result,
+				message: 'Repository pushed successfully',
+			});
+		} catch(e) {
+			console.error(e);
+			return res.respond({
+				status: 400,
+				message: 'Error pushing repository: ' + e.message,
+			});
+		}
+	}
+
+	/**
+	 * Writes the file of a create or update request.
+	 *
+	 * @param {Object} req - Request with the project ID and file path.
+	 * @param {Object} res - Response with the file and synced contracts, or error.
+	 * @param {string} mode - `create` or `update`.
+	 * @returns {Promise<void>}
+	 */
+	static async write(req, res, mode) {
+		try {
+			const project = await ProjectController.getProject(req, res, 'project:write');
+			if(!project) return;
+
+			if(typeof req.body?.content !== 'string') {
+				return res.respond({ status: 400, message: 'content is required' });
+			}
+
+			const author = { authorType: 'User', userId: req.user.payload.id };
+			const result = await WorkspaceService.write(project, req.params[0], req.body.content, { mode, author });
+			const commit = await GitService.record(project, `${ result.created ? 'Create' : 'Update' } ${ result.file.path }`, author);
+
+			return res.respond({
+				data: { ...result, commit },
+				message: result.created ? 'File created successfully' : 'File updated successfully',
+			});
+		} catch(e) {
+			console.error(e);
+			return res.respond({
+				status: 400,
+				message: `Error ${ mode === 'create' ? 'creating' : 'updating' } file: ` + e.message,
+			});
+		}
+	}
+}
+
+export default WorkspaceController;
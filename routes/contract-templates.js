@@ -0,0 +1,10 @@
+import { Primate } from '@thewebchimp/primate';
+import ContractTemplateController from '../controllers/contract-template.controller.js';
+const router = Primate.getRouter();
+
+// Contract templates are public, they hold no user data
+router.get('/', ContractTemplateController.getList);
+
+router.get('/:id', ContractTemplateController.get);
+
+export { router };
@@ -0,0 +1,10 @@
+import { Primate } from '@thewebchimp/primate';
+import NetworkController from '../controllers/network.controller.js';
+const router = Primate.getRouter();
+
+// Supported networks are public, they hold no user data
+router.get('/', NetworkController.getList);
+
+router.get('/:name', NetworkController.get);
+
+export { router };
@@ -14,14 +14,31 @@ import { StringDecoder } from 'string_decoder';
 import { PrimateService } from '@thewebchimp/primate';
 import MessageService from '#entities/messages/message.service.js';
 import UploadService from '#services/upload.service.js';
+import ProjectService from '#entities/projects/project.service.js';
+import projectBriefSchema, { briefNetworks } from '#entities/projects/project-brief.schema.js';
+import prompts from '#ai/prompts.js';
+import agentTools from '#ai/agent-tools.js';
+import ToolRegistryService from '#services/tool-registry.service.js';
+import SolcService from '#services/solc.service.js';
+import NetworkService from '#services/network.service.js';
+import DeploymentService from '#entities/deployments/deployment.service.js';
+import JobRunnerService from '#services/job-runner.service.js';
+import TestRunService from '#entities/test-runs/test-run.service.js';
+import ContractService from '#entities/contracts/contract.service.js';
+import ContractEventService from '#entities/contract-events/contract-event.service.js';
+import ContractTemplateService from '#services/contract-template.service.js';
+import DependencyService from '#services/dependency.service.js';
+import AnalysisRunService from '#entities/analysis-runs/analysis-run.service.js';
+import GasSnapshotService from '#entities/gas-snapshots/gas-snapshot.service.js';
+import WorkspaceService from '#services/workspace.service.js';
+import GitService from '#services/git.service.js';
+import ProjectMemberService from '#entities/project-members/project-member.service.js';
 // Import statements to use at the top of your file
-import { exec } from 'child_process';
 import { promisify } from 'util';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 
-const execPromise = promisify(exec);
 const mkdirPromise = promisify(fs.mkdir);
 const writeFilePromise = promisify(fs.writeFile);
 const readFilePromise = promisify(fs.readFile);
@@ -30,6 +47,11 @@ class AIService {
 	// Create a logger instance for the service
 	static logger = createLogger({ name: 'AIService' });
 
+	// Budget for the multi-turn tool loop in handleAiMessage
+	static agentMaxSteps = parseInt(process.env.AI_AGENT_MAX_STEPS, 10) || 8;
+	static agentMaxDuration = parseInt(process.env.AI_AGENT_MAX_DURATION_MS, 10) || 180000;
+	static toolResultMaxChars = parseInt(process.env.AI_TOOL_RESULT_MAX_CHARS, 10) || 12000;
+
 	/**
 	 * Sends a message to the appropriate AI provider API.
 	 * Enhanced with context management and function execution.
@@ -42,6 +64,7 @@ class AIService {
 			systemLength: data.system?.length,
 			promptLength: data.prompt?.length,
 			historyLength: data.history?.length,
+			continuationLength: data.continuation?.length,
 			stream: data.stream,
 			toolsCount: data.tools?.length,
 			responseFormat: data.responseFormat,
@@ -72,6 +95,7 @@ class AIService {
 			url,
 			searchConfig,
 			executeTools = false,
+			continuation = [], // Messages after the prompt: assistant tool calls and their tool results
 		} = data;
 
 		if(!model) {
@@ -123,6 +147,7 @@ class AIService {
 				{ role: 'system', content: system },
 				...history,
 				{ role: 'user', content: prompt },
+				...continuation,
 			];
 			this.logger.debug(`Built ${ messages.length } messages.`, {});
 
@@ -530,7 +555,10 @@ class AIService {
 	}
 
 	/**
-	 * Execute tool calls returned from the model
+	 * Execute tool calls returned from the model.
+	 * Only tools present in `availableTools` can run; arguments are completed from the context
+	 * following the registry injection rules, validated against the tool schema, and the context
+	 * must hold the tool permissions.
 	 */
 	static async executeToolCalls(toolCalls, availableTools, context) {
 		const functionName = 'executeToolCalls';
@@ -543,11 +571,13 @@ class AIService {
 				const { function: func } = call;
 				const { name, arguments: argsString } = func;
 
-				// Find the matching tool definition
-				const toolDef = availableTools.find(t => t.function.name === name);
+				// Find the matching tool definition among the tools enabled for this request
+				const isAvailable = availableTools.some(t => (t.name || t.function?.name) === name);
+				const toolDef = isAvailable ? ToolRegistryService.get(name) : null;
 				if(!toolDef) {
 					this.logger.warn(`Tool ${name} not found in available tools`, {});
 					results.push({
+						id: call.id,
 						name,
 						status: 'error',
 						error: 'Tool not found',
@@ -559,25 +589,11 @@ class AIService {
 				// Parse the arguments
 				let args;
 				try {
-					args = JSON.parse(argsString);
-
-					// Add context information to arguments if needed
-					if(context) {
-						if(name === 'createFoundryProject' && !args.idProject && context.idProject) {
-							args.idProject = context.idProject;
-							args.updateExisting = true;
-						}
-
-						// For project-related operations, ensure projectId is included
-						if(['createSmartContract', 'compileFoundryProject', 'deployToMantleTestnet', 'runFoundryTests'].includes(name)) {
-							if(context.idProject && !args.projectId) {
-								args.projectId = context.idProject;
-							}
-						}
-					}
+					args = ToolRegistryService.applyContext(name, JSON.parse(argsString || '{}'), context);
 				} catch(parseError) {
 					this.logger.error(`Failed to parse arguments for tool ${name}`, parseError);
 					results.push({
+						id: call.id,
 						name,
 						status: 'error',
 						error: 'Invalid arguments format',
@@ -586,13 +602,34 @@ class AIService {
 					continue;
 				}
 
-				// Check if the tool has an executor function
-				if(!toolDef.executor || typeof toolDef.executor !== 'function') {
-					this.logger.warn(`Tool ${name} does not have an executor function`, {});
+				// Validate against the tool schema so the model can correct itself on the next turn
+				const validation = ToolRegistryService.validate(name, args);
+				if(!validation.valid) {
+					this.logger.warn(`Invalid arguments for tool ${name}`, { errors: validation.errors });
+					results.push({
+						id: call.id,
+						name,
+						status: 'error',
+						error: `Invalid arguments: ${validation.errors.map(e => e.message).join('; ')}`,
+						validationErrors: validation.errors,
+						arguments: args,
+					});
+					continue;
+				}
+				args = validation.args;
+
+				// Check the caller holds the permissions the tool requires, on the project the tool acts on
+				const permissions = args.projectId && String(args.projectId) !== String(context.idProject)
+					? await this.resolveToolPermissions(context.userId, args.projectId)
+					: context.permissions;
+				const missing = ToolRegistryService.missingPermissions(name, { ...context, permissions });
+				if(missing.length > 0) {
+					this.logger.warn(`Tool ${name} denied, missing permissions: ${missing.join(', ')}`, {});
 					results.push({
+						id: call.id,
 						name,
 						status: 'error',
-						error: 'Tool has no executor',
+						error: `Permission denied: requires ${missing.join(', ')}`,
 						arguments: args,
 					});
 					continue;
@@ -600,19 +637,28 @@ class AIService {
 
 				// Execute the tool
 				this.logger.info(`Executing tool ${name} with arguments:`, args);
-				const result = await toolDef.executor(args, context);
+				const result = await toolDef.executor(args, { ...context, tool: name, toolCallId: call.id });
 				this.logger.info(`Tool ${name} executed successfully`);
 
+				// Workspace changes of the tool become a commit authored by the assistant
+				const changedProject = toolDef.permissions.includes('project:write') ? (args.projectId || result?.project?.id) : null;
+				const commit = changedProject
+					? await GitService.record(changedProject, this.commitMessage(name, args), this.revisionAuthor({ ...context, tool: name }))
+					: null;
+
 				results.push({
+					id: call.id,
 					name,
 					status: 'success',
 					result,
 					arguments: args,
+					...(commit ? { commit: { hash: commit.hash, subject: commit.subject } } : {}),
 				});
 
 			} catch(error) {
 				this.logger.error(`Error executing tool call:`, error);
 				results.push({
+					id: call.id,
 					name: call.function?.name || 'unknown',
 					status: 'error',
 					error: error.message,
@@ -625,6 +671,50 @@ class AIService {
 		return results;
 	}
 
+	/**
+	 * Registers the agent tools with their executors in the tool registry.
+	 */
+	static registerTools() {
+		const executors = {
+			createFoundryProject: this.createFoundryProjectExecutor,
+			createSmartContract: this.createSmartContractExecutor,
+			updateSmartContract: this.updateSmartContractExecutor,
+			listContractTemplates: this.listContractTemplatesExecutor,
+			createContractFromTemplate: this.createContractFromTemplateExecutor,
+			addDependency: this.addDependencyExecutor,
+			removeDependency: this.removeDependencyExecutor,
+			compileFoundryProject: this.compileFoundryProjectExecutor,
+			analyzeContracts: this.analyzeContractsExecutor,
+			deployToMantleTestnet: this.deployToMantleTestnetExecutor,
+			runFoundryTests: this.runFoundryTestsExecutor,
+			compareGasSnapshots: this.compareGasSnapshotsExecutor,
+			callContract: this.callContractExecutor,
+			sendContractTransaction: this.sendContractTransactionExecutor,
+			getContractEvents: this.getContractEventsExecutor,
+			requestMantleTestnetTokens: this.requestMantleTestnetTokensExecutor,
+			webSearch: this.webSearch,
+		};
+
+		for(const [ name, executor ] of Object.entries(executors)) {
+			ToolRegistryService.register({ ...agentTools[name], executor: executor.bind(this) });
+		}
+	}
+
+	/**
+	 * Resolves the tool permissions of a user for the project attached to the chat, from their role
+	 * in it (see ProjectMemberService.roles). Without a project the user is working on a new project of their own.
+	 *
+	 * @param {number} userId - The user sending the message.
+	 * @param {number|string} [idProject] - The project of the chat.
+	 * @returns {Promise<string[]>} - Granted permissions.
+	 */
+	static async resolveToolPermissions(userId, idProject) {
+		if(!idProject) return ProjectMemberService.roles.owner;
+
+		const { permissions } = await ProjectMemberService.access(idProject, userId);
+		return permissions;
+	}
+
 	/**
 	 * Use AI to extract context updates from a conversation
 	 */
@@ -664,6 +754,110 @@ class AIService {
 		}
 	}
 
+	/**
+	 * Generates a structured project brief from a free-text objective.
+	 * The model output is validated against the brief schema; invalid output is sent back
+	 * to the model once with the validation errors so it can correct itself.
+	 *
+	 * @param {string} prompt - The user's objective.
+	 * @param {Object} [options={}] - Generation options.
+	 * @param {number} [options.userId] - Owner of the Draft project, required when persisting.
+	 * @param {boolean} [options.persist=false] - Whether to store the brief as a Draft project.
+	 * @param {string} [options.model] - Model to use, defaults to DEFAULT_AI_MODEL.
+	 * @returns {Promise<{brief: Object, project: Object|null}>} - The validated brief and the created project, if any.
+	 */
+	static async initialBrief(prompt, options = {}) {
+		const functionName = 'initialBrief';
+		this.logger.entry(functionName, { promptLength: prompt?.length, persist: !!options.persist });
+
+		const {
+			userId,
+			persist = false,
+			model = process.env.DEFAULT_AI_MODEL || 'gpt-4.1-nano',
+		} = options;
+
+		if(!prompt) throw new Error('Missing field: prompt');
+		if(persist && !userId) throw new Error('A user is required to persist the brief');
+
+		const system = prompts.projectBrief.replace('%networks%', briefNetworks.join(', '));
+		// Corrections follow the prompt, after the answer they correct
+		const continuation = [];
+		const maxAttempts = 2;
+		let brief = null;
+
+		for(let attempt = 1; attempt <= maxAttempts && !brief; attempt++) {
+			const result = await this.sendMessage({
+				model,
+				system,
+				prompt,
+				continuation,
+				responseFormat: { type: 'json_object' },
+				temperature: 0.3,
+			});
+
+			const content = result.choices?.[0]?.message?.content || '{}';
+
+			let parsed;
+			try {
+				parsed = JSON.parse(content);
+			} catch(parseError) {
+				this.logger.warn(`Brief attempt ${ attempt } returned invalid JSON`, { error: parseError.message });
+				continuation.push(
+					{ role: 'assistant', content },
+					{ role: 'user', content: 'The previous answer was not valid JSON. Answer again with only the JSON object.' },
+				);
+				continue;
+			}
+
+			const { value, error } = projectBriefSchema.validate(parsed, { abortEarly: false, stripUnknown: true });
+
+			if(error) {
+				const details = error.details.map(d => d.message);
+				this.logger.warn(`Brief attempt ${ attempt } failed validation`, { details });
+				continuation.push(
+					{ role: 'assistant', content },
+					{ role: 'user', content: `The previous brief is invalid:\n- ${ details.join('\n- ') }\nFix it and answer again with only the JSON object.` },
+				);
+				continue;
+			}
+
+			brief = value;
+		}
+
+		if(!brief) {
+			this.logger.exit(functionName, { error: true });
+			throw new Error(`Could not generate a valid brief after ${ maxAttempts } attempts`);
+		}
+
+		// Exactly one contract must be the main one
+		const mainIndex = Math.max(0, brief.contracts.findIndex(c => c.isMain));
+		brief.contracts = brief.contracts.map((c, i) => ({ ...c, isMain: i === mainIndex }));
+
+		let project = null;
+
+		if(persist) {
+			project = await ProjectService.create({
+				userId,
+				name: brief.name,
+				description: brief.description,
+				status: 'Draft',
+				network: brief.network,
+				compilerVersion: brief.compilerVersion,
+				dependencies: brief.dependencies,
+				metas: {
+					projectType: brief.projectType,
+					creationMethod: 'ai_brief',
+					brief,
+				},
+			});
+
+			this.logger.info(`Brief persisted as Draft project ${ project.id }`);
+		}
+
+		this.logger.exit(functionName, { contracts: brief.contracts.length, projectId: project?.id });
+		return { brief, project };
+	}
+
 	// ------------------------------------------------------------------
 	//    Helper: Get Model Information - With added Google support
 	// ------------------------------------------------------------------
@@ -867,6 +1061,122 @@ class AIService {
 		}
 	}
 
+	// ------------------------------------------------------------------
+	//    Agent Loop: chain tool calls until the model stops or the budget runs out
+	// ------------------------------------------------------------------
+	/**
+	 * Runs a bounded multi-turn tool loop. Every step asks the model for tool calls, executes them
+	 * and feeds the results back as `tool` role messages so the model can decide the next step.
+	 * Each step is streamed over SSE as it happens.
+	 *
+	 * @param {Object} options - Loop options.
+	 * @param {string} options.model - Model name.
+	 * @param {string} options.system - System prompt.
+	 * @param {string} options.prompt - User prompt.
+	 * @param {Array} options.history - Previous chat messages.
+	 * @param {Array} options.tools - Registered tools selected for the request.
+	 * @param {Object} options.context - Tool execution context (userId, idProject, permissions).
+	 * @param {Function} options.sendSSE - SSE writer.
+	 * @param {number} [options.maxSteps] - Maximum number of model turns.
+	 * @param {number} [options.maxDuration] - Maximum loop duration in milliseconds.
+	 * @returns {Promise<{messages: Array, results: Array, steps: number, stopReason: string, duration: number}>}
+	 */
+	static async runAgentLoop(options) {
+		const functionName = 'runAgentLoop';
+
+		const {
+			model,
+			system,
+			prompt,
+			history = [],
+			tools,
+			context = {},
+			sendSSE = () => {},
+			maxSteps = this.agentMaxSteps,
+			maxDuration = this.agentMaxDuration,
+		} = options;
+
+		this.logger.entry(functionName, { model, toolsCount: tools.length, maxSteps, maxDuration });
+
+		const requestTools = ToolRegistryService.toRequestTools(tools);
+		const startedAt = Date.now();
+		const messages = [];
+		const results = [];
+		let stopReason = 'step_budget';
+		let steps = 0;
+
+		while(steps < maxSteps) {
+			if(Date.now() - startedAt > maxDuration) {
+				stopReason = 'time_budget';
+				break;
+			}
+
+			steps++;
+			sendSSE({ type: 'step', data: { step: steps, status: 'thinking' } });
+
+			const response = await this.sendMessage({
+				model,
+				system,
+				prompt,
+				history: [ ...history ],
+				continuation: messages,
+				tools: requestTools,
+				toolChoice: 'auto',
+				stream: false,
+			});
+
+			const message = response.choices?.[0]?.message;
+			const toolCalls = message?.tool_calls || [];
+
+			if(!toolCalls.length) {
+				stopReason = 'completed';
+				sendSSE({ type: 'step', data: { step: steps, status: 'completed' } });
+				break;
+			}
+
+			this.logger.info(`Step ${ steps }: found ${ toolCalls.length } tool calls to execute`);
+			sendSSE({
+				type: 'step',
+				data: {
+					step: steps,
+					status: 'tool_calls',
+					toolCalls: toolCalls.map(call => ({ id: call.id, name: call.function?.name })),
+				},
+			});
+
+			messages.push({
+				role: 'assistant',
+				content: message.content || null,
+				tool_calls: toolCalls,
+			});
+
+			const stepResults = await this.executeToolCalls(toolCalls, tools, context);
+
+			stepResults.forEach((result, index) => {
+				sendSSE({ type: 'tool', data: { ...result, step: steps } });
+
+				let content = JSON.stringify(result.status === 'success' ? result.result : { error: result.error, validationErrors: result.validationErrors });
+				if(content.length > this.toolResultMaxChars) {
+					content = content.substring(0, this.toolResultMaxChars) + '... [truncated]';
+				}
+
+				messages.push({
+					role: 'tool',
+					tool_call_id: toolCalls[index].id,
+					content,
+				});
+			});
+
+			results.push(...stepResults.map(result => ({ ...result, step: steps })));
+		}
+
+		const duration = Date.now() - startedAt;
+		sendSSE({ type: 'agent', data: { steps, stopReason, duration, toolCalls: results.length } });
+
+		this.logger.exit(functionName, { steps, stopReason, duration });
+		return { messages, results, steps, stopReason, duration };
+	}
+
 	// ------------------------------------------------------------------
 	//    Express Controller Method: Process Message with SSE Streaming
 	// ------------------------------------------------------------------
@@ -887,284 +1197,22 @@ class AIService {
 				agent,
 				tools = [],
 				executeTools = true,
+				maxSteps = this.agentMaxSteps,
+				maxDuration = this.agentMaxDuration,
 			} = req.body;
 
+			// Clients may lower the agent budget but never raise it above the server limits
+			maxSteps = Math.min(parseInt(maxSteps, 10) || this.agentMaxSteps, this.agentMaxSteps);
+			maxDuration = Math.min(parseInt(maxDuration, 10) || this.agentMaxDuration, this.agentMaxDuration);
+
 			if(idProject) {
 				this.logger.info(`Using existing project ID: ${idProject}`);
 			} else {
 				this.logger.info('No project ID provided, will create new project if needed');
 			}
-			//TODO: testing toolCall
-			// Replace the tools array in your handleAiMessage function with this:
-			tools = [
-				// Tool for creating a new Foundry project
-				{
-					type: 'function',
-					function: {
-						name: 'createFoundryProject',
-						description: 'Creates a new Foundry project for smart contract development on Mantle Network',
-						parameters: {
-							type: 'object',
-							properties: {
-								projectName: {
-									type: 'string',
-									description: 'Name of the Foundry project to create',
-								},
-								description: {
-									type: 'string',
-									description: 'Brief description of what the project will do',
-								},
-								userId: {
-									type: 'string',
-									description: 'ID of the user creating the project',
-								},
-								projectType: {
-									type: 'string',
-									enum: [ 'Token', 'NFT', 'DeFi', 'DAO', 'Custom' ],
-									description: 'Type of smart contract project',
-								},
-								network: {
-									type: 'string',
-									enum: [ 'mantle_testnet', 'mantle_sepolia', 'mantle_mainnet' ],
-									default: 'mantle_sepolia',
-									description: 'Target network for deployment',
-								},
-								compilerVersion: {
-									type: 'string',
-									default: '0.8.19',
-									description: 'Solidity compiler version',
-								},
-								dependencies: {
-									type: 'array',
-									items: {
-										type: 'string',
-									},
-									description: 'External dependencies for the project (e.g., OpenZeppelin)',
-									default: [],
-								},
-							},
-							required: [ 'projectName', 'description', 'userId', 'projectType' ],
-						},
-					},
-					executor: this.createFoundryProjectExecutor.bind(this),
-				},
-
-				// Tool for adding a smart contract to a project
-				{
-					type: 'function',
-					function: {
-						name: 'createSmartContract',
-						description: 'Creates a new smart contract within an existing Foundry project',
-						parameters: {
-							type: 'object',
-							properties: {
-								projectId: {
-									type: 'string',
-									description: 'ID of the project to add the contract to',
-								},
-								contractName: {
-									type: 'string',
-									description: 'Name of the contract (without .sol extension)',
-								},
-								contractType: {
-									type: 'string',
-									enum: [ 'ERC20', 'ERC721', 'ERC1155', 'Custom' ],
-									description: 'Type of contract to create',
-								},
-								sourceCode: {
-									type: 'string',
-									description: 'Full Solidity source code for the contract',
-								},
-								isMain: {
-									type: 'boolean',
-									default: false,
-									description: 'Whether this is the main contract of the project',
-								},
-								constructorArgs: {
-									type: 'object',
-									description: 'Constructor arguments as key-value pairs',
-									additionalProperties: true,
-								},
-							},
-							required: [ 'projectId', 'contractName', 'contractType', 'sourceCode' ],
-						},
-					},
-					executor: this.createSmartContractExecutor.bind(this),
-				},
-
-				// Tool for compiling a Foundry project
-				{
-					type: 'function',
-					function: {
-						name: 'compileFoundryProject',
-						description: 'Compiles all smart contracts in a Foundry project',
-						parameters: {
-							type: 'object',
-							properties: {
-								projectId: {
-									type: 'string',
-									description: 'ID of the Foundry project to compile',
-								},
-								optimizationLevel: {
-									type: 'integer',
-									enum: [ 0, 1, 2, 3 ],
-									default: 1,
-									description: 'Solidity compiler optimization level',
-								},
-								runs: {
-									type: 'integer',
-									default: 200,
-									description: 'Number of optimization runs',
-								},
-							},
-							required: [ 'projectId' ],
-						},
-					},
-					executor: this.compileFoundryProjectExecutor.bind(this),
-				},
-
-				// Tool for deploying a compiled Foundry project to Mantle Sepolia testnet
-				{
-					type: 'function',
-					function: {
-						name: 'deployToMantleTestnet',
-						description: 'Deploys a compiled Foundry project to Mantle Sepolia testnet',
-						parameters: {
-							type: 'object',
-							properties: {
-								projectId: {
-									type: 'string',
-									description: 'ID of the Foundry project to deploy',
-								},
-								contractId: {
-									type: 'string',
-									description: 'ID of the specific contract to deploy (optional, deploys main contract if not specified)',
-								},
-								network: {
-									type: 'string',
-									enum: [ 'mantle_sepolia' ],
-									default: 'mantle_sepolia',
-									description: 'Target Mantle testnet for deployment',
-								},
-								deploymentSettings: {
-									type: 'object',
-									properties: {
-										gasLimit: {
-											type: 'integer',
-											description: 'Maximum gas to use for deployment',
-											default: 3000000,
-										},
-										constructorArgs: {
-											type: 'array',
-											items: {
-												type: 'string',
-											},
-											description: 'Constructor arguments for deployment',
-											default: [],
-										},
-										verifyOnEtherscan: {
-											type: 'boolean',
-											default: true,
-											description: 'Whether to verify the contract on Etherscan after deployment',
-										},
-									},
-								},
-								walletMethod: {
-									type: 'string',
-									enum: [ 'private_key', 'mnemonic', 'keystore', 'provider_managed' ],
-									default: 'provider_managed',
-									description: 'Method used to specify the deployment wallet',
-								},
-							},
-							required: [ 'projectId', 'network' ],
-						},
-					},
-					executor: this.deployToMantleTestnetExecutor.bind(this),
-				},
-
-				// Tool for running tests on a Foundry project
-				{
-					type: 'function',
-					function: {
-						name: 'runFoundryTests',
-						description: 'Runs tests for a Foundry project',
-						parameters: {
-							type: 'object',
-							properties: {
-								projectId: {
-									type: 'string',
-									description: 'ID of the Foundry project to test',
-								},
-								testFile: {
-									type: 'string',
-									description: 'Specific test file to run (runs all tests if not specified)',
-								},
-								verbosity: {
-									type: 'integer',
-									enum: [ 0, 1, 2, 3, 4 ],
-									default: 2,
-									description: 'Verbosity level for test output',
-								},
-								gasReport: {
-									type: 'boolean',
-									default: true,
-									description: 'Whether to include gas usage reports',
-								},
-							},
-							required: [ 'projectId' ],
-						},
-					},
-					executor: this.runFoundryTestsExecutor.bind(this),
-				},
-
-				// Tool for getting Mantle testnet faucet tokens
-				{
-					type: 'function',
-					function: {
-						name: 'requestMantleTestnetTokens',
-						description: 'Requests test tokens from Mantle Sepolia faucet for a wallet address',
-						parameters: {
-							type: 'object',
-							properties: {
-								walletAddress: {
-									type: 'string',
-									description: 'Ethereum wallet address to receive test tokens',
-								},
-								network: {
-									type: 'string',
-									enum: [ 'mantle_sepolia' ],
-									default: 'mantle_sepolia',
-									description: 'Mantle testnet to request tokens from',
-								},
-							},
-							required: [ 'walletAddress' ],
-						},
-					},
-					executor: this.requestMantleTestnetTokensExecutor.bind(this),
-				},
-
-				// Web search tool (kept from original)
-				{
-					type: 'function',
-					function: {
-						name: 'webSearch',
-						description: 'Search the web for current information on a given query.',
-						parameters: {
-							type: 'object',
-							properties: {
-								query: {
-									type: 'string',
-									description: 'The search query to look up.',
-								},
-							},
-							required: [ 'query' ],
-						},
-					},
-					executor: this.webSearch.bind(this),
-				},
-			];
-
-			// Resto del código de validación...
+			// Select the registered tools requested by the client (all of them when none are given)
+			tools = ToolRegistryService.select(tools);
+			const permissions = await this.resolveToolPermissions(userId, idProject);
 
 			// Prepare for SSE
 			res.writeHead(200, {
@@ -1187,6 +1235,9 @@ class AIService {
 				metas: { url },
 			});*/
 
+			// Tools record the message that asked for their changes (e.g. contract revisions)
+			let userMessage = null;
+
 			try {
 				// Step 1: Find the chat first, and only create if it doesn't exist
 				const existingChat = await PrimateService.findById('chat', idChat);
@@ -1221,7 +1272,7 @@ class AIService {
 				}
 
 				// Step 3: Create the message
-				await PrimateService.create('message', {
+				userMessage = await PrimateService.create('message', {
 					role: 'user',
 					text: prompt,
 					metas: { url },
@@ -1254,96 +1305,45 @@ class AIService {
 			if(userId) systemPrompt += `\n\n#User ID: ${ userId }\n\n`;
 
 
-			// First check if there are any tool calls needed
+			// Run the agent loop: the model may chain tool calls until it stops or the budget runs out
 			let toolResults = {};  // Cambiado de array a objeto para facilitar el acceso
-			if(tools.length > 0 && executeTools) {
-				this.logger.info('Checking for required tool calls...');
+			let agentMessages = [];
+			let agentRun = null;
 
+			if(tools.length > 0 && executeTools) {
 				try {
-					// Make a non-streaming call to check for tool calls
-					const toolCheckResponse = await this.sendMessage({
+					agentRun = await this.runAgentLoop({
 						model,
 						system: systemPrompt,
 						prompt,
 						history: messages,
 						tools,
-						toolChoice: 'auto',
-						stream: false,
+						context: { userId, idProject, permissions, sendSSE, messageId: userMessage?.id || null },
+						sendSSE,
+						maxSteps,
+						maxDuration,
 					});
 
-					// When setting up tools, pass the current context with the idProject and userId
-					const toolContext = {
-						userId,
-						idProject
-					};
-
-					// Extract and process any tool calls
-					const toolCalls = toolCheckResponse.choices?.[0]?.message?.tool_calls;
-					if(toolCalls && toolCalls.length > 0) {
-						this.logger.info(`Found ${ toolCalls.length } tool calls to execute`);
-
-						// For tools that need userId, ensure it's set dynamically
-						for(const toolCall of toolCalls) {
-
-							try {
-								// Parse the arguments
-								const args = JSON.parse(toolCall.function.arguments);
-
-								// For createFoundryProject, use the existing project ID if available
-								if(toolCall.function?.name === 'createFoundryProject') {
-									// Set userId dynamically
-									args.userId = userId;
-
-									// If we have an existing project ID, override the creation logic
-									if(idProject) {
-										// Flag to indicate this is an update, not a creation
-										args.updateExisting = true;
-										args.idProject = idProject;
-									}
-								}
-								// For other project-related operations, ensure the project ID is passed
-								else if(['createSmartContract', 'compileFoundryProject', 'deployToMantleTestnet', 'runFoundryTests'].includes(toolCall.function?.name)) {
-									// If idProject exists but projectId isn't set in args, use the idProject
-									if(idProject && !args.projectId) {
-										args.projectId = idProject;
-									}
-								}
-
-								// Update the arguments
-								toolCall.function.arguments = JSON.stringify(args);
-							} catch(e) {
-								this.logger.error(`Error updating context in tool call:`, e);
-							}
-						}
-
-
-						// Execute the tools
-						const toolResultsArray = await this.executeToolCalls(toolCalls, tools, toolContext);
-
-						// Convertir el array de resultados en un objeto para acceso más fácil
-						toolResultsArray.forEach(result => {
-							if(result.status === 'success') {
-								toolResults[result.name] = result.result;
-							} else {
-								toolResults[result.name] = { error: result.error };
-							}
-						});
+					agentMessages = agentRun.messages;
 
-						// Send tool results to client
-						for(const result of toolResultsArray) {
-							sendSSE({ type: 'tool', data: result });
+					// Convertir el array de resultados en un objeto para acceso más fácil
+					agentRun.results.forEach(result => {
+						if(result.status === 'success') {
+							toolResults[result.name] = result.result;
+						} else {
+							toolResults[result.name] = { error: result.error };
 						}
+					});
 
-						// Enhance system prompt with tool results
-						const toolResultsText = toolResultsArray.map(call =>
-							`- ${ call.name }: ${ JSON.stringify(call.arguments) } -> ${ JSON.stringify(call.result) }`,
-						).join('\n');
+					if(agentRun.results.length > 0) {
+						systemPrompt += `\n\nAnswer the user based on the results of the tool calls in this conversation.`;
+					}
 
-						systemPrompt += `\n\n#Function calls:\n${ toolResultsText }\n\n`;
-						systemPrompt += `Answer the user based on the information from the function calls above.`;
+					if(agentRun.stopReason !== 'completed') {
+						systemPrompt += `\nThe tool budget for this message ran out (${ agentRun.stopReason }). Summarize what was done and what is still pending.`;
 					}
 				} catch(toolError) {
-					this.logger.error('Error checking for tool calls:', toolError);
+					this.logger.error('Error running the agent loop:', toolError);
 					// Continue without tool execution on error
 				}
 			}
@@ -1353,7 +1353,8 @@ class AIService {
 				model,
 				system: systemPrompt,
 				prompt,
-				history: messages,
+				history: [ ...messages ],
+				continuation: agentMessages,
 				stream: true,
 			});
 
@@ -1398,6 +1399,11 @@ class AIService {
 									toolResults: Object.keys(toolResults).length
 										? JSON.stringify(toolResults)
 										: undefined,
+									agent: agentRun ? {
+										steps: agentRun.steps,
+										stopReason: agentRun.stopReason,
+										duration: agentRun.duration,
+									} : undefined,
 								},
 								chat: {
 									connect: { id: idChat }
@@ -1666,10 +1672,18 @@ class AIService {
 		}
 	}
 
+
+	// ========================================================================
+	// MANTLE FOUNDRY EXECUTOR FUNCTIONS
+	// ========================================================================
+	// These functions should be added to your AIService class to handle
+	// smart contract development with Mantle Foundry
+	// ========================================================================
+
 	/**
 	 * Creates a new Foundry project for smart contract development on Mantle
 	 */
-	static async createFoundryProjectExecutor(args) {
+	static async createFoundryProjectExecutor(args, context = {}) {
 		const functionName = 'createFoundryProjectExecutor';
 		this.logger.entry(functionName, { args });
 
@@ -1679,11 +1693,11 @@ class AIService {
 				description,
 				userId,
 				projectType,
-				network = 'mantle_sepolia',
+				network = NetworkService.defaultNetwork,
 				compilerVersion = '0.8.19',
 				dependencies = [],
-				updateExisting = false,  // New flag
-				idProject = null,        // ID for existing project
+				updateExisting = false,
+				idProject = null,
 			} = args;
 
 			// Validate required fields
@@ -1691,148 +1705,45 @@ class AIService {
 				throw new Error('Missing required parameters for creating a Foundry project');
 			}
 
-			// Convert userId to number if it's a string (since our schema uses Int)
+			// Throws for networks missing from the registry
+			NetworkService.get(network);
+
+			// Throws for libraries or versions missing from the dependency registry
+			const pinnedDependencies = dependencies.map(dependency => DependencyService.parse(dependency).spec);
+
+			// Convert userId to number if it's a string
 			const userIdNum = parseInt(userId, 10);
 			if(isNaN(userIdNum)) {
 				throw new Error('Invalid userId format');
 			}
 
-			this.logger.info(`Creating Foundry project "${ projectName }" for user ${ userIdNum }`);
+			this.logger.info(`Creating Foundry project "${projectName}" for user ${userIdNum}`);
 
-			// 1. Create a new project directory
-			const projectDir = `/tmp/projects/${ userIdNum }/${ projectName.replace(/[^a-zA-Z0-9]/g, '_') }`;
+			// Check if we should update an existing project
+			if(updateExisting && idProject) {
+				const projectIdNum = parseInt(idProject, 10);
+				if(isNaN(projectIdNum)) {
+					throw new Error('Invalid idProject format');
+				}
 
-			// Create the project using Prisma
-			/*const project = await PrimateService.prisma.project.create({
-				data: {
-					name: projectName,
-					description,
-					userId: userIdNum,
-					status: 'Draft',
-					network,
-					compilerVersion,
-					foundryConfig: {
-						remappings: dependencies.map(dep => {
-							// Format dependencies as foundry remappings
-							// Example: "@openzeppelin/=lib/openzeppelin-contracts/"
-							const parts = dep.split('/');
-							return `${ dep }/=lib/${ parts[0] }-contracts/`;
-						}),
-						optimizer: { enabled: true, runs: 200 },
-					},
-					dependencies: dependencies,
-					buildStatus: 'NotStarted',
-					metas: {
-						projectType,
-						creationMethod: 'ai_assistant',
-						projectDir,
-					},
-				},
-			});*/
+				this.logger.info(`Updating existing Foundry project with ID: ${projectIdNum}`);
 
-			//this.logger.info(`Project record created in database with ID: ${ project.id }`);
+				// Get the existing project
+				const existingProject = await PrimateService.prisma.project.findUnique({
+					where: { id: projectIdNum },
+				});
 
-			// Create project directory
-			await mkdirPromise(projectDir, { recursive: true });
+				if(!existingProject) {
+					throw new Error(`Project with ID ${projectIdNum} not found`);
+				}
 
-			// Change to project directory and run forge init
-			this.logger.info(`Initializing Foundry project at ${ projectDir }`);
-			const initResult = await execPromise(`cd ${ projectDir } && forge init --no-commit`);
-			this.logger.debug(`Forge init output: ${ initResult.stdout }`);
-
-			// Create foundry.toml config file with custom settings
-			const foundryConfig = `
-[profile.default]
-src = "src"
-out = "out"
-libs = ["lib"]
-solc = "${ compilerVersion }"
-optimizer = true
-optimizer_runs = 200
-remappings = [
-${ dependencies.map(dep => {
-				const parts = dep.split('/');
-				return `    "${ dep }/=lib/${ parts[0] }-contracts/"`;
-			}).join(',\n') }
-]
-
-[profile.mantle_sepolia]
-eth_rpc_url = "${ process.env.MANTLE_SEPOLIA_RPC || 'https://rpc.sepolia.mantle.xyz' }"
-chain_id = 5003
-
-[profile.mantle_mainnet]
-eth_rpc_url = "${ process.env.MANTLE_MAINNET_RPC || 'https://rpc.mantle.xyz' }"
-chain_id = 5000
-    `;
+				// Ensure the user can edit the project
+				if(!await ProjectMemberService.can(existingProject, userIdNum, 'project:write')) {
+					throw new Error(`User ${userIdNum} cannot edit project ${projectIdNum}`);
+				}
 
-			await writeFilePromise(path.join(projectDir, 'foundry.toml'), foundryConfig);
-
-			// Install dependencies if provided
-			if(dependencies.length > 0) {
-				this.logger.info(`Installing ${ dependencies.length } dependencies...`);
-				for(const dep of dependencies) {
-					// Extract the repo name for OpenZeppelin and other common libraries
-					let repoUrl;
-					if(dep.startsWith('@openzeppelin')) {
-						repoUrl = 'https://github.com/OpenZeppelin/openzeppelin-contracts';
-					} else if(dep.startsWith('@mantle')) {
-						repoUrl = 'https://github.com/mantlenetworkio/mantle-contracts';
-					} else {
-						// Default to a generic format for other dependencies
-						const parts = dep.split('/');
-						repoUrl = `https://github.com/${ parts[0] }/${ parts[0] }-contracts`;
-					}
-
-					try {
-						const installResult = await execPromise(`cd ${ projectDir } && forge install ${ repoUrl } --no-commit`);
-						this.logger.debug(`Installed dependency ${ dep }: ${ installResult.stdout }`);
-					} catch(installError) {
-						this.logger.warn(`Failed to install dependency ${ dep }: ${ installError.message }`);
-						// Continue with other dependencies even if one fails
-					}
-				}
-			}
-
-			// Update project record with actual path
-			/*await PrimateService.prisma.project.update({
-				where: { id: project.id },
-				data: {
-					metas: {
-						...project.metas,
-						projectDir,
-						foundryInitialized: true,
-					},
-				},
-			});
-
-			this.logger.info(`Foundry project created successfully with ID: ${ project.id }`);
-			this.logger.exit(functionName, { success: true, projectId: project.id, projectDir });*/
-
-			// Check if we should update an existing project
-			if(updateExisting && idProject) {
-				const projectIdNum = parseInt(idProject, 10);
-				if(isNaN(projectIdNum)) {
-					throw new Error('Invalid idProject format');
-				}
-
-				this.logger.info(`Updating existing Foundry project with ID: ${ projectIdNum }`);
-
-				// Get the existing project
-				const existingProject = await PrimateService.prisma.project.findUnique({
-					where: { id: projectIdNum },
-				});
-
-				if(!existingProject) {
-					throw new Error(`Project with ID ${ projectIdNum } not found`);
-				}
-
-				// Ensure the project belongs to the user
-				if(existingProject.userId !== userIdNum) {
-					throw new Error(`Project with ID ${ projectIdNum } does not belong to user ${ userIdNum }`);
-				}
-
-				// Update the project with new information
-				const projectDir = existingProject.metas?.projectDir || `/tmp/projects/${ userIdNum }/${ projectName.replace(/[^a-zA-Z0-9]/g, '_') }`;
+				// Update the project with new information
+				const projectDir = WorkspaceService.dir(existingProject);
 
 				// Update the project record
 				const updatedProject = await PrimateService.prisma.project.update({
@@ -1842,14 +1753,6 @@ chain_id = 5000
 						description,
 						network,
 						compilerVersion,
-						foundryConfig: {
-							remappings: dependencies.map(dep => {
-								const parts = dep.split('/');
-								return `${ dep }/=lib/${ parts[0] }-contracts/`;
-							}),
-							optimizer: { enabled: true, runs: 200 },
-						},
-						dependencies: dependencies,
 						metas: {
 							...existingProject.metas,
 							projectType,
@@ -1858,40 +1761,202 @@ chain_id = 5000
 					},
 				});
 
-				this.logger.info(`Project updated successfully: ${ updatedProject.id }`);
+				// Requested dependencies are added to the ones the project already has
+				if(pinnedDependencies.length > 0 && updatedProject.metas?.projectDir) {
+					await DependencyService.add(updatedProject, pinnedDependencies);
+				}
+
+				this.logger.info(`Project updated successfully: ${updatedProject.id}`);
 
 				// Return the updated project
 				return {
 					project: updatedProject,
 					projectDir,
-					message: `Project "${ projectName }" updated successfully`,
+					message: `Project "${projectName}" updated successfully`,
 					isUpdate: true,
 				};
+			}
 
-			} else {
+			// Create a new project
+			this.logger.info(`Creating new Foundry project "${projectName}" for user ${userIdNum}`);
+
+			const remappings = DependencyService.remappings(DependencyService.resolve(pinnedDependencies).resolved);
+
+			// Create the project record in database
+			const project = await PrimateService.prisma.project.create({
+				data: {
+					name: projectName,
+					description,
+					userId: userIdNum,
+					status: 'Draft',
+					network,
+					compilerVersion,
+					foundryConfig: {
+						remappings,
+						optimizer: { enabled: true, runs: 200 },
+					},
+					dependencies: pinnedDependencies,
+					buildStatus: 'NotStarted',
+					metas: {
+						projectType,
+						creationMethod: 'ai_assistant',
+					},
+				},
+			});
+
+			this.logger.info(`Project record created in database with ID: ${project.id}`);
+
+			// 1. Create project directory structure, named after the project ID
+			const projectDir = WorkspaceService.dirFor(project);
+
+			// Create directory structure instead of using forge init
+			await mkdirPromise(projectDir, { recursive: true });
+			await mkdirPromise(path.join(projectDir, 'src'), { recursive: true });
+			await mkdirPromise(path.join(projectDir, 'test'), { recursive: true });
+			await mkdirPromise(path.join(projectDir, 'script'), { recursive: true });
+			await mkdirPromise(path.join(projectDir, 'lib'), { recursive: true });
+			await mkdirPromise(path.join(projectDir, 'out'), { recursive: true });
+
+			// Create foundry.toml configuration file
+			const foundryConfig = WorkspaceService.foundryToml({ compilerVersion, remappings });
+			await writeFilePromise(path.join(projectDir, 'foundry.toml'), foundryConfig);
+
+			// Token, NFT, DeFi and DAO projects start from their template, Custom projects from a sample contract
+			const starter = ContractTemplateService.starter(projectType, projectName);
+
+			if(!starter) {
+				// Create a sample contract file
+				const sampleContract = `// SPDX-License-Identifier: MIT
+pragma solidity ^${compilerVersion};
+
+contract Sample {
+    string public greeting = "Hello, Mantle!";
+    
+    constructor() {}
+    
+    function setGreeting(string memory _greeting) public {
+        greeting = _greeting;
+    }
+    
+    function getGreeting() public view returns (string memory) {
+        return greeting;
+    }
+}`;
+
+				await writeFilePromise(path.join(projectDir, 'src', 'Sample.sol'), sampleContract);
+
+				// Create a sample test file
+				const sampleTest = `// SPDX-License-Identifier: MIT
+pragma solidity ^${compilerVersion};
+
+import "forge-std/Test.sol";
+import "../src/Sample.sol";
+
+contract SampleTest is Test {
+    Sample public sample;
+
+    function setUp() public {
+        sample = new Sample();
+    }
+
+    function testGetGreeting() public {
+        assertEq(sample.getGreeting(), "Hello, Mantle!");
+    }
+
+    function testSetGreeting() public {
+        sample.setGreeting("New greeting");
+        assertEq(sample.getGreeting(), "New greeting");
+    }
+}`;
 
-				this.logger.info(`Creating new Foundry project "${ projectName }" for user ${ userIdNum }`);
+				await writeFilePromise(path.join(projectDir, 'test', 'Sample.t.sol'), sampleTest);
 			}
 
+			// Update project record with information about the initialized project
+			const initializedProject = await PrimateService.prisma.project.update({
+				where: { id: project.id },
+				data: {
+					metas: {
+						...project.metas,
+						projectDir,
+						foundryInitialized: true,
+						initializationTime: new Date().toISOString(),
+					},
+				},
+			});
+
+			// Vendor the requested libraries into lib/ from the dependency cache
+			const { missing } = await DependencyService.sync(initializedProject, { download: true });
+
+			// Also installs the template libraries and sets the compiler version they need
+			const starterResult = starter
+				? await ContractService.createFromTemplate(initializedProject, starter.id, starter.params, {
+					author: this.revisionAuthor(context),
+				})
+				: null;
+
+			const missingDependencies = starterResult?.missingDependencies || missing;
+
+			this.logger.info(`Foundry project created successfully with ID: ${project.id}`);
+			this.logger.exit(functionName, { success: true, projectId: project.id, projectDir });
+
+			return {
+				project,
+				projectDir,
+				template: starterResult?.template || null,
+				contracts: starterResult?.contracts || [],
+				missingDependencies,
+				message: starterResult
+					? `Project "${projectName}" created successfully with ${ starterResult.contracts.map(contract => contract.name).join(', ') } from template ${ starterResult.template }`
+					: `Project "${projectName}" created successfully`,
+				initOutput: "Project structure created successfully.",
+			};
 		} catch(error) {
 			this.logger.error(`Error creating Foundry project:`, error);
-			this.logger.exit(functionName, { error: true });
 
-			throw new Error(`Failed to create Foundry project: ${ error.message }`);
+			// If we created a project record but the initialization failed, update the status
+			try {
+				const projectRecord = await PrimateService.prisma.project.findFirst({
+					where: {
+						name: args.projectName,
+						userId: parseInt(args.userId, 10),
+					},
+					orderBy: {
+						createdAt: 'desc',
+					},
+				});
+
+				if(projectRecord) {
+					await PrimateService.prisma.project.update({
+						where: { id: projectRecord.id },
+						data: {
+							metas: {
+								...projectRecord.metas,
+								foundryInitializationError: error.message,
+							},
+						},
+					});
+				}
+			} catch(updateError) {
+				this.logger.error(`Failed to update project after initialization error:`, updateError);
+			}
+
+			this.logger.exit(functionName, { error: true });
+			throw new Error(`Failed to create Foundry project: ${error.message}`);
 		}
 	}
 
 	/**
 	 * Creates a new smart contract within an existing Foundry project
 	 */
-	static async createSmartContractExecutor(args) {
+	static async createSmartContractExecutor(args, context = {}) {
 		const functionName = 'createSmartContractExecutor';
 		this.logger.entry(functionName, { args });
 
-		try {
-			// Importaciones necesarias para ESM (deben estar fuera de la función o al inicio del archivo)
-			// No las coloco aquí porque deben ser importadas a nivel de módulo, no dentro de la función
+		const __filename = fileURLToPath(import.meta.url);
+		const __dirname = path.dirname(__filename);
 
+		try {
 			const {
 				projectId,
 				contractName,
@@ -1914,7 +1979,7 @@ chain_id = 5000
 
 			this.logger.info(`Creating contract "${contractName}" for project ${projectIdNum}`);
 
-			// Check if project exists - usar let en lugar de const para poder reasignarlo después
+			// Check if project exists
 			let project = await PrimateService.prisma.project.findUnique({
 				where: { id: projectIdNum },
 			});
@@ -1927,101 +1992,30 @@ chain_id = 5000
 			if(!project.metas?.projectDir) {
 				this.logger.info(`Project directory not found for project ${projectIdNum}. Initializing project.`);
 
-				// Initialize the project
-				// En lugar de usar __dirname, usar una ruta relativa o absoluta configurada
-				const projectDir = path.resolve(process.cwd(), 'projects', `project-${projectIdNum}`);
-
-				// Create project directory if it doesn't exist
-				if(!fs.existsSync(projectDir)) {
-					await fsPromises.mkdir(projectDir, { recursive: true });
-				}
-
-				// Create basic project structure
-				const srcDir = path.join(projectDir, 'src');
-				const testDir = path.join(projectDir, 'test');
-				const scriptDir = path.join(projectDir, 'script');
-
-				for(const dir of [srcDir, testDir, scriptDir]) {
-					if(!fs.existsSync(dir)) {
-						await fsPromises.mkdir(dir, { recursive: true });
-					}
-				}
-
-				// Update project with directory information
-				await PrimateService.prisma.project.update({
-					where: { id: projectIdNum },
-					data: {
-						metas: {
-							...(project.metas || {}),
-							projectDir,
-							initialized: true,
-							initializeDate: new Date().toISOString()
-						}
-					}
-				});
-
-				// Reload project with updated information
-				project = await PrimateService.prisma.project.findUnique({
-					where: { id: projectIdNum }
-				});
+				project = await WorkspaceService.init(project);
 
-				this.logger.info(`Project initialized with directory: ${projectDir}`);
+				this.logger.info(`Project initialized with directory: ${ project.metas.projectDir }`);
 			}
 
 			// Now we have a valid project directory
 			const projectDir = project.metas.projectDir;
 
-			// Create the contract record in the database
-			const contract = await PrimateService.prisma.contract.create({
-				data: {
-					projectId: projectIdNum,
-					name: contractName,
-					contractType,
-					sourceCode,
-					isMain,
-					abi: null, // Will be populated after compilation
-					bytecode: null, // Will be populated after compilation
-					metas: {
-						constructorArgs,
-						creationTimestamp: new Date().toISOString(),
-					},
-				},
-			});
-
-			// If this is the main contract and no other main contract exists, mark it as main
-			if(isMain) {
-				// Update any previously marked main contracts to not be main
-				await PrimateService.prisma.contract.updateMany({
-					where: {
-						projectId: projectIdNum,
-						isMain: true,
-						id: { not: contract.id },
-					},
-					data: {
-						isMain: false,
-					},
-				});
-			}
-
-			// Write the contract to the project directory
-			const contractFilePath = path.join(projectDir, 'src', `${contractName}.sol`);
-
-			// Ensure src directory exists
-			const srcDir = path.join(projectDir, 'src');
-			if(!fs.existsSync(srcDir)) {
-				await fsPromises.mkdir(srcDir, { recursive: true });
-			}
-
-			// Write contract source code to file
-			await fsPromises.writeFile(contractFilePath, sourceCode);
+			// A contract with the same name gets a new revision instead of a duplicate row
+			const { contract, revision, created } = await ContractService.saveSource(project, {
+				name: contractName,
+				contractType,
+				sourceCode,
+				isMain,
+				constructorArgs,
+			}, this.revisionAuthor(context));
 
-			this.logger.info(`Contract file written to ${contractFilePath}`);
+			this.logger.info(`Contract file written to ${ path.join(projectDir, contract.metas.filePath) } (revision ${ revision.version })`);
 
-			// Add test file if it's a main contract
-			if(isMain) {
+			// Add test file if it's a new main contract, updates keep the tests written since
+			if(isMain && created) {
 				const testDir = path.join(projectDir, 'test');
 				if(!fs.existsSync(testDir)) {
-					await fsPromises.mkdir(testDir, { recursive: true });
+					await mkdirPromise(testDir, { recursive: true });
 				}
 
 				// Create a basic test file
@@ -2044,13 +2038,13 @@ contract ${contractName}Test is Test {
 }`;
 
 				const testFilePath = path.join(testDir, `${contractName}.t.sol`);
-				await fsPromises.writeFile(testFilePath, testContent);
+				await writeFilePromise(testFilePath, testContent);
 				this.logger.info(`Test file written to ${testFilePath}`);
 
 				// Create a deployment script
 				const scriptDir = path.join(projectDir, 'script');
 				if(!fs.existsSync(scriptDir)) {
-					await fsPromises.mkdir(scriptDir, { recursive: true });
+					await mkdirPromise(scriptDir, { recursive: true });
 				}
 
 				const deploymentScript = `// SPDX-License-Identifier: MIT
@@ -2071,30 +2065,33 @@ contract Deploy${contractName} is Script {
 }`;
 
 				const scriptFilePath = path.join(scriptDir, `Deploy${contractName}.s.sol`);
-				await fsPromises.writeFile(scriptFilePath, deploymentScript);
+				await writeFilePromise(scriptFilePath, deploymentScript);
 				this.logger.info(`Deployment script written to ${scriptFilePath}`);
 			}
 
-			// Update contract record with file path
-			await PrimateService.prisma.contract.update({
-				where: { id: contract.id },
-				data: {
-					metas: {
-						...contract.metas,
-						filePath: `src/${contractName}.sol`,
-						hasTests: isMain,
-						hasDeploymentScript: isMain,
+			if(created) {
+				await PrimateService.prisma.contract.update({
+					where: { id: contract.id },
+					data: {
+						metas: {
+							...contract.metas,
+							hasTests: isMain,
+							hasDeploymentScript: isMain,
+						},
 					},
-				},
-			});
+				});
+			}
 
-			this.logger.info(`Contract created successfully with ID: ${contract.id}`);
+			this.logger.info(`Contract ${created ? 'created' : 'updated'} successfully with ID: ${contract.id}`);
 			this.logger.exit(functionName, { success: true, contractId: contract.id });
 
 			return {
 				contract,
-				message: `Contract "${contractName}" created successfully for project "${project.name}"`,
-				filePath: `src/${contractName}.sol`,
+				revision: revision.version,
+				message: created
+					? `Contract "${contractName}" created successfully for project "${project.name}"`
+					: `Contract "${contractName}" already existed, its source was updated to revision ${revision.version}`,
+				filePath: contract.metas.filePath,
 			};
 		} catch(error) {
 			this.logger.error(`Error creating smart contract:`, error);
@@ -2105,255 +2102,85 @@ contract Deploy${contractName} is Script {
 	}
 
 	/**
-	 * Compiles all smart contracts in a Foundry project
+	 * Replaces the source of an existing project contract and stores it as a new revision
 	 */
-	/*static async compileFoundryProjectExecutor(args) {
-		const functionName = 'compileFoundryProjectExecutor';
+	static async updateSmartContractExecutor(args, context = {}) {
+		const functionName = 'updateSmartContractExecutor';
 		this.logger.entry(functionName, { args });
 
 		try {
-			const {
-				projectId,
-				optimizationLevel = 1,
-				runs = 200,
-			} = args;
+			const { projectId, contractId, contractName, sourceCode, summary } = args;
 
-			// Validate required fields
-			if(!projectId) {
-				throw new Error('Missing required parameter: projectId');
+			if(!projectId || !sourceCode || (!contractId && !contractName)) {
+				throw new Error('Missing required parameters: projectId, sourceCode and contractId or contractName');
 			}
 
-			// Convert projectId to number if it's a string
 			const projectIdNum = parseInt(projectId, 10);
 			if(isNaN(projectIdNum)) {
 				throw new Error('Invalid projectId format');
 			}
 
-			this.logger.info(`Compiling project ${ projectIdNum } with optimization level ${ optimizationLevel }`);
-
-			// Get project details
 			const project = await PrimateService.prisma.project.findUnique({
 				where: { id: projectIdNum },
-				include: { contracts: true },
 			});
 
 			if(!project) {
 				throw new Error(`Project with ID ${ projectIdNum } not found`);
 			}
 
-			const projectDir = project.metas?.projectDir;
-			if(!projectDir) {
-				throw new Error(`Project directory not found for project ${ projectIdNum }`);
+			const existing = contractId
+				? await ContractService.findForProject(projectIdNum, contractId)
+				: await PrimateService.prisma.contract.findFirst({ where: { projectId: projectIdNum, name: contractName } });
+
+			if(!existing) {
+				throw new Error(`Contract ${ contractName } not found in project ${ projectIdNum }, use createSmartContract to add it`);
 			}
 
-			// Update project status to Building
-			await PrimateService.prisma.project.update({
-				where: { id: projectIdNum },
-				data: {
-					buildStatus: 'Building',
-					metas: {
-						...project.metas,
-						lastBuildAttempt: new Date().toISOString(),
-					},
-				},
+			const { contract, revision } = await ContractService.saveSource(project, { id: existing.id, sourceCode }, {
+				...this.revisionAuthor(context),
+				summary,
 			});
 
-			// Update foundry.toml with optimization level if needed
-			const foundryTomlPath = path.join(projectDir, 'foundry.toml');
-			let foundryConfig = await readFilePromise(foundryTomlPath, 'utf8');
-
-			// Update optimizer settings
-			foundryConfig = foundryConfig.replace(
-				/optimizer_runs = \d+/,
-				`optimizer_runs = ${ runs }`,
-			);
+			const unchanged = existing.sourceCode === sourceCode;
 
-			await writeFilePromise(foundryTomlPath, foundryConfig);
-
-			// Execute forge build
-			this.logger.info(`Running forge build in ${ projectDir }...`);
-			try {
-				const buildResult = await execPromise(`cd ${ projectDir } && forge build --optimize --optimizer-runs ${ runs }`);
-				this.logger.info(`Build output: ${ buildResult.stdout }`);
-
-				// Process the build output to extract ABIs and bytecode
-				const outDir = path.join(projectDir, 'out');
-
-				// For each contract, read the compiled artifacts
-				for(const contract of project.contracts) {
-					try {
-						// Check if the contract has a corresponding JSON file in the out directory
-						const contractJsonPath = path.join(
-							outDir,
-							`${ contract.name }.sol`,
-							`${ contract.name }.json`,
-						);
-
-						if(fs.existsSync(contractJsonPath)) {
-							const contractJson = JSON.parse(await readFilePromise(contractJsonPath, 'utf8'));
-
-							// Extract ABI and bytecode
-							const abi = contractJson.abi;
-							const bytecode = contractJson.bytecode.object;
-
-							// Update the contract with real ABI and bytecode
-							await PrimateService.prisma.contract.update({
-								where: { id: contract.id },
-								data: {
-									abi,
-									bytecode,
-								},
-							});
-
-							this.logger.info(`Updated contract ${ contract.name } with compiled artifacts`);
-						} else {
-							this.logger.warn(`Compiled artifact for contract ${ contract.name } not found at ${ contractJsonPath }`);
-						}
-					} catch(contractError) {
-						this.logger.error(`Error processing compiled contract ${ contract.name }:`, contractError);
-						// Continue with other contracts even if one fails
-					}
-				}
-
-				// Update project status to Success
-				await PrimateService.prisma.project.update({
-					where: { id: projectIdNum },
-					data: {
-						buildStatus: 'Success',
-						metas: {
-							...project.metas,
-							lastBuildSuccess: new Date().toISOString(),
-							optimizationLevel,
-							optimizationRuns: runs,
-						},
-					},
-				});
-
-				this.logger.info(`Compilation successful for project ${ projectIdNum }`);
-
-				// Extract gas report if available
-				let gasReport = {};
-				try {
-					const gasReportPath = path.join(projectDir, '.gas-snapshot');
-					if(fs.existsSync(gasReportPath)) {
-						const gasReportContent = await readFilePromise(gasReportPath, 'utf8');
-						// Parse the gas snapshot format
-						const gasLines = gasReportContent.split('\n');
-						let totalGasUsed = 0;
-						const functionBreakdown = {};
-
-						for(const line of gasLines) {
-							if(line.trim()) {
-								const match = line.match(/([^:]+):\s*(\d+)/);
-								if(match) {
-									const [ , functionName, gasUsed ] = match;
-									functionBreakdown[functionName.trim()] = parseInt(gasUsed, 10);
-									totalGasUsed += parseInt(gasUsed, 10);
-								}
-							}
-						}
-
-						gasReport = {
-							totalGasUsed,
-							functionBreakdown,
-						};
-					}
-				} catch(gasReportError) {
-					this.logger.warn(`Error processing gas report:`, gasReportError);
-					// Continue without gas report
-				}
-
-				// Get updated contracts
-				const updatedContracts = await PrimateService.prisma.contract.findMany({
-					where: { projectId: projectIdNum },
-				});
-
-				this.logger.exit(functionName, { success: true });
-
-				return {
-					success: true,
-					message: `Project compiled successfully`,
-					contracts: updatedContracts.map(c => ({
-						id: c.id,
-						name: c.name,
-						type: c.contractType,
-						hasAbi: !!c.abi,
-						hasBytecode: !!c.bytecode,
-					})),
-					artifactsPath: 'out/',
-					gasReport,
-				};
-
-			} catch(buildError) {
-				// Build failed
-				this.logger.error(`Build failed:`, buildError);
-
-				// Update project status to Failed
-				await PrimateService.prisma.project.update({
-					where: { id: projectIdNum },
-					data: {
-						buildStatus: 'Failed',
-						lastBuildLog: buildError.message,
-						metas: {
-							...project.metas,
-							lastBuildFailure: new Date().toISOString(),
-							buildError: buildError.message,
-							buildOutput: buildError.stderr,
-						},
-					},
-				});
-
-				throw new Error(`Compilation failed: ${ buildError.message }`);
-			}
+			this.logger.exit(functionName, { success: true, contractId: contract.id, version: revision.version });
 
+			return {
+				success: true,
+				contractId: contract.id,
+				name: contract.name,
+				filePath: contract.metas.filePath,
+				revision: revision.version,
+				message: unchanged
+					? `The source of ${ contract.name } is unchanged (revision ${ revision.version })`
+					: `Updated ${ contract.name } to revision ${ revision.version }. Compile the project before testing or deploying it`,
+			};
 		} catch(error) {
-			this.logger.error(`Error compiling Foundry project:`, error);
-
-			// Update project status to Failed if we haven't already
-			try {
-				if(args.projectId) {
-					const projectIdNum = parseInt(args.projectId, 10);
-					const project = await PrimateService.prisma.project.findUnique({
-						where: { id: projectIdNum },
-					});
-
-					if(project && project.buildStatus !== 'Failed') {
-						await PrimateService.prisma.project.update({
-							where: { id: projectIdNum },
-							data: {
-								buildStatus: 'Failed',
-								lastBuildLog: error.message,
-								metas: {
-									...project.metas,
-									lastBuildFailure: new Date().toISOString(),
-									buildError: error.message,
-								},
-							},
-						});
-					}
-				}
-			} catch(updateError) {
-				this.logger.error(`Failed to update project status after build failure:`, updateError);
-			}
-
+			this.logger.error(`Error updating smart contract:`, error);
 			this.logger.exit(functionName, { error: true });
-			throw new Error(`Failed to compile project: ${ error.message }`);
+
+			throw new Error(`Failed to update smart contract: ${ error.message }`);
 		}
-	}*/
+	}
 
-	// Modified compileFoundryProjectExecutor without direct Forge execution
-	static async compileFoundryProjectExecutor(args) {
+	/**
+	 * Compiles all smart contracts in a Foundry project with solc-js.
+	 * The compiler version is pinned by `Project.compilerVersion` and the optimizer settings come
+	 * from `foundryConfig` (explicit tool arguments override them and are saved back). Compiler
+	 * errors and warnings with their file/line positions are stored in `Project.lastBuildLog` and
+	 * streamed to the chat as log lines, followed by a summary event.
+	 */
+	static async compileFoundryProjectExecutor(args, context = {}) {
 		const functionName = 'compileFoundryProjectExecutor';
 		this.logger.entry(functionName, { args });
 
 		try {
 			const {
 				projectId,
-				optimizationLevel = 1,
-				runs = 200,
+				optimizationLevel,
+				runs,
 			} = args;
 
-			// Validate and get project details (no changes to this part)
 			if(!projectId) {
 				throw new Error('Missing required parameter: projectId');
 			}
@@ -2363,8 +2190,6 @@ contract Deploy${contractName} is Script {
 				throw new Error('Invalid projectId format');
 			}
 
-			this.logger.info(`Compiling project ${projectIdNum} with optimization level ${optimizationLevel}`);
-
 			// Get project details
 			const project = await PrimateService.prisma.project.findUnique({
 				where: { id: projectIdNum },
@@ -2375,16 +2200,27 @@ contract Deploy${contractName} is Script {
 				throw new Error(`Project with ID ${projectIdNum} not found`);
 			}
 
-			const projectDir = project.metas?.projectDir;
-			if(!projectDir) {
-				throw new Error(`Project directory not found for project ${projectIdNum}`);
+			if(project.contracts.length === 0) {
+				throw new Error(`No contracts found for project ${projectIdNum}`);
 			}
 
+			const compilerVersion = project.compilerVersion || '0.8.19';
+			const optimizer = SolcService.optimizerSettings(project.foundryConfig, {
+				enabled: optimizationLevel !== undefined ? optimizationLevel > 0 : undefined,
+				runs,
+			});
+
+			this.logger.info(`Compiling project ${projectIdNum} with solc ${compilerVersion} (optimizer: ${optimizer.enabled}, runs: ${optimizer.runs})`);
+
 			// Update project status to Building
 			await PrimateService.prisma.project.update({
 				where: { id: projectIdNum },
 				data: {
 					buildStatus: 'Building',
+					foundryConfig: {
+						...(project.foundryConfig || {}),
+						optimizer,
+					},
 					metas: {
 						...project.metas,
 						lastBuildAttempt: new Date().toISOString(),
@@ -2392,145 +2228,180 @@ contract Deploy${contractName} is Script {
 				},
 			});
 
-			// Update foundry.toml with optimization level if needed
-			const foundryTomlPath = path.join(projectDir, 'foundry.toml');
-			let foundryConfig = await readFilePromise(foundryTomlPath, 'utf8');
-			foundryConfig = foundryConfig.replace(
-				/optimizer_runs = \d+/,
-				`optimizer_runs = ${runs}`,
-			);
-			await writeFilePromise(foundryTomlPath, foundryConfig);
+			const projectDir = project.metas?.projectDir;
 
-			try {
-				// CHANGED: Instead of executing forge build, use solc JS library or mock the compilation
-				this.logger.info(`Compiling Solidity files in ${projectDir}...`);
+			// Install the declared libraries from the local cache, builds never download them
+			if(projectDir) {
+				const { foundryConfig, missing } = await DependencyService.sync({
+					...project,
+					foundryConfig: { ...(project.foundryConfig || {}), optimizer },
+				});
 
-				// Example: Using solc-js (you would need to import it)
-				// const solc = require('solc');
+				if(missing.length > 0) {
+					throw new Error(`Missing dependencies: ${ missing.map(entry => entry.error).join('; ') }`);
+				}
 
-				// For each contract in the project
-				for(const contract of project.contracts) {
-					try {
-						const contractPath = path.join(projectDir, 'src', `${contract.name}.sol`);
-						const contractSource = await readFilePromise(contractPath, 'utf8');
-
-						// Example of how you might compile with solc-js instead of forge
-						// const input = {
-						//   language: 'Solidity',
-						//   sources: {
-						//     [contract.name]: {
-						//       content: contractSource
-						//     }
-						//   },
-						//   settings: {
-						//     optimizer: {
-						//       enabled: true,
-						//       runs: runs
-						//     },
-						//     outputSelection: {
-						//       '*': {
-						//         '*': ['abi', 'evm.bytecode']
-						//       }
-						//     }
-						//   }
-						// };
-
-						// const compiledContract = JSON.parse(solc.compile(JSON.stringify(input)));
-						// const output = compiledContract.contracts[contract.name][contract.name];
-
-						// For this example, we'll mock the output
-						const abi = [{"inputs":[],"stateMutability":"nonpayable","type":"constructor"}]; // Mock ABI
-						const bytecode = "0x60806040526000805534801561001457600080fd5b5060358060236000396000f3fe6080604052600080fdfea26469706673582212204ca02a58b31e3f79afab9af66834a669b4ee1abf4e16766dc7b2d8a29318368164736f6c63430008130033"; // Mock bytecode
-
-						// Update the contract with the compiled artifacts
-						await PrimateService.prisma.contract.update({
-							where: { id: contract.id },
-							data: {
-								abi,
-								bytecode,
-							},
-						});
+				project.foundryConfig = foundryConfig;
+			}
 
-						this.logger.info(`Updated contract ${contract.name} with compiled artifacts`);
-					} catch(contractError) {
-						this.logger.error(`Error processing compiled contract ${contract.name}:`, contractError);
-						// Continue with other contracts even if one fails
-					}
+			// Keep foundry.toml in sync with the optimizer settings used for this build
+			if(projectDir) {
+				const foundryTomlPath = path.join(projectDir, 'foundry.toml');
+				if(fs.existsSync(foundryTomlPath)) {
+					let foundryConfig = await readFilePromise(foundryTomlPath, 'utf8');
+					foundryConfig = foundryConfig
+						.replace(/optimizer = (true|false)/, `optimizer = ${optimizer.enabled}`)
+						.replace(/optimizer_runs = \d+/, `optimizer_runs = ${optimizer.runs}`);
+					await writeFilePromise(foundryTomlPath, foundryConfig);
 				}
+			}
+
+			const input = SolcService.buildInput(project, project.contracts, { optimizer });
+			this.sendToolLog(context, `Compiling ${ Object.keys(input.sources).length } file(s) with solc ${ compilerVersion }...`);
+
+			const { output, diagnostics, errors, warnings, version } = await SolcService.compile(compilerVersion, input, {
+				baseDir: projectDir,
+			});
+
+			const buildLog = SolcService.formatLog(diagnostics, version);
+			buildLog.split('\n').forEach(line => this.sendToolLog(context, line));
+
+			if(errors.length > 0) {
+				this.logger.warn(`Compilation failed for project ${projectIdNum} with ${errors.length} errors`);
 
-				// Update project status to Success
 				await PrimateService.prisma.project.update({
 					where: { id: projectIdNum },
 					data: {
-						buildStatus: 'Success',
+						buildStatus: 'Failed',
+						lastBuildLog: buildLog,
 						metas: {
 							...project.metas,
-							lastBuildSuccess: new Date().toISOString(),
-							optimizationLevel,
-							optimizationRuns: runs,
+							lastBuildFailure: new Date().toISOString(),
+							buildDiagnostics: diagnostics,
 						},
 					},
 				});
 
-				this.logger.info(`Compilation successful for project ${projectIdNum}`);
-
-				// Mock gas report data
-				const gasReport = {
-					totalGasUsed: 250000,
-					functionBreakdown: {
-						"constructor": 120000,
-						"transfer(address,uint256)": 65000,
-						"balanceOf(address)": 25000,
-					}
-				};
-
-				// Get updated contracts
-				const updatedContracts = await PrimateService.prisma.contract.findMany({
-					where: { projectId: projectIdNum },
+				this.sendToolSummary(context, {
+					status: 'Failed',
+					compilerVersion: version,
+					errors: errors.length,
+					warnings: warnings.length,
 				});
 
-				this.logger.exit(functionName, { success: true });
+				this.logger.exit(functionName, { success: false, errors: errors.length });
 
 				return {
-					success: true,
-					message: `Project compiled successfully`,
-					contracts: updatedContracts.map(c => ({
-						id: c.id,
-						name: c.name,
-						type: c.contractType,
-						hasAbi: !!c.abi,
-						hasBytecode: !!c.bytecode,
-					})),
-					artifactsPath: 'out/',
-					gasReport,
+					success: false,
+					message: `Compilation failed with ${errors.length} error(s)`,
+					compilerVersion: version,
+					errors,
+					warnings,
 				};
+			}
 
-			} catch(buildError) {
-				// Build failed
-				this.logger.error(`Build failed:`, buildError);
+			// Store the real artifacts on each contract
+			const missing = [];
 
-				// Update project status to Failed
-				await PrimateService.prisma.project.update({
-					where: { id: projectIdNum },
+			for(const contract of project.contracts) {
+				const sourcePath = SolcService.sourcePath(contract);
+				let artifact = output.contracts?.[sourcePath]?.[contract.name];
+
+				// Fall back to a contract with the same name declared in another file
+				if(!artifact) {
+					const file = Object.values(output.contracts || {}).find(contracts => contracts[contract.name]);
+					artifact = file?.[contract.name];
+				}
+
+				if(!artifact) {
+					this.logger.warn(`Compiled artifact for contract ${contract.name} not found`);
+					missing.push(contract.name);
+					continue;
+				}
+
+				await PrimateService.prisma.contract.update({
+					where: { id: contract.id },
 					data: {
-						buildStatus: 'Failed',
-						lastBuildLog: buildError.message,
+						abi: artifact.abi,
+						bytecode: artifact.evm.bytecode.object ? `0x${artifact.evm.bytecode.object}` : null,
 						metas: {
-							...project.metas,
-							lastBuildFailure: new Date().toISOString(),
-							buildError: buildError.message,
-							buildOutput: buildError.toString(),
+							...contract.metas,
+							deployedBytecode: artifact.evm.deployedBytecode?.object ? `0x${artifact.evm.deployedBytecode.object}` : null,
+							compiler: { version, optimizer },
+							compiledAt: new Date().toISOString(),
 						},
 					},
 				});
 
-				throw new Error(`Compilation failed: ${buildError.message}`);
+				this.logger.info(`Updated contract ${contract.name} with compiled artifacts`);
 			}
 
+			// Update project status to Success
+			await PrimateService.prisma.project.update({
+				where: { id: projectIdNum },
+				data: {
+					buildStatus: 'Success',
+					lastBuildLog: buildLog,
+					metas: {
+						...project.metas,
+						lastBuildSuccess: new Date().toISOString(),
+						buildDiagnostics: diagnostics,
+						optimizationLevel,
+						optimizationRuns: optimizer.runs,
+					},
+				},
+			});
+
+			this.logger.info(`Compilation successful for project ${projectIdNum}`);
+
+			// Report security findings with every build, they never fail it
+			let analysis = null;
+			try {
+				const run = await AnalysisRunService.run(projectIdNum, { trigger: 'Compile' });
+				analysis = { id: run.id, high: run.high, medium: run.medium, low: run.low, informational: run.informational };
+				this.sendToolLog(context, `Static analysis: ${ run.high } high, ${ run.medium } medium, ${ run.low } low, ${ run.informational } informational finding(s)`);
+			} catch(analysisError) {
+				this.logger.warn(`Static analysis failed for project ${projectIdNum}: ${analysisError.message}`);
+			}
+
+			// Get updated contracts
+			const updatedContracts = await PrimateService.prisma.contract.findMany({
+				where: { projectId: projectIdNum },
+			});
+
+			this.sendToolSummary(context, {
+				status: 'Success',
+				compilerVersion: version,
+				errors: 0,
+				warnings: warnings.length,
+				contracts: updatedContracts.map(c => c.name),
+				missingArtifacts: missing,
+				analysis,
+			});
+
+			this.logger.exit(functionName, { success: true });
+
+			return {
+				success: true,
+				message: `Project compiled successfully`,
+				compilerVersion: version,
+				optimizer,
+				contracts: updatedContracts.map(c => ({
+					id: c.id,
+					name: c.name,
+					type: c.contractType,
+					hasAbi: !!c.abi,
+					hasBytecode: !!c.bytecode,
+				})),
+				missingArtifacts: missing,
+				warnings,
+				analysis,
+			};
+
 		} catch(error) {
 			this.logger.error(`Error compiling Foundry project:`, error);
 
-			// Update project status to Failed if we haven't already (no changes here)
+			// Update project status to Failed if we haven't already
 			try {
 				if(args.projectId) {
 					const projectIdNum = parseInt(args.projectId, 10);
@@ -2563,490 +2434,325 @@ contract Deploy${contractName} is Script {
 	}
 
 	/**
-	 * Deploys a compiled Foundry project to Mantle Sepolia testnet
+	 * Runs the static security analysis over the project contracts and stores the findings
 	 */
-	/*static async deployToMantleTestnetExecutor(args) {
-		const functionName = 'deployToMantleTestnetExecutor';
+	static async analyzeContractsExecutor(args, context = {}) {
+		const functionName = 'analyzeContractsExecutor';
 		this.logger.entry(functionName, { args });
 
 		try {
-			const {
-				projectId,
-				contractId,
-				network = 'mantle_sepolia',
-				deploymentSettings = {
-					gasLimit: 3000000,
-					constructorArgs: [],
-					verifyOnEtherscan: true,
-				},
-				walletMethod = 'provider_managed',
-			} = args;
+			const { projectId, contractId } = args;
 
-			// Validate required fields
 			if(!projectId) {
 				throw new Error('Missing required parameter: projectId');
 			}
 
-			// Convert projectId to number if it's a string
 			const projectIdNum = parseInt(projectId, 10);
 			if(isNaN(projectIdNum)) {
 				throw new Error('Invalid projectId format');
 			}
 
-			// Find the project
 			const project = await PrimateService.prisma.project.findUnique({
 				where: { id: projectIdNum },
-				include: { contracts: true },
 			});
 
 			if(!project) {
 				throw new Error(`Project with ID ${ projectIdNum } not found`);
 			}
 
-			const projectDir = project.metas?.projectDir;
-			if(!projectDir) {
-				throw new Error(`Project directory not found for project ${ projectIdNum }`);
-			}
-
-			// Determine which contract to deploy
-			let contractToDeployId;
+			const run = await AnalysisRunService.run(projectIdNum, { trigger: 'Manual', contractId });
+			const open = run.findings.filter(finding => finding.status === 'Open');
 
-			if(contractId) {
-				// Use specified contract
-				contractToDeployId = parseInt(contractId, 10);
-				if(isNaN(contractToDeployId)) {
-					throw new Error('Invalid contractId format');
-				}
-
-				// Verify the contract belongs to this project
-				const contractExists = project.contracts.some(c => c.id === contractToDeployId);
-				if(!contractExists) {
-					throw new Error(`Contract with ID ${ contractToDeployId } does not belong to project ${ projectIdNum }`);
-				}
-			} else {
-				// Use the main contract
-				const mainContract = project.contracts.find(c => c.isMain);
-				if(!mainContract) {
-					throw new Error(`No main contract found for project ${ projectIdNum }`);
-				}
-				contractToDeployId = mainContract.id;
+			for(const finding of open) {
+				this.sendToolLog(context, `${ finding.severity.toUpperCase() } ${ finding.filePath }:${ finding.startLine } ${ finding.title }`);
 			}
 
-			// Get the contract
-			const contract = await PrimateService.prisma.contract.findUnique({
-				where: { id: contractToDeployId },
+			this.sendToolSummary(context, {
+				status: run.status,
+				contracts: run.contracts,
+				high: run.high,
+				medium: run.medium,
+				low: run.low,
+				informational: run.informational,
 			});
 
-			if(!contract) {
-				throw new Error(`Contract with ID ${ contractToDeployId } not found`);
-			}
-
-			// Check if contract is compiled
-			if(!contract.abi || !contract.bytecode) {
-				throw new Error(`Contract ${ contract.name } needs to be compiled before deployment`);
-			}
-
-			this.logger.info(`Deploying contract "${ contract.name }" to ${ network }...`);
-
-			// Prepare deployment script
-			const deploymentScriptPath = path.join(projectDir, 'script', `Deploy${ contract.name }.s.sol`);
-			const constructorArgsString = deploymentSettings.constructorArgs.length > 0
-				? deploymentSettings.constructorArgs.map(arg => JSON.stringify(arg)).join(', ')
-				: '';
+			this.logger.exit(functionName, { success: true, findings: run.findings.length });
 
-			// Ensure script directory exists
-			const scriptDir = path.join(projectDir, 'script');
-			if(!fs.existsSync(scriptDir)) {
-				await mkdirPromise(scriptDir, { recursive: true });
-			}
+			return {
+				success: run.status === 'Success',
+				analysisId: run.id,
+				summary: { high: run.high, medium: run.medium, low: run.low, informational: run.informational },
+				error: run.error,
+				findings: open.map(finding => ({
+					id: finding.id,
+					detector: finding.detector,
+					severity: finding.severity,
+					title: finding.title,
+					description: finding.description,
+					recommendation: finding.recommendation,
+					filePath: finding.filePath,
+					contractName: finding.contractName,
+					functionName: finding.functionName,
+					startLine: finding.startLine,
+					endLine: finding.endLine,
+				})),
+				dismissed: run.findings.length - open.length,
+				message: run.error
+					? `Some files could not be parsed: ${ run.error }`
+					: `Analyzed ${ run.contracts } file(s): ${ open.length } open finding(s)`,
+			};
+		} catch(error) {
+			this.logger.error(`Error analyzing contracts:`, error);
+			this.logger.exit(functionName, { error: true });
 
-			const deploymentScript = `// SPDX-License-Identifier: MIT
-pragma solidity ^0.8.13;
+			throw new Error(`Failed to analyze contracts: ${ error.message }`);
+		}
+	}
 
-import "forge-std/Script.sol";
-import "../src/${ contract.name }.sol";
+	/**
+	 * Deploys a compiled contract of a project to a test network (see DeploymentService.deploy()).
+	 * Mainnets are deployed through POST /projects/:id/deployments.
+	 */
+	static async deployToMantleTestnetExecutor(args, context = {}) {
+		const functionName = 'deployToMantleTestnetExecutor';
+		this.logger.entry(functionName, { args });
 
-contract Deploy${ contract.name } is Script {
-    function run() external {
-        uint256 deployerPrivateKey = vm.envUint("PRIVATE_KEY");
-        vm.startBroadcast(deployerPrivateKey);
-        
-        ${ contract.name } instance = new ${ contract.name }(${ constructorArgsString });
-        
-        vm.stopBroadcast();
-    }
-}`;
+		try {
+			const {
+				projectId,
+				contractId,
+				network = NetworkService.defaultNetwork,
+				deploymentSettings = {},
+				walletId,
+			} = args;
 
-			await writeFilePromise(deploymentScriptPath, deploymentScript);
-			this.logger.info(`Deployment script written to ${ deploymentScriptPath }`);
+			const {
+				gasLimit,
+				constructorArgs,
+				confirmations = 1,
+				verifyOnEtherscan = true,
+			} = deploymentSettings;
 
-			// Create a .env file for the private key if using provider_managed
-			if(walletMethod === 'provider_managed') {
-				// In a real implementation, this would securely retrieve a managed key
-				// For this example, we'll generate a random key
-				const randomPrivateKey = '0x' + Array(64).fill(0).map(() => Math.floor(Math.random() * 16).toString(16))
-					.join('');
-				await writeFilePromise(path.join(projectDir, '.env'), `PRIVATE_KEY=${ randomPrivateKey }\n`);
+			// Validate required fields
+			if(!projectId) {
+				throw new Error('Missing required parameter: projectId');
 			}
 
-			// Create deployment record with Pending status
-			const deployment = await PrimateService.prisma.deployment.create({
-				data: {
-					projectId: projectIdNum,
-					contractId: contractToDeployId,
-					network,
-					status: 'Pending',
-					constructorArgs: deploymentSettings.constructorArgs,
-					metas: {
-						deploymentMethod: walletMethod,
-						gasLimit: deploymentSettings.gasLimit,
-						deploymentAttemptTimestamp: new Date().toISOString(),
-					},
-				},
-			});
+			// Convert projectId to number if it's a string
+			const projectIdNum = parseInt(projectId, 10);
+			if(isNaN(projectIdNum)) {
+				throw new Error('Invalid projectId format');
+			}
 
-			try {
-				// Run the deployment script
-				const deployCommand = `cd ${ projectDir } && forge script script/Deploy${ contract.name }.s.sol --rpc-url ${ network } --broadcast --verify -vvv`;
-				this.logger.info(`Executing deployment command: ${ deployCommand }`);
+			if(contractId && isNaN(parseInt(contractId, 10))) {
+				throw new Error('Invalid contractId format');
+			}
 
-				const deployResult = await execPromise(deployCommand);
-				this.logger.debug(`Deployment output: ${ deployResult.stdout }`);
+			if(!NetworkService.get(network).testnet) {
+				throw new Error(`${ network } is not a test network, mainnet deployments are made from the project's deployments page`);
+			}
 
-				// Parse the deployment output to extract contract address and tx hash
-				const addressMatch = deployResult.stdout.match(/Contract Address:\s+(0x[a-fA-F0-9]{40})/);
-				const txHashMatch = deployResult.stdout.match(/Transaction hash:\s+(0x[a-fA-F0-9]{64})/);
-				const gasUsedMatch = deployResult.stdout.match(/Gas Used:\s+(\d+)/);
+			this.logger.info(`Deploying ${ contractId ? `contract ${ contractId }` : 'the main contract' } of project ${ projectIdNum } to ${ network }...`);
 
-				const contractAddress = addressMatch ? addressMatch[1] : null;
-				const txHash = txHashMatch ? txHashMatch[1] : null;
-				const gasUsed = gasUsedMatch ? BigInt(gasUsedMatch[1]) : BigInt(0);
+			const deployContext = { ...context, tool: context.tool || 'deployToMantleTestnet' };
 
-				if(!contractAddress || !txHash) {
-					throw new Error('Failed to extract contract address or transaction hash from deployment output');
-				}
+			const { deployment, contract, result, verification } = await DeploymentService.deploy(projectIdNum, {
+				contractId,
+				network,
+				walletId,
+				constructorArgs,
+				gasLimit,
+				confirmations,
+				verify: verifyOnEtherscan,
+			}, {
+				userId: context.userId,
+				author: this.revisionAuthor(deployContext),
+				onSent: txHash => this.sendToolLog(deployContext, `Transaction sent: ${ txHash }, waiting for ${ confirmations } confirmation(s)...`),
+			});
 
-				// Update the deployment record with Success status
-				await PrimateService.prisma.deployment.update({
-					where: { id: deployment.id },
-					data: {
-						status: 'Success',
-						contractAddress,
-						txHash,
-						gasUsed,
-						deployedAt: new Date(),
-					},
-				});
+			if(deployment.status === 'Failed') {
+				this.logger.error(`Deployment failed: ${ deployment.errorMessage }`);
 
-				// Update the project with the deployed contract address
-				await PrimateService.prisma.project.update({
-					where: { id: projectIdNum },
-					data: {
-						contractAddress,
-						deployedAt: new Date(),
-						status: 'Active',
-					},
+				this.sendToolSummary(deployContext, {
+					status: 'Failed',
+					deploymentId: deployment.id,
+					error: deployment.errorMessage,
+					network,
 				});
 
-				this.logger.info(`Contract deployed successfully at address ${ contractAddress }`);
-
-				this.logger.exit(functionName, { success: true, deploymentId: deployment.id });
+				throw new Error(`Deployment failed: ${ deployment.errorMessage }`);
+			}
 
-				return {
-					success: true,
-					deployment: {
-						id: deployment.id,
-						contractAddress,
-						txHash,
-						gasUsed: gasUsed.toString(),
-						network,
-						contractName: contract.name,
-					},
-					explorerUrl: `https://explorer.testnet.mantle.xyz/address/${ contractAddress }`,
-					message: `Contract "${ contract.name }" deployed successfully to ${ network }`,
-				};
+			this.logger.info(`Contract deployed successfully at address ${ result.contractAddress }`);
 
-			} catch(deployError) {
-				// Deployment failed
-				this.logger.error(`Deployment failed:`, deployError);
+			if(verification.status === 'Pending') {
+				this.sendToolLog(deployContext, `Verification on ${ NetworkService.get(network).explorer.name } started`);
+			}
 
-				// Update the deployment record with Failed status
-				await PrimateService.prisma.deployment.update({
-					where: { id: deployment.id },
-					data: {
-						status: 'Failed',
-						errorMessage: deployError.message,
-					},
-				});
+			this.sendToolSummary(deployContext, {
+				status: 'Success',
+				deploymentId: deployment.id,
+				contractAddress: result.contractAddress,
+				txHash: result.txHash,
+				gasUsed: result.gasUsed.toString(),
+				blockNumber: result.blockNumber,
+				confirmations: result.confirmations,
+				network,
+				verificationStatus: verification.status,
+			});
 
-				throw new Error(`Deployment failed: ${ deployError.message }`);
-			}
+			this.logger.exit(functionName, { success: true, deploymentId: deployment.id });
 
+			return {
+				success: true,
+				deployment: {
+					id: deployment.id,
+					contractAddress: result.contractAddress,
+					txHash: result.txHash,
+					gasUsed: result.gasUsed.toString(),
+					gasEstimate: result.gasEstimate.toString(),
+					blockNumber: result.blockNumber,
+					confirmations: result.confirmations,
+					deployer: result.deployer,
+					network,
+					contractName: contract.name,
+				},
+				explorerUrl: NetworkService.explorerLink(network, 'address', result.contractAddress),
+				verification,
+				message: `Contract "${ contract.name }" deployed successfully to ${ network }`,
+			};
 		} catch(error) {
 			this.logger.error(`Error deploying contract:`, error);
 			this.logger.exit(functionName, { error: true });
 
-			// Create a failed deployment record if possible and we haven't already
-			try {
-				if(args.projectId && args.contractId && !error.message.includes('Deployment failed')) {
-					await PrimateService.prisma.deployment.create({
-						data: {
-							projectId: parseInt(args.projectId, 10),
-							contractId: parseInt(args.contractId, 10),
-							network: args.network || 'mantle_sepolia',
-							status: 'Failed',
-							errorMessage: error.message,
-							metas: {
-								deploymentAttemptTimestamp: new Date().toISOString(),
-								error: error.message,
-							},
-						},
-					});
-				}
-			} catch(recordError) {
-				this.logger.error(`Failed to record deployment failure:`, recordError);
-			}
-
 			throw new Error(`Failed to deploy contract: ${ error.message }`);
 		}
-	}*/
-
-	static async deployToMantleTestnetExecutor(args) {
-		const functionName = 'deployToMantleTestnetExecutor';
-		this.logger.entry(functionName, { args });
-
-		try {
-			const {
-				projectId,
-				contractId,
-				network = 'mantle_sepolia',
-				deploymentSettings = {
-					gasLimit: 3000000,
-					constructorArgs: [],
-					verifyOnEtherscan: true,
-				},
-				walletMethod = 'provider_managed',
-			} = args;
-
-			// Validate required fields
-			if(!projectId) {
-				throw new Error('Missing required parameter: projectId');
-			}
-
-			// Convert projectId to number if it's a string
-			const projectIdNum = parseInt(projectId, 10);
-			if(isNaN(projectIdNum)) {
-				throw new Error('Invalid projectId format');
-			}
-
-			// Find the project
-			const project = await PrimateService.prisma.project.findUnique({
-				where: { id: projectIdNum },
-				include: { contracts: true },
-			});
-
-			if(!project) {
-				throw new Error(`Project with ID ${projectIdNum} not found`);
-			}
-
-			const projectDir = project.metas?.projectDir;
-			if(!projectDir) {
-				throw new Error(`Project directory not found for project ${projectIdNum}`);
-			}
-
-			// Determine which contract to deploy
-			let contractToDeployId;
-
-			if(contractId) {
-				// Use specified contract
-				contractToDeployId = parseInt(contractId, 10);
-				if(isNaN(contractToDeployId)) {
-					throw new Error('Invalid contractId format');
-				}
-
-				// Verify the contract belongs to this project
-				const contractExists = project.contracts.some(c => c.id === contractToDeployId);
-				if(!contractExists) {
-					throw new Error(`Contract with ID ${contractToDeployId} does not belong to project ${projectIdNum}`);
-				}
-			} else {
-				// Use the main contract
-				const mainContract = project.contracts.find(c => c.isMain);
-				if(!mainContract) {
-					throw new Error(`No main contract found for project ${projectIdNum}`);
-				}
-				contractToDeployId = mainContract.id;
-			}
-
-			// Get the contract
-			const contract = await PrimateService.prisma.contract.findUnique({
-				where: { id: contractToDeployId },
-			});
+	}
 
-			if(!contract) {
-				throw new Error(`Contract with ID ${contractToDeployId} not found`);
-			}
+	/**
+	 * Queues a forge command for a project and waits for the job to finish.
+	 * Job status changes are streamed to the chat as `type: 'job'` SSE events and the
+	 * process output line by line as `type: 'log'` events.
+	 *
+	 * @param {Object} spec - Job specification (see JobRunnerService.enqueue).
+	 * @param {Object} [context={}] - Tool execution context (userId, tool, toolCallId, sendSSE).
+	 * @param {Object} [options={}] - Streaming options.
+	 * @param {boolean} [options.streamStdout=true] - Set to false when stdout is a machine-readable report.
+	 * @returns {Promise<Object>} - The finished job.
+	 */
+	static async runForgeJob(spec, context = {}, options = {}) {
+		const { streamStdout = true } = options;
+		const sendSSE = context.sendSSE || (() => {});
+		const job = await JobRunnerService.enqueue({ ...spec, userId: context.userId, tool: context.tool });
+
+		const notify = status => sendSSE({
+			type: 'job',
+			data: { id: job.id, type: job.type, tool: context.tool || null, toolCallId: context.toolCallId || null, status },
+		});
 
-			// Check if contract is compiled
-			if(!contract.abi || !contract.bytecode) {
-				throw new Error(`Contract ${contract.name} needs to be compiled before deployment`);
+		notify(job.status);
+		const unsubscribe = JobRunnerService.subscribe(job.id, event => {
+			if(event.type === 'status') notify(event.status);
+			if(event.type === 'log' && (streamStdout || event.stream !== 'stdout')) {
+				this.sendToolLog(context, event.line, { jobId: job.id, stream: event.stream });
 			}
+		});
 
-			this.logger.info(`Deploying contract "${contract.name}" to ${network}...`);
-
-			// Create deployment record with Pending status
-			const deployment = await PrimateService.prisma.deployment.create({
-				data: {
-					projectId: projectIdNum,
-					contractId: contractToDeployId,
-					network,
-					status: 'Pending',
-					constructorArgs: deploymentSettings.constructorArgs,
-					metas: {
-						deploymentMethod: walletMethod,
-						gasLimit: deploymentSettings.gasLimit,
-						deploymentAttemptTimestamp: new Date().toISOString(),
-					},
-				},
-			});
-
-			try {
-				// CHANGED: Instead of executing forge script, simulate the deployment
-				this.logger.info(`Simulating deployment of ${contract.name} to ${network}...`);
-
-				// In a real implementation, you would use ethers.js or web3.js here
-				// Example with ethers.js (commented out as it would require actual imports)
-				/*
-				// Create a wallet
-				const provider = new ethers.providers.JsonRpcProvider(networkConfig[network].rpcUrl);
-				let wallet;
-
-				if(walletMethod === 'provider_managed') {
-				  // Generate or retrieve a managed wallet
-				  const privateKey = process.env.DEPLOYMENT_PRIVATE_KEY || '0x' +
-					Array(64).fill(0).map(() => Math.floor(Math.random() * 16).toString(16)).join('');
-				  wallet = new ethers.Wallet(privateKey, provider);
-				}
-
-				// Create a contract factory
-				const factory = new ethers.ContractFactory(
-				  contract.abi,
-				  contract.bytecode,
-				  wallet
-				);
-
-				// Deploy the contract
-				const deployedContract = await factory.deploy(...deploymentSettings.constructorArgs, {
-				  gasLimit: deploymentSettings.gasLimit
-				});
-
-				// Wait for deployment
-				await deployedContract.deployed();
-
-				const txHash = deployedContract.deployTransaction.hash;
-				const contractAddress = deployedContract.address;
-				const gasUsed = (await deployedContract.deployTransaction.wait()).gasUsed;
-				*/
-
-				// For this mock implementation, generate dummy values
-				const contractAddress = '0x' + Array(40).fill(0).map(() =>
-					Math.floor(Math.random() * 16).toString(16)).join('');
-				const txHash = '0x' + Array(64).fill(0).map(() =>
-					Math.floor(Math.random() * 16).toString(16)).join('');
-				const gasUsed = BigInt(2500000);
-
-				// Simulate a deployment delay
-				await new Promise(resolve => setTimeout(resolve, 1000));
-
-				// Update the deployment record with Success status
-				await PrimateService.prisma.deployment.update({
-					where: { id: deployment.id },
-					data: {
-						status: 'Success',
-						contractAddress,
-						txHash,
-						gasUsed,
-						deployedAt: new Date(),
-					},
-				});
-
-				// Update the project with the deployed contract address
-				await PrimateService.prisma.project.update({
-					where: { id: projectIdNum },
-					data: {
-						contractAddress,
-						deployedAt: new Date(),
-						status: 'Active',
-					},
-				});
-
-				this.logger.info(`Contract deployed successfully at address ${contractAddress}`);
-
-				this.logger.exit(functionName, { success: true, deploymentId: deployment.id });
-
-				return {
-					success: true,
-					deployment: {
-						id: deployment.id,
-						contractAddress,
-						txHash,
-						gasUsed: gasUsed.toString(),
-						network,
-						contractName: contract.name,
-					},
-					explorerUrl: `https://explorer.testnet.mantle.xyz/address/${contractAddress}`,
-					message: `Contract "${contract.name}" deployed successfully to ${network}`,
-				};
-
-			} catch(deployError) {
-				// Deployment failed
-				this.logger.error(`Deployment failed:`, deployError);
+		try {
+			return await JobRunnerService.wait(job.id);
+		} finally {
+			unsubscribe();
+		}
+	}
 
-				// Update the deployment record with Failed status
-				await PrimateService.prisma.deployment.update({
-					where: { id: deployment.id },
-					data: {
-						status: 'Failed',
-						errorMessage: deployError.message,
-					},
-				});
+	/**
+	 * Returns how long a finished job ran, in milliseconds.
+	 *
+	 * @param {Object} job - The job.
+	 * @returns {number|null}
+	 */
+	static jobDuration(job) {
+		if(!job.startedAt || !job.finishedAt) return null;
+		return new Date(job.finishedAt).getTime() - new Date(job.startedAt).getTime();
+	}
 
-				throw new Error(`Deployment failed: ${deployError.message}`);
-			}
+	/**
+	 * Streams a line of tool output to the chat as a `type: 'log'` SSE event.
+	 *
+	 * @param {Object} context - Tool execution context (tool, toolCallId, sendSSE).
+	 * @param {string} line - The output line.
+	 * @param {Object} [extra={}] - Job ID and stream of the line.
+	 */
+	static sendToolLog(context, line, extra = {}) {
+		if(!context?.sendSSE) return;
+
+		context.sendSSE({
+			type: 'log',
+			data: {
+				jobId: null,
+				tool: context.tool || null,
+				toolCallId: context.toolCallId || null,
+				stream: 'stdout',
+				line,
+				...extra,
+			},
+		});
+	}
 
-		} catch(error) {
-			this.logger.error(`Error deploying contract:`, error);
-			this.logger.exit(functionName, { error: true });
+	/**
+	 * Sends the structured result of a build, test or deploy run as a `type: 'summary'` SSE event,
+	 * after its last log line.
+	 *
+	 * @param {Object} context - Tool execution context (tool, toolCallId, sendSSE).
+	 * @param {Object} summary - Run summary (jobId, status and tool-specific counts).
+	 */
+	static sendToolSummary(context, summary) {
+		if(!context?.sendSSE) return;
+
+		context.sendSSE({
+			type: 'summary',
+			data: {
+				jobId: null,
+				tool: context.tool || null,
+				toolCallId: context.toolCallId || null,
+				...summary,
+			},
+		});
+	}
 
-			// Create a failed deployment record if possible and we haven't already
-			try {
-				if(args.projectId && args.contractId && !error.message.includes('Deployment failed')) {
-					await PrimateService.prisma.deployment.create({
-						data: {
-							projectId: parseInt(args.projectId, 10),
-							contractId: parseInt(args.contractId, 10),
-							network: args.network || 'mantle_sepolia',
-							status: 'Failed',
-							errorMessage: error.message,
-							metas: {
-								deploymentAttemptTimestamp: new Date().toISOString(),
-								error: error.message,
-							},
-						},
-					});
-				}
-			} catch(recordError) {
-				this.logger.error(`Failed to record deployment failure:`, recordError);
-			}
+	/**
+	 * Returns the author stored with contract revisions made by a tool: the assistant, on behalf of
+	 * the user and the chat message that asked for the change.
+	 *
+	 * @param {Object} context - Tool execution context (userId, messageId, tool).
+	 * @returns {Object}
+	 */
+	static revisionAuthor(context = {}) {
+		return {
+			authorType: 'Assistant',
+			userId: context.userId || null,
+			messageId: context.messageId || null,
+			tool: context.tool || null,
+		};
+	}
 
-			throw new Error(`Failed to deploy contract: ${error.message}`);
-		}
+	/**
+	 * Returns the subject of the commit recording the changes of a tool, e.g. `createSmartContract: Token`.
+	 *
+	 * @param {string} tool - The tool name.
+	 * @param {Object} args - The tool arguments.
+	 * @returns {string}
+	 */
+	static commitMessage(tool, args = {}) {
+		const subject = args.contractName || args.projectName || args.name || args.templateId || args.contractId;
+		return subject ? `${ tool }: ${ subject }` : tool;
 	}
 
 	/**
-	 * Runs tests for a Foundry project
+	 * Runs tests for a Foundry project as a background `forge test --json` job.
+	 * Per-test results are stored as a TestRun linked to the project.
 	 */
-	/*static async runFoundryTestsExecutor(args) {
+	static async runFoundryTestsExecutor(args, context = {}) {
 		const functionName = 'runFoundryTestsExecutor';
 		this.logger.entry(functionName, { args });
 
@@ -3069,6 +2775,11 @@ contract Deploy${ contract.name } is Script {
 				throw new Error('Invalid projectId format');
 			}
 
+			// The test file is passed to forge as a path inside test/, so it may not leave that directory
+			if(testFile && (path.isAbsolute(testFile) || testFile.split(/[\\/]/).includes('..'))) {
+				throw new Error(`Invalid test file: ${ testFile }`);
+			}
+
 			this.logger.info(`Running tests for project ${ projectIdNum }...`);
 
 			// Check if project exists
@@ -3090,160 +2801,124 @@ contract Deploy${ contract.name } is Script {
 				throw new Error(`Project directory not found for project ${ projectIdNum }`);
 			}
 
-			// Build test command
-			let testCommand = `cd ${ projectDir } && forge test -vv`;
-
-			// Add verbosity flags based on verbosity level
-			if(verbosity >= 3) {
-				testCommand += 'v'; // Add an extra v for higher verbosity
-			}
-			if(verbosity >= 4) {
-				testCommand += 'v'; // Add another v for maximum verbosity
-			}
-
-			// Add gas report flag if requested
-			if(gasReport) {
-				testCommand += ' --gas-report';
-			}
-
-			// Add specific test file if provided
-			if(testFile) {
-				testCommand += ` --match-path test/${ testFile }`;
+			// Install the declared libraries from the local cache, forge never installs them
+			const { missing } = await DependencyService.sync(project);
+			if(missing.length > 0) {
+				throw new Error(`Missing dependencies: ${ missing.map(entry => entry.error).join('; ') }`);
 			}
 
-			try {
-				// Run tests
-				const testResult = await execPromise(testCommand);
-				this.logger.debug(`Test output: ${ testResult.stdout }`);
-
-				// Parse test results
-				const testOutput = testResult.stdout;
+			// Build forge test arguments (-vv at least, up to -vvvv); --json prints one machine-readable report
+			const testArgs = [ 'test', '--json', `-${ 'v'.repeat(Math.min(Math.max(verbosity, 2), 4)) }` ];
+			if(testFile) testArgs.push('--match-path', `test/${ testFile }`);
 
-				// Extract pass/fail counts from the output
-				const passedMatch = testOutput.match(/(\d+) passing/);
-				const failedMatch = testOutput.match(/(\d+) failing/);
+			const testContext = { ...context, tool: context.tool || 'runFoundryTests' };
+			const job = await this.runForgeJob({
+				projectId: projectIdNum,
+				type: 'Test',
+				args: testArgs,
+				cwd: projectDir,
+			}, testContext, { streamStdout: false });
 
-				const passedTests = passedMatch ? parseInt(passedMatch[1], 10) : 0;
-				const failedTests = failedMatch ? parseInt(failedMatch[1], 10) : 0;
-				const totalTests = passedTests + failedTests;
-
-				// Update project with test results
-				await PrimateService.prisma.project.update({
-					where: { id: projectIdNum },
-					data: {
-						testsPassed: passedTests,
-						testsFailed: failedTests,
-						metas: {
-							...project.metas,
-							lastTestRun: new Date().toISOString(),
-							testResults: {
-								total: totalTests,
-								passed: passedTests,
-								failed: failedTests,
-								gasReportGenerated: gasReport,
-							},
-						},
-					},
-				});
+			// forge exits with an error when tests fail, but still prints the report
+			const report = TestRunService.extractReport(job.log || '');
+			let error = null;
+			if(!report) {
+				error = job.status === 'Success' ? 'forge test did not print a JSON report' : job.error;
+			}
 
-				this.logger.info(`Tests completed: ${ passedTests }/${ totalTests } passed`);
-
-				// Extract gas report if it was requested
-				let gasReportData = null;
-				if(gasReport) {
-					const gasLines = testOutput.split('\n').filter(line => line.includes('gas:'));
-					const functionBreakdown = {};
-					let totalGasUsed = 0;
-
-					gasLines.forEach(line => {
-						const match = line.match(/([^(]+)\(.*\)\s+\(gas:\s+(\d+)\)/);
-						if(match) {
-							const functionName = match[1].trim();
-							const gas = parseInt(match[2], 10);
-							functionBreakdown[functionName] = gas;
-							totalGasUsed += gas;
-						}
-					});
+			const testRun = await TestRunService.createFromReport({
+				projectId: projectIdNum,
+				jobId: job.id,
+				filter: testFile || null,
+				report,
+				error,
+			});
 
-					gasReportData = {
-						totalGasUsed,
-						functionBreakdown,
-					};
-				}
+			// forge prints either the test report or the gas report, so function gas is measured in a second run
+			let gasDiff = null;
+			if(gasReport && report) {
+				gasDiff = await this.recordGasSnapshot(project, testRun, testFile, testContext);
+			}
 
-				this.logger.exit(functionName, { success: true });
+			// Replay the results as a readable console
+			for(const result of testRun.results) {
+				const gas = result.gas !== null ? ` (gas: ${ result.gas })` : '';
+				const reason = result.reason ? ` ${ result.reason }` : '';
+				this.sendToolLog(testContext, `[${ result.status.toUpperCase() }] ${ result.suite } ${ result.test }${ gas }${ reason }`, { jobId: job.id });
+			}
 
-				return {
-					success: true,
-					testResults: {
-						total: totalTests,
-						passed: passedTests,
-						failed: failedTests,
-						testFiles: testFile ? [ `test/${ testFile }` ] : project.contracts.map(c => `test/${ c.name }.t.sol`),
-						testOutput: testOutput,
-						gasReport: gasReportData,
+			// Update project with test results
+			await PrimateService.prisma.project.update({
+				where: { id: projectIdNum },
+				data: {
+					testsPassed: testRun.passed,
+					testsFailed: testRun.failed,
+					metas: {
+						...project.metas,
+						lastTestRun: new Date().toISOString(),
+						lastTestRunId: testRun.id,
+						lastTestJobId: job.id,
 					},
-					message: failedTests > 0
-						? `${ failedTests } tests failed out of ${ totalTests } total tests`
-						: `All ${ totalTests } tests passed successfully`,
-				};
-
-			} catch(testError) {
-				// Tests failed
-				this.logger.error(`Test execution failed:`, testError);
-
-				// Even if the execution fails, we should still try to extract test results from the output
-				let passedTests = 0;
-				let failedTests = 0;
-				let totalTests = 0;
-
-				try {
-					const testOutput = testError.stdout || '';
-
-					const passedMatch = testOutput.match(/(\d+) passing/);
-					const failedMatch = testOutput.match(/(\d+) failing/);
+				},
+			});
 
-					passedTests = passedMatch ? parseInt(passedMatch[1], 10) : 0;
-					failedTests = failedMatch ? parseInt(failedMatch[1], 10) : 1; // Assume at least 1 failed if we got an error
-					totalTests = passedTests + failedTests;
+			this.logger.info(`Tests completed: ${ testRun.passed }/${ testRun.total } passed`);
+
+			const failures = testRun.results
+				.filter(result => result.status === 'Failed')
+				.map(result => ({ suite: result.suite, test: result.test, reason: result.reason, logs: result.logs }));
+
+			const gasReportData = gasReport ? {
+				tests: Object.fromEntries(
+					testRun.results
+						.filter(result => result.gas !== null)
+						.map(result => [ `${ result.suite.split(':').pop() }.${ result.test }`, Number(result.gas) ]),
+				),
+				...(gasDiff ? {
+					functions: gasDiff.snapshot.filter(entry => entry.kind !== 'Test'),
+					comparedWith: gasDiff.base?.id || null,
+					// The largest changes, the full diff is at /projects/:id/test-runs/:runId/gas
+					changes: gasDiff.changes.slice(0, 20),
+					summary: gasDiff.summary,
+				} : {}),
+			} : null;
+
+			this.sendToolSummary(testContext, {
+				jobId: job.id,
+				testRunId: testRun.id,
+				status: testRun.status,
+				total: testRun.total,
+				passed: testRun.passed,
+				failed: testRun.failed,
+				skipped: testRun.skipped,
+				error: testRun.error,
+				duration: this.jobDuration(job),
+			});
 
-					// Update project with test results even though the test run had failures
-					await PrimateService.prisma.project.update({
-						where: { id: projectIdNum },
-						data: {
-							testsPassed: passedTests,
-							testsFailed: failedTests,
-							metas: {
-								...project.metas,
-								lastTestRun: new Date().toISOString(),
-								testResults: {
-									total: totalTests,
-									passed: passedTests,
-									failed: failedTests,
-									testError: testError.message,
-								},
-							},
-						},
-					});
+			this.logger.exit(functionName, { success: testRun.status === 'Success' });
 
-					return {
-						success: false,
-						testResults: {
-							total: totalTests,
-							passed: passedTests,
-							failed: failedTests,
-							testFiles: testFile ? [ `test/${ testFile }` ] : project.contracts.map(c => `test/${ c.name }.t.sol`),
-							testOutput: testError.stdout || 'No output available',
-							error: testError.message,
-						},
-						message: `${ failedTests } tests failed out of ${ totalTests } total tests`,
-					};
+			let message = testRun.failed > 0
+				? `${ testRun.failed } tests failed out of ${ testRun.total } total tests`
+				: `All ${ testRun.total } tests passed successfully`;
+			if(testRun.status === 'Error') message = `Test run failed without results: ${ testRun.error }`;
 
-				} catch(parseError) {
-					this.logger.error(`Failed to parse test results after failure:`, parseError);
-					throw new Error(`Test execution failed: ${ testError.message }`);
-				}
-			}
+			return {
+				success: testRun.status === 'Success',
+				jobId: job.id,
+				testRunId: testRun.id,
+				status: testRun.status,
+				testResults: {
+					total: testRun.total,
+					passed: testRun.passed,
+					failed: testRun.failed,
+					skipped: testRun.skipped,
+					failures,
+					gasReport: gasReportData,
+					// Without a report the raw output is the only hint (compiler errors, timeouts...)
+					...(testRun.status === 'Error' ? { error: testRun.error, testOutput: job.log || 'No output available' } : {}),
+				},
+				message,
+			};
 
 		} catch(error) {
 			this.logger.error(`Error running tests:`, error);
@@ -3251,2140 +2926,439 @@ contract Deploy${ contract.name } is Script {
 
 			throw new Error(`Failed to run tests: ${ error.message }`);
 		}
-	}*/
-
-	static async deployToMantleTestnetExecutor(args) {
-		const functionName = 'deployToMantleTestnetExecutor';
-		this.logger.entry(functionName, { args });
+	}
 
+	/**
+	 * Runs `forge test --gas-report --json`, stores the gas of each contract function as a snapshot of the
+	 * test run and compares it with the previous run. A failed gas report never fails the test run.
+	 *
+	 * @returns {Promise<Object|null>} - The gas diff, or null if no report was produced.
+	 */
+	static async recordGasSnapshot(project, testRun, testFile, context = {}) {
 		try {
-			const {
-				projectId,
-				contractId,
-				network = 'mantle_sepolia',
-				deploymentSettings = {
-					gasLimit: 3000000,
-					constructorArgs: [],
-					verifyOnEtherscan: true,
-				},
-				walletMethod = 'provider_managed',
-			} = args;
-
-			// Validate required fields
-			if(!projectId) {
-				throw new Error('Missing required parameter: projectId');
-			}
-
-			// Convert projectId to number if it's a string
-			const projectIdNum = parseInt(projectId, 10);
-			if(isNaN(projectIdNum)) {
-				throw new Error('Invalid projectId format');
-			}
-
-			// Find the project
-			const project = await PrimateService.prisma.project.findUnique({
-				where: { id: projectIdNum },
-				include: { contracts: true },
-			});
-
-			if(!project) {
-				throw new Error(`Project with ID ${projectIdNum} not found`);
-			}
-
-			const projectDir = project.metas?.projectDir;
-			if(!projectDir) {
-				throw new Error(`Project directory not found for project ${projectIdNum}`);
-			}
+			const args = [ 'test', '--gas-report', '--json' ];
+			if(testFile) args.push('--match-path', `test/${ testFile }`);
 
-			// Determine which contract to deploy
-			let contractToDeployId;
+			this.sendToolLog(context, 'Measuring gas per contract function...');
 
-			if(contractId) {
-				// Use specified contract
-				contractToDeployId = parseInt(contractId, 10);
-				if(isNaN(contractToDeployId)) {
-					throw new Error('Invalid contractId format');
-				}
+			const job = await this.runForgeJob({
+				projectId: project.id,
+				type: 'Test',
+				args,
+				cwd: project.metas.projectDir,
+			}, context, { streamStdout: false });
 
-				// Verify the contract belongs to this project
-				const contractExists = project.contracts.some(c => c.id === contractToDeployId);
-				if(!contractExists) {
-					throw new Error(`Contract with ID ${contractToDeployId} does not belong to project ${projectIdNum}`);
-				}
-			} else {
-				// Use the main contract
-				const mainContract = project.contracts.find(c => c.isMain);
-				if(!mainContract) {
-					throw new Error(`No main contract found for project ${projectIdNum}`);
-				}
-				contractToDeployId = mainContract.id;
+			const report = GasSnapshotService.extractReport(job.log || '');
+			if(!report) {
+				this.logger.warn(`No gas report for test run ${ testRun.id }: ${ job.error || 'forge printed none' }`);
+				return null;
 			}
 
-			// Get the contract
-			const contract = await PrimateService.prisma.contract.findUnique({
-				where: { id: contractToDeployId },
-			});
-
-			if(!contract) {
-				throw new Error(`Contract with ID ${contractToDeployId} not found`);
-			}
+			await GasSnapshotService.createFromReport(testRun.id, report);
+			const diff = await GasSnapshotService.diff(project, { testRunId: testRun.id });
 
-			// Check if contract is compiled
-			if(!contract.abi || !contract.bytecode) {
-				throw new Error(`Contract ${contract.name} needs to be compiled before deployment`);
-			}
-
-			this.logger.info(`Deploying contract "${contract.name}" to ${network}...`);
-
-			// Create deployment record with Pending status
-			const deployment = await PrimateService.prisma.deployment.create({
-				data: {
-					projectId: projectIdNum,
-					contractId: contractToDeployId,
-					network,
-					status: 'Pending',
-					constructorArgs: deploymentSettings.constructorArgs,
-					metas: {
-						deploymentMethod: walletMethod,
-						gasLimit: deploymentSettings.gasLimit,
-						deploymentAttemptTimestamp: new Date().toISOString(),
-					},
-				},
-			});
-
-			try {
-				// CHANGED: Instead of executing forge script, simulate the deployment
-				this.logger.info(`Simulating deployment of ${contract.name} to ${network}...`);
-
-				// In a real implementation, you would use ethers.js or web3.js here
-				// Example with ethers.js (commented out as it would require actual imports)
-				/*
-				// Create a wallet
-				const provider = new ethers.providers.JsonRpcProvider(networkConfig[network].rpcUrl);
-				let wallet;
-
-				if(walletMethod === 'provider_managed') {
-				  // Generate or retrieve a managed wallet
-				  const privateKey = process.env.DEPLOYMENT_PRIVATE_KEY || '0x' +
-					Array(64).fill(0).map(() => Math.floor(Math.random() * 16).toString(16)).join('');
-				  wallet = new ethers.Wallet(privateKey, provider);
-				}
-
-				// Create a contract factory
-				const factory = new ethers.ContractFactory(
-				  contract.abi,
-				  contract.bytecode,
-				  wallet
-				);
-
-				// Deploy the contract
-				const deployedContract = await factory.deploy(...deploymentSettings.constructorArgs, {
-				  gasLimit: deploymentSettings.gasLimit
-				});
-
-				// Wait for deployment
-				await deployedContract.deployed();
-
-				const txHash = deployedContract.deployTransaction.hash;
-				const contractAddress = deployedContract.address;
-				const gasUsed = (await deployedContract.deployTransaction.wait()).gasUsed;
-				*/
-
-				// For this mock implementation, generate dummy values
-				const contractAddress = '0x' + Array(40).fill(0).map(() =>
-					Math.floor(Math.random() * 16).toString(16)).join('');
-				const txHash = '0x' + Array(64).fill(0).map(() =>
-					Math.floor(Math.random() * 16).toString(16)).join('');
-				const gasUsed = BigInt(2500000);
-
-				// Simulate a deployment delay
-				await new Promise(resolve => setTimeout(resolve, 1000));
-
-				// Update the deployment record with Success status
-				await PrimateService.prisma.deployment.update({
-					where: { id: deployment.id },
-					data: {
-						status: 'Success',
-						contractAddress,
-						txHash,
-						gasUsed,
-						deployedAt: new Date(),
-					},
-				});
-
-				// Update the project with the deployed contract address
-				await PrimateService.prisma.project.update({
-					where: { id: projectIdNum },
-					data: {
-						contractAddress,
-						deployedAt: new Date(),
-						status: 'Active',
-					},
-				});
-
-				this.logger.info(`Contract deployed successfully at address ${contractAddress}`);
-
-				this.logger.exit(functionName, { success: true, deploymentId: deployment.id });
-
-				return {
-					success: true,
-					deployment: {
-						id: deployment.id,
-						contractAddress,
-						txHash,
-						gasUsed: gasUsed.toString(),
-						network,
-						contractName: contract.name,
-					},
-					explorerUrl: `https://explorer.testnet.mantle.xyz/address/${contractAddress}`,
-					message: `Contract "${contract.name}" deployed successfully to ${network}`,
-				};
-
-			} catch(deployError) {
-				// Deployment failed
-				this.logger.error(`Deployment failed:`, deployError);
-
-				// Update the deployment record with Failed status
-				await PrimateService.prisma.deployment.update({
-					where: { id: deployment.id },
-					data: {
-						status: 'Failed',
-						errorMessage: deployError.message,
-					},
-				});
-
-				throw new Error(`Deployment failed: ${deployError.message}`);
-			}
-
-		} catch(error) {
-			this.logger.error(`Error deploying contract:`, error);
-			this.logger.exit(functionName, { error: true });
-
-			// Create a failed deployment record if possible and we haven't already
-			try {
-				if(args.projectId && args.contractId && !error.message.includes('Deployment failed')) {
-					await PrimateService.prisma.deployment.create({
-						data: {
-							projectId: parseInt(args.projectId, 10),
-							contractId: parseInt(args.contractId, 10),
-							network: args.network || 'mantle_sepolia',
-							status: 'Failed',
-							errorMessage: error.message,
-							metas: {
-								deploymentAttemptTimestamp: new Date().toISOString(),
-								error: error.message,
-							},
-						},
-					});
-				}
-			} catch(recordError) {
-				this.logger.error(`Failed to record deployment failure:`, recordError);
-			}
-
-			throw new Error(`Failed to deploy contract: ${error.message}`);
-		}
-	}
-
-	/**
-	 * Requests test tokens from Mantle Sepolia faucet
-	 */
-	static async requestMantleTestnetTokensExecutor(args) {
-		const functionName = 'requestMantleTestnetTokensExecutor';
-		this.logger.entry(functionName, { args });
-
-		try {
-			const {
-				walletAddress,
-				network = 'mantle_sepolia',
-			} = args;
-
-			// Validate required fields
-			if(!walletAddress) {
-				throw new Error('Missing required parameter: walletAddress');
-			}
-
-			// Validate Ethereum address format
-			if(!/^0x[a-fA-F0-9]{40}$/.test(walletAddress)) {
-				throw new Error('Invalid Ethereum wallet address format');
-			}
-
-			this.logger.info(`Requesting ${ network } test tokens for address ${ walletAddress }...`);
-
-			try {
-				// Use the actual Mantle Sepolia faucet API endpoint
-				// Note: This is a placeholder. The actual endpoint might be different
-				const faucetEndpoint = process.env.MANTLE_SEPOLIA_FAUCET_URL || 'https://faucet.testnet.mantle.xyz/api/request';
-
-				const faucetResponse = await axios.post(faucetEndpoint, {
-					address: walletAddress,
-					network: 'sepolia',
-				}, {
-					headers: {
-						'Content-Type': 'application/json',
-					},
-				});
-
-				// Parse the response
-				const txHash = faucetResponse.data.txHash || '0x' + Array(64).fill(0)
-					.map(() => Math.floor(Math.random() * 16).toString(16)).join('');
-				const tokenAmount = faucetResponse.data.amount || '0.5'; // Default to 0.5 if not provided by API
-
-				this.logger.info(`Successfully requested ${ tokenAmount } test tokens for ${ walletAddress }`);
-
-				this.logger.exit(functionName, { success: true });
-
-				return {
-					success: true,
-					walletAddress,
-					network,
-					amount: tokenAmount,
-					txHash,
-					message: `Successfully requested ${ tokenAmount } test MNT for address ${ walletAddress }`,
-					explorerUrl: `https://explorer.testnet.mantle.xyz/tx/${ txHash }`,
-					faucetUrl: 'https://faucet.testnet.mantle.xyz',
-				};
-
-			} catch(faucetError) {
-				// If the faucet API call fails, log the error but use fallback behavior
-				this.logger.warn(`Faucet API call failed: ${ faucetError.message }. Using fallback.`);
-
-				// Fallback to generating a mock response
-				const mockTxHash = '0x' + Array(64).fill(0).map(() => Math.floor(Math.random() * 16).toString(16))
-					.join('');
-				const tokenAmount = '0.5'; // 0.5 Mantle testnet tokens
-
-				this.logger.info(`Generated fallback response with token amount ${ tokenAmount }`);
-
-				this.logger.exit(functionName, { success: true, fallback: true });
-
-				return {
-					success: true,
-					walletAddress,
-					network,
-					amount: tokenAmount,
-					txHash: mockTxHash,
-					message: `Request processed (Fallback mode). Requested ${ tokenAmount } test MNT for address ${ walletAddress }`,
-					explorerUrl: `https://explorer.testnet.mantle.xyz/tx/${ mockTxHash }`,
-					faucetUrl: 'https://faucet.testnet.mantle.xyz',
-					fallbackMode: true,
-				};
-			}
-
-		} catch(error) {
-			this.logger.error(`Error requesting test tokens:`, error);
-			this.logger.exit(functionName, { error: true });
-
-			throw new Error(`Failed to request test tokens: ${ error.message }`);
-		}
-	}
-
-	// ========================================================================
-	// MANTLE FOUNDRY EXECUTOR FUNCTIONS
-	// ========================================================================
-	// These functions should be added to your AIService class to handle
-	// smart contract development with Mantle Foundry
-	// ========================================================================
-
-	/**
-	 * Creates a new Foundry project for smart contract development on Mantle
-	 */
-	/*static async createFoundryProjectExecutor(args) {
-		const functionName = 'createFoundryProjectExecutor';
-		this.logger.entry(functionName, { args });
-
-		try {
-			const {
-				projectName,
-				description,
-				userId,
-				projectType,
-				network = 'mantle_sepolia',
-				compilerVersion = '0.8.19',
-				dependencies = [],
-			} = args;
-
-			// Validate required fields
-			if(!projectName || !description || !userId || !projectType) {
-				throw new Error('Missing required parameters for creating a Foundry project');
-			}
-
-			// Convert userId to number if it's a string (since our schema uses Int)
-			const userIdNum = parseInt(userId, 10);
-			if(isNaN(userIdNum)) {
-				throw new Error('Invalid userId format');
-			}
-
-			this.logger.info(`Creating Foundry project "${ projectName }" for user ${ userIdNum }`);
-
-			// 1. Create a new project directory
-			const projectDir = `/tmp/projects/${ userIdNum }/${ projectName.replace(/[^a-zA-Z0-9]/g, '_') }`;
-
-			// Create the project using Prisma
-			const project = await PrimateService.prisma.project.create({
-				data: {
-					name: projectName,
-					description,
-					userId: userIdNum,
-					status: 'Draft',
-					network,
-					compilerVersion,
-					foundryConfig: {
-						remappings: dependencies.map(dep => {
-							// Format dependencies as foundry remappings
-							// Example: "@openzeppelin/=lib/openzeppelin-contracts/"
-							const parts = dep.split('/');
-							return `${ dep }/=lib/${ parts[0] }-contracts/`;
-						}),
-						optimizer: { enabled: true, runs: 200 },
-					},
-					dependencies: dependencies,
-					buildStatus: 'NotStarted',
-					metas: {
-						projectType,
-						creationMethod: 'ai_assistant',
-						projectDir,
-					},
-				},
-			});
-
-			this.logger.info(`Project record created in database with ID: ${ project.id }`);
-
-			// 2. Execute Foundry CLI commands to initialize the project
-			//const { exec } = require('child_process');
-			//const { promisify } = require('util');
-			//const fs = require('fs');
-			//const path = require('path');
-			const execPromise = promisify(exec);
-			const mkdirPromise = promisify(fs.mkdir);
-			const writeFilePromise = promisify(fs.writeFile);
-
-			// Create project directory
-			//await mkdirPromise(projectDir, { recursive: true });
-			// Instead of running forge init, create directories manually
-			await mkdirPromise(projectDir, { recursive: true });
-			await mkdirPromise(path.join(projectDir, 'src'), { recursive: true });
-			await mkdirPromise(path.join(projectDir, 'test'), { recursive: true });
-			await mkdirPromise(path.join(projectDir, 'script'), { recursive: true });
-			await mkdirPromise(path.join(projectDir, 'lib'), { recursive: true });
-
-			// Change to project directory and run forge init
-			this.logger.info(`Initializing Foundry project at ${ projectDir }`);
-			const initResult = await execPromise(`cd ${ projectDir } && forge init --no-commit`);
-			this.logger.debug(`Forge init output: ${ initResult.stdout }`);
-
-			// Create foundry.toml config file with custom settings
-			const foundryConfig = `
-[profile.default]
-src = "src"
-out = "out"
-libs = ["lib"]
-solc = "${ compilerVersion }"
-optimizer = true
-optimizer_runs = 200
-remappings = [
-${ dependencies.map(dep => {
-				const parts = dep.split('/');
-				return `    "${ dep }/=lib/${ parts[0] }-contracts/"`;
-			}).join(',\n') }
-]
-
-[profile.mantle_sepolia]
-eth_rpc_url = "${ process.env.MANTLE_SEPOLIA_RPC || 'https://rpc.sepolia.mantle.xyz' }"
-chain_id = 5003
-
-[profile.mantle_mainnet]
-eth_rpc_url = "${ process.env.MANTLE_MAINNET_RPC || 'https://rpc.mantle.xyz' }"
-chain_id = 5000
-    `;
-
-			await writeFilePromise(path.join(projectDir, 'foundry.toml'), foundryConfig);
-
-			const sampleContract = `// SPDX-License-Identifier: MIT
-pragma solidity ^0.8.13;
-
-contract Sample {
-    constructor() {}
-}`;
-
-			await writeFilePromise(path.join(projectDir, 'src', 'Sample.sol'), sampleContract);
-
-
-			// Install dependencies if provided
-			/!*if(dependencies.length > 0) {
-				this.logger.info(`Installing ${ dependencies.length } dependencies...`);
-				for(const dep of dependencies) {
-					// Extract the repo name for OpenZeppelin and other common libraries
-					let repoUrl;
-					if(dep.startsWith('@openzeppelin')) {
-						repoUrl = 'https://github.com/OpenZeppelin/openzeppelin-contracts';
-					} else if(dep.startsWith('@mantle')) {
-						repoUrl = 'https://github.com/mantlenetworkio/mantle-contracts';
-					} else {
-						// Default to a generic format for other dependencies
-						const parts = dep.split('/');
-						repoUrl = `https://github.com/${ parts[0] }/${ parts[0] }-contracts`;
-					}
-
-					try {
-						const installResult = await execPromise(`cd ${ projectDir } && forge install ${ repoUrl } --no-commit`);
-						this.logger.debug(`Installed dependency ${ dep }: ${ installResult.stdout }`);
-					} catch(installError) {
-						this.logger.warn(`Failed to install dependency ${ dep }: ${ installError.message }`);
-						// Continue with other dependencies even if one fails
-					}
-				}
-			}*!/
-
-			// Update project record with actual path
-			await PrimateService.prisma.project.update({
-				where: { id: project.id },
-				data: {
-					metas: {
-						...project.metas,
-						projectDir,
-						foundryInitialized: true,
-					},
-				},
-			});
-
-			this.logger.info(`Foundry project created successfully with ID: ${ project.id }`);
-			this.logger.exit(functionName, { success: true, projectId: project.id, projectDir });
-
-			return {
-				project,
-				projectDir,
-				message: `Project "${ projectName }" created successfully`,
-				initOutput: initResult.stdout,
-			};
-		} catch(error) {
-			this.logger.error(`Error creating Foundry project:`, error);
-
-			// If we created a project record but the Foundry init failed, update the status
-			try {
-				const projectRecord = await PrimateService.prisma.project.findFirst({
-					where: {
-						name: args.projectName,
-						userId: parseInt(args.userId, 10),
-					},
-					orderBy: {
-						createdAt: 'desc',
-					},
-				});
-
-				if(projectRecord) {
-					await PrimateService.prisma.project.update({
-						where: { id: projectRecord.id },
-						data: {
-							metas: {
-								...projectRecord.metas,
-								foundryInitializationError: error.message,
-							},
-						},
-					});
-				}
-			} catch(updateError) {
-				this.logger.error(`Failed to update project after initialization error:`, updateError);
-			}
-
-			this.logger.exit(functionName, { error: true });
-			throw new Error(`Failed to create Foundry project: ${ error.message }`);
-		}
-	}*/
-
-	static async createFoundryProjectExecutor(args) {
-		const functionName = 'createFoundryProjectExecutor';
-		this.logger.entry(functionName, { args });
-
-		try {
-			const {
-				projectName,
-				description,
-				userId,
-				projectType,
-				network = 'mantle_sepolia',
-				compilerVersion = '0.8.19',
-				dependencies = [],
-				updateExisting = false,
-				idProject = null,
-			} = args;
-
-			// Validate required fields
-			if(!projectName || !description || !userId || !projectType) {
-				throw new Error('Missing required parameters for creating a Foundry project');
-			}
-
-			// Convert userId to number if it's a string
-			const userIdNum = parseInt(userId, 10);
-			if(isNaN(userIdNum)) {
-				throw new Error('Invalid userId format');
-			}
-
-			this.logger.info(`Creating Foundry project "${projectName}" for user ${userIdNum}`);
-
-			// Check if we should update an existing project
-			if(updateExisting && idProject) {
-				const projectIdNum = parseInt(idProject, 10);
-				if(isNaN(projectIdNum)) {
-					throw new Error('Invalid idProject format');
-				}
-
-				this.logger.info(`Updating existing Foundry project with ID: ${projectIdNum}`);
-
-				// Get the existing project
-				const existingProject = await PrimateService.prisma.project.findUnique({
-					where: { id: projectIdNum },
-				});
-
-				if(!existingProject) {
-					throw new Error(`Project with ID ${projectIdNum} not found`);
-				}
-
-				// Ensure the project belongs to the user
-				if(existingProject.userId !== userIdNum) {
-					throw new Error(`Project with ID ${projectIdNum} does not belong to user ${userIdNum}`);
-				}
-
-				// Update the project with new information
-				const projectDir = existingProject.metas?.projectDir || `/tmp/projects/${userIdNum}/${projectName.replace(/[^a-zA-Z0-9]/g, '_')}`;
-
-				// Update the project record
-				const updatedProject = await PrimateService.prisma.project.update({
-					where: { id: projectIdNum },
-					data: {
-						name: projectName,
-						description,
-						network,
-						compilerVersion,
-						foundryConfig: {
-							remappings: dependencies.map(dep => {
-								const parts = dep.split('/');
-								return `${dep}/=lib/${parts[0]}-contracts/`;
-							}),
-							optimizer: { enabled: true, runs: 200 },
-						},
-						dependencies: dependencies,
-						metas: {
-							...existingProject.metas,
-							projectType,
-							updatedAt: new Date().toISOString(),
-						},
-					},
-				});
-
-				this.logger.info(`Project updated successfully: ${updatedProject.id}`);
-
-				// Return the updated project
-				return {
-					project: updatedProject,
-					projectDir,
-					message: `Project "${projectName}" updated successfully`,
-					isUpdate: true,
-				};
-			}
-
-			// Create a new project
-			this.logger.info(`Creating new Foundry project "${projectName}" for user ${userIdNum}`);
-
-			// 1. Create project directory structure
-			const projectDir = `/tmp/projects/${userIdNum}/${projectName.replace(/[^a-zA-Z0-9]/g, '_')}`;
-
-			// Create the project record in database
-			const project = await PrimateService.prisma.project.create({
-				data: {
-					name: projectName,
-					description,
-					userId: userIdNum,
-					status: 'Draft',
-					network,
-					compilerVersion,
-					foundryConfig: {
-						remappings: dependencies.map(dep => {
-							// Format dependencies as foundry remappings
-							const parts = dep.split('/');
-							return `${dep}/=lib/${parts[0]}-contracts/`;
-						}),
-						optimizer: { enabled: true, runs: 200 },
-					},
-					dependencies: dependencies,
-					buildStatus: 'NotStarted',
-					metas: {
-						projectType,
-						creationMethod: 'ai_assistant',
-						projectDir,
-					},
-				},
-			});
-
-			this.logger.info(`Project record created in database with ID: ${project.id}`);
-
-			// Create directory structure instead of using forge init
-			await mkdirPromise(projectDir, { recursive: true });
-			await mkdirPromise(path.join(projectDir, 'src'), { recursive: true });
-			await mkdirPromise(path.join(projectDir, 'test'), { recursive: true });
-			await mkdirPromise(path.join(projectDir, 'script'), { recursive: true });
-			await mkdirPromise(path.join(projectDir, 'lib'), { recursive: true });
-			await mkdirPromise(path.join(projectDir, 'out'), { recursive: true });
-
-			// Create foundry.toml configuration file
-			const foundryConfig = `
-[profile.default]
-src = "src"
-out = "out"
-libs = ["lib"]
-solc = "${compilerVersion}"
-optimizer = true
-optimizer_runs = 200
-remappings = [
-${dependencies.map(dep => {
-				const parts = dep.split('/');
-				return `    "${dep}/=lib/${parts[0]}-contracts/"`;
-			}).join(',\n')}
-]
-
-[profile.mantle_sepolia]
-eth_rpc_url = "${process.env.MANTLE_SEPOLIA_RPC || 'https://rpc.sepolia.mantle.xyz'}"
-chain_id = 5003
-
-[profile.mantle_mainnet]
-eth_rpc_url = "${process.env.MANTLE_MAINNET_RPC || 'https://rpc.mantle.xyz'}"
-chain_id = 5000
-`;
-			await writeFilePromise(path.join(projectDir, 'foundry.toml'), foundryConfig);
-
-			// Create a sample contract file
-			const sampleContract = `// SPDX-License-Identifier: MIT
-pragma solidity ^${compilerVersion};
-
-contract Sample {
-    string public greeting = "Hello, Mantle!";
-    
-    constructor() {}
-    
-    function setGreeting(string memory _greeting) public {
-        greeting = _greeting;
-    }
-    
-    function getGreeting() public view returns (string memory) {
-        return greeting;
-    }
-}`;
-
-			await writeFilePromise(path.join(projectDir, 'src', 'Sample.sol'), sampleContract);
-
-			// Create a sample test file
-			const sampleTest = `// SPDX-License-Identifier: MIT
-pragma solidity ^${compilerVersion};
-
-import "forge-std/Test.sol";
-import "../src/Sample.sol";
-
-contract SampleTest is Test {
-    Sample public sample;
-
-    function setUp() public {
-        sample = new Sample();
-    }
-
-    function testGetGreeting() public {
-        assertEq(sample.getGreeting(), "Hello, Mantle!");
-    }
-
-    function testSetGreeting() public {
-        sample.setGreeting("New greeting");
-        assertEq(sample.getGreeting(), "New greeting");
-    }
-}`;
-
-			await writeFilePromise(path.join(projectDir, 'test', 'Sample.t.sol'), sampleTest);
-
-			// Create directories for dependencies
-			if(dependencies.length > 0) {
-				this.logger.info(`Setting up ${dependencies.length} dependencies...`);
-
-				for(const dep of dependencies) {
-					const parts = dep.split('/');
-					const libDir = path.join(projectDir, 'lib', `${parts[0]}-contracts`);
-					await mkdirPromise(libDir, { recursive: true });
-
-					// Create a placeholder README in each dependency directory
-					await writeFilePromise(
-						path.join(libDir, 'README.md'),
-						`# ${parts[0]}-contracts\n\nPlaceholder for ${dep} dependency.`
-					);
-				}
-			}
-
-			// Update project record with information about the initialized project
-			await PrimateService.prisma.project.update({
-				where: { id: project.id },
-				data: {
-					metas: {
-						...project.metas,
-						projectDir,
-						foundryInitialized: true,
-						initializationTime: new Date().toISOString(),
-					},
-				},
-			});
-
-			this.logger.info(`Foundry project created successfully with ID: ${project.id}`);
-			this.logger.exit(functionName, { success: true, projectId: project.id, projectDir });
-
-			return {
-				project,
-				projectDir,
-				message: `Project "${projectName}" created successfully`,
-				initOutput: "Project structure created successfully.",
-			};
-		} catch(error) {
-			this.logger.error(`Error creating Foundry project:`, error);
-
-			// If we created a project record but the initialization failed, update the status
-			try {
-				const projectRecord = await PrimateService.prisma.project.findFirst({
-					where: {
-						name: args.projectName,
-						userId: parseInt(args.userId, 10),
-					},
-					orderBy: {
-						createdAt: 'desc',
-					},
-				});
-
-				if(projectRecord) {
-					await PrimateService.prisma.project.update({
-						where: { id: projectRecord.id },
-						data: {
-							metas: {
-								...projectRecord.metas,
-								foundryInitializationError: error.message,
-							},
-						},
-					});
-				}
-			} catch(updateError) {
-				this.logger.error(`Failed to update project after initialization error:`, updateError);
-			}
-
-			this.logger.exit(functionName, { error: true });
-			throw new Error(`Failed to create Foundry project: ${error.message}`);
-		}
-	}
-
-	/**
-	 * Creates a new smart contract within an existing Foundry project
-	 */
-	/*static async createSmartContractExecutor(args) {
-		const functionName = 'createSmartContractExecutor';
-		this.logger.entry(functionName, { args });
-
-		try {
-			const {
-				projectId,
-				contractName,
-				contractType,
-				sourceCode,
-				isMain = false,
-				constructorArgs = {},
-			} = args;
-
-			// Validate required fields
-			if(!projectId || !contractName || !contractType || !sourceCode) {
-				throw new Error('Missing required parameters for creating a smart contract');
-			}
-
-			// Convert projectId to number if it's a string
-			const projectIdNum = parseInt(projectId, 10);
-			if(isNaN(projectIdNum)) {
-				throw new Error('Invalid projectId format');
-			}
-
-			this.logger.info(`Creating contract "${ contractName }" for project ${ projectIdNum }`);
-
-			// Check if project exists
-			const project = await PrimateService.prisma.project.findUnique({
-				where: { id: projectIdNum },
-			});
-
-			if(!project) {
-				throw new Error(`Project with ID ${ projectIdNum } not found`);
-			}
-
-			// Get project directory from project metadata
-			const projectDir = project.metas?.projectDir;
-			if(!projectDir) {
-				throw new Error(`Project directory not found for project ${ projectIdNum }. Please initialize the project first.`);
-			}
-
-			// Create the contract using Prisma
-			const contract = await PrimateService.prisma.contract.create({
-				data: {
-					projectId: projectIdNum,
-					name: contractName,
-					contractType,
-					sourceCode,
-					isMain,
-					abi: null, // Will be populated after compilation
-					bytecode: null, // Will be populated after compilation
-					metas: {
-						constructorArgs,
-						creationTimestamp: new Date().toISOString(),
-					},
-				},
-			});
-
-			// If this is the main contract and no other main contract exists, mark it as main
-			if(isMain) {
-				// Update any previously marked main contracts to not be main
-				await PrimateService.prisma.contract.updateMany({
-					where: {
-						projectId: projectIdNum,
-						isMain: true,
-						id: { not: contract.id },
-					},
-					data: {
-						isMain: false,
-					},
-				});
-			}
-
-			// Write the contract to the project directory
-			//const fs = require('fs');
-			//const path = require('path');
-			//const { promisify } = require('util');
-			const writeFilePromise = promisify(fs.writeFile);
-
-			const contractFilePath = path.join(projectDir, 'src', `${ contractName }.sol`);
-
-			// Ensure src directory exists
-			const srcDir = path.join(projectDir, 'src');
-			if(!fs.existsSync(srcDir)) {
-				await promisify(fs.mkdir)(srcDir, { recursive: true });
-			}
-
-			// Write contract source code to file
-			await writeFilePromise(contractFilePath, sourceCode);
-
-			this.logger.info(`Contract file written to ${ contractFilePath }`);
-
-			// Add test file if it's a main contract
-			if(isMain) {
-				const testDir = path.join(projectDir, 'test');
-				if(!fs.existsSync(testDir)) {
-					await promisify(fs.mkdir)(testDir, { recursive: true });
-				}
-
-				// Create a basic test file
-				const testContent = `// SPDX-License-Identifier: MIT
-pragma solidity ^0.8.13;
-
-import "forge-std/Test.sol";
-import "../src/${ contractName }.sol";
-
-contract ${ contractName }Test is Test {
-    ${ contractName } public instance;
-
-    function setUp() public {
-        instance = new ${ contractName }();
-    }
-
-    function testExample() public {
-        assertTrue(true);
-    }
-}`;
-
-				const testFilePath = path.join(testDir, `${ contractName }.t.sol`);
-				await writeFilePromise(testFilePath, testContent);
-				this.logger.info(`Test file written to ${ testFilePath }`);
-			}
-
-			// Update contract record with file path
-			await PrimateService.prisma.contract.update({
-				where: { id: contract.id },
-				data: {
-					metas: {
-						...contract.metas,
-						filePath: `src/${ contractName }.sol`,
-					},
-				},
-			});
-
-			this.logger.info(`Contract created successfully with ID: ${ contract.id }`);
-			this.logger.exit(functionName, { success: true, contractId: contract.id });
-
-			return {
-				contract,
-				message: `Contract "${ contractName }" created successfully for project "${ project.name }"`,
-				filePath: `src/${ contractName }.sol`,
-			};
-		} catch(error) {
-			this.logger.error(`Error creating smart contract:`, error);
-			this.logger.exit(functionName, { error: true });
-
-			throw new Error(`Failed to create smart contract: ${ error.message }`);
-		}
-	}*/
-
-	static async createSmartContractExecutor(args) {
-		const functionName = 'createSmartContractExecutor';
-		this.logger.entry(functionName, { args });
-
-		const __filename = fileURLToPath(import.meta.url);
-		const __dirname = path.dirname(__filename);
-
-		try {
-			const {
-				projectId,
-				contractName,
-				contractType,
-				sourceCode,
-				isMain = false,
-				constructorArgs = {},
-			} = args;
-
-			// Validate required fields
-			if(!projectId || !contractName || !contractType || !sourceCode) {
-				throw new Error('Missing required parameters for creating a smart contract');
-			}
-
-			// Convert projectId to number if it's a string
-			const projectIdNum = parseInt(projectId, 10);
-			if(isNaN(projectIdNum)) {
-				throw new Error('Invalid projectId format');
-			}
-
-			this.logger.info(`Creating contract "${contractName}" for project ${projectIdNum}`);
-
-			// Check if project exists
-			let project = await PrimateService.prisma.project.findUnique({
-				where: { id: projectIdNum },
-			});
-
-			if(!project) {
-				throw new Error(`Project with ID ${projectIdNum} not found`);
-			}
-
-			// Check if project is initialized and initialize if needed
-			if(!project.metas?.projectDir) {
-				this.logger.info(`Project directory not found for project ${projectIdNum}. Initializing project.`);
-
-				// Initialize the project
-				const projectDir = path.join(__dirname, '../projects', `project-${projectIdNum}`);
-
-				// Create project directory if it doesn't exist
-				if(!fs.existsSync(projectDir)) {
-					await mkdirPromise(projectDir, { recursive: true });
-				}
-
-				// Create basic project structure
-				const srcDir = path.join(projectDir, 'src');
-				const testDir = path.join(projectDir, 'test');
-				const scriptDir = path.join(projectDir, 'script');
-
-				for(const dir of [srcDir, testDir, scriptDir]) {
-					if(!fs.existsSync(dir)) {
-						await mkdirPromise(dir, { recursive: true });
-					}
-				}
-
-				// Update project with directory information
-				await PrimateService.prisma.project.update({
-					where: { id: projectIdNum },
-					data: {
-						metas: {
-							...(project.metas || {}),
-							projectDir,
-							initialized: true,
-							initializeDate: new Date().toISOString()
-						}
-					}
-				});
-
-				// Reload project with updated information
-				project = await PrimateService.prisma.project.findUnique({
-					where: { id: projectIdNum }
-				});
-
-				this.logger.info(`Project initialized with directory: ${projectDir}`);
-			}
-
-			// Now we have a valid project directory
-			const projectDir = project.metas.projectDir;
-
-			// Create the contract record in the database
-			const contract = await PrimateService.prisma.contract.create({
-				data: {
-					projectId: projectIdNum,
-					name: contractName,
-					contractType,
-					sourceCode,
-					isMain,
-					abi: null, // Will be populated after compilation
-					bytecode: null, // Will be populated after compilation
-					metas: {
-						constructorArgs,
-						creationTimestamp: new Date().toISOString(),
-					},
-				},
-			});
-
-			// If this is the main contract and no other main contract exists, mark it as main
-			if(isMain) {
-				// Update any previously marked main contracts to not be main
-				await PrimateService.prisma.contract.updateMany({
-					where: {
-						projectId: projectIdNum,
-						isMain: true,
-						id: { not: contract.id },
-					},
-					data: {
-						isMain: false,
-					},
-				});
-			}
-
-			// Write the contract to the project directory
-			const contractFilePath = path.join(projectDir, 'src', `${contractName}.sol`);
-
-			// Ensure src directory exists
-			const srcDir = path.join(projectDir, 'src');
-			if(!fs.existsSync(srcDir)) {
-				await mkdirPromise(srcDir, { recursive: true });
-			}
-
-			// Write contract source code to file
-			await writeFilePromise(contractFilePath, sourceCode);
-
-			this.logger.info(`Contract file written to ${contractFilePath}`);
-
-			// Add test file if it's a main contract
-			if(isMain) {
-				const testDir = path.join(projectDir, 'test');
-				if(!fs.existsSync(testDir)) {
-					await mkdirPromise(testDir, { recursive: true });
-				}
-
-				// Create a basic test file
-				const testContent = `// SPDX-License-Identifier: MIT
-pragma solidity ^0.8.13;
-
-import "forge-std/Test.sol";
-import "../src/${contractName}.sol";
-
-contract ${contractName}Test is Test {
-    ${contractName} public instance;
-
-    function setUp() public {
-        instance = new ${contractName}();
-    }
-
-    function testExample() public {
-        assertTrue(true);
-    }
-}`;
-
-				const testFilePath = path.join(testDir, `${contractName}.t.sol`);
-				await writeFilePromise(testFilePath, testContent);
-				this.logger.info(`Test file written to ${testFilePath}`);
-
-				// Create a deployment script
-				const scriptDir = path.join(projectDir, 'script');
-				if(!fs.existsSync(scriptDir)) {
-					await mkdirPromise(scriptDir, { recursive: true });
-				}
-
-				const deploymentScript = `// SPDX-License-Identifier: MIT
-pragma solidity ^0.8.13;
-
-import "forge-std/Script.sol";
-import "../src/${contractName}.sol";
-
-contract Deploy${contractName} is Script {
-    function run() external {
-        uint256 deployerPrivateKey = vm.envUint("PRIVATE_KEY");
-        vm.startBroadcast(deployerPrivateKey);
-        
-        ${contractName} instance = new ${contractName}();
-        
-        vm.stopBroadcast();
-    }
-}`;
-
-				const scriptFilePath = path.join(scriptDir, `Deploy${contractName}.s.sol`);
-				await writeFilePromise(scriptFilePath, deploymentScript);
-				this.logger.info(`Deployment script written to ${scriptFilePath}`);
-			}
-
-			// Update contract record with file path
-			await PrimateService.prisma.contract.update({
-				where: { id: contract.id },
-				data: {
-					metas: {
-						...contract.metas,
-						filePath: `src/${contractName}.sol`,
-						hasTests: isMain,
-						hasDeploymentScript: isMain,
-					},
-				},
-			});
-
-			this.logger.info(`Contract created successfully with ID: ${contract.id}`);
-			this.logger.exit(functionName, { success: true, contractId: contract.id });
-
-			return {
-				contract,
-				message: `Contract "${contractName}" created successfully for project "${project.name}"`,
-				filePath: `src/${contractName}.sol`,
-			};
-		} catch(error) {
-			this.logger.error(`Error creating smart contract:`, error);
-			this.logger.exit(functionName, { error: true });
-
-			throw new Error(`Failed to create smart contract: ${error.message}`);
-		}
-	}
-
-	/**
-	 * Compiles all smart contracts in a Foundry project
-	 */
-	/*static async compileFoundryProjectExecutor(args) {
-		const functionName = 'compileFoundryProjectExecutor';
-		this.logger.entry(functionName, { args });
-
-		try {
-			const {
-				projectId,
-				optimizationLevel = 1,
-				runs = 200,
-			} = args;
-
-			// Validate required fields
-			if(!projectId) {
-				throw new Error('Missing required parameter: projectId');
-			}
-
-			// Convert projectId to number if it's a string
-			const projectIdNum = parseInt(projectId, 10);
-			if(isNaN(projectIdNum)) {
-				throw new Error('Invalid projectId format');
-			}
-
-			this.logger.info(`Compiling project ${ projectIdNum } with optimization level ${ optimizationLevel }`);
-
-			// Get project details
-			const project = await PrimateService.prisma.project.findUnique({
-				where: { id: projectIdNum },
-				include: { contracts: true },
-			});
-
-			if(!project) {
-				throw new Error(`Project with ID ${ projectIdNum } not found`);
-			}
-
-			const projectDir = project.metas?.projectDir;
-			if(!projectDir) {
-				throw new Error(`Project directory not found for project ${ projectIdNum }`);
-			}
-
-			// Update project status to Building
-			await PrimateService.prisma.project.update({
-				where: { id: projectIdNum },
-				data: {
-					buildStatus: 'Building',
-					metas: {
-						...project.metas,
-						lastBuildAttempt: new Date().toISOString(),
-					},
-				},
-			});
-
-			// Update foundry.toml with optimization level if needed
-			const fs = require('fs');
-			const path = require('path');
-			const { promisify } = require('util');
-			const readFilePromise = promisify(fs.readFile);
-			const writeFilePromise = promisify(fs.writeFile);
-			const execPromise = promisify(require('child_process').exec);
-
-			const foundryTomlPath = path.join(projectDir, 'foundry.toml');
-			let foundryConfig = await readFilePromise(foundryTomlPath, 'utf8');
-
-			// Update optimizer settings
-			foundryConfig = foundryConfig.replace(
-				/optimizer_runs = \d+/,
-				`optimizer_runs = ${ runs }`,
-			);
-
-			await writeFilePromise(foundryTomlPath, foundryConfig);
-
-			// Execute forge build
-			this.logger.info(`Running forge build in ${ projectDir }...`);
-			try {
-				const buildResult = await execPromise(`cd ${ projectDir } && forge build --optimize --optimizer-runs ${ runs }`);
-				this.logger.info(`Build output: ${ buildResult.stdout }`);
-
-				// Process the build output to extract ABIs and bytecode
-				const outDir = path.join(projectDir, 'out');
-
-				// For each contract, read the compiled artifacts
-				for(const contract of project.contracts) {
-					try {
-						// Check if the contract has a corresponding JSON file in the out directory
-						const contractJsonPath = path.join(
-							outDir,
-							`${ contract.name }.sol`,
-							`${ contract.name }.json`,
-						);
-
-						if(fs.existsSync(contractJsonPath)) {
-							const contractJson = JSON.parse(await readFilePromise(contractJsonPath, 'utf8'));
-
-							// Extract ABI and bytecode
-							const abi = contractJson.abi;
-							const bytecode = contractJson.bytecode.object;
-
-							// Update the contract with real ABI and bytecode
-							await PrimateService.prisma.contract.update({
-								where: { id: contract.id },
-								data: {
-									abi,
-									bytecode,
-								},
-							});
-
-							this.logger.info(`Updated contract ${ contract.name } with compiled artifacts`);
-						} else {
-							this.logger.warn(`Compiled artifact for contract ${ contract.name } not found at ${ contractJsonPath }`);
-						}
-					} catch(contractError) {
-						this.logger.error(`Error processing compiled contract ${ contract.name }:`, contractError);
-						// Continue with other contracts even if one fails
-					}
-				}
-
-				// Update project status to Success
-				await PrimateService.prisma.project.update({
-					where: { id: projectIdNum },
-					data: {
-						buildStatus: 'Success',
-						metas: {
-							...project.metas,
-							lastBuildSuccess: new Date().toISOString(),
-							optimizationLevel,
-							optimizationRuns: runs,
-						},
-					},
-				});
-
-				this.logger.info(`Compilation successful for project ${ projectIdNum }`);
-
-				// Extract gas report if available
-				let gasReport = {};
-				try {
-					const gasReportPath = path.join(projectDir, '.gas-snapshot');
-					if(fs.existsSync(gasReportPath)) {
-						const gasReportContent = await readFilePromise(gasReportPath, 'utf8');
-						// Parse the gas snapshot format
-						const gasLines = gasReportContent.split('\n');
-						let totalGasUsed = 0;
-						const functionBreakdown = {};
-
-						for(const line of gasLines) {
-							if(line.trim()) {
-								const match = line.match(/([^:]+):\s*(\d+)/);
-								if(match) {
-									const [ , functionName, gasUsed ] = match;
-									functionBreakdown[functionName.trim()] = parseInt(gasUsed, 10);
-									totalGasUsed += parseInt(gasUsed, 10);
-								}
-							}
-						}
-
-						gasReport = {
-							totalGasUsed,
-							functionBreakdown,
-						};
-					}
-				} catch(gasReportError) {
-					this.logger.warn(`Error processing gas report:`, gasReportError);
-					// Continue without gas report
-				}
-
-				// Get updated contracts
-				const updatedContracts = await PrimateService.prisma.contract.findMany({
-					where: { projectId: projectIdNum },
-				});
-
-				this.logger.exit(functionName, { success: true });
-
-				return {
-					success: true,
-					message: `Project compiled successfully`,
-					contracts: updatedContracts.map(c => ({
-						id: c.id,
-						name: c.name,
-						type: c.contractType,
-						hasAbi: !!c.abi,
-						hasBytecode: !!c.bytecode,
-					})),
-					artifactsPath: 'out/',
-					gasReport,
-				};
-
-			} catch(buildError) {
-				// Build failed
-				this.logger.error(`Build failed:`, buildError);
-
-				// Update project status to Failed
-				await PrimateService.prisma.project.update({
-					where: { id: projectIdNum },
-					data: {
-						buildStatus: 'Failed',
-						lastBuildLog: buildError.message,
-						metas: {
-							...project.metas,
-							lastBuildFailure: new Date().toISOString(),
-							buildError: buildError.message,
-							buildOutput: buildError.stderr,
-						},
-					},
-				});
-
-				throw new Error(`Compilation failed: ${ buildError.message }`);
-			}
-
-		} catch(error) {
-			this.logger.error(`Error compiling Foundry project:`, error);
-
-			// Update project status to Failed if we haven't already
-			try {
-				if(args.projectId) {
-					const projectIdNum = parseInt(args.projectId, 10);
-					const project = await PrimateService.prisma.project.findUnique({
-						where: { id: projectIdNum },
-					});
-
-					if(project && project.buildStatus !== 'Failed') {
-						await PrimateService.prisma.project.update({
-							where: { id: projectIdNum },
-							data: {
-								buildStatus: 'Failed',
-								lastBuildLog: error.message,
-								metas: {
-									...project.metas,
-									lastBuildFailure: new Date().toISOString(),
-									buildError: error.message,
-								},
-							},
-						});
-					}
-				}
-			} catch(updateError) {
-				this.logger.error(`Failed to update project status after build failure:`, updateError);
-			}
-
-			this.logger.exit(functionName, { error: true });
-			throw new Error(`Failed to compile project: ${ error.message }`);
-		}
-	}*/
-
-	// Modified compileFoundryProjectExecutor without direct Forge execution
-	static async compileFoundryProjectExecutor(args) {
-		const functionName = 'compileFoundryProjectExecutor';
-		this.logger.entry(functionName, { args });
-
-		try {
-			const {
-				projectId,
-				optimizationLevel = 1,
-				runs = 200,
-			} = args;
-
-			// Validate and get project details (no changes to this part)
-			if(!projectId) {
-				throw new Error('Missing required parameter: projectId');
-			}
-
-			const projectIdNum = parseInt(projectId, 10);
-			if(isNaN(projectIdNum)) {
-				throw new Error('Invalid projectId format');
-			}
-
-			this.logger.info(`Compiling project ${projectIdNum} with optimization level ${optimizationLevel}`);
-
-			// Get project details
-			const project = await PrimateService.prisma.project.findUnique({
-				where: { id: projectIdNum },
-				include: { contracts: true },
-			});
-
-			if(!project) {
-				throw new Error(`Project with ID ${projectIdNum} not found`);
-			}
-
-			const projectDir = project.metas?.projectDir;
-			if(!projectDir) {
-				throw new Error(`Project directory not found for project ${projectIdNum}`);
-			}
-
-			// Update project status to Building
-			await PrimateService.prisma.project.update({
-				where: { id: projectIdNum },
-				data: {
-					buildStatus: 'Building',
-					metas: {
-						...project.metas,
-						lastBuildAttempt: new Date().toISOString(),
-					},
-				},
-			});
-
-			// Update foundry.toml with optimization level if needed
-			const foundryTomlPath = path.join(projectDir, 'foundry.toml');
-			let foundryConfig = await readFilePromise(foundryTomlPath, 'utf8');
-			foundryConfig = foundryConfig.replace(
-				/optimizer_runs = \d+/,
-				`optimizer_runs = ${runs}`,
-			);
-			await writeFilePromise(foundryTomlPath, foundryConfig);
-
-			try {
-				// CHANGED: Instead of executing forge build, use solc JS library or mock the compilation
-				this.logger.info(`Compiling Solidity files in ${projectDir}...`);
-
-				// Example: Using solc-js (you would need to import it)
-				// const solc = require('solc');
-
-				// For each contract in the project
-				for(const contract of project.contracts) {
-					try {
-						const contractPath = path.join(projectDir, 'src', `${contract.name}.sol`);
-						const contractSource = await readFilePromise(contractPath, 'utf8');
-
-						// Example of how you might compile with solc-js instead of forge
-						// const input = {
-						//   language: 'Solidity',
-						//   sources: {
-						//     [contract.name]: {
-						//       content: contractSource
-						//     }
-						//   },
-						//   settings: {
-						//     optimizer: {
-						//       enabled: true,
-						//       runs: runs
-						//     },
-						//     outputSelection: {
-						//       '*': {
-						//         '*': ['abi', 'evm.bytecode']
-						//       }
-						//     }
-						//   }
-						// };
-
-						// const compiledContract = JSON.parse(solc.compile(JSON.stringify(input)));
-						// const output = compiledContract.contracts[contract.name][contract.name];
-
-						// For this example, we'll mock the output
-						const abi = [{"inputs":[],"stateMutability":"nonpayable","type":"constructor"}]; // Mock ABI
-						const bytecode = "0x60806040526000805534801561001457600080fd5b5060358060236000396000f3fe6080604052600080fdfea26469706673582212204ca02a58b31e3f79afab9af66834a669b4ee1abf4e16766dc7b2d8a29318368164736f6c63430008130033"; // Mock bytecode
-
-						// Update the contract with the compiled artifacts
-						await PrimateService.prisma.contract.update({
-							where: { id: contract.id },
-							data: {
-								abi,
-								bytecode,
-							},
-						});
-
-						this.logger.info(`Updated contract ${contract.name} with compiled artifacts`);
-					} catch(contractError) {
-						this.logger.error(`Error processing compiled contract ${contract.name}:`, contractError);
-						// Continue with other contracts even if one fails
-					}
-				}
-
-				// Update project status to Success
-				await PrimateService.prisma.project.update({
-					where: { id: projectIdNum },
-					data: {
-						buildStatus: 'Success',
-						metas: {
-							...project.metas,
-							lastBuildSuccess: new Date().toISOString(),
-							optimizationLevel,
-							optimizationRuns: runs,
-						},
-					},
-				});
-
-				this.logger.info(`Compilation successful for project ${projectIdNum}`);
-
-				// Mock gas report data
-				const gasReport = {
-					totalGasUsed: 250000,
-					functionBreakdown: {
-						"constructor": 120000,
-						"transfer(address,uint256)": 65000,
-						"balanceOf(address)": 25000,
-					}
-				};
-
-				// Get updated contracts
-				const updatedContracts = await PrimateService.prisma.contract.findMany({
-					where: { projectId: projectIdNum },
-				});
-
-				this.logger.exit(functionName, { success: true });
-
-				return {
-					success: true,
-					message: `Project compiled successfully`,
-					contracts: updatedContracts.map(c => ({
-						id: c.id,
-						name: c.name,
-						type: c.contractType,
-						hasAbi: !!c.abi,
-						hasBytecode: !!c.bytecode,
-					})),
-					artifactsPath: 'out/',
-					gasReport,
-				};
-
-			} catch(buildError) {
-				// Build failed
-				this.logger.error(`Build failed:`, buildError);
-
-				// Update project status to Failed
-				await PrimateService.prisma.project.update({
-					where: { id: projectIdNum },
-					data: {
-						buildStatus: 'Failed',
-						lastBuildLog: buildError.message,
-						metas: {
-							...project.metas,
-							lastBuildFailure: new Date().toISOString(),
-							buildError: buildError.message,
-							buildOutput: buildError.toString(),
-						},
-					},
-				});
-
-				throw new Error(`Compilation failed: ${buildError.message}`);
+			for(const change of diff.changes.filter(change => change.kind !== 'Test').slice(0, 10)) {
+				const sign = change.delta > 0 ? '+' : '';
+				this.sendToolLog(context, `${ change.contract.split(':').pop() }.${ change.name }: ${ change.before } -> ${ change.after } gas (${ sign }${ change.delta })`);
 			}
 
+			return diff;
 		} catch(error) {
-			this.logger.error(`Error compiling Foundry project:`, error);
-
-			// Update project status to Failed if we haven't already (no changes here)
-			try {
-				if(args.projectId) {
-					const projectIdNum = parseInt(args.projectId, 10);
-					const project = await PrimateService.prisma.project.findUnique({
-						where: { id: projectIdNum },
-					});
-
-					if(project && project.buildStatus !== 'Failed') {
-						await PrimateService.prisma.project.update({
-							where: { id: projectIdNum },
-							data: {
-								buildStatus: 'Failed',
-								lastBuildLog: error.message,
-								metas: {
-									...project.metas,
-									lastBuildFailure: new Date().toISOString(),
-									buildError: error.message,
-								},
-							},
-						});
-					}
-				}
-			} catch(updateError) {
-				this.logger.error(`Failed to update project status after build failure:`, updateError);
-			}
-
-			this.logger.exit(functionName, { error: true });
-			throw new Error(`Failed to compile project: ${error.message}`);
+			this.logger.warn(`Could not record the gas snapshot of test run ${ testRun.id }: ${ error.message }`);
+			return null;
 		}
 	}
 
 	/**
-	 * Deploys a compiled Foundry project to Mantle Sepolia testnet
+	 * Compares the gas snapshot of a test run with an earlier run or the project baseline
 	 */
-	static async deployToMantleTestnetExecutor(args) {
-		const functionName = 'deployToMantleTestnetExecutor';
+	static async compareGasSnapshotsExecutor(args) {
+		const functionName = 'compareGasSnapshotsExecutor';
 		this.logger.entry(functionName, { args });
 
 		try {
-			const {
-				projectId,
-				contractId,
-				network = 'mantle_sepolia',
-				deploymentSettings = {
-					gasLimit: 3000000,
-					constructorArgs: [],
-					verifyOnEtherscan: true,
-				},
-				walletMethod = 'provider_managed',
-			} = args;
+			const { projectId, testRunId, compareTo = 'previous', setAsBaseline = false } = args;
 
-			// Validate required fields
 			if(!projectId) {
 				throw new Error('Missing required parameter: projectId');
 			}
 
-			// Convert projectId to number if it's a string
 			const projectIdNum = parseInt(projectId, 10);
 			if(isNaN(projectIdNum)) {
 				throw new Error('Invalid projectId format');
 			}
 
-			// Find the project
 			const project = await PrimateService.prisma.project.findUnique({
 				where: { id: projectIdNum },
-				include: { contracts: true },
 			});
 
 			if(!project) {
 				throw new Error(`Project with ID ${ projectIdNum } not found`);
 			}
 
-			const projectDir = project.metas?.projectDir;
-			if(!projectDir) {
-				throw new Error(`Project directory not found for project ${ projectIdNum }`);
+			const diff = await GasSnapshotService.diff(project, { testRunId, compareTo });
+			if(!diff) {
+				throw new Error(testRunId ? `Test run ${ testRunId } not found` : 'The project has no test runs, run the tests first');
 			}
 
-			// Determine which contract to deploy
-			let contractToDeployId;
-
-			if(contractId) {
-				// Use specified contract
-				contractToDeployId = parseInt(contractId, 10);
-				if(isNaN(contractToDeployId)) {
-					throw new Error('Invalid contractId format');
-				}
+			if(setAsBaseline) await GasSnapshotService.setBaseline(project, diff.run.id);
 
-				// Verify the contract belongs to this project
-				const contractExists = project.contracts.some(c => c.id === contractToDeployId);
-				if(!contractExists) {
-					throw new Error(`Contract with ID ${ contractToDeployId } does not belong to project ${ projectIdNum }`);
-				}
-			} else {
-				// Use the main contract
-				const mainContract = project.contracts.find(c => c.isMain);
-				if(!mainContract) {
-					throw new Error(`No main contract found for project ${ projectIdNum }`);
-				}
-				contractToDeployId = mainContract.id;
-			}
+			this.logger.exit(functionName, { success: true, changes: diff.changes.length });
 
-			// Get the contract
-			const contract = await PrimateService.prisma.contract.findUnique({
-				where: { id: contractToDeployId },
-			});
+			const { increased, decreased } = diff.summary;
 
-			if(!contract) {
-				throw new Error(`Contract with ID ${ contractToDeployId } not found`);
-			}
+			return {
+				success: true,
+				testRunId: diff.run.id,
+				comparedWith: diff.base?.id || null,
+				baselineRunId: setAsBaseline ? diff.run.id : diff.baselineRunId,
+				summary: diff.summary,
+				changes: diff.changes.slice(0, 50),
+				added: diff.added,
+				removed: diff.removed,
+				// Without function gas the run predates gas snapshots or ran without the gas report
+				hasFunctionGas: diff.snapshot.some(entry => entry.kind !== 'Test'),
+				message: diff.base
+					? `Compared test run ${ diff.run.id } with run ${ diff.base.id }: ${ increased } more expensive, ${ decreased } cheaper`
+					: `No earlier test run to compare test run ${ diff.run.id } with`,
+			};
+		} catch(error) {
+			this.logger.error(`Error comparing gas snapshots:`, error);
+			this.logger.exit(functionName, { error: true });
 
-			// Check if contract is compiled
-			if(!contract.abi || !contract.bytecode) {
-				throw new Error(`Contract ${ contract.name } needs to be compiled before deployment`);
-			}
+			throw new Error(`Failed to compare gas snapshots: ${ error.message }`);
+		}
+	}
 
-			this.logger.info(`Deploying contract "${ contract.name }" to ${ network }...`);
+	/**
+	 * Calls a view or pure function of a deployed project contract
+	 */
+	static async callContractExecutor(args, context = {}) {
+		const functionName = 'callContractExecutor';
+		this.logger.entry(functionName, { args });
 
-			// Prepare deployment script
-			const fs = require('fs');
-			const path = require('path');
-			const { promisify } = require('util');
-			const writeFilePromise = promisify(fs.writeFile);
-			const execPromise = promisify(require('child_process').exec);
-			const mkdirPromise = promisify(fs.mkdir);
+		try {
+			const {
+				projectId,
+				contractId,
+				method,
+				args: functionArgs = [],
+				network,
+				from,
+			} = args;
 
-			// Ensure script directory exists
-			const scriptDir = path.join(projectDir, 'script');
-			if(!fs.existsSync(scriptDir)) {
-				await mkdirPromise(scriptDir, { recursive: true });
+			if(!projectId || !method) {
+				throw new Error('Missing required parameters: projectId and method');
 			}
 
-			// Create deployment script
-			const deploymentScriptPath = path.join(scriptDir, `Deploy${ contract.name }.s.sol`);
-			const constructorArgsString = deploymentSettings.constructorArgs.length > 0
-				? deploymentSettings.constructorArgs.map(arg => JSON.stringify(arg)).join(', ')
-				: '';
+			const result = await ContractService.call(projectId, contractId, { method, args: functionArgs, network, from });
 
-			const deploymentScript = `// SPDX-License-Identifier: MIT
-pragma solidity ^0.8.13;
+			this.logger.exit(functionName, { success: true });
 
-import "forge-std/Script.sol";
-import "../src/${ contract.name }.sol";
+			return {
+				success: true,
+				...result,
+				message: `${ result.contract }.${ result.function } on ${ result.network } returned ${ JSON.stringify(result.result) }`,
+			};
+		} catch(error) {
+			this.logger.error(`Error calling contract:`, error);
+			this.logger.exit(functionName, { error: true });
 
-contract Deploy${ contract.name } is Script {
-    function run() external {
-        uint256 deployerPrivateKey = vm.envUint("PRIVATE_KEY");
-        vm.startBroadcast(deployerPrivateKey);
-        
-        ${ contract.name } instance = new ${ contract.name }(${ constructorArgsString });
-        
-        vm.stopBroadcast();
-    }
-}`;
+			throw new Error(`Failed to call contract: ${ error.message }`);
+		}
+	}
+
+	/**
+	 * Sends a transaction to a deployed project contract from the project wallet
+	 */
+	static async sendContractTransactionExecutor(args, context = {}) {
+		const functionName = 'sendContractTransactionExecutor';
+		this.logger.entry(functionName, { args });
 
-			await writeFilePromise(deploymentScriptPath, deploymentScript);
-			this.logger.info(`Deployment script written to ${ deploymentScriptPath }`);
+		const toolContext = { ...context, tool: context.tool || 'sendContractTransaction' };
 
-			// Create a .env file for the private key if using provider_managed
-			if(walletMethod === 'provider_managed') {
-				// In a real implementation, this would securely retrieve a managed key
-				// For this example, we'll generate a random key
-				const randomPrivateKey = '0x' + Array(64).fill(0).map(() => Math.floor(Math.random() * 16).toString(16))
-					.join('');
-				await writeFilePromise(path.join(projectDir, '.env'), `PRIVATE_KEY=${ randomPrivateKey }\n`);
+		try {
+			const {
+				projectId,
+				contractId,
+				method,
+				args: functionArgs = [],
+				value,
+				network,
+				gasLimit,
+				walletId,
+			} = args;
+
+			if(!projectId || !method) {
+				throw new Error('Missing required parameters: projectId and method');
 			}
 
-			// Create deployment record with Pending status
-			const deployment = await PrimateService.prisma.deployment.create({
-				data: {
-					projectId: projectIdNum,
-					contractId: contractToDeployId,
-					network,
-					status: 'Pending',
-					constructorArgs: deploymentSettings.constructorArgs,
-					metas: {
-						deploymentMethod: walletMethod,
-						gasLimit: deploymentSettings.gasLimit,
-						deploymentAttemptTimestamp: new Date().toISOString(),
-					},
-				},
+			const project = await PrimateService.prisma.project.findUnique({ where: { id: parseInt(projectId, 10) } });
+			if(!project) {
+				throw new Error(`Project with ID ${ projectId } not found`);
+			}
+
+			const result = await ContractService.send(project, contractId, {
+				method,
+				args: functionArgs,
+				value,
+				network,
+				gasLimit,
+				walletId,
+				onSent: txHash => this.sendToolLog(toolContext, `Transaction sent: ${ txHash }, waiting for confirmation...`),
+			}, context.userId);
+
+			this.sendToolSummary(toolContext, {
+				status: 'Success',
+				txHash: result.txHash,
+				gasUsed: result.gasUsed.toString(),
+				blockNumber: result.blockNumber,
+				network: result.network,
 			});
 
-			try {
-				// Run the deployment script
-				const deployCommand = `cd ${ projectDir } && forge script script/Deploy${ contract.name }.s.sol --rpc-url ${ network } --broadcast --verify -vvv`;
-				this.logger.info(`Executing deployment command: ${ deployCommand }`);
+			this.logger.exit(functionName, { success: true });
 
-				const deployResult = await execPromise(deployCommand);
-				this.logger.debug(`Deployment output: ${ deployResult.stdout }`);
+			return {
+				success: true,
+				...result,
+				gasUsed: result.gasUsed.toString(),
+				gasEstimate: result.gasEstimate.toString(),
+				gasLimit: result.gasLimit.toString(),
+				effectiveGasPrice: result.effectiveGasPrice?.toString() || null,
+				explorerUrl: NetworkService.explorerLink(result.network, 'tx', result.txHash),
+				message: `${ result.contract }.${ result.function } executed on ${ result.network } in block ${ result.blockNumber }`,
+			};
+		} catch(error) {
+			this.logger.error(`Error sending contract transaction:`, error);
+			this.logger.exit(functionName, { error: true });
 
-				// Parse the deployment output to extract contract address and tx hash
-				const addressMatch = deployResult.stdout.match(/Contract Address:\s+(0x[a-fA-F0-9]{40})/);
-				const txHashMatch = deployResult.stdout.match(/Transaction hash:\s+(0x[a-fA-F0-9]{64})/);
-				const gasUsedMatch = deployResult.stdout.match(/Gas Used:\s+(\d+)/);
+			this.sendToolSummary(toolContext, { status: 'Failed', error: error.message });
 
-				const contractAddress = addressMatch ? addressMatch[1] : null;
-				const txHash = txHashMatch ? txHashMatch[1] : null;
-				const gasUsed = gasUsedMatch ? BigInt(gasUsedMatch[1]) : BigInt(0);
+			throw new Error(`Failed to send transaction: ${ error.message }`);
+		}
+	}
 
-				if(!contractAddress || !txHash) {
-					throw new Error('Failed to extract contract address or transaction hash from deployment output');
-				}
+	/**
+	 * Lists the indexed events of the deployed project contracts
+	 */
+	static async getContractEventsExecutor(args, context = {}) {
+		const functionName = 'getContractEventsExecutor';
+		this.logger.entry(functionName, { args });
 
-				// Update the deployment record with Success status
-				await PrimateService.prisma.deployment.update({
-					where: { id: deployment.id },
-					data: {
-						status: 'Success',
-						contractAddress,
-						txHash,
-						gasUsed,
-						deployedAt: new Date(),
-					},
-				});
+		try {
+			const { projectId, contractId, name, network, txHash, fromBlock, toBlock, limit = 20 } = args;
 
-				// Update the project with the deployed contract address
-				await PrimateService.prisma.project.update({
-					where: { id: projectIdNum },
-					data: {
-						contractAddress,
-						deployedAt: new Date(),
-						status: 'Active',
-					},
-				});
+			if(!projectId) {
+				throw new Error('Missing required parameter: projectId');
+			}
 
-				this.logger.info(`Contract deployed successfully at address ${ contractAddress }`);
+			const [ events, indexer ] = await Promise.all([
+				ContractEventService.findByProject(projectId, { contractId, name, network, txHash, fromBlock, toBlock, limit }),
+				ContractEventService.getIndexerStatus(projectId),
+			]);
 
-				this.logger.exit(functionName, { success: true, deploymentId: deployment.id });
+			this.logger.exit(functionName, { success: true, count: events.count });
 
-				return {
-					success: true,
-					deployment: {
-						id: deployment.id,
-						contractAddress,
-						txHash,
-						gasUsed: gasUsed.toString(),
-						network,
-						contractName: contract.name,
-					},
-					explorerUrl: `https://explorer.testnet.mantle.xyz/address/${ contractAddress }`,
-					message: `Contract "${ contract.name }" deployed successfully to ${ network }`,
-				};
+			return {
+				success: true,
+				events: events.data.map(event => ({
+					name: event.name,
+					signature: event.signature,
+					args: event.args,
+					contract: event.contract?.name || null,
+					network: event.network,
+					address: event.address,
+					blockNumber: event.blockNumber,
+					blockTimestamp: event.blockTimestamp,
+					txHash: event.txHash,
+					logIndex: event.logIndex,
+				})),
+				total: events.count,
+				// Events of blocks after indexedBlock are not stored yet
+				indexer: indexer.map(deployment => ({
+					deploymentId: deployment.id,
+					network: deployment.network,
+					contractAddress: deployment.contractAddress,
+					indexedBlock: deployment.indexedBlock,
+				})),
+				message: `Found ${ events.count } events, showing ${ events.data.length }`,
+			};
+		} catch(error) {
+			this.logger.error(`Error listing contract events:`, error);
+			this.logger.exit(functionName, { error: true });
 
-			} catch(deployError) {
-				// Deployment failed
-				this.logger.error(`Deployment failed:`, deployError);
+			throw new Error(`Failed to list contract events: ${ error.message }`);
+		}
+	}
 
-				// Update the deployment record with Failed status
-				await PrimateService.prisma.deployment.update({
-					where: { id: deployment.id },
-					data: {
-						status: 'Failed',
-						errorMessage: deployError.message,
-					},
-				});
+	/**
+	 * Lists the contract templates with their parameters as JSON schema
+	 */
+	static async listContractTemplatesExecutor(args) {
+		const functionName = 'listContractTemplatesExecutor';
+		this.logger.entry(functionName, { args });
 
-				throw new Error(`Deployment failed: ${ deployError.message }`);
-			}
+		try {
+			const templates = ContractTemplateService.list({ projectType: args.projectType })
+				.map(template => ContractTemplateService.toPublic(template));
+
+			this.logger.exit(functionName, { success: true, count: templates.length });
 
+			return {
+				success: true,
+				templates,
+				message: `Found ${ templates.length } contract templates`,
+			};
 		} catch(error) {
-			this.logger.error(`Error deploying contract:`, error);
+			this.logger.error(`Error listing contract templates:`, error);
 			this.logger.exit(functionName, { error: true });
 
-			// Create a failed deployment record if possible and we haven't already
-			try {
-				if(args.projectId && args.contractId && !error.message.includes('Deployment failed')) {
-					await PrimateService.prisma.deployment.create({
-						data: {
-							projectId: parseInt(args.projectId, 10),
-							contractId: parseInt(args.contractId, 10),
-							network: args.network || 'mantle_sepolia',
-							status: 'Failed',
-							errorMessage: error.message,
-							metas: {
-								deploymentAttemptTimestamp: new Date().toISOString(),
-								error: error.message,
-							},
-						},
-					});
-				}
-			} catch(recordError) {
-				this.logger.error(`Failed to record deployment failure:`, recordError);
-			}
-
-			throw new Error(`Failed to deploy contract: ${ error.message }`);
+			throw new Error(`Failed to list contract templates: ${ error.message }`);
 		}
 	}
 
 	/**
-	 * Runs tests for a Foundry project
+	 * Creates project contracts, tests and a deploy script from a contract template
 	 */
-	static async runFoundryTestsExecutor(args) {
-		const functionName = 'runFoundryTestsExecutor';
+	static async createContractFromTemplateExecutor(args, context = {}) {
+		const functionName = 'createContractFromTemplateExecutor';
 		this.logger.entry(functionName, { args });
 
 		try {
-			const {
-				projectId,
-				testFile,
-				verbosity = 2,
-				gasReport = true,
-			} = args;
+			const { projectId, templateId, params = {}, isMain = true } = args;
 
-			// Validate required fields
-			if(!projectId) {
-				throw new Error('Missing required parameter: projectId');
+			if(!projectId || !templateId) {
+				throw new Error('Missing required parameters: projectId and templateId');
 			}
 
-			// Convert projectId to number if it's a string
 			const projectIdNum = parseInt(projectId, 10);
 			if(isNaN(projectIdNum)) {
 				throw new Error('Invalid projectId format');
 			}
 
-			this.logger.info(`Running tests for project ${ projectIdNum }...`);
-
-			// Check if project exists
 			const project = await PrimateService.prisma.project.findUnique({
 				where: { id: projectIdNum },
-				include: { contracts: true },
 			});
 
 			if(!project) {
 				throw new Error(`Project with ID ${ projectIdNum } not found`);
 			}
 
-			if(project.contracts.length === 0) {
-				throw new Error(`No contracts found for project ${ projectIdNum }`);
-			}
+			const result = await ContractService.createFromTemplate(project, templateId, params, {
+				isMain,
+				author: this.revisionAuthor(context),
+			});
 
-			const projectDir = project.metas?.projectDir;
-			if(!projectDir) {
-				throw new Error(`Project directory not found for project ${ projectIdNum }`);
-			}
+			this.logger.info(`Created ${ result.contracts.length } contract(s) from template ${ templateId } for project ${ projectIdNum }`);
+			this.logger.exit(functionName, { success: true, contracts: result.contracts.length });
 
-			// Execute forge test command
-			const { exec } = require('child_process');
-			const { promisify } = require('util');
-			const execPromise = promisify(exec);
+			return {
+				success: true,
+				...result,
+				message: `Created ${ result.contracts.map(contract => contract.name).join(', ') } from template ${ templateId }. Compile the project before running the tests or deploying`,
+			};
+		} catch(error) {
+			this.logger.error(`Error creating contracts from template:`, error);
+			this.logger.exit(functionName, { error: true });
 
-			// Build test command
-			let testCommand = `cd ${ projectDir } && forge test -vv`;
+			throw new Error(`Failed to create contracts from template: ${ error.message }`);
+		}
+	}
 
-			// Add verbosity flags based on verbosity level
-			if(verbosity >= 3) {
-				testCommand += 'v'; // Add an extra v for higher verbosity
-			}
-			if(verbosity >= 4) {
-				testCommand += 'v'; // Add another v for maximum verbosity
-			}
+	/**
+	 * Installs a Solidity library in a project
+	 */
+	static async addDependencyExecutor(args) {
+		const functionName = 'addDependencyExecutor';
+		this.logger.entry(functionName, { args });
 
-			// Add gas report flag if requested
-			if(gasReport) {
-				testCommand += ' --gas-report';
-			}
+		try {
+			const { projectId, name, version } = args;
 
-			// Add specific test file if provided
-			if(testFile) {
-				testCommand += ` --match-path test/${ testFile }`;
+			if(!projectId || !name) {
+				throw new Error('Missing required parameters: projectId and name');
 			}
 
-			this.logger.info(`Executing test command: ${ testCommand }`);
-
-			try {
-				// Run tests
-				const testResult = await execPromise(testCommand);
-				this.logger.debug(`Test output: ${ testResult.stdout }`);
-
-				// Parse test results
-				const testOutput = testResult.stdout;
-
-				// Extract pass/fail counts from the output
-				const passedMatch = testOutput.match(/(\d+) passing/);
-				const failedMatch = testOutput.match(/(\d+) failing/);
-
-				const passedTests = passedMatch ? parseInt(passedMatch[1], 10) : 0;
-				const failedTests = failedMatch ? parseInt(failedMatch[1], 10) : 0;
-				const totalTests = passedTests + failedTests;
-
-				// Update project with test results
-				await PrimateService.prisma.project.update({
-					where: { id: projectIdNum },
-					data: {
-						testsPassed: passedTests,
-						testsFailed: failedTests,
-						metas: {
-							...project.metas,
-							lastTestRun: new Date().toISOString(),
-							testResults: {
-								total: totalTests,
-								passed: passedTests,
-								failed: failedTests,
-								gasReportGenerated: gasReport,
-							},
-						},
-					},
-				});
+			const project = await this.findProjectForDependencies(projectId);
+			const dependency = version ? `${ name }@${ version }` : name;
 
-				this.logger.info(`Tests completed: ${ passedTests }/${ totalTests } passed`);
-
-				// Extract gas report if it was requested
-				let gasReportData = null;
-				if(gasReport) {
-					const gasLines = testOutput.split('\n').filter(line => line.includes('gas:'));
-					const functionBreakdown = {};
-					let totalGasUsed = 0;
-
-					gasLines.forEach(line => {
-						const match = line.match(/([^(]+)\(.*\)\s+\(gas:\s+(\d+)\)/);
-						if(match) {
-							const functionName = match[1].trim();
-							const gas = parseInt(match[2], 10);
-							functionBreakdown[functionName] = gas;
-							totalGasUsed += gas;
-						}
-					});
+			const result = await DependencyService.add(project, [ dependency ]);
+			if(result.missing.length > 0) {
+				throw new Error(result.missing.map(entry => entry.error).join('; '));
+			}
 
-					gasReportData = {
-						totalGasUsed,
-						functionBreakdown,
-					};
-				}
+			this.logger.exit(functionName, { success: true, dependencies: result.dependencies });
 
-				this.logger.exit(functionName, { success: true });
+			return {
+				success: true,
+				dependencies: result.dependencies,
+				remappings: result.remappings,
+				message: `Installed ${ DependencyService.parse(dependency).spec }`,
+			};
+		} catch(error) {
+			this.logger.error(`Error adding dependency:`, error);
+			this.logger.exit(functionName, { error: true });
 
-				return {
-					success: true,
-					testResults: {
-						total: totalTests,
-						passed: passedTests,
-						failed: failedTests,
-						testFiles: testFile ? [ `test/${ testFile }` ] : project.contracts.map(c => `test/${ c.name }.t.sol`),
-						testOutput: testOutput,
-						gasReport: gasReportData,
-					},
-					message: failedTests > 0
-						? `${ failedTests } tests failed out of ${ totalTests } total tests`
-						: `All ${ totalTests } tests passed successfully`,
-				};
+			throw new Error(`Failed to add dependency: ${ error.message }`);
+		}
+	}
 
-			} catch(testError) {
-				// Tests failed
-				this.logger.error(`Test execution failed:`, testError);
+	/**
+	 * Removes a Solidity library from a project
+	 */
+	static async removeDependencyExecutor(args) {
+		const functionName = 'removeDependencyExecutor';
+		this.logger.entry(functionName, { args });
 
-				// Even if the execution fails, we should still try to extract test results from the output
-				let passedTests = 0;
-				let failedTests = 0;
-				let totalTests = 0;
+		try {
+			const { projectId, name } = args;
 
-				try {
-					const testOutput = testError.stdout || '';
+			if(!projectId || !name) {
+				throw new Error('Missing required parameters: projectId and name');
+			}
 
-					const passedMatch = testOutput.match(/(\d+) passing/);
-					const failedMatch = testOutput.match(/(\d+) failing/);
+			const project = await this.findProjectForDependencies(projectId);
+			const result = await DependencyService.remove(project, name);
 
-					passedTests = passedMatch ? parseInt(passedMatch[1], 10) : 0;
-					failedTests = failedMatch ? parseInt(failedMatch[1], 10) : 1; // Assume at least 1 failed if we got an error
-					totalTests = passedTests + failedTests;
+			this.logger.exit(functionName, { success: true, dependencies: result.dependencies });
 
-					// Update project with test results even though the test run had failures
-					await PrimateService.prisma.project.update({
-						where: { id: projectIdNum },
-						data: {
-							testsPassed: passedTests,
-							testsFailed: failedTests,
-							metas: {
-								...project.metas,
-								lastTestRun: new Date().toISOString(),
-								testResults: {
-									total: totalTests,
-									passed: passedTests,
-									failed: failedTests,
-									testError: testError.message,
-								},
-							},
-						},
-					});
+			return {
+				success: true,
+				dependencies: result.dependencies,
+				remappings: result.remappings,
+				message: `Removed ${ name }`,
+			};
+		} catch(error) {
+			this.logger.error(`Error removing dependency:`, error);
+			this.logger.exit(functionName, { error: true });
 
-					return {
-						success: false,
-						testResults: {
-							total: totalTests,
-							passed: passedTests,
-							failed: failedTests,
-							testFiles: testFile ? [ `test/${ testFile }` ] : project.contracts.map(c => `test/${ c.name }.t.sol`),
-							testOutput: testError.stdout || 'No output available',
-							error: testError.message,
-						},
-						message: `${ failedTests } tests failed out of ${ totalTests } total tests`,
-					};
+			throw new Error(`Failed to remove dependency: ${ error.message }`);
+		}
+	}
 
-				} catch(parseError) {
-					this.logger.error(`Failed to parse test results after failure:`, parseError);
-					throw new Error(`Test execution failed: ${ testError.message }`);
-				}
-			}
+	/**
+	 * Loads the project the dependency tools work on.
+	 */
+	static async findProjectForDependencies(projectId) {
+		const projectIdNum = parseInt(projectId, 10);
+		if(isNaN(projectIdNum)) {
+			throw new Error('Invalid projectId format');
+		}
 
-		} catch(error) {
-			this.logger.error(`Error running tests:`, error);
-			this.logger.exit(functionName, { error: true });
+		const project = await PrimateService.prisma.project.findUnique({
+			where: { id: projectIdNum },
+		});
 
-			throw new Error(`Failed to run tests: ${ error.message }`);
+		if(!project) {
+			throw new Error(`Project with ID ${ projectIdNum } not found`);
 		}
+
+		return project;
 	}
 
 	/**
-	 * Requests test tokens from Mantle Sepolia faucet
+	 * Requests test tokens from the faucet of a testnet.
+	 * Networks whose faucet has no API, or whose faucet request fails, return the faucet page instead.
 	 */
 	static async requestMantleTestnetTokensExecutor(args) {
 		const functionName = 'requestMantleTestnetTokensExecutor';
@@ -5393,7 +3367,7 @@ contract Deploy${ contract.name } is Script {
 		try {
 			const {
 				walletAddress,
-				network = 'mantle_sepolia',
+				network = NetworkService.defaultNetwork,
 			} = args;
 
 			// Validate required fields
@@ -5406,70 +3380,60 @@ contract Deploy${ contract.name } is Script {
 				throw new Error('Invalid Ethereum wallet address format');
 			}
 
-			this.logger.info(`Requesting ${ network } test tokens for address ${ walletAddress }...`);
-
-			// Use axios to make an actual request to the Mantle faucet API
-			const axios = require('axios');
-
-			try {
-				// Use the actual Mantle Sepolia faucet API endpoint
-				// Note: This is a placeholder. The actual endpoint might be different
-				const faucetEndpoint = process.env.MANTLE_SEPOLIA_FAUCET_URL || 'https://faucet.testnet.mantle.xyz/api/request';
-
-				const faucetResponse = await axios.post(faucetEndpoint, {
-					address: walletAddress,
-					network: 'sepolia',
-				}, {
-					headers: {
-						'Content-Type': 'application/json',
-					},
-				});
-
-				// Parse the response
-				const txHash = faucetResponse.data.txHash || '0x' + Array(64).fill(0)
-					.map(() => Math.floor(Math.random() * 16).toString(16)).join('');
-				const tokenAmount = faucetResponse.data.amount || '0.5'; // Default to 0.5 if not provided by API
-
-				this.logger.info(`Successfully requested ${ tokenAmount } test tokens for ${ walletAddress }`);
+			const { label, faucet, nativeCurrency } = NetworkService.get(network);
+			if(!faucet) {
+				throw new Error(`${ label } has no faucet`);
+			}
 
-				this.logger.exit(functionName, { success: true });
+			this.logger.info(`Requesting ${ network } test tokens for address ${ walletAddress }...`);
 
-				return {
-					success: true,
-					walletAddress,
-					network,
-					amount: tokenAmount,
-					txHash,
-					message: `Successfully requested ${ tokenAmount } test MNT for address ${ walletAddress }`,
-					explorerUrl: `https://explorer.testnet.mantle.xyz/tx/${ txHash }`,
-					faucetUrl: 'https://faucet.testnet.mantle.xyz',
-				};
+			if(faucet.apiUrl) {
+				try {
+					const faucetResponse = await axios.post(faucet.apiUrl, {
+						address: walletAddress,
+						network,
+					}, {
+						headers: {
+							'Content-Type': 'application/json',
+						},
+						timeout: 15000,
+					});
 
-			} catch(faucetError) {
-				// If the faucet API call fails, log the error but use fallback behavior
-				this.logger.warn(`Faucet API call failed: ${ faucetError.message }. Using fallback.`);
+					const txHash = faucetResponse.data?.txHash || null;
+					const tokenAmount = faucetResponse.data?.amount || null;
 
-				// Fallback to generating a mock response
-				const mockTxHash = '0x' + Array(64).fill(0).map(() => Math.floor(Math.random() * 16).toString(16))
-					.join('');
-				const tokenAmount = '0.5'; // 0.5 Mantle testnet tokens
+					this.logger.info(`Successfully requested test tokens for ${ walletAddress }`);
+					this.logger.exit(functionName, { success: true });
 
-				this.logger.info(`Generated fallback response with token amount ${ tokenAmount }`);
+					return {
+						success: true,
+						walletAddress,
+						network,
+						amount: tokenAmount,
+						txHash,
+						message: `Successfully requested ${ tokenAmount ? `${ tokenAmount } ` : '' }test ${ nativeCurrency.symbol } for address ${ walletAddress }`,
+						explorerUrl: txHash ? NetworkService.explorerLink(network, 'tx', txHash) : null,
+						faucetUrl: faucet.url,
+					};
+				} catch(faucetError) {
+					// Fall back to the faucet page
+					this.logger.warn(`Faucet API call failed: ${ faucetError.message }. Using fallback.`);
+				}
+			}
 
-				this.logger.exit(functionName, { success: true, fallback: true });
+			this.logger.exit(functionName, { success: true, fallback: true });
 
-				return {
-					success: true,
-					walletAddress,
-					network,
-					amount: tokenAmount,
-					txHash: mockTxHash,
-					message: `Request processed (Fallback mode). Requested ${ tokenAmount } test MNT for address ${ walletAddress }`,
-					explorerUrl: `https://explorer.testnet.mantle.xyz/tx/${ mockTxHash }`,
-					faucetUrl: 'https://faucet.testnet.mantle.xyz',
-					fallbackMode: true,
-				};
-			}
+			return {
+				success: true,
+				walletAddress,
+				network,
+				amount: null,
+				txHash: null,
+				message: `Tokens could not be requested automatically. Request test ${ nativeCurrency.symbol } for ${ walletAddress } at ${ faucet.url }`,
+				explorerUrl: NetworkService.explorerLink(network, 'address', walletAddress),
+				faucetUrl: faucet.url,
+				fallbackMode: true,
+			};
 
 		} catch(error) {
 			this.logger.error(`Error requesting test tokens:`, error);
@@ -5481,4 +3445,6 @@ contract Deploy${ contract.name } is Script {
 
 }
 
+AIService.registerTools();
+
 export default AIService;
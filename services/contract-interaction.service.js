@@ -0,0 +1,300 @@
+import 'dotenv/config';
+import { Interface, Wallet, formatEther, getAddress, parseEther } from 'ethers';
+import DeployerService from '#services/deployer.service.js';
+import NetworkService from '#services/network.service.js';
+import { createLogger } from '#utils/logger.js';
+
+/**
+ * Reads from and writes to deployed contracts with ethers.
+ *
+ * Functions are selected by name, or by signature when they are overloaded (e.g. `safeTransferFrom(address,address,uint256)`).
+ * Arguments follow the same rules as constructor arguments (see DeployerService.normalizeArgs) and results
+ * are returned JSON-safe: integers as strings, tuples as objects when their fields are named.
+ */
+class ContractInteractionService {
+
+	static logger = createLogger({ name: 'ContractInteractionService' });
+
+	/**
+	 * Lists the functions and events of an ABI.
+	 *
+	 * @param {Array} abi - The contract ABI.
+	 * @returns {{functions: Array, events: Array}}
+	 */
+	static describe(abi) {
+		const iface = Interface.from(abi);
+		const functions = [];
+		const events = [];
+
+		iface.forEachFunction(fragment => functions.push({
+			name: fragment.name,
+			signature: fragment.format('sighash'),
+			selector: fragment.selector,
+			stateMutability: fragment.stateMutability,
+			readOnly: fragment.constant,
+			payable: fragment.payable,
+			inputs: fragment.inputs.map(param => this.describeParam(param)),
+			outputs: fragment.outputs.map(param => this.describeParam(param)),
+		}));
+
+		iface.forEachEvent(fragment => events.push({
+			name: fragment.name,
+			signature: fragment.format('sighash'),
+			topic: fragment.topicHash,
+			anonymous: fragment.anonymous,
+			inputs: fragment.inputs.map(param => ({ ...this.describeParam(param), indexed: param.indexed })),
+		}));
+
+		return { functions, events };
+	}
+
+	static describeParam(param) {
+		const described = { name: param.name, type: param.type };
+
+		const tuple = param.baseType === 'array' ? param.arrayChildren : param;
+		if(tuple.baseType === 'tuple') described.components = tuple.components.map(component => this.describeParam(component));
+
+		return described;
+	}
+
+	/**
+	 * Calls a view or pure function.
+	 *
+	 * @param {Object} options - Call options.
+	 * @param {Array} options.abi - The contract ABI.
+	 * @param {string} options.address - The contract address.
+	 * @param {string} options.network - The network name.
+	 * @param {string} options.method - Function name or signature.
+	 * @param {Array|Object} [options.args=[]] - Function arguments.
+	 * @param {string} [options.from] - Caller address, for functions that read msg.sender.
+	 * @param {string|number} [options.blockTag='latest'] - Block to read at.
+	 * @returns {Promise<{function: string, result: *, blockTag: string|number}>}
+	 */
+	static async call(options) {
+		const { abi, address, network, method, args = [], from, blockTag = 'latest' } = options;
+
+		const iface = Interface.from(abi);
+		const fragment = this.getFunction(iface, method);
+		const signature = fragment.format('sighash');
+
+		if(!fragment.constant) throw new Error(`${ signature } changes state, send a transaction instead`);
+
+		const data = this.encode(iface, fragment, args);
+		const provider = await NetworkService.getProvider(network);
+
+		let raw;
+		try {
+			raw = await provider.call({ to: getAddress(address), data, from, blockTag });
+		} catch(e) {
+			throw new Error(`Call to ${ signature } reverted: ${ this.revertReason(iface, e) }`);
+		}
+
+		if(raw === '0x' && fragment.outputs.length > 0) {
+			throw new Error(`No contract code at ${ address } on ${ network }`);
+		}
+
+		return {
+			function: signature,
+			result: this.formatResult(fragment.outputs, iface.decodeFunctionResult(fragment, raw)),
+			blockTag,
+		};
+	}
+
+	/**
+	 * Sends a transaction to a state-changing function and waits for its receipt.
+	 *
+	 * @param {Object} options - Transaction options.
+	 * @param {Array} options.abi - The contract ABI.
+	 * @param {string} options.address - The contract address.
+	 * @param {string} options.network - The network name.
+	 * @param {string} options.method - Function name or signature.
+	 * @param {Array|Object} [options.args=[]] - Function arguments.
+	 * @param {string} options.privateKey - Key of the sender.
+	 * @param {string|number} [options.value] - Native currency to send, in ether units (e.g. "0.1").
+	 * @param {number} [options.gasLimit] - Gas limit; estimated when not given.
+	 * @param {number} [options.confirmations=1] - Blocks to wait for.
+	 * @param {Function} [options.onSent] - Called with the transaction hash as soon as it is broadcast.
+	 * @returns {Promise<Object>} - Hash, block, gas and the events emitted by the contract.
+	 */
+	static async send(options) {
+		const {
+			abi,
+			address,
+			network,
+			method,
+			args = [],
+			privateKey,
+			value,
+			gasLimit,
+			confirmations = 1,
+			onSent = () => {},
+		} = options;
+
+		if(!privateKey) throw new Error('A wallet is required to send transactions');
+
+		const iface = Interface.from(abi);
+		const fragment = this.getFunction(iface, method);
+		const signature = fragment.format('sighash');
+
+		if(fragment.constant) throw new Error(`${ signature } is read-only, call it instead`);
+
+		let amount = 0n;
+		if(value !== undefined && value !== null && value !== '' && Number(value) !== 0) {
+			if(!fragment.payable) throw new Error(`${ signature } is not payable`);
+			amount = parseEther(String(value));
+		}
+
+		const data = this.encode(iface, fragment, args);
+		const provider = await NetworkService.getProvider(network);
+		const wallet = new Wallet(privateKey, provider);
+		const transaction = { to: getAddress(address), data, value: amount };
+
+		let gasEstimate;
+		try {
+			gasEstimate = await wallet.estimateGas(transaction);
+		} catch(e) {
+			throw new Error(`${ signature } would revert: ${ this.revertReason(iface, e) }`);
+		}
+
+		const limit = gasLimit ? BigInt(gasLimit) : gasEstimate * BigInt(100 + DeployerService.gasMargin) / 100n;
+
+		this.logger.info(`Sending ${ signature } to ${ address } on ${ network } from ${ wallet.address }`);
+
+		const response = await wallet.sendTransaction({ ...transaction, gasLimit: limit });
+		await onSent(response.hash);
+
+		let receipt;
+		try {
+			receipt = await response.wait(confirmations, DeployerService.receiptTimeout);
+		} catch(e) {
+			if(e.receipt) throw new Error(`Transaction ${ response.hash } reverted`);
+			throw e;
+		}
+
+		if(!receipt || receipt.status !== 1) throw new Error(`Transaction ${ response.hash } reverted`);
+
+		const events = receipt.logs
+			.filter(log => log.address.toLowerCase() === transaction.to.toLowerCase())
+			.map(log => {
+				const parsed = iface.parseLog(log);
+				if(!parsed) return null;
+
+				return {
+					name: parsed.name,
+					signature: parsed.signature,
+					args: this.formatArgs(parsed.fragment.inputs, parsed.args),
+					logIndex: log.index,
+				};
+			})
+			.filter(Boolean);
+
+		return {
+			function: signature,
+			txHash: receipt.hash,
+			from: wallet.address,
+			value: formatEther(amount),
+			blockNumber: receipt.blockNumber,
+			gasUsed: receipt.gasUsed,
+			gasEstimate,
+			gasLimit: limit,
+			effectiveGasPrice: receipt.gasPrice,
+			events,
+		};
+	}
+
+	/**
+	 * Finds a function by name or signature.
+	 *
+	 * @throws {Error} - If the function does not exist or the name is overloaded.
+	 */
+	static getFunction(iface, method) {
+		if(!method) throw new Error('A function name is required');
+
+		let fragment;
+		try {
+			fragment = iface.getFunction(method);
+		} catch(e) {
+			const overloads = [];
+			iface.forEachFunction(fn => fn.name === method && overloads.push(fn.format('sighash')));
+			throw new Error(`Function ${ method } is overloaded, use one of its signatures: ${ overloads.join(', ') }`);
+		}
+
+		if(!fragment) throw new Error(`Function ${ method } not found in the contract ABI`);
+		return fragment;
+	}
+
+	static encode(iface, fragment, args) {
+		const values = DeployerService.normalizeArgs(fragment.inputs, args, fragment.format('sighash'));
+
+		try {
+			return iface.encodeFunctionData(fragment, values);
+		} catch(e) {
+			throw new Error(`Invalid arguments for ${ fragment.format('sighash') }: ${ e.shortMessage || e.message }`);
+		}
+	}
+
+	/**
+	 * Extracts a readable reason from a reverted call, decoding custom errors with the ABI.
+	 */
+	static revertReason(iface, error) {
+		if(error.reason) return error.reason;
+
+		// Nodes put the revert data on the error (geth, anvil) or inside an object (ganache)
+		const nested = error.info?.error?.data;
+		const data = error.data || (nested && typeof nested === 'object' ? nested.result : nested);
+		if(typeof data === 'string' && data.length >= 10) {
+			try {
+				const parsed = iface.parseError(data);
+				if(parsed) return `${ parsed.name }(${ this.formatResult(parsed.fragment.inputs, parsed.args, false).join(', ') })`;
+			} catch(e) {
+				// Not an error declared in the ABI
+			}
+		}
+
+		return error.shortMessage || error.message;
+	}
+
+	/**
+	 * Converts a decoded value to JSON-safe data.
+	 *
+	 * @param {ParamType} param - The parameter type.
+	 * @param {*} value - The decoded value.
+	 * @returns {*}
+	 */
+	static formatValue(param, value) {
+		if(typeof value === 'bigint') return value.toString();
+
+		if(param.baseType === 'tuple') {
+			return param.components.every(component => component.name)
+				? this.formatArgs(param.components, value)
+				: param.components.map((component, index) => this.formatValue(component, value[index]));
+		}
+
+		if(param.baseType === 'array') return Array.from(value, item => this.formatValue(param.arrayChildren, item));
+
+		return value;
+	}
+
+	/**
+	 * Formats decoded values as an object keyed by parameter name (or position when unnamed).
+	 */
+	static formatArgs(params, values) {
+		return Object.fromEntries(params.map((param, index) => [ param.name || index, this.formatValue(param, values[index]) ]));
+	}
+
+	/**
+	 * Formats the outputs of a function: a single value is returned as is, several values as
+	 * an object when all of them are named, otherwise as an array.
+	 */
+	static formatResult(params, values, unwrap = true) {
+		const formatted = params.map((param, index) => this.formatValue(param, values[index]));
+
+		if(!unwrap) return formatted;
+		if(params.length === 1) return formatted[0];
+		if(params.length > 0 && params.every(param => param.name)) return this.formatArgs(params, values);
+
+		return formatted;
+	}
+}
+
+export default ContractInteractionService;
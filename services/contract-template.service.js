@@ -0,0 +1,281 @@
+import Joi from 'joi';
+import { getAddress } from 'ethers';
+import templates from '../assets/contract-templates/index.js';
+import DependencyService from '#services/dependency.service.js';
+import { createLogger } from '#utils/logger.js';
+
+const address = Joi.string().pattern(/^0x[0-9a-fA-F]{40}$/).custom(value => getAddress(value.toLowerCase()));
+
+// Names the templates import, a contract named like one of them would not compile
+const reservedNames = [
+	'ERC20', 'ERC20Burnable', 'ERC20Permit', 'ERC20Votes', 'ERC721', 'ERC721Royalty', 'ERC1155', 'ERC1155Burnable',
+	'ERC1155Supply', 'IERC20', 'SafeERC20', 'Ownable', 'Nonces', 'ReentrancyGuard', 'Governor', 'IGovernor', 'IVotes',
+	'TimelockController', 'VestingWallet', 'Test', 'Script', 'TestToken', 'console',
+];
+
+/**
+ * Renders contract templates (assets/contract-templates) into project sources, tests and deploy scripts.
+ *
+ * Template parameters are validated with Joi and described to the agent as JSON schema. Values end up
+ * inside Solidity string literals, so text parameters reject quotes, backslashes and line breaks.
+ */
+class ContractTemplateService {
+
+	static logger = createLogger({ name: 'ContractTemplateService' });
+
+	/** @type {Map<string, Object>} */
+	static templates = new Map(templates.map(template => [ template.id, template ]));
+
+	// OpenZeppelin 5 requires Solidity 0.8.20
+	static minCompilerVersion = '0.8.20';
+
+	/**
+	 * Dependencies of the libraries imported by the templates (see DependencyService).
+	 * forge-std is needed by every rendered test and script.
+	 */
+	static libraries = {
+		'openzeppelin': 'OpenZeppelin/openzeppelin-contracts@v5.0.2',
+		'forge-std': 'foundry-rs/forge-std@v1.9.4',
+	};
+
+	// Template used for the first contract of a new project of each type
+	static starters = {
+		Token: 'erc20',
+		NFT: 'erc721-royalty',
+		DeFi: 'staking',
+		DAO: 'governor-timelock',
+	};
+
+	/**
+	 * Parameter types: the Joi schema that validates them and the JSON schema shown to the agent.
+	 */
+	static paramTypes = {
+		'identifier': {
+			joi: () => Joi.string().pattern(/^[A-Za-z][A-Za-z0-9_]{0,63}$/).invalid(...reservedNames),
+			json: { type: 'string', pattern: '^[A-Za-z][A-Za-z0-9_]{0,63}$' },
+		},
+		'string': {
+			joi: param => Joi.string().pattern(/^[^"\\\r\n]*$/).max(200).allow(...(param.allowEmpty ? [ '' ] : [])),
+			json: { type: 'string', maxLength: 200 },
+		},
+		'symbol': {
+			joi: () => Joi.string().pattern(/^[A-Za-z0-9]{1,11}$/),
+			json: { type: 'string', pattern: '^[A-Za-z0-9]{1,11}$' },
+		},
+		'integer': {
+			joi: param => Joi.number().integer().min(param.min ?? 0).max(param.max ?? Number.MAX_SAFE_INTEGER),
+			json: { type: 'integer' },
+		},
+		'boolean': {
+			joi: () => Joi.boolean(),
+			json: { type: 'boolean' },
+		},
+		'address': {
+			joi: () => address,
+			json: { type: 'string', pattern: '^0x[0-9a-fA-F]{40}$' },
+		},
+		'address[]': {
+			joi: () => Joi.array().items(address).min(1).max(50).unique((a, b) => a.toLowerCase() === b.toLowerCase()),
+			json: { type: 'array', items: { type: 'string', pattern: '^0x[0-9a-fA-F]{40}$' }, minItems: 1 },
+		},
+	};
+
+	/**
+	 * Lists the templates.
+	 *
+	 * @param {Object} [filter={}] - Filters.
+	 * @param {string} [filter.projectType] - Only templates suited to this project type.
+	 * @returns {Array<Object>}
+	 */
+	static list(filter = {}) {
+		return [ ...this.templates.values() ]
+			.filter(template => !filter.projectType || template.projectTypes.includes(filter.projectType));
+	}
+
+	/**
+	 * Lists the template ids, for schema enums.
+	 *
+	 * @returns {string[]}
+	 */
+	static ids() {
+		return [ ...this.templates.keys() ];
+	}
+
+	/**
+	 * Returns a template.
+	 *
+	 * @param {string} id - The template id.
+	 * @returns {Object}
+	 * @throws {Error} - If the template does not exist.
+	 */
+	static get(id) {
+		const template = this.templates.get(id);
+		if(!template) throw new Error(`Unknown contract template: ${ id }. Available templates: ${ this.ids().join(', ') }`);
+		return template;
+	}
+
+	/**
+	 * Returns the client-facing description of a template, with its parameters as JSON schema.
+	 *
+	 * @param {Object} template - The template.
+	 * @returns {Object}
+	 */
+	static toPublic(template) {
+		const { id, name, description, contractType, projectTypes } = template;
+
+		return {
+			id,
+			name,
+			description,
+			contractType,
+			projectTypes,
+			dependencies: this.dependencies(template),
+			parameters: this.jsonSchema(template),
+		};
+	}
+
+	/**
+	 * Describes the parameters of a template as JSON schema.
+	 *
+	 * @param {Object} template - The template.
+	 * @returns {Object}
+	 */
+	static jsonSchema(template) {
+		const properties = {};
+
+		for(const param of template.params) {
+			const property = { ...this.paramTypes[param.type].json, description: param.description };
+
+			if(param.min !== undefined) property.minimum = param.min;
+			if(param.max !== undefined) property.maximum = param.max;
+			if(param.default !== undefined) property.default = param.default;
+
+			properties[param.name] = property;
+		}
+
+		return {
+			type: 'object',
+			properties,
+			required: template.params.filter(param => param.required).map(param => param.name),
+		};
+	}
+
+	/**
+	 * Validates template parameters and fills in the defaults.
+	 *
+	 * @param {Object} template - The template.
+	 * @param {Object} [params={}] - The parameters.
+	 * @returns {Object} - The validated parameters.
+	 * @throws {Error} - If a parameter is missing, unknown or invalid.
+	 */
+	static validate(template, params = {}) {
+		const schema = Joi.object(Object.fromEntries(template.params.map(param => {
+			let rule = this.paramTypes[param.type].joi(param);
+
+			if(param.required) rule = rule.required();
+			else if(param.default !== undefined) rule = rule.default(param.default);
+
+			return [ param.name, rule ];
+		})));
+
+		const { error, value } = schema.validate(params || {});
+		if(error) throw new Error(`Invalid parameters for template ${ template.id }: ${ error.message }`);
+
+		const problem = template.check?.(value);
+		if(problem) throw new Error(`Invalid parameters for template ${ template.id }: ${ problem }`);
+
+		return value;
+	}
+
+	/**
+	 * Renders a template.
+	 *
+	 * @param {string} id - The template id.
+	 * @param {Object} [params={}] - Template parameters.
+	 * @param {Object} [options={}] - Options.
+	 * @param {string} [options.compilerVersion] - The project compiler version, the sources pin it in their
+	 *   pragma (see compilerVersion()).
+	 * @returns {Object} - `contracts` (see assets/contract-templates), `files` (tests and scripts with their
+	 *   project paths), the validated `params`, and the `dependencies` and `remappings` the sources need.
+	 * @throws {Error} - If the template does not exist or the parameters are invalid.
+	 */
+	static render(id, params = {}, options = {}) {
+		const template = this.get(id);
+		const values = this.validate(template, params);
+		const { contracts, tests, scripts } = template.render(values, { pragma: this.compilerVersion(options.compilerVersion) });
+
+		const dependencies = this.dependencies(template);
+
+		return {
+			template: template.id,
+			params: values,
+			contracts: contracts.map(contract => ({ ...contract, filePath: `src/${ contract.name }.sol` })),
+			files: [ ...tests, ...scripts ],
+			dependencies,
+			remappings: DependencyService.remappings(DependencyService.resolve(dependencies).resolved),
+		};
+	}
+
+	/**
+	 * Returns the dependencies a template needs, forge-std included.
+	 */
+	static dependencies(template) {
+		return [ ...template.libraries, 'forge-std' ].map(name => this.libraries[name]);
+	}
+
+	/**
+	 * Returns the starter template of a project type with parameters derived from the project name,
+	 * or null for project types without a starter.
+	 *
+	 * @param {string} projectType - The project type.
+	 * @param {string} projectName - The project name.
+	 * @returns {{id: string, params: Object}|null}
+	 */
+	static starter(projectType, projectName) {
+		const id = this.starters[projectType];
+		if(!id) return null;
+
+		const template = this.get(id);
+		const declared = new Set(template.params.map(param => param.name));
+		const words = projectName.replace(/[^A-Za-z0-9 ]/g, ' ').split(/\s+/).filter(Boolean);
+
+		const derived = {
+			contractName: words.map(word => word[0].toUpperCase() + word.slice(1)).join('').replace(/^[0-9]+/, ''),
+			name: projectName.replace(/["\\\r\n]/g, '').trim().slice(0, 200),
+			symbol: words.map(word => word[0]).join('').toUpperCase().slice(0, 5),
+		};
+
+		// Fall back to the template defaults for values that cannot be derived from the name
+		const params = {};
+		for(const [ name, value ] of Object.entries(derived)) {
+			if(!declared.has(name) || !value) continue;
+
+			const candidate = { ...params, [name]: value };
+			try {
+				this.validate(template, candidate);
+				params[name] = value;
+			} catch(e) {
+				this.logger.info(`Using the default ${ name } of template ${ id }: ${ e.message }`);
+			}
+		}
+
+		return { id, params };
+	}
+
+	/**
+	 * Returns the compiler version to use for templates: the given one, or the minimum the templates need.
+	 *
+	 * @param {string} [version] - The project compiler version.
+	 * @returns {string}
+	 */
+	static compilerVersion(version) {
+		if(!/^\d+\.\d+\.\d+$/.test(version || '')) return this.minCompilerVersion;
+
+		const [ a, b ] = [ version, this.minCompilerVersion ].map(v => v.split('.').map(Number));
+		const older = a[0] !== b[0] ? a[0] < b[0] : a[1] !== b[1] ? a[1] < b[1] : a[2] < b[2];
+
+		return older ? this.minCompilerVersion : version;
+	}
+}
+
+export default ContractTemplateService;
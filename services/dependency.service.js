@@ -0,0 +1,465 @@
+import 'dotenv/config';
+import axios from 'axios';
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { PrimateService } from '@thewebchimp/primate';
+import libraries from '../assets/data/dependencies.js';
+import { readTar } from '#utils/tar.js';
+import { createLogger } from '#utils/logger.js';
+import { tomlString, tomlArray } from '#utils/toml.js';
+
+/**
+ * Installs the Solidity libraries declared in `Project.dependencies` into the project's lib/ directory.
+ *
+ * Library sources come from a local cache of vendored releases, `<cacheDir>/<name>/<version>/`, holding
+ * the `include` paths of the release (see assets/data/dependencies.js). Builds only read the cache;
+ * a release missing from it is downloaded when a dependency is added, unless downloads are disabled,
+ * in which case the cache has to be filled beforehand (e.g. baked into the server image).
+ */
+class DependencyService {
+
+	static logger = createLogger({ name: 'DependencyService' });
+
+	/** @type {Map<string, Object>} */
+	static libraries = new Map(libraries.map(library => [ library.name, library ]));
+
+	static cacheDir = process.env.DEPENDENCY_CACHE_DIR || path.join(process.cwd(), 'vendor', 'solidity');
+	static archiveUrl = process.env.DEPENDENCY_ARCHIVE_URL || 'https://codeload.github.com';
+	static downloads = process.env.DEPENDENCY_DOWNLOADS !== 'false';
+
+	// Marks a lib/ directory as installed by this service, with the installed version
+	static marker = '.vendored.json';
+
+	/** @type {Map<string, Promise>} Downloads in progress keyed by name@version */
+	static pending = new Map();
+
+	/**
+	 * Lists the available libraries.
+	 *
+	 * @returns {Array<Object>}
+	 */
+	static list() {
+		return [ ...this.libraries.values() ];
+	}
+
+	/**
+	 * Lists the library names, for schema enums.
+	 *
+	 * @returns {string[]}
+	 */
+	static names() {
+		return [ ...this.libraries.keys() ];
+	}
+
+	/**
+	 * Returns the client-facing description of a library.
+	 *
+	 * @param {Object} library - The library.
+	 * @returns {Object}
+	 */
+	static toPublic(library) {
+		const { name, repo, aliases, versions, remappings, requires = [] } = library;
+
+		return {
+			name,
+			repo,
+			aliases,
+			versions,
+			defaultVersion: versions[0],
+			remappings,
+			requires,
+			cached: versions.filter(version => this.isCached(library, version)),
+		};
+	}
+
+	/**
+	 * Parses a dependency such as `OpenZeppelin/openzeppelin-contracts@v5.0.2`, `forge-std` or
+	 * `@openzeppelin/contracts@5.1.0`. The library is matched by name, repository or alias.
+	 *
+	 * @param {string} spec - The dependency.
+	 * @returns {{library: Object, version: string, spec: string}} - spec is the pinned `<repo>@<version>` form.
+	 * @throws {Error} - If the library or version is not available.
+	 */
+	static parse(spec) {
+		if(typeof spec !== 'string' || !spec.trim()) throw new Error('Invalid dependency: a library name is required');
+
+		const value = spec.trim();
+		const at = value.lastIndexOf('@');
+		const name = (at > 0 ? value.slice(0, at) : value).toLowerCase();
+		const requested = at > 0 ? value.slice(at + 1) : null;
+
+		const library = this.list().find(candidate => candidate.name === name
+			|| candidate.repo.toLowerCase() === name
+			|| candidate.aliases.includes(name));
+
+		if(!library) throw new Error(`Unknown dependency: ${ value }. Available libraries: ${ this.names().join(', ') }`);
+
+		const version = requested ? (requested.startsWith('v') ? requested : `v${ requested }`) : library.versions[0];
+
+		if(!library.versions.includes(version)) {
+			throw new Error(`Version ${ requested } of ${ library.name } is not available. Available versions: ${ library.versions.join(', ') }`);
+		}
+
+		return { library, version, spec: `${ library.repo }@${ version }` };
+	}
+
+	/**
+	 * Resolves a dependency list, adding required libraries at the same version. When a library is
+	 * listed more than once the last entry wins, so appending a dependency replaces its version.
+	 *
+	 * @param {string[]} [dependencies=[]] - The dependencies.
+	 * @returns {{resolved: Array<Object>, unresolved: Array<{dependency: string, error: string}>}}
+	 */
+	static resolve(dependencies = []) {
+		const resolved = new Map();
+		const unresolved = [];
+
+		for(const dependency of dependencies || []) {
+			try {
+				const parsed = this.parse(dependency);
+				resolved.delete(parsed.library.name);
+				resolved.set(parsed.library.name, parsed);
+			} catch(e) {
+				unresolved.push({ dependency, error: e.message });
+			}
+		}
+
+		for(const parsed of [ ...resolved.values() ]) {
+			for(const name of parsed.library.requires || []) {
+				if(resolved.has(name)) continue;
+
+				const library = this.libraries.get(name);
+				const version = library.versions.includes(parsed.version) ? parsed.version : library.versions[0];
+				resolved.set(name, { library, version, spec: `${ library.repo }@${ version }` });
+			}
+		}
+
+		return { resolved: [ ...resolved.values() ], unresolved };
+	}
+
+	/**
+	 * Returns the remappings of resolved dependencies followed by the project's own remappings.
+	 * Existing remappings for a library prefix are replaced, and custom ones are kept only while
+	 * their target exists in the project.
+	 *
+	 * @param {Array<Object>} resolved - Resolved dependencies.
+	 * @param {string[]} [existing=[]] - The current remappings.
+	 * @param {string} [projectDir] - The project directory, to check custom targets.
+	 * @returns {string[]}
+	 */
+	static remappings(resolved, existing = [], projectDir) {
+		const managed = resolved.flatMap(({ library }) => library.remappings);
+		const prefixes = this.list().flatMap(library => library.remappings).map(remapping => remapping.split('=')[0]);
+
+		const custom = (existing || []).filter(remapping => {
+			const [ prefix, target ] = remapping.split('=');
+			if(prefixes.includes(prefix) || !target) return false;
+
+			return !projectDir || fs.existsSync(path.resolve(projectDir, target));
+		});
+
+		return [ ...new Set([ ...managed, ...custom ]) ];
+	}
+
+	/**
+	 * Returns the cache directory of a library release.
+	 */
+	static cachePath(library, version) {
+		return path.join(this.cacheDir, library.name, version);
+	}
+
+	/**
+	 * Whether a library release is in the local cache.
+	 */
+	static isCached(library, version) {
+		return fs.existsSync(path.join(this.cachePath(library, version), this.marker));
+	}
+
+	/**
+	 * Downloads a library release archive into the cache, keeping only the library's `include` paths.
+	 *
+	 * @param {Object} library - The library.
+	 * @param {string} version - The release tag.
+	 * @returns {Promise<string>} - The cache directory of the release.
+	 */
+	static async fetch(library, version) {
+		const key = `${ library.name }@${ version }`;
+		if(this.pending.has(key)) return this.pending.get(key);
+
+		const download = (async () => {
+			const url = `${ this.archiveUrl }/${ library.repo }/tar.gz/refs/tags/${ version }`;
+			this.logger.info(`Downloading ${ key } from ${ url }...`);
+
+			const response = await axios.get(url, { responseType: 'arraybuffer', timeout: 120000 });
+			const archive = Buffer.from(response.data);
+
+			const target = this.cachePath(library, version);
+			const partial = `${ target }.part`;
+			await fs.promises.rm(partial, { recursive: true, force: true });
+
+			let files = 0;
+
+			for(const entry of readTar(archive)) {
+				// Archives hold a single top-level directory, <repo>-<version>/
+				const relative = entry.path.split('/').slice(1).join('/');
+				if(entry.type !== 'file' || !relative) continue;
+				if(relative.split('/').includes('..')) continue;
+				if(!library.include.some(include => relative === include || relative.startsWith(`${ include }/`))) continue;
+
+				const filePath = path.join(partial, relative);
+				await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+				await fs.promises.writeFile(filePath, entry.content);
+				files++;
+			}
+
+			if(files === 0) throw new Error(`The ${ key } archive holds none of ${ library.include.join(', ') }`);
+
+			await fs.promises.writeFile(path.join(partial, this.marker), JSON.stringify({
+				repo: library.repo,
+				version,
+				url,
+				sha256: crypto.createHash('sha256').update(archive).digest('hex'),
+				fetchedAt: new Date().toISOString(),
+			}, null, 2));
+
+			// Swap the release in only once complete so an interrupted download is never used
+			await fs.promises.rm(target, { recursive: true, force: true });
+			await fs.promises.rename(partial, target);
+
+			this.logger.info(`Cached ${ key } (${ files } files)`);
+			return target;
+		})();
+
+		this.pending.set(key, download);
+
+		try {
+			return await download;
+		} finally {
+			this.pending.delete(key);
+		}
+	}
+
+	/**
+	 * Copies resolved dependencies from the cache into `<projectDir>/lib/<name>`, skipping those already
+	 * installed at the same version, and removes the placeholder directories older projects were created with.
+	 *
+	 * @param {string} projectDir - The project directory.
+	 * @param {Array<Object>} resolved - Resolved dependencies.
+	 * @param {Object} [options={}] - Options.
+	 * @param {boolean} [options.download=false] - Download releases missing from the cache.
+	 * @returns {Promise<{installed: string[], missing: Array<{dependency: string, error: string}>}>}
+	 */
+	static async install(projectDir, resolved, options = {}) {
+		const libDir = path.join(projectDir, 'lib');
+		await fs.promises.mkdir(libDir, { recursive: true });
+		await this.removePlaceholders(libDir);
+
+		const installed = [];
+		const missing = [];
+
+		for(const { library, version, spec } of resolved) {
+			try {
+				const target = path.join(libDir, library.name);
+				if(this.installedVersion(projectDir, library) === version) {
+					installed.push(spec);
+					continue;
+				}
+
+				if(!this.isCached(library, version)) {
+					if(!options.download || !this.downloads) {
+						throw new Error(`${ library.name } ${ version } is not in the dependency cache, add the dependency again to download it`);
+					}
+
+					await this.fetch(library, version);
+				}
+
+				await fs.promises.rm(target, { recursive: true, force: true });
+				await fs.promises.cp(this.cachePath(library, version), target, { recursive: true });
+
+				this.logger.info(`Installed ${ spec } in ${ target }`);
+				installed.push(spec);
+			} catch(e) {
+				this.logger.warn(`Could not install ${ spec }: ${ e.message }`);
+				missing.push({ dependency: spec, error: e.message });
+			}
+		}
+
+		return { installed, missing };
+	}
+
+	/**
+	 * Returns the version of a library installed in a project, or null.
+	 */
+	static installedVersion(projectDir, library) {
+		try {
+			const marker = path.join(projectDir, 'lib', library.name, this.marker);
+			return JSON.parse(fs.readFileSync(marker, 'utf8')).version;
+		} catch(e) {
+			return null;
+		}
+	}
+
+	/**
+	 * Removes lib/ directories holding only the README placeholder older projects were created with.
+	 */
+	static async removePlaceholders(libDir) {
+		for(const entry of await fs.promises.readdir(libDir, { withFileTypes: true })) {
+			if(!entry.isDirectory()) continue;
+
+			const dir = path.join(libDir, entry.name);
+			const files = await fs.promises.readdir(dir);
+			if(files.length !== 1 || files[0] !== 'README.md') continue;
+
+			const readme = await fs.promises.readFile(path.join(dir, 'README.md'), 'utf8');
+			if(readme.includes('Placeholder for')) await fs.promises.rm(dir, { recursive: true, force: true });
+		}
+	}
+
+	/**
+	 * Installs the dependencies of a project and stores the pinned dependency list and remappings
+	 * in the project and its foundry.toml.
+	 *
+	 * Dependencies that cannot be parsed are kept as they are and reported in `unresolved`.
+	 *
+	 * @param {Object} project - The project, with `metas.projectDir`.
+	 * @param {Object} [options={}] - Options.
+	 * @param {string[]} [options.dependencies] - Dependencies to set, the project ones by default.
+	 * @param {boolean} [options.download=false] - Download releases missing from the cache.
+	 * @returns {Promise<Object>} - `dependencies`, `remappings`, `foundryConfig`, `installed`, `missing` and `unresolved`.
+	 */
+	static async sync(project, options = {}) {
+		const projectDir = project.metas?.projectDir;
+		if(!projectDir) throw new Error('The project has no directory, create the Foundry project first');
+
+		const { resolved, unresolved } = this.resolve(options.dependencies ?? project.dependencies ?? []);
+		const { installed, missing } = await this.install(projectDir, resolved, { download: options.download });
+
+		const dependencies = [ ...resolved.map(parsed => parsed.spec), ...unresolved.map(entry => entry.dependency) ];
+		const remappings = this.remappings(resolved, project.foundryConfig?.remappings, projectDir);
+		const foundryConfig = { ...(project.foundryConfig || {}), remappings };
+
+		await PrimateService.prisma.project.update({
+			where: { id: project.id },
+			data: { dependencies, foundryConfig },
+		});
+
+		await this.updateFoundryToml(projectDir, { remappings });
+
+		return { dependencies, remappings, foundryConfig, installed, missing, unresolved };
+	}
+
+	/**
+	 * Adds dependencies to a project, replacing the version of libraries it already depends on,
+	 * and installs them, downloading releases missing from the cache.
+	 *
+	 * @param {Object} project - The project.
+	 * @param {string[]} specs - Dependencies to add.
+	 * @returns {Promise<Object>} - See sync().
+	 * @throws {Error} - If a dependency is not available.
+	 */
+	static async add(project, specs) {
+		// Fail on unknown libraries or versions before touching the project
+		const added = specs.map(spec => this.parse(spec).spec);
+
+		return this.sync(project, { dependencies: [ ...(project.dependencies || []), ...added ], download: true });
+	}
+
+	/**
+	 * Removes a dependency from a project together with its lib/ directory.
+	 *
+	 * @param {Object} project - The project.
+	 * @param {string} name - Library name, repository or alias, or the dependency as stored.
+	 * @returns {Promise<Object>} - See sync().
+	 * @throws {Error} - If the project does not depend on it or another dependency requires it.
+	 */
+	static async remove(project, name) {
+		const dependencies = project.dependencies || [];
+
+		let library = null;
+		try {
+			library = this.parse(name.replace(/@[^@/]*$/, '')).library;
+		} catch(e) {
+			// Unknown libraries can still be removed by their stored value
+		}
+
+		const remaining = dependencies.filter(dependency => {
+			if(dependency === name) return false;
+			if(!library) return true;
+
+			try {
+				return this.parse(dependency).library.name !== library.name;
+			} catch(e) {
+				return true;
+			}
+		});
+
+		if(remaining.length === dependencies.length) throw new Error(`The project does not depend on ${ name }`);
+
+		if(library) {
+			const dependent = this.resolve(remaining).resolved
+				.find(parsed => (parsed.library.requires || []).includes(library.name));
+			if(dependent) throw new Error(`${ library.name } is required by ${ dependent.library.name }, remove it first`);
+
+			await fs.promises.rm(path.join(project.metas.projectDir, 'lib', library.name), { recursive: true, force: true });
+		}
+
+		return this.sync(project, { dependencies: remaining });
+	}
+
+	/**
+	 * Describes the dependencies of a project with their installation status.
+	 *
+	 * @param {Object} project - The project.
+	 * @returns {Array<Object>}
+	 */
+	static status(project) {
+		const { resolved, unresolved } = this.resolve(project.dependencies || []);
+		const projectDir = project.metas?.projectDir;
+
+		return [
+			...resolved.map(({ library, version, spec }) => ({
+				name: library.name,
+				version,
+				dependency: spec,
+				remappings: library.remappings,
+				installed: projectDir ? this.installedVersion(projectDir, library) === version : false,
+				cached: this.isCached(library, version),
+			})),
+			...unresolved.map(({ dependency, error }) => ({ name: dependency, dependency, installed: false, error })),
+		];
+	}
+
+	/**
+	 * Writes the compiler version and remappings into the project's foundry.toml, when it has one.
+	 *
+	 * @param {string} projectDir - The project directory.
+	 * @param {Object} settings - Settings to write, each one optional.
+	 * @param {string} [settings.compilerVersion] - The solc version.
+	 * @param {string[]} [settings.remappings] - The import remappings.
+	 * @returns {Promise<void>}
+	 */
+	static async updateFoundryToml(projectDir, { compilerVersion, remappings }) {
+		const foundryTomlPath = path.join(projectDir, 'foundry.toml');
+		if(!fs.existsSync(foundryTomlPath)) return;
+
+		let foundryConfig = await fs.promises.readFile(foundryTomlPath, 'utf8');
+
+		if(compilerVersion) foundryConfig = foundryConfig.replace(/solc = "(?:[^"\\]|\\.)*"/, () => `solc = ${ tomlString(compilerVersion) }`);
+
+		if(remappings) {
+			const block = `remappings = ${ tomlArray(remappings) }`;
+
+			// The whole array, strings included, so a `]` inside a remapping does not end it
+			const current = /remappings = \[(?:\s*"(?:[^"\\]|\\.)*"\s*,?)*\s*\]/;
+
+			foundryConfig = current.test(foundryConfig)
+				? foundryConfig.replace(current, () => block)
+				: foundryConfig.replace('[profile.default]', () => `[profile.default]\n${ block }`);
+		}
+
+		await fs.promises.writeFile(foundryTomlPath, foundryConfig);
+	}
+}
+
+export default DependencyService;
@@ -0,0 +1,149 @@
+import 'dotenv/config';
+import { ContractFactory, Wallet, getAddress } from 'ethers';
+import NetworkService from '#services/network.service.js';
+import { createLogger } from '#utils/logger.js';
+
+/**
+ * Deploys compiled contracts with ethers.
+ *
+ * Deployments are built from the stored ABI and bytecode: constructor arguments are ABI-encoded,
+ * gas is estimated before sending, and the receipt is awaited for the requested confirmations.
+ * Any network of the NetworkService registry works, including a local anvil or hardhat node (`local`).
+ */
+class DeployerService {
+
+	static logger = createLogger({ name: 'DeployerService' });
+
+	// Extra gas on top of the estimate, in percent
+	static gasMargin = parseInt(process.env.DEPLOY_GAS_MARGIN || '20', 10);
+	static receiptTimeout = parseInt(process.env.DEPLOY_RECEIPT_TIMEOUT_MS || '180000', 10);
+
+	/**
+	 * Orders the arguments of a constructor or function.
+	 * Arguments may be an array in declaration order or an object keyed by parameter name.
+	 * Arrays and tuples can also be given as JSON strings.
+	 *
+	 * @param {Array<ParamType>} inputs - The parameters of the fragment.
+	 * @param {Array|Object} [args=[]] - The arguments.
+	 * @param {string} [label='constructor'] - Name of the fragment in error messages.
+	 * @returns {Array} - The argument values.
+	 */
+	static normalizeArgs(inputs, args = [], label = 'constructor') {
+		let values;
+		if(Array.isArray(args)) {
+			values = args;
+		} else {
+			values = inputs.map((input, index) => {
+				if(args[input.name] !== undefined) return args[input.name];
+				if(args[index] !== undefined) return args[index];
+				throw new Error(`Missing argument ${ input.name || `#${ index }` } for ${ label }`);
+			});
+		}
+
+		if(values.length !== inputs.length) {
+			throw new Error(`Expected ${ inputs.length } argument(s) for ${ label } (${ inputs.map(i => `${ i.type } ${ i.name }`.trim()).join(', ') }), got ${ values.length }`);
+		}
+
+		return values.map((value, index) => {
+			const type = inputs[index].baseType;
+			if((type === 'array' || type === 'tuple') && typeof value === 'string') {
+				try {
+					return JSON.parse(value);
+				} catch(e) {
+					throw new Error(`Argument ${ inputs[index].name || `#${ index }` } for ${ label } must be JSON for type ${ inputs[index].type }`);
+				}
+			}
+			return value;
+		});
+	}
+
+	/**
+	 * Orders and ABI-encodes constructor arguments, see normalizeArgs().
+	 *
+	 * @param {Array} abi - The contract ABI.
+	 * @param {Array|Object} [args=[]] - Constructor arguments.
+	 * @returns {{values: Array, encoded: string}} - Values passed to the constructor and their encoding.
+	 */
+	static encodeConstructorArgs(abi, args = []) {
+		const factory = new ContractFactory(abi, '0x');
+		const values = this.normalizeArgs(factory.interface.deploy.inputs, args);
+
+		try {
+			return { values, encoded: factory.interface.encodeDeploy(values) };
+		} catch(e) {
+			throw new Error(`Invalid constructor arguments: ${ e.shortMessage || e.message }`);
+		}
+	}
+
+	/**
+	 * Deploys a contract and waits for its receipt.
+	 *
+	 * @param {Object} options - Deployment options.
+	 * @param {Array} options.abi - The contract ABI.
+	 * @param {string} options.bytecode - The creation bytecode.
+	 * @param {string} options.privateKey - Key of the deployer account.
+	 * @param {string} options.network - The network name.
+	 * @param {Array|Object} [options.constructorArgs=[]] - Constructor arguments.
+	 * @param {number} [options.gasLimit] - Gas limit; estimated when not given.
+	 * @param {number} [options.confirmations=1] - Blocks to wait for.
+	 * @param {Function} [options.onSent] - Called with the transaction hash as soon as it is broadcast.
+	 * @returns {Promise<Object>} - Address, hash, gas, block and confirmation details.
+	 */
+	static async deploy(options) {
+		const {
+			abi,
+			bytecode,
+			privateKey,
+			network,
+			constructorArgs = [],
+			gasLimit,
+			confirmations = 1,
+			onSent = () => {},
+		} = options;
+
+		if(!abi || !bytecode) throw new Error('ABI and bytecode are required to deploy');
+		if(!privateKey) throw new Error('A deployer key is required to deploy');
+
+		const provider = await NetworkService.getProvider(network);
+		const wallet = new Wallet(privateKey, provider);
+		const factory = new ContractFactory(abi, bytecode, wallet);
+
+		const { values, encoded } = this.encodeConstructorArgs(abi, constructorArgs);
+		const transaction = await factory.getDeployTransaction(...values);
+
+		const gasEstimate = await provider.estimateGas({ ...transaction, from: wallet.address });
+		const limit = gasLimit ? BigInt(gasLimit) : gasEstimate * BigInt(100 + this.gasMargin) / 100n;
+
+		if(gasLimit && limit < gasEstimate) {
+			throw new Error(`Gas limit ${ limit } is below the estimated ${ gasEstimate }`);
+		}
+
+		this.logger.info(`Deploying from ${ wallet.address } on ${ network } (estimated gas ${ gasEstimate }, limit ${ limit })`);
+
+		const response = await wallet.sendTransaction({ ...transaction, gasLimit: limit });
+		await onSent(response.hash);
+
+		const receipt = await response.wait(confirmations, this.receiptTimeout);
+
+		if(!receipt || receipt.status !== 1) throw new Error(`Deployment transaction ${ response.hash } reverted`);
+
+		// Ask the node directly, the provider caches the block number between polls
+		const currentBlock = Number(await provider.send('eth_blockNumber', []));
+
+		return {
+			contractAddress: getAddress(receipt.contractAddress),
+			txHash: receipt.hash,
+			gasUsed: receipt.gasUsed,
+			gasEstimate,
+			gasLimit: limit,
+			effectiveGasPrice: receipt.gasPrice,
+			blockNumber: receipt.blockNumber,
+			confirmations: currentBlock - receipt.blockNumber + 1,
+			deployer: wallet.address,
+			constructorArgs: values,
+			constructorArgsEncoded: encoded,
+		};
+	}
+}
+
+export default DeployerService;
@@ -0,0 +1,241 @@
+import 'dotenv/config';
+import { Interface } from 'ethers';
+import { PrimateService } from '@thewebchimp/primate';
+import NetworkService from '#services/network.service.js';
+import ContractInteractionService from '#services/contract-interaction.service.js';
+import { createLogger } from '#utils/logger.js';
+
+/**
+ * Background indexer of the logs emitted by deployed contracts.
+ *
+ * Every successful deployment keeps a cursor (`indexedBlock` and its hash). Each poll checks the cursor
+ * block hash against the chain: when it changed, a reorg dropped the indexed blocks, so the events of the
+ * last `reorgDepth` blocks are deleted and indexed again. Blocks closer than `confirmations` to the head
+ * are not indexed yet, which keeps most reorgs away from the table.
+ */
+class EventIndexerService {
+
+	static logger = createLogger({ name: 'EventIndexerService' });
+
+	static enabled = process.env.INDEXER_ENABLED !== 'false';
+	static pollInterval = parseInt(process.env.INDEXER_POLL_INTERVAL_MS || '15000', 10);
+	static confirmations = parseInt(process.env.INDEXER_CONFIRMATIONS || '3', 10);
+	static reorgDepth = parseInt(process.env.INDEXER_REORG_DEPTH || '12', 10);
+
+	// Blocks per eth_getLogs request and requests per deployment and poll
+	static batchSize = parseInt(process.env.INDEXER_BATCH_BLOCKS || '2000', 10);
+	static maxBatches = parseInt(process.env.INDEXER_MAX_BATCHES || '10', 10);
+
+	static timer = null;
+	static running = false;
+
+	/**
+	 * Starts polling. Does nothing when disabled with `INDEXER_ENABLED=false`.
+	 */
+	static start() {
+		if(!this.enabled || this.timer) return;
+
+		this.timer = setInterval(() => this.poll(), this.pollInterval);
+		this.timer.unref();
+		this.poll();
+
+		this.logger.info(`Indexing contract events every ${ this.pollInterval / 1000 }s`);
+	}
+
+	static stop() {
+		clearInterval(this.timer);
+		this.timer = null;
+	}
+
+	/**
+	 * Indexes new blocks for every successful deployment. Overlapping polls are skipped.
+	 */
+	static async poll() {
+		if(this.running) return;
+		this.running = true;
+
+		try {
+			const deployments = await PrimateService.prisma.deployment.findMany({
+				where: { status: 'Success', contractAddress: { not: null } },
+				include: { contract: { select: { id: true, abi: true } } },
+			});
+
+			const byNetwork = new Map();
+			for(const deployment of deployments) {
+				if(!NetworkService.networks.has(deployment.network)) continue;
+				if(!byNetwork.has(deployment.network)) byNetwork.set(deployment.network, []);
+				byNetwork.get(deployment.network).push(deployment);
+			}
+
+			for(const [ network, networkDeployments ] of byNetwork) {
+				try {
+					await this.indexNetwork(network, networkDeployments);
+				} catch(e) {
+					this.logger.warn(`Indexing ${ network } failed: ${ e.shortMessage || e.message }`);
+				}
+			}
+		} catch(e) {
+			this.logger.error('Event indexer poll failed:', e);
+		} finally {
+			this.running = false;
+		}
+	}
+
+	/**
+	 * Indexes the deployments of one network up to its confirmed head.
+	 *
+	 * @param {string} network - The network name.
+	 * @param {Array} deployments - Deployments with their contract ABI.
+	 */
+	static async indexNetwork(network, deployments) {
+		const provider = await NetworkService.getProvider(network);
+
+		try {
+			// Ask the node directly, the provider caches the block number between polls
+			const head = Number(await provider.send('eth_blockNumber', []));
+			const safeHead = head - (NetworkService.get(network).local ? 0 : this.confirmations);
+
+			for(const deployment of deployments) {
+				try {
+					await this.indexDeployment(provider, deployment, safeHead);
+				} catch(e) {
+					this.logger.warn(`Indexing deployment ${ deployment.id } failed: ${ e.shortMessage || e.message }`);
+				}
+			}
+		} finally {
+			provider.destroy();
+		}
+	}
+
+	/**
+	 * Indexes the logs of a deployment from its cursor up to `safeHead`, handling reorgs first.
+	 *
+	 * @param {JsonRpcProvider} provider - Provider of the deployment network.
+	 * @param {Object} deployment - The deployment with its contract ABI.
+	 * @param {number} safeHead - Last block to index.
+	 * @returns {Promise<number>} - The number of stored events.
+	 */
+	static async indexDeployment(provider, deployment, safeHead) {
+		let cursor = deployment.indexedBlock;
+		let cursorHash = deployment.indexedBlockHash;
+
+		if(cursor === null || cursor === undefined) {
+			cursor = await this.startBlock(provider, deployment) - 1;
+			cursorHash = null;
+		} else {
+			const block = await provider.getBlock(cursor);
+
+			if(!block || block.hash !== cursorHash) {
+				({ cursor, cursorHash } = await this.rewind(provider, deployment, cursor));
+			}
+		}
+
+		const iface = deployment.contract?.abi ? Interface.from(deployment.contract.abi) : null;
+		let stored = 0;
+
+		for(let batch = 0; batch < this.maxBatches && cursor < safeHead; batch++) {
+			const fromBlock = cursor + 1;
+			const toBlock = Math.min(safeHead, cursor + this.batchSize);
+
+			const logs = await provider.getLogs({ address: deployment.contractAddress, fromBlock, toBlock });
+			stored += await this.store(provider, deployment, iface, logs);
+
+			const block = await provider.getBlock(toBlock);
+			cursor = toBlock;
+			cursorHash = block.hash;
+
+			await PrimateService.prisma.deployment.update({
+				where: { id: deployment.id },
+				data: { indexedBlock: cursor, indexedBlockHash: cursorHash },
+			});
+		}
+
+		if(stored > 0) this.logger.info(`Indexed ${ stored } events of deployment ${ deployment.id } up to block ${ cursor }`);
+		return stored;
+	}
+
+	/**
+	 * Returns the block to start indexing a deployment from: its deployment block.
+	 */
+	static async startBlock(provider, deployment) {
+		if(deployment.metas?.blockNumber) return deployment.metas.blockNumber;
+
+		if(deployment.txHash) {
+			const receipt = await provider.getTransactionReceipt(deployment.txHash);
+			if(receipt) return receipt.blockNumber;
+		}
+
+		throw new Error('Deployment block unknown');
+	}
+
+	/**
+	 * Drops the events of the blocks that may have been reorganized and moves the cursor back.
+	 *
+	 * @returns {Promise<{cursor: number, cursorHash: string|null}>}
+	 */
+	static async rewind(provider, deployment, cursor) {
+		const start = await this.startBlock(provider, deployment);
+		const rewindTo = Math.max(start - 1, cursor - this.reorgDepth);
+
+		const { count } = await PrimateService.prisma.contractEvent.deleteMany({
+			where: { deploymentId: deployment.id, blockNumber: { gt: rewindTo } },
+		});
+
+		const block = rewindTo >= 0 ? await provider.getBlock(rewindTo) : null;
+
+		await PrimateService.prisma.deployment.update({
+			where: { id: deployment.id },
+			data: { indexedBlock: rewindTo, indexedBlockHash: block?.hash || null },
+		});
+
+		this.logger.warn(`Reorg detected at block ${ cursor } for deployment ${ deployment.id }, dropped ${ count } events after block ${ rewindTo }`);
+		return { cursor: rewindTo, cursorHash: block?.hash || null };
+	}
+
+	/**
+	 * Decodes and stores logs. Logs that do not match the ABI are kept undecoded.
+	 *
+	 * @returns {Promise<number>} - The number of new events.
+	 */
+	static async store(provider, deployment, iface, logs) {
+		if(logs.length === 0) return 0;
+
+		const timestamps = new Map();
+		for(const blockNumber of new Set(logs.map(log => log.blockNumber))) {
+			const block = await provider.getBlock(blockNumber);
+			timestamps.set(blockNumber, block ? new Date(block.timestamp * 1000) : null);
+		}
+
+		const data = logs.map(log => {
+			let parsed = null;
+			try {
+				parsed = iface?.parseLog(log) || null;
+			} catch(e) {
+				// Same topic as an ABI event but different indexed fields
+			}
+
+			return {
+				projectId: deployment.projectId,
+				deploymentId: deployment.id,
+				contractId: deployment.contractId,
+				network: deployment.network,
+				address: log.address,
+				name: parsed?.name || null,
+				signature: parsed?.signature || null,
+				args: parsed ? ContractInteractionService.formatArgs(parsed.fragment.inputs, parsed.args) : null,
+				topics: [ ...log.topics ],
+				data: log.data,
+				blockNumber: log.blockNumber,
+				blockHash: log.blockHash,
+				blockTimestamp: timestamps.get(log.blockNumber),
+				txHash: log.transactionHash,
+				logIndex: log.index,
+			};
+		});
+
+		const { count } = await PrimateService.prisma.contractEvent.createMany({ data, skipDuplicates: true });
+		return count;
+	}
+}
+
+export default EventIndexerService;
@@ -0,0 +1,388 @@
+import 'dotenv/config';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { PrimateService } from '@thewebchimp/primate';
+import WorkspaceService from '#services/workspace.service.js';
+import { createLogger } from '#utils/logger.js';
+
+const execFileAsync = promisify(execFile);
+
+// Separators of the log format, unlikely to appear in commit messages
+const FIELD = '\x1f';
+const RECORD = '\x1e';
+
+/**
+ * Keeps each project workspace in a local git repository.
+ *
+ * Every change to the workspace becomes a commit: changes made by AI tools are authored by the
+ * assistant, with the tool and the chat message that asked for them in the commit trailers, and
+ * changes made through the API by the user. The repository is created on the first commit, so
+ * workspaces created before keep their files as the first commit.
+ *
+ * Projects with a `repoUrl` can push their history to it, on demand or after every commit when
+ * `metas.gitAutoPush` is set.
+ */
+class GitService {
+
+	static logger = createLogger({ name: 'GitService' });
+
+	static enabled = process.env.WORKSPACE_GIT !== 'false';
+	static executable = process.env.GIT_PATH || 'git';
+	static timeout = parseInt(process.env.GIT_TIMEOUT_MS, 10) || 30000;
+
+	static assistant = {
+		name: process.env.GIT_ASSISTANT_NAME || 'MIA Assistant',
+		email: process.env.GIT_ASSISTANT_EMAIL || 'assistant@mia.local',
+	};
+
+	static ignored = [ 'out/', 'cache/', 'lib/', 'broadcast/', '.env' ];
+
+	// Pending operations by project directory, git cannot run twice on the same repository
+	static locks = new Map();
+
+	// Empty HOME for git, so the keys, config and credential helpers of the server user are never used
+	static home = null;
+
+	// ssh never prompts and only uses what the remote URL carries: no keys, agent or ssh config
+	static sshCommand = 'ssh -o BatchMode=yes -o IdentitiesOnly=yes -o IdentityFile=none -F /dev/null';
+
+	/**
+	 * Runs git in a project directory.
+	 *
+	 * @param {string} projectDir - The project directory.
+	 * @param {string[]} args - The git arguments.
+	 * @param {Object} [env={}] - Extra environment variables.
+	 * @returns {Promise<string>} - The output.
+	 * @throws {Error} - With the git error output if the command fails.
+	 */
+	static async git(projectDir, args, env = {}) {
+		try {
+			if(!this.home || !fs.existsSync(this.home)) this.home = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'git-home-'));
+
+			const { stdout } = await execFileAsync(this.executable, [ '-c', 'commit.gpgsign=false', '-c', 'core.quotepath=false', ...args ], {
+				cwd: projectDir,
+				timeout: this.timeout,
+				maxBuffer: 20 * 1024 * 1024,
+				env: {
+					PATH: process.env.PATH,
+					HOME: this.home,
+					XDG_CONFIG_HOME: this.home,
+					GIT_CONFIG_NOSYSTEM: '1',
+					GIT_TERMINAL_PROMPT: '0',
+					GIT_SSH_COMMAND: this.sshCommand,
+					...env,
+				},
+			});
+
+			return stdout;
+		} catch(e) {
+			throw new Error((e.stderr || e.message).trim().split('\n').pop());
+		}
+	}
+
+	/**
+	 * Runs an operation on a project repository once the previous ones are done.
+	 *
+	 * @param {string} projectDir - The project directory.
+	 * @param {Function} operation - The operation.
+	 * @returns {Promise<*>} - Its result.
+	 */
+	static async lock(projectDir, operation) {
+		const previous = this.locks.get(projectDir) || Promise.resolve();
+		const current = previous.catch(() => {}).then(operation);
+
+		this.locks.set(projectDir, current);
+		current.finally(() => {
+			if(this.locks.get(projectDir) === current) this.locks.delete(projectDir);
+		}).catch(() => {});
+
+		return current;
+	}
+
+	/**
+	 * Returns the git identity and trailers of a change.
+	 *
+	 * @param {Object} [author={}] - Who made the change (see ContractRevisionService.record()).
+	 * @returns {Promise<{name: string, email: string, trailers: string[]}>}
+	 */
+	static async identity(author = {}) {
+		const trailers = [];
+		if(author.tool) trailers.push(`Tool: ${ author.tool }`);
+		if(author.messageId) trailers.push(`Message-Id: ${ author.messageId }`);
+		if(author.userId) trailers.push(`User-Id: ${ author.userId }`);
+
+		if(author.authorType === 'Assistant') return { ...this.assistant, trailers };
+
+		const user = author.userId
+			? await PrimateService.prisma.user.findUnique({
+				where: { id: parseInt(author.userId, 10) },
+				select: { username: true, nicename: true, email: true },
+			})
+			: null;
+
+		if(!user) return { name: 'MIA', email: 'system@mia.local', trailers };
+
+		return { name: user.nicename || user.username, email: user.email, trailers };
+	}
+
+	/**
+	 * Creates the repository of a project if it has none.
+	 *
+	 * @param {string} projectDir - The project directory.
+	 * @returns {Promise<boolean>} - Whether the repository was created.
+	 */
+	static async init(projectDir) {
+		if(fs.existsSync(path.join(projectDir, '.git'))) return false;
+
+		await this.git(projectDir, [ 'init', '-q', '-b', 'main' ]);
+
+		const gitignorePath = path.join(projectDir, '.gitignore');
+		if(!fs.existsSync(gitignorePath)) await fs.promises.writeFile(gitignorePath, `${ this.ignored.join('\n') }\n`);
+
+		this.logger.info(`Initialized git repository in ${ projectDir }`);
+		return true;
+	}
+
+	/**
+	 * Commits every change of a project workspace. Nothing is committed when nothing changed.
+	 *
+	 * @param {Object} project - The project.
+	 * @param {string} message - The commit subject.
+	 * @param {Object} [author={}] - Who made the change (see ContractRevisionService.record()).
+	 * @returns {Promise<Object|null>} - The commit (see log()), or null if nothing changed.
+	 */
+	static async commit(project, message, author = {}) {
+		const projectDir = WorkspaceService.dir(project);
+		if(!this.enabled || !fs.existsSync(projectDir)) return null;
+
+		const commit = await this.lock(projectDir, () => this.commitChanges(projectDir, message, author));
+
+		if(commit && project.repoUrl && project.metas?.gitAutoPush) {
+			this.push(project).catch(e => this.logger.warn(`Could not push project ${ project.id }: ${ e.message }`));
+		}
+
+		return commit;
+	}
+
+	/**
+	 * Stages and commits every change of a repository. Runs inside the repository lock.
+	 *
+	 * @param {string} projectDir - The project directory.
+	 * @param {string} message - The commit subject.
+	 * @param {Object} author - Who made the change.
+	 * @returns {Promise<Object|null>} - The commit, or null if nothing changed.
+	 */
+	static async commitChanges(projectDir, message, author) {
+		await this.init(projectDir);
+		await this.git(projectDir, [ 'add', '-A' ]);
+
+		const status = await this.git(projectDir, [ 'status', '--porcelain' ]);
+		if(!status.trim()) return null;
+
+		const { name, email, trailers } = await this.identity(author);
+		const body = [ message ];
+		if(author.summary && author.summary !== message) body.push('', author.summary);
+		if(trailers.length) body.push('', ...trailers);
+
+		await this.git(projectDir, [ 'commit', '-q', '-m', body.join('\n') ], {
+			GIT_AUTHOR_NAME: name,
+			GIT_AUTHOR_EMAIL: email,
+			GIT_COMMITTER_NAME: name,
+			GIT_COMMITTER_EMAIL: email,
+		});
+
+		return (await this.readLog(projectDir, [ '-1' ]))[0];
+	}
+
+	/**
+	 * Commits the changes of a project, logging instead of failing: the change itself already happened.
+	 *
+	 * @param {Object|number} project - The project, or its ID.
+	 * @param {string} message - The commit subject.
+	 * @param {Object} [author={}] - Who made the change.
+	 * @returns {Promise<Object|null>} - The commit, or null.
+	 */
+	static async record(project, message, author = {}) {
+		try {
+			if(typeof project !== 'object') {
+				project = await PrimateService.prisma.project.findUnique({ where: { id: parseInt(project, 10) } });
+				if(!project) return null;
+			}
+
+			return await this.commit(project, message, author);
+		} catch(e) {
+			this.logger.warn(`Could not commit the changes of project ${ project?.id ?? project }: ${ e.message }`);
+			return null;
+		}
+	}
+
+	/**
+	 * Reads commits from `git log`.
+	 *
+	 * @param {string} projectDir - The project directory.
+	 * @param {string[]} args - Extra arguments, e.g. a range or `-1`.
+	 * @returns {Promise<Array<Object>>} - `{ hash, subject, body, author: { name, email }, date, trailers }`.
+	 */
+	static async readLog(projectDir, args = []) {
+		const format = [ '%H', '%an', '%ae', '%aI', '%s', '%b' ].join(FIELD) + RECORD;
+		const output = await this.git(projectDir, [ 'log', `--format=${ format }`, ...args ]);
+
+		return output.split(RECORD).map(record => record.replace(/^\n/, '')).filter(Boolean).map(record => {
+			const [ hash, name, email, date, subject, body = '' ] = record.split(FIELD);
+
+			// Trailers are the `Key: value` lines closing the message
+			const entries = [];
+			const lines = body.trim().split('\n');
+			while(lines.length && /^[A-Za-z-]+: .+$/.test(lines[lines.length - 1])) {
+				const [ key, ...value ] = lines.pop().split(': ');
+				entries.unshift([ key, value.join(': ') ]);
+			}
+
+			return { hash, subject, body: lines.join('\n').trim(), author: { name, email }, date, trailers: Object.fromEntries(entries) };
+		});
+	}
+
+	/**
+	 * Lists the commits of a project, newest first.
+	 *
+	 * @param {Object} project - The project.
+	 * @param {Object} [options={}] - Options.
+	 * @param {number} [options.page=1] - Page number.
+	 * @param {number} [options.limit=20] - Commits per page (max 100).
+	 * @param {string} [options.path] - Only commits changing this file or directory.
+	 * @returns {Promise<{data: Array, count: number}>} - The commits and the total count.
+	 */
+	static async log(project, options = {}) {
+		const projectDir = WorkspaceService.dir(project);
+		if(!fs.existsSync(path.join(projectDir, '.git'))) return { data: [], count: 0 };
+
+		const page = Math.max(parseInt(options.page, 10) || 1, 1);
+		const limit = Math.min(Math.max(parseInt(options.limit, 10) || 20, 1), 100);
+		const filter = options.path ? [ '--', WorkspaceService.resolve(project, options.path).path ] : [];
+
+		return this.lock(projectDir, async () => {
+			const hasCommits = await this.git(projectDir, [ 'rev-parse', '--verify', '-q', 'HEAD' ]).then(() => true, () => false);
+			if(!hasCommits) return { data: [], count: 0 };
+
+			const [ data, count ] = await Promise.all([
+				this.readLog(projectDir, [ `--skip=${ (page - 1) * limit }`, `--max-count=${ limit }`, ...filter ]),
+				this.git(projectDir, [ 'rev-list', '--count', 'HEAD', ...filter ]),
+			]);
+
+			return { data, count: parseInt(count, 10) };
+		});
+	}
+
+	/**
+	 * Finds a commit of a project with the files it changed and its diff.
+	 *
+	 * @param {Object} project - The project.
+	 * @param {string} hash - The commit hash, full or abbreviated.
+	 * @returns {Promise<Object|null>} - The commit with `files` (`{ path, additions, deletions }`) and `patch`,
+	 *   or null if it does not exist.
+	 */
+	static async show(project, hash) {
+		const projectDir = WorkspaceService.dir(project);
+		if(!/^[0-9a-f]{4,40}$/i.test(hash || '') || !fs.existsSync(path.join(projectDir, '.git'))) return null;
+
+		return this.lock(projectDir, async () => {
+			const [ commit ] = await this.readLog(projectDir, [ '-1', hash, '--' ]).catch(() => []);
+			if(!commit) return null;
+
+			const numstat = await this.git(projectDir, [ 'show', '--format=', '--numstat', '--no-renames', commit.hash ]);
+			const patch = await this.git(projectDir, [ 'show', '--format=', '--patch', '--no-color', commit.hash ]);
+
+			const files = numstat.trim().split('\n').filter(Boolean).map(line => {
+				const [ additions, deletions, ...file ] = line.split('\t');
+				// Binary files have no line counts
+				return { path: file.join('\t'), additions: parseInt(additions, 10) || 0, deletions: parseInt(deletions, 10) || 0 };
+			});
+
+			return { ...commit, files, patch };
+		});
+	}
+
+	/**
+	 * Reverts a commit of a project with a new commit, and updates the contracts of the reverted sources.
+	 *
+	 * @param {Object} project - The project.
+	 * @param {string} hash - The commit to revert.
+	 * @param {Object} [author={}] - Who reverted it.
+	 * @returns {Promise<Object|null>} - The revert commit with `contracts` (see WorkspaceService.syncFiles()),
+	 *   or null if the commit does not exist.
+	 * @throws {Error} - If the commit is the first one or does not revert cleanly.
+	 */
+	static async revert(project, hash, author = {}) {
+		const commit = await this.show(project, hash);
+		if(!commit) return null;
+
+		const projectDir = WorkspaceService.dir(project);
+
+		return this.lock(projectDir, async () => {
+			const hasParent = await this.git(projectDir, [ 'rev-parse', '--verify', '-q', `${ commit.hash }^` ]).then(() => true, () => false);
+			if(!hasParent) throw new Error('The first commit cannot be reverted');
+
+			// Uncommitted changes would end up in the revert commit
+			const status = await this.git(projectDir, [ 'status', '--porcelain' ]);
+			if(status.trim()) throw new Error('The workspace has uncommitted changes');
+
+			try {
+				await this.git(projectDir, [ 'revert', '--no-commit', commit.hash ]);
+			} catch(e) {
+				await this.git(projectDir, [ 'revert', '--abort' ]).catch(() => {});
+				throw new Error(`Commit ${ commit.hash.slice(0, 7) } cannot be reverted cleanly: later changes touch the same lines`);
+			}
+
+			const paths = commit.files.map(file => file.path);
+			const contracts = await WorkspaceService.syncFiles(project, paths, { ...author, summary: `Reverted ${ commit.hash.slice(0, 7) }` });
+
+			const revert = await this.commitChanges(projectDir, `Revert "${ commit.subject }"`, {
+				...author,
+				summary: `This reverts commit ${ commit.hash }.`,
+			});
+
+			return { ...revert, contracts };
+		});
+	}
+
+	/**
+	 * Pushes the history of a project to its `repoUrl`, on the branch in `metas.gitBranch` (main by default).
+	 * Only https and ssh remotes are accepted. Git runs without the keys, config and credential helpers of
+	 * the server, so a remote that needs credentials must carry them in its URL (e.g. an https token).
+	 *
+	 * @param {Object} project - The project.
+	 * @returns {Promise<{remote: string, branch: string, head: string}>} - The remote (without credentials),
+	 *   the branch and the pushed commit.
+	 * @throws {Error} - If the project has no repository or remote, or the push fails.
+	 */
+	static async push(project) {
+		const projectDir = WorkspaceService.dir(project);
+		if(!project.repoUrl) throw new Error('The project has no repository URL');
+		if(!fs.existsSync(path.join(projectDir, '.git'))) throw new Error('The project has no commits yet');
+
+		const remote = project.repoUrl.trim();
+		if(!/^(https:\/\/|ssh:\/\/|git@[\w.-]+:)/.test(remote)) throw new Error('The repository URL must be an https or ssh URL');
+
+		const branch = project.metas?.gitBranch || 'main';
+		if(!/^[\w./-]+$/.test(branch) || branch.includes('..')) throw new Error(`Invalid branch: ${ branch }`);
+
+		// Credentials in the URL must not end up in logs or responses
+		const publicRemote = remote.replace(/\/\/[^@/]+@/, '//');
+
+		return this.lock(projectDir, async () => {
+			const head = (await this.git(projectDir, [ 'rev-parse', 'HEAD' ])).trim();
+			// No credential helper: the only credentials are the ones in the project's URL
+			await this.git(projectDir, [ '-c', 'credential.helper=', 'push', '--porcelain', remote, `HEAD:refs/heads/${ branch }` ]).catch(e => {
+				throw new Error(e.message.replace(remote, publicRemote));
+			});
+
+			this.logger.info(`Pushed project ${ project.id } to ${ publicRemote } (${ branch })`);
+			return { remote: publicRemote, branch, head };
+		});
+	}
+}
+
+export default GitService;
@@ -0,0 +1,415 @@
+import 'dotenv/config';
+import fs from 'fs';
+import path from 'path';
+import { spawn } from 'child_process';
+import { StringDecoder } from 'string_decoder';
+import { EventEmitter } from 'events';
+import { PrimateService } from '@thewebchimp/primate';
+import { createLogger } from '#utils/logger.js';
+
+/**
+ * Runs Foundry commands (forge build/test/script) as queued background jobs.
+ *
+ * Commands are spawned from argument arrays without a shell, inside the project directory, with a
+ * reduced environment. Every job has a timeout, CPU time, memory and output limits, can be cancelled,
+ * and its status and log are persisted in the `Job` table. Progress is published through `subscribe()`.
+ */
+class JobRunnerService {
+
+	static logger = createLogger({ name: 'JobRunnerService' });
+
+	static concurrency = parseInt(process.env.JOB_CONCURRENCY || '1', 10);
+	static logFlushInterval = parseInt(process.env.JOB_LOG_FLUSH_MS || '2000', 10);
+	static prlimitPath = process.env.JOB_PRLIMIT_PATH || '/usr/bin/prlimit';
+
+	static defaultLimits = {
+		timeout: parseInt(process.env.JOB_TIMEOUT_MS || '300000', 10),
+		cpuSeconds: parseInt(process.env.JOB_MAX_CPU_SECONDS || '240', 10),
+		memoryMb: parseInt(process.env.JOB_MAX_MEMORY_MB || '4096', 10),
+		maxOutputBytes: parseInt(process.env.JOB_MAX_OUTPUT_BYTES || String(2 * 1024 * 1024), 10),
+	};
+
+	// Only these variables of the API process are visible to jobs
+	static inheritedEnv = [ 'PATH', 'HOME', 'LANG', 'TMPDIR', 'FOUNDRY_DIR', 'SVM_HOME' ];
+
+	static allowedCommands = [ 'forge' ];
+
+	// Foundry settings forced on every job, they override foundry.toml
+	static sandboxEnv = { FOUNDRY_FFI: 'false', FOUNDRY_FS_PERMISSIONS: '[]' };
+
+	static finalStatuses = [ 'Success', 'Failed', 'Cancelled', 'TimedOut' ];
+
+	static events = new EventEmitter().setMaxListeners(0);
+
+	/** @type {Array<Object>} Jobs waiting for a free slot, in order */
+	static queue = [];
+
+	/** @type {Map<number, Object>} Running jobs keyed by id */
+	static running = new Map();
+
+	/**
+	 * Queues a command. The job starts as soon as a slot is free.
+	 *
+	 * @param {Object} spec - The job specification.
+	 * @param {number} spec.projectId - Project the job belongs to.
+	 * @param {number} [spec.userId] - User that requested the job.
+	 * @param {string} spec.type - Job type: Build, Test or Script.
+	 * @param {string} [spec.tool] - Name of the AI tool that requested the job.
+	 * @param {string} [spec.command='forge'] - Executable to run.
+	 * @param {string[]} spec.args - Command arguments.
+	 * @param {string} spec.cwd - Working directory (the project directory).
+	 * @param {Object} [spec.env={}] - Extra environment variables. They are never persisted.
+	 * @param {Object} [spec.limits={}] - Overrides of the default limits.
+	 * @param {Object} [spec.metas={}] - Additional metadata stored with the job.
+	 * @returns {Promise<Object>} - The created job.
+	 */
+	static async enqueue(spec) {
+		const { projectId, userId, type, tool, command = 'forge', args = [], cwd, env = {}, limits = {}, metas = {} } = spec;
+
+		if(!this.allowedCommands.includes(command)) throw new Error(`Command not allowed: ${ command }`);
+		if(!Array.isArray(args) || args.some(arg => typeof arg !== 'string')) throw new Error('Job arguments must be an array of strings');
+		if(!cwd || !fs.existsSync(cwd) || !fs.statSync(cwd).isDirectory()) throw new Error(`Job directory not found: ${ cwd }`);
+
+		const job = await PrimateService.prisma.job.create({
+			data: {
+				projectId: parseInt(projectId, 10),
+				userId: userId ? parseInt(userId, 10) : null,
+				type,
+				tool: tool || null,
+				status: 'Queued',
+				command,
+				args,
+				cwd: path.resolve(cwd),
+				limits: { ...this.defaultLimits, ...limits },
+				metas,
+			},
+		});
+
+		this.queue.push({ job, env });
+		this.logger.info(`Job ${ job.id } queued: ${ command } ${ args.join(' ') }`);
+
+		this.emit(job.id, { type: 'status', status: 'Queued', job });
+		this.drain();
+
+		return job;
+	}
+
+	/**
+	 * Cancels a queued or running job.
+	 *
+	 * @param {number} id - The job ID.
+	 * @returns {Promise<Object>} - The job after cancellation.
+	 */
+	static async cancel(id) {
+		const jobId = parseInt(id, 10);
+
+		const queuedIndex = this.queue.findIndex(entry => entry.job.id === jobId);
+		if(queuedIndex !== -1) {
+			this.queue.splice(queuedIndex, 1);
+			return this.finish(jobId, { status: 'Cancelled', error: 'Cancelled before start' });
+		}
+
+		const run = this.running.get(jobId);
+		if(run) {
+			this.logger.info(`Cancelling job ${ jobId }`);
+			run.stopReason = { status: 'Cancelled', error: 'Cancelled by user' };
+			this.terminate(run);
+			return this.wait(jobId);
+		}
+
+		const job = await PrimateService.prisma.job.findUnique({ where: { id: jobId } });
+		if(!job) throw new Error(`Job ${ jobId } not found`);
+
+		return job;
+	}
+
+	/**
+	 * Waits until a job reaches a final status.
+	 *
+	 * @param {number} id - The job ID.
+	 * @returns {Promise<Object>} - The finished job, including its log.
+	 */
+	static async wait(id) {
+		const jobId = parseInt(id, 10);
+
+		return new Promise((resolve, reject) => {
+			const unsubscribe = this.subscribe(jobId, event => {
+				if(event.type === 'status' && this.finalStatuses.includes(event.status)) {
+					unsubscribe();
+					resolve(event.job);
+				}
+			});
+
+			// The job may have finished before we subscribed
+			PrimateService.prisma.job.findUnique({ where: { id: jobId } }).then(job => {
+				if(!job) {
+					unsubscribe();
+					reject(new Error(`Job ${ jobId } not found`));
+				} else if(this.finalStatuses.includes(job.status)) {
+					unsubscribe();
+					resolve(job);
+				}
+			}).catch(error => {
+				unsubscribe();
+				reject(error);
+			});
+		});
+	}
+
+	/**
+	 * Listens to the progress of a job.
+	 * Events are `{ type: 'status', status, job }` and `{ type: 'log', stream, line }`.
+	 *
+	 * @param {number} id - The job ID.
+	 * @param {Function} listener - Called with each event.
+	 * @returns {Function} - Removes the listener.
+	 */
+	static subscribe(id, listener) {
+		const eventName = `job:${ id }`;
+		this.events.on(eventName, listener);
+		return () => this.events.off(eventName, listener);
+	}
+
+	static emit(id, event) {
+		this.events.emit(`job:${ id }`, { jobId: id, ...event });
+	}
+
+	/**
+	 * Marks jobs left Queued or Running by a previous process as failed.
+	 * Their processes and in-memory queue did not survive the restart.
+	 *
+	 * @returns {Promise<number>} - Number of jobs updated.
+	 */
+	static async recover() {
+		const { count } = await PrimateService.prisma.job.updateMany({
+			where: { status: { in: [ 'Queued', 'Running' ] } },
+			data: { status: 'Failed', error: 'Interrupted by a server restart', finishedAt: new Date() },
+		});
+
+		if(count > 0) this.logger.warn(`Marked ${ count } interrupted jobs as failed`);
+		return count;
+	}
+
+	/**
+	 * Starts queued jobs while there are free slots.
+	 */
+	static drain() {
+		while(this.running.size < this.concurrency && this.queue.length > 0) {
+			const { job, env } = this.queue.shift();
+
+			this.start(job, env).catch(error => {
+				this.logger.error(`Job ${ job.id } could not start:`, error);
+				this.running.delete(job.id);
+				this.finish(job.id, { status: 'Failed', error: error.message }).catch(() => {});
+				this.drain();
+			});
+		}
+	}
+
+	/**
+	 * Spawns the process of a job and wires its output, limits and completion.
+	 *
+	 * @param {Object} job - The job row.
+	 * @param {Object} env - Extra environment variables.
+	 */
+	static async start(job, env) {
+		const limits = job.limits;
+		const [ executable, args ] = this.wrapWithLimits(job.command, job.args, limits);
+
+		const run = {
+			job,
+			log: '',
+			outputBytes: 0,
+			truncated: false,
+			stopReason: null,
+			partial: { stdout: '', stderr: '' },
+			// Chunks can end inside a multi-byte character, each stream keeps its own decoder
+			decoders: { stdout: new StringDecoder('utf8'), stderr: new StringDecoder('utf8') },
+			child: null,
+			closed: false,
+			timers: [],
+			killTimer: null,
+		};
+
+		this.running.set(job.id, run);
+
+		await PrimateService.prisma.job.update({
+			where: { id: job.id },
+			data: { status: 'Running', startedAt: new Date() },
+		});
+
+		this.emit(job.id, { type: 'status', status: 'Running', job: { ...job, status: 'Running' } });
+		this.logger.info(`Job ${ job.id } started`);
+
+		const child = spawn(executable, args, {
+			cwd: job.cwd,
+			env: this.buildEnv(env),
+			shell: false,
+			// Own process group so the whole tree can be signalled on timeout or cancel
+			detached: true,
+			stdio: [ 'ignore', 'pipe', 'pipe' ],
+		});
+
+		run.child = child;
+
+		child.stdout.on('data', chunk => this.handleOutput(run, 'stdout', chunk));
+		child.stderr.on('data', chunk => this.handleOutput(run, 'stderr', chunk));
+
+		run.timers.push(setTimeout(() => {
+			if(run.stopReason) return;
+			run.stopReason = { status: 'TimedOut', error: `Timed out after ${ limits.timeout }ms` };
+			this.terminate(run);
+		}, limits.timeout));
+
+		run.timers.push(setInterval(() => this.flushLog(run), this.logFlushInterval));
+
+		child.on('error', error => {
+			if(!run.stopReason) run.stopReason = { status: 'Failed', error: error.message };
+		});
+
+		child.on('close', (code, signal) => {
+			run.closed = true;
+			run.timers.forEach(timer => clearTimeout(timer));
+			clearTimeout(run.killTimer);
+			this.running.delete(job.id);
+
+			for(const stream of [ 'stdout', 'stderr' ]) {
+				const rest = run.truncated ? '' : run.decoders[stream].end();
+				run.log += rest;
+				run.partial[stream] += rest;
+				if(run.partial[stream]) this.emit(job.id, { type: 'log', stream, line: run.partial[stream] });
+			}
+
+			let result = run.stopReason;
+
+			if(!result) {
+				result = code === 0
+					? { status: 'Success' }
+					: { status: 'Failed', error: signal ? `Killed by ${ signal }` : `Exited with code ${ code }` };
+			}
+
+			this.finish(job.id, { ...result, exitCode: code, signal, log: run.log, outputTruncated: run.truncated })
+				.catch(error => this.logger.error(`Job ${ job.id } could not be saved:`, error))
+				.finally(() => this.drain());
+		});
+	}
+
+	/**
+	 * Stores the final state of a job and notifies its listeners.
+	 *
+	 * @param {number} id - The job ID.
+	 * @param {Object} result - Final status, error, exit code, signal and log.
+	 * @returns {Promise<Object>} - The updated job.
+	 */
+	static async finish(id, result) {
+		const { status, error = null, exitCode = null, signal = null, log, outputTruncated } = result;
+
+		const data = { status, error, exitCode, signal, finishedAt: new Date() };
+		if(log !== undefined) data.log = log;
+		if(outputTruncated !== undefined) data.outputTruncated = outputTruncated;
+
+		const job = await PrimateService.prisma.job.update({ where: { id }, data });
+
+		this.logger.info(`Job ${ id } finished with status ${ status }`);
+		this.emit(id, { type: 'status', status, job });
+
+		return job;
+	}
+
+	/**
+	 * Appends process output to the job log, enforcing the output limit and emitting complete lines.
+	 */
+	static handleOutput(run, stream, chunk) {
+		const { maxOutputBytes } = run.job.limits;
+
+		run.outputBytes += chunk.length;
+
+		if(run.outputBytes > maxOutputBytes) {
+			if(!run.truncated) {
+				run.truncated = true;
+				run.log += `\n[output limit of ${ maxOutputBytes } bytes exceeded]\n`;
+				run.stopReason = run.stopReason || { status: 'Failed', error: 'Output limit exceeded' };
+				this.terminate(run);
+			}
+			return;
+		}
+
+		const text = run.decoders[stream].write(chunk);
+		run.log += text;
+
+		const lines = (run.partial[stream] + text).split('\n');
+		run.partial[stream] = lines.pop();
+
+		for(const line of lines) this.emit(run.job.id, { type: 'log', stream, line });
+	}
+
+	/**
+	 * Persists the log collected so far, so running jobs can be inspected.
+	 */
+	static flushLog(run) {
+		PrimateService.prisma.job.update({
+			where: { id: run.job.id },
+			data: { log: run.log, outputTruncated: run.truncated },
+		}).catch(error => this.logger.warn(`Could not flush log of job ${ run.job.id }: ${ error.message }`));
+	}
+
+	/**
+	 * Stops the process group of a job: SIGTERM first, SIGKILL after a grace period unless it exits before.
+	 * Once the process has exited its group ID may be reused, so it is not signalled anymore.
+	 */
+	static terminate(run) {
+		const pid = run.child?.pid;
+		if(!pid || run.closed) return;
+
+		const kill = signal => {
+			try {
+				process.kill(-pid, signal);
+			} catch(e) {
+				// The process group is already gone
+			}
+		};
+
+		kill('SIGTERM');
+
+		if(!run.killTimer) {
+			run.killTimer = setTimeout(() => {
+				if(!run.closed) kill('SIGKILL');
+			}, 5000);
+		}
+	}
+
+	/**
+	 * Wraps the command with prlimit to apply the CPU time and memory limits when it is available.
+	 *
+	 * @returns {[string, string[]]} - Executable and arguments to spawn.
+	 */
+	static wrapWithLimits(command, args, limits) {
+		if(!fs.existsSync(this.prlimitPath)) {
+			this.logger.warn(`prlimit not found at ${ this.prlimitPath }, running without CPU and memory limits`);
+			return [ command, args ];
+		}
+
+		const flags = [];
+		if(limits.cpuSeconds > 0) flags.push(`--cpu=${ limits.cpuSeconds }`);
+		if(limits.memoryMb > 0) flags.push(`--as=${ limits.memoryMb * 1024 * 1024 }`);
+
+		return [ this.prlimitPath, [ ...flags, '--', command, ...args ] ];
+	}
+
+	/**
+	 * Builds the environment of a job from the allowed variables of the API process plus the job's own.
+	 * Forge runs as the API user, so FFI and cheatcode filesystem access are always off, whatever the
+	 * project's foundry.toml says.
+	 */
+	static buildEnv(extra = {}) {
+		const env = { NO_COLOR: '1', CI: 'true' };
+
+		for(const name of this.inheritedEnv) {
+			if(process.env[name] !== undefined) env[name] = process.env[name];
+		}
+
+		return { ...env, ...extra, ...this.sandboxEnv };
+	}
+}
+
+export default JobRunnerService;
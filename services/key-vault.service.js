@@ -0,0 +1,103 @@
+import 'dotenv/config';
+import crypto from 'crypto';
+
+/**
+ * Envelope encryption for secrets stored in the database.
+ *
+ * Every secret is encrypted with its own random data key (AES-256-GCM) and the data key is encrypted
+ * with the server master key (`KEY_VAULT_MASTER_KEY`, 32 bytes in hex or base64). Only the encrypted
+ * data key is stored, so the database alone is not enough to recover a secret.
+ */
+class KeyVaultService {
+
+	static algorithm = 'aes-256-gcm';
+	static keyId = process.env.KEY_VAULT_MASTER_KEY_ID || 'v1';
+
+	/**
+	 * Returns the master key from the environment.
+	 *
+	 * @returns {Buffer}
+	 * @throws {Error} - If the key is missing or is not 32 bytes long.
+	 */
+	static masterKey() {
+		const value = process.env.KEY_VAULT_MASTER_KEY;
+		if(!value) throw new Error('KEY_VAULT_MASTER_KEY is not configured');
+
+		const key = /^[0-9a-fA-F]{64}$/.test(value) ? Buffer.from(value, 'hex') : Buffer.from(value, 'base64');
+		if(key.length !== 32) throw new Error('KEY_VAULT_MASTER_KEY must be 32 bytes (hex or base64)');
+
+		return key;
+	}
+
+	/**
+	 * Encrypts a secret.
+	 *
+	 * @param {string} plaintext - The secret.
+	 * @param {string} [aad=''] - Additional data the envelope is bound to (e.g. the owner and address).
+	 * @returns {{keyId: string, dataKey: Object, secret: Object}} - The envelope to store.
+	 */
+	static encrypt(plaintext, aad = '') {
+		const dataKey = crypto.randomBytes(32);
+
+		const envelope = {
+			keyId: this.keyId,
+			dataKey: this.seal(this.masterKey(), dataKey, aad),
+			secret: this.seal(dataKey, Buffer.from(plaintext, 'utf8'), aad),
+		};
+
+		dataKey.fill(0);
+		return envelope;
+	}
+
+	/**
+	 * Decrypts a secret.
+	 *
+	 * @param {Object} envelope - The envelope returned by encrypt().
+	 * @param {string} [aad=''] - The additional data used to encrypt it.
+	 * @returns {string} - The secret.
+	 * @throws {Error} - If the envelope was encrypted with another master key or was tampered with.
+	 */
+	static decrypt(envelope, aad = '') {
+		if(!envelope?.dataKey || !envelope?.secret) throw new Error('Invalid key envelope');
+
+		if(envelope.keyId !== this.keyId) {
+			throw new Error(`Secret was encrypted with master key ${ envelope.keyId }, current key is ${ this.keyId }`);
+		}
+
+		const dataKey = this.open(this.masterKey(), envelope.dataKey, aad);
+
+		try {
+			return this.open(dataKey, envelope.secret, aad).toString('utf8');
+		} finally {
+			dataKey.fill(0);
+		}
+	}
+
+	static seal(key, data, aad) {
+		const iv = crypto.randomBytes(12);
+		const cipher = crypto.createCipheriv(this.algorithm, key, iv);
+		cipher.setAAD(Buffer.from(aad, 'utf8'));
+
+		const ciphertext = Buffer.concat([ cipher.update(data), cipher.final() ]);
+
+		return {
+			iv: iv.toString('base64'),
+			tag: cipher.getAuthTag().toString('base64'),
+			ciphertext: ciphertext.toString('base64'),
+		};
+	}
+
+	static open(key, sealed, aad) {
+		const decipher = crypto.createDecipheriv(this.algorithm, key, Buffer.from(sealed.iv, 'base64'));
+		decipher.setAAD(Buffer.from(aad, 'utf8'));
+		decipher.setAuthTag(Buffer.from(sealed.tag, 'base64'));
+
+		try {
+			return Buffer.concat([ decipher.update(Buffer.from(sealed.ciphertext, 'base64')), decipher.final() ]);
+		} catch(e) {
+			throw new Error('Could not decrypt secret: wrong master key or corrupted data');
+		}
+	}
+}
+
+export default KeyVaultService;
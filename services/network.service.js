@@ -0,0 +1,257 @@
+import 'dotenv/config';
+import Joi from 'joi';
+import { JsonRpcProvider } from 'ethers';
+import defaultNetworks from '../assets/data/networks.js';
+import { createLogger } from '#utils/logger.js';
+
+const url = Joi.string().uri({ scheme: [ 'http', 'https' ] });
+
+const networkSchema = Joi.object({
+	name: Joi.string().pattern(/^[a-z][a-z0-9_]*$/).required(),
+	label: Joi.string().required(),
+	chainId: Joi.number().integer().positive().required(),
+	rpcUrls: Joi.array().items(url).min(1).required(),
+	explorer: Joi.object({
+		name: Joi.string().default('Explorer'),
+		url: url.required(),
+		apiUrl: url.allow(null).default(null),
+	}).allow(null).default(null),
+	faucet: Joi.object({
+		url: url.required(),
+		apiUrl: url.allow(null).default(null),
+	}).allow(null).default(null),
+	nativeCurrency: Joi.object({
+		name: Joi.string().required(),
+		symbol: Joi.string().required(),
+		decimals: Joi.number().integer().min(0).default(18),
+	}).required(),
+	testnet: Joi.boolean().default(true),
+	local: Joi.boolean().default(false),
+});
+
+/**
+ * Registry of the networks projects can target.
+ *
+ * Tool schemas, the project brief, foundry.toml profiles, deployments, balances and explorer links
+ * all read their network list from here. Networks registered after the AI tools are registered are
+ * not offered to the agent until the next start.
+ */
+class NetworkService {
+
+	static logger = createLogger({ name: 'NetworkService' });
+
+	/** @type {Map<string, Object>} */
+	static networks = new Map();
+
+	static defaultNetwork = process.env.DEFAULT_NETWORK || 'mantle_sepolia';
+
+	// How long an RPC endpoint may take to answer before the next one is tried
+	static rpcTimeout = parseInt(process.env.RPC_TIMEOUT_MS || '5000', 10);
+
+	/**
+	 * Registers a network, replacing any previous network with the same name.
+	 * RPC URLs from `<NAME>_RPC` (comma separated) are tried before the given ones,
+	 * `<NAME>_FAUCET_URL` overrides the faucet API endpoint, and `<NAME>_EXPLORER_API_URL` and
+	 * `<NAME>_EXPLORER_API_KEY` configure the explorer API used for verification.
+	 *
+	 * @param {Object} definition - The network, see assets/data/networks.js.
+	 * @returns {Object} - The registered network.
+	 * @throws {Error} - If the definition is invalid.
+	 */
+	static register(definition) {
+		const { error, value } = networkSchema.validate(definition);
+		if(error) throw new Error(`Invalid network ${ definition?.name || '' }: ${ error.message }`);
+
+		const prefix = value.name.toUpperCase();
+		const envRpcUrls = (process.env[`${ prefix }_RPC`] || '').split(',').map(rpc => rpc.trim()).filter(Boolean);
+		const faucetApiUrl = process.env[`${ prefix }_FAUCET_URL`];
+		const explorerApiUrl = process.env[`${ prefix }_EXPLORER_API_URL`];
+
+		const network = {
+			...value,
+			rpcUrls: [ ...new Set([ ...envRpcUrls, ...value.rpcUrls ]) ],
+			// Only the URLs of the definition are shown to clients, env URLs may embed API keys
+			publicRpcUrls: value.rpcUrls,
+			faucet: value.faucet && faucetApiUrl ? { ...value.faucet, apiUrl: faucetApiUrl } : value.faucet,
+			explorer: value.explorer ? {
+				...value.explorer,
+				apiUrl: explorerApiUrl || value.explorer.apiUrl,
+				apiKey: process.env[`${ prefix }_EXPLORER_API_KEY`] || null,
+			} : null,
+		};
+
+		this.networks.set(network.name, network);
+		return network;
+	}
+
+	/**
+	 * Registers the local development node (anvil, hardhat or ganache) as the `local` network, from
+	 * `LOCAL_RPC_URL`, `LOCAL_CHAIN_ID`, `LOCAL_CURRENCY` and `LOCAL_EXPLORER_URL` (see assets/data/networks.js).
+	 * It is always available outside production; in production only when `LOCAL_RPC_URL` is set.
+	 *
+	 * @returns {Object|null} - The local network, if registered.
+	 * @throws {Error} - If `LOCAL_CHAIN_ID` is not a positive integer or `LOCAL_RPC_URL` is not an http(s) URL.
+	 */
+	static registerLocal() {
+		if(!process.env.LOCAL_RPC_URL && process.env.NODE_ENV === 'production') return null;
+
+		const chainId = Number(process.env.LOCAL_CHAIN_ID || '31337');
+		if(!Number.isInteger(chainId) || chainId <= 0) throw new Error(`Invalid LOCAL_CHAIN_ID: ${ process.env.LOCAL_CHAIN_ID }`);
+
+		return this.register({
+			name: 'local',
+			label: 'Local development node',
+			chainId,
+			rpcUrls: [ process.env.LOCAL_RPC_URL || 'http://127.0.0.1:8545' ],
+			explorer: process.env.LOCAL_EXPLORER_URL ? { name: 'Local explorer', url: process.env.LOCAL_EXPLORER_URL } : null,
+			faucet: null,
+			nativeCurrency: { name: 'Ether', symbol: process.env.LOCAL_CURRENCY || 'ETH', decimals: 18 },
+			testnet: true,
+			local: true,
+		});
+	}
+
+	/**
+	 * Registers the built-in networks and the local development node.
+	 */
+	static registerDefaults() {
+		for(const definition of defaultNetworks) this.register(definition);
+		this.registerLocal();
+	}
+
+	/**
+	 * Returns a network.
+	 *
+	 * @param {string} name - The network name.
+	 * @returns {Object}
+	 * @throws {Error} - If the network is not registered.
+	 */
+	static get(name) {
+		const network = this.networks.get(name);
+		if(!network) throw new Error(`Unsupported network: ${ name }`);
+		return network;
+	}
+
+	/**
+	 * Lists the registered networks.
+	 *
+	 * @param {Object} [filter={}] - Filters.
+	 * @param {boolean} [filter.testnet] - Only testnets (true) or only mainnets (false).
+	 * @param {boolean} [filter.faucet] - Only networks with a faucet.
+	 * @returns {Array<Object>}
+	 */
+	static list(filter = {}) {
+		return [ ...this.networks.values() ].filter(network => {
+			if(filter.testnet !== undefined && network.testnet !== filter.testnet) return false;
+			if(filter.faucet && !network.faucet) return false;
+			return true;
+		});
+	}
+
+	/**
+	 * Lists the names of the registered networks, for schema enums.
+	 *
+	 * @param {Object} [filter={}] - Same filters as list().
+	 * @returns {string[]}
+	 */
+	static names(filter = {}) {
+		return this.list(filter).map(network => network.name);
+	}
+
+	/**
+	 * Finds a network by chain id.
+	 *
+	 * @param {number} chainId - The chain id.
+	 * @returns {Object|null}
+	 */
+	static findByChainId(chainId) {
+		return this.list().find(network => network.chainId === Number(chainId)) || null;
+	}
+
+	/**
+	 * Returns the client-facing view of a network, without environment RPC URLs, API keys or faucet endpoints.
+	 *
+	 * @param {Object} network - The network.
+	 * @returns {Object}
+	 */
+	static toPublic(network) {
+		const { rpcUrls, publicRpcUrls, faucet, explorer, ...rest } = network;
+
+		return {
+			...rest,
+			rpcUrls: publicRpcUrls,
+			explorer: explorer ? { name: explorer.name, url: explorer.url, apiUrl: explorer.apiUrl } : null,
+			faucet: faucet ? { url: faucet.url } : null,
+			isDefault: network.name === this.defaultNetwork,
+		};
+	}
+
+	/**
+	 * Connects to the first RPC endpoint of a network that answers with the expected chain id.
+	 *
+	 * @param {string} name - The network name.
+	 * @returns {Promise<JsonRpcProvider>}
+	 * @throws {Error} - If no endpoint is reachable.
+	 */
+	static async getProvider(name) {
+		const network = this.get(name);
+
+		for(const rpcUrl of network.rpcUrls) {
+			const provider = new JsonRpcProvider(rpcUrl, network.chainId, { staticNetwork: true });
+			let timer;
+
+			try {
+				const chainId = await Promise.race([
+					provider.send('eth_chainId', []),
+					new Promise((_, reject) => {
+						timer = setTimeout(() => reject(new Error(`timed out after ${ this.rpcTimeout }ms`)), this.rpcTimeout);
+					}),
+				]);
+
+				if(Number(chainId) !== network.chainId) {
+					throw new Error(`reports chain id ${ Number(chainId) }, expected ${ network.chainId }`);
+				}
+
+				return provider;
+			} catch(e) {
+				this.logger.warn(`RPC endpoint ${ new URL(rpcUrl).host } of ${ name } failed: ${ e.shortMessage || e.message }`);
+				provider.destroy();
+			} finally {
+				clearTimeout(timer);
+			}
+		}
+
+		throw new Error(`No RPC endpoint of ${ name } is reachable`);
+	}
+
+	/**
+	 * Returns the explorer page of an address or transaction, if the network has an explorer.
+	 *
+	 * @param {string} name - The network name.
+	 * @param {string} type - 'address' or 'tx'.
+	 * @param {string} value - The address or transaction hash.
+	 * @returns {string|null}
+	 */
+	static explorerLink(name, type, value) {
+		const { explorer } = this.get(name);
+		return explorer ? `${ explorer.url.replace(/\/$/, '') }/${ type }/${ value }` : null;
+	}
+
+	/**
+	 * Builds the foundry.toml profiles of every registered network.
+	 * Only public RPC URLs are written, the file is part of the project sources.
+	 *
+	 * @returns {string}
+	 */
+	static foundryProfiles() {
+		return this.list().map(network => [
+			`[profile.${ network.name }]`,
+			`eth_rpc_url = "${ network.publicRpcUrls[0] }"`,
+			`chain_id = ${ network.chainId }`,
+		].join('\n')).join('\n\n');
+	}
+}
+
+NetworkService.registerDefaults();
+
+export default NetworkService;
@@ -0,0 +1,702 @@
+import 'dotenv/config';
+import fs from 'fs';
+import path from 'path';
+import slugify from 'slugify';
+import { PrimateService } from '@thewebchimp/primate';
+import WorkspaceService from '#services/workspace.service.js';
+import DependencyService from '#services/dependency.service.js';
+import NetworkService from '#services/network.service.js';
+import UploadService from '#services/upload.service.js';
+import AttachmentService from '#entities/attachments/attachment.service.js';
+import { readTar, writeTar } from '#utils/tar.js';
+import { readZip, writeZip } from '#utils/zip.js';
+import { createLogger } from '#utils/logger.js';
+
+// Files that are never part of a project
+const JUNK = /(^|\/)(__MACOSX|\.git|\.DS_Store|Thumbs\.db)(\/|$)/;
+
+// Folders holding libraries, cache or build output
+const VENDORED = /^(lib|node_modules|out|cache|artifacts|typechain-types|broadcast)\//;
+
+/**
+ * Normalizes the paths of archive entries, dropping unsafe and junk entries, and strips the
+ * folder wrapping the whole project, if any.
+ *
+ * @param {Array<Object>} entries - Entries from readTar() or readZip().
+ * @returns {{files: Map<string, Buffer>, skipped: Array<{path: string, reason: string}>}}
+ */
+function normalizeEntries(entries) {
+	const files = new Map();
+	const skipped = [];
+
+	for(const entry of entries) {
+		if(entry.type !== 'file') continue;
+
+		const segments = entry.path.replace(/\\/g, '/').split('/').filter(segment => segment && segment !== '.');
+
+		if(entry.path.startsWith('/') || /^[a-zA-Z]:/.test(entry.path) || segments.includes('..') || entry.path.includes('\0')) {
+			skipped.push({ path: entry.path, reason: 'Unsafe path' });
+			continue;
+		}
+
+		if(JUNK.test(segments.join('/'))) continue;
+
+		files.set(segments.join('/'), entry.content);
+	}
+
+	// Archives usually wrap the project in a folder named after it
+	const roots = new Set([ ...files.keys() ].map(file => file.split('/')[0]));
+	if(roots.size === 1 && [ ...files.keys() ].every(file => file.includes('/'))) {
+		const root = [ ...roots ][0];
+		return { files: new Map([ ...files ].map(([ file, content ]) => [ file.slice(root.length + 1), content ])), skipped };
+	}
+
+	return { files, skipped };
+}
+
+/**
+ * Parses the `[profile.default]` section of a foundry.toml (or the top level when it has none).
+ * Only strings, numbers, booleans and arrays of strings are supported, which covers the settings
+ * Foundry projects use.
+ *
+ * @param {string} text - The foundry.toml.
+ * @returns {Object} - The settings by key.
+ */
+function parseFoundryToml(text) {
+	const settings = {};
+	let section = null;
+	let pending = null;
+
+	for(const rawLine of text.split('\n')) {
+		const line = rawLine.replace(/\s+#.*$|^#.*$/, '').trim();
+		if(!line) continue;
+
+		if(pending) {
+			pending.value += ` ${ line }`;
+			if(!line.includes(']')) continue;
+		} else {
+			const header = line.match(/^\[([^\]]+)\]$/);
+			if(header) {
+				section = header[1].trim();
+				continue;
+			}
+
+			const assignment = line.match(/^([A-Za-z0-9_-]+)\s*=\s*(.*)$/);
+			if(!assignment) continue;
+
+			pending = { key: assignment[1], value: assignment[2] };
+			if(pending.value.startsWith('[') && !pending.value.includes(']')) continue;
+		}
+
+		const { key, value } = pending;
+		pending = null;
+
+		if(section !== null && section !== 'profile.default') continue;
+
+		if(value.startsWith('[')) settings[key] = [ ...value.matchAll(/"([^"]*)"|'([^']*)'/g) ].map(match => match[1] ?? match[2]);
+		else if(/^["']/.test(value)) settings[key] = value.slice(1, value.lastIndexOf(value[0]));
+		else if(value === 'true' || value === 'false') settings[key] = value === 'true';
+		else if(/^[\d_]+$/.test(value)) settings[key] = parseInt(value.replace(/_/g, ''), 10);
+		else settings[key] = value;
+	}
+
+	return settings;
+}
+
+/**
+ * Reads the compiler version of a project from the pragmas of its sources: the highest
+ * minimum version any of them requires.
+ *
+ * @param {Array<string>} sources - The Solidity sources.
+ * @returns {string|null}
+ */
+function pragmaVersion(sources) {
+	const versions = sources
+		.flatMap(source => [ ...source.matchAll(/pragma\s+solidity\s+(?:\^|>=|~|=)?\s*(\d+\.\d+\.\d+)/g) ])
+		.map(match => match[1]);
+
+	const compare = (a, b) => a.split('.').map(Number).reduce((result, part, i) => result || part - b.split('.').map(Number)[i], 0);
+
+	return versions.sort(compare).pop() || null;
+}
+
+/**
+ * Adds imported dependencies to the ones of a project, one entry per library. Like DependencyService.add(),
+ * the imported version replaces the current one.
+ *
+ * @param {string[]} [current=[]] - The dependencies of the project.
+ * @param {string[]} imported - The dependencies of the archive.
+ * @returns {string[]}
+ */
+function mergeDependencies(current = [], imported) {
+	const { resolved, unresolved } = DependencyService.resolve([ ...(current || []), ...imported ]);
+	return [ ...resolved.map(parsed => parsed.spec), ...new Set(unresolved.map(entry => entry.dependency)) ];
+}
+
+// Remappings are `[context:]prefix=target`, without quotes, backslashes, whitespace or control characters
+const REMAPPING = /^[^=\s"\\\u0000-\u001f\u007f]+=[^=\s"\\\u0000-\u001f\u007f]+$/;
+
+/**
+ * Drops the imported settings that cannot be written back safely into foundry.toml.
+ *
+ * @param {Object} settings - The settings read from the project (see ProjectArchiveService.readConfig()).
+ * @returns {Array<{key: string, value: *, reason: string}>} - The settings that were dropped.
+ */
+function checkSettings(settings) {
+	const rejected = [];
+
+	settings.remappings = settings.remappings.filter(remapping => {
+		if(REMAPPING.test(remapping)) return true;
+		rejected.push({ key: 'remappings', value: remapping, reason: 'Invalid remapping, expected prefix=target' });
+		return false;
+	});
+
+	if(settings.compilerVersion && !/^\d+\.\d+\.\d+$/.test(String(settings.compilerVersion))) {
+		rejected.push({ key: 'solc', value: settings.compilerVersion, reason: 'Invalid compiler version, expected x.y.z' });
+		settings.compilerVersion = null;
+	}
+
+	if(settings.evmVersion && !/^\w+$/.test(String(settings.evmVersion))) {
+		rejected.push({ key: 'evm_version', value: settings.evmVersion, reason: 'Invalid EVM version' });
+		settings.evmVersion = null;
+	}
+
+	if(settings.optimizer) {
+		const runs = parseInt(settings.optimizer.runs, 10);
+		if(!Number.isInteger(runs) || runs < 0) rejected.push({ key: 'optimizer_runs', value: settings.optimizer.runs, reason: 'Invalid optimizer runs, 200 is used' });
+		settings.optimizer = { enabled: settings.optimizer.enabled !== false, runs: Number.isInteger(runs) && runs >= 0 ? runs : 200 };
+	}
+
+	return rejected;
+}
+
+/**
+ * Packages projects as standalone Foundry repositories.
+ *
+ * An archive holds the project folder with foundry.toml, remappings.txt, the src, test and script
+ * folders, a README generated from the project, and `deployments/<network>.json` with the address of
+ * every deployed contract. Libraries are not included; the README lists the `forge install` commands.
+ *
+ * Imports take the same archives, or Hardhat projects, and map their sources, settings and libraries
+ * onto the project workspace, reporting whatever has no place in it.
+ */
+class ProjectArchiveService {
+
+	static logger = createLogger({ name: 'ProjectArchiveService' });
+
+	static maxArchiveSize = parseInt(process.env.IMPORT_MAX_ARCHIVE_SIZE, 10) || 100 * 1024 * 1024;
+
+	static formats = {
+		'zip': { contentType: 'application/zip', write: files => writeZip(files) },
+		'tar.gz': { contentType: 'application/gzip', write: files => writeTar(files) },
+	};
+
+	/**
+	 * Builds the archive of a project.
+	 *
+	 * @param {Object} project - The project.
+	 * @param {Object} [options={}] - Options.
+	 * @param {string} [options.format='zip'] - `zip` or `tar.gz`.
+	 * @returns {Promise<{buffer: Buffer, fileName: string, contentType: string, files: string[]}>} - The archive,
+	 *   its file name and the paths it contains.
+	 * @throws {Error} - If the format is not supported.
+	 */
+	static async export(project, options = {}) {
+		const format = options.format || 'zip';
+		if(!this.formats[format]) throw new Error(`Unsupported format: ${ format }. Use ${ Object.keys(this.formats).join(' or ') }`);
+
+		const name = slugify(project.name || '', { lower: true, strict: true }) || `project-${ project.id }`;
+		const projectDir = WorkspaceService.dir(project);
+
+		const { resolved } = DependencyService.resolve(project.dependencies || []);
+		const remappings = project.foundryConfig?.remappings || DependencyService.remappings(resolved);
+
+		const foundryTomlPath = path.join(projectDir, 'foundry.toml');
+		const foundryToml = fs.existsSync(foundryTomlPath)
+			? await fs.promises.readFile(foundryTomlPath)
+			: WorkspaceService.foundryToml({ compilerVersion: project.compilerVersion || '0.8.19', remappings });
+
+		const deployments = await this.deployments(project);
+
+		const files = [
+			{ path: 'README.md', content: this.readme(project, { resolved, deployments }) },
+			{ path: 'foundry.toml', content: foundryToml },
+			{ path: 'remappings.txt', content: remappings.length ? `${ remappings.join('\n') }\n` : '' },
+			{ path: '.gitignore', content: 'out/\ncache/\nlib/\n.env\n' },
+		];
+
+		for(const file of await WorkspaceService.files(project)) {
+			files.push({ path: file.path, content: await fs.promises.readFile(file.absolute) });
+		}
+
+		for(const [ network, content ] of Object.entries(deployments)) {
+			files.push({ path: `deployments/${ network }.json`, content: `${ JSON.stringify(content, null, 2) }\n` });
+		}
+
+		const { contentType, write } = this.formats[format];
+		const buffer = write(files.map(file => ({ ...file, path: `${ name }/${ file.path }` })));
+
+		this.logger.info(`Exported project ${ project.id } as ${ format } (${ files.length } files, ${ buffer.length } bytes)`);
+
+		return { buffer, fileName: `${ name }.${ format }`, contentType, files: files.map(file => file.path) };
+	}
+
+	/**
+	 * Exports a project and stores the archive as a private attachment of the project.
+	 *
+	 * @param {Object} project - The project.
+	 * @param {Object} [options={}] - Options, see export().
+	 * @returns {Promise<{attachment: Object, url: string, files: string[]}>} - The attachment, a signed
+	 *   download URL and the archived paths.
+	 */
+	static async upload(project, options = {}) {
+		const { buffer, fileName, contentType, files } = await this.export(project, options);
+
+		const attachment = await UploadService.createAttachmentFromBuffer(buffer, {
+			fileName,
+			contentType,
+			acl: 'private',
+			metas: { projectId: project.id, type: 'project-export', format: options.format || 'zip', files: files.length },
+		});
+
+		await PrimateService.prisma.project.update({
+			where: { id: project.id },
+			data: { attachments: { connect: { id: attachment.id } } },
+		});
+
+		return { attachment, url: AttachmentService.getUrl(attachment), files };
+	}
+
+	/**
+	 * Returns the latest address of each deployed contract of a project, by network.
+	 *
+	 * @param {Object} project - The project.
+	 * @returns {Promise<Object>} - `{ <network>: { network, chainId, contracts: { <name>: { address, txHash, deployedAt, explorerUrl } } } }`.
+	 */
+	static async deployments(project) {
+		const deployments = await PrimateService.prisma.deployment.findMany({
+			where: { projectId: project.id, status: 'Success', contractAddress: { not: null } },
+			include: { contract: { select: { name: true } } },
+			orderBy: { deployedAt: 'asc' },
+		});
+
+		const networks = {};
+
+		for(const deployment of deployments) {
+			const network = NetworkService.networks.get(deployment.network);
+			const contractName = deployment.contract?.name || project.name;
+
+			networks[deployment.network] ??= {
+				network: deployment.network,
+				chainId: network?.chainId ?? null,
+				contracts: {},
+			};
+
+			// Later deployments of a contract replace the earlier ones
+			networks[deployment.network].contracts[contractName] = {
+				address: deployment.contractAddress,
+				txHash: deployment.txHash,
+				deployedAt: deployment.deployedAt,
+				explorerUrl: network ? NetworkService.explorerLink(deployment.network, 'address', deployment.contractAddress) : null,
+			};
+		}
+
+		return networks;
+	}
+
+	/**
+	 * Generates the README of an exported project.
+	 *
+	 * @param {Object} project - The project.
+	 * @param {Object} context - What the archive holds.
+	 * @param {Array<Object>} context.resolved - The resolved dependencies.
+	 * @param {Object} context.deployments - The deployments by network, see deployments().
+	 * @returns {string}
+	 */
+	static readme(project, { resolved, deployments }) {
+		const lines = [ `# ${ project.name }`, '' ];
+
+		if(project.description) lines.push(project.description.trim(), '');
+
+		lines.push(
+			'## Setup',
+			'',
+			'This is a [Foundry](https://book.getfoundry.sh) project.',
+			'',
+			'```shell',
+			...resolved.map(({ spec }) => `forge install ${ spec } --no-git`),
+			'forge build',
+			'forge test',
+			'```',
+			'',
+		);
+
+		const networks = Object.values(deployments);
+
+		if(networks.length) {
+			lines.push('## Deployments', '', '| Network | Contract | Address |', '| --- | --- | --- |');
+
+			for(const { network, contracts } of networks) {
+				for(const [ name, { address, explorerUrl } ] of Object.entries(contracts)) {
+					lines.push(`| ${ network } | ${ name } | ${ explorerUrl ? `[${ address }](${ explorerUrl })` : address } |`);
+				}
+			}
+
+			lines.push('', 'The addresses are also in `deployments/<network>.json`.', '');
+		}
+
+		return lines.join('\n');
+	}
+
+	/**
+	 * Imports a Foundry or Hardhat project archive (zip, tar or tar.gz) into a project.
+	 *
+	 * Sources, tests and scripts are unpacked into src, test and script; every contract of the sources
+	 * becomes a Contract of the project, and the main contract is picked when the project has none.
+	 * The compiler version, optimizer and remappings are read from foundry.toml, remappings.txt or the
+	 * Hardhat config (or the source pragmas), and libraries from lib/ or package.json become dependencies.
+	 *
+	 * @param {Object} project - The project.
+	 * @param {Buffer} buffer - The archive.
+	 * @param {Object} [options={}] - Options.
+	 * @param {string} [options.fileName] - Name of the uploaded file, for the report.
+	 * @param {boolean} [options.replace=false] - Delete the current src, test and script files first.
+	 * @param {Object} [options.author={}] - Who imported it, stored with contract revisions.
+	 * @returns {Promise<Object>} - The report: `framework`, `imported` (files, contracts, main contract, config,
+	 *   dependencies) and `unmapped` (files, contracts, config and dependencies that were not imported).
+	 * @throws {Error} - If the archive is invalid, too large or has no Solidity sources.
+	 */
+	static async import(project, buffer, options = {}) {
+		const { fileName = null, replace = false, author = {} } = options;
+
+		const format = buffer[0] === 0x50 && buffer[1] === 0x4b ? 'zip' : 'tar';
+		const entries = format === 'zip'
+			? readZip(buffer, { maxSize: this.maxArchiveSize })
+			: readTar(buffer, { maxSize: this.maxArchiveSize });
+
+		const { files, skipped } = normalizeEntries(entries);
+
+		if(![ ...files.keys() ].some(file => file.endsWith('.sol'))) throw new Error('The archive has no Solidity files');
+
+		const config = this.readConfig(files);
+		config.unmapped.push(...checkSettings(config.settings));
+
+		const report = {
+			framework: config.framework,
+			imported: { files: [], contracts: [], main: null, config: config.settings, dependencies: [] },
+			unmapped: { files: skipped, contracts: [], config: config.unmapped, dependencies: [] },
+		};
+
+		// Every file goes to a workspace folder or is reported
+		const mapped = [];
+		const vendored = new Set();
+
+		for(const [ file, content ] of files) {
+			const folder = Object.keys(config.folders).find(from => file.startsWith(`${ from }/`));
+
+			if(config.files.includes(file)) continue;
+
+			if(VENDORED.test(file)) {
+				// Libraries are reported once, e.g. lib/forge-std or node_modules/@openzeppelin/contracts
+				const segments = file.split('/');
+				vendored.add(segments.slice(0, segments[1].startsWith('@') ? 3 : 2).join('/'));
+				continue;
+			}
+
+			if(!folder) {
+				report.unmapped.files.push({ path: file, reason: 'Not part of the sources, tests or scripts' });
+				continue;
+			}
+
+			const { to, solidityOnly } = config.folders[folder];
+			if(solidityOnly && !file.endsWith('.sol')) {
+				report.unmapped.files.push({ path: file, reason: 'Only Solidity tests can be run' });
+				continue;
+			}
+
+			if(content.length > WorkspaceService.maxFileSize) {
+				report.unmapped.files.push({ path: file, reason: `Larger than ${ WorkspaceService.maxFileSize } bytes` });
+				continue;
+			}
+
+			mapped.push({ from: file, path: to + file.slice(folder.length), content });
+		}
+
+		const size = mapped.reduce((total, file) => total + file.content.length, 0);
+		if(mapped.length > WorkspaceService.maxFiles) throw new Error(`The archive has more than ${ WorkspaceService.maxFiles } source files`);
+		if(size > WorkspaceService.maxSize) throw new Error(`The sources are larger than ${ WorkspaceService.maxSize } bytes`);
+
+		// Paths are checked before anything is written
+		for(const file of mapped) file.path = WorkspaceService.resolve(project, file.path).path;
+
+		project = await WorkspaceService.init(project);
+
+		if(replace) {
+			for(const node of await WorkspaceService.tree(project)) {
+				for(const child of node.children) await WorkspaceService.remove(project, child.path);
+			}
+		}
+
+		for(const file of mapped) {
+			const { absolute } = WorkspaceService.resolve(project, file.path);
+			await fs.promises.mkdir(path.dirname(absolute), { recursive: true });
+			await fs.promises.writeFile(absolute, file.content);
+			report.imported.files.push(file.path);
+		}
+
+		// Settings, so the contracts compile like they did in their own repository
+		const sources = mapped.filter(file => file.path.startsWith('src/') && file.path.endsWith('.sol'));
+		const compilerVersion = config.settings.compilerVersion || pragmaVersion(sources.map(file => file.content.toString('utf8')));
+		if(!config.settings.compilerVersion && compilerVersion) report.imported.config.compilerVersionFrom = 'pragma';
+
+		const { dependencies, unresolved } = this.readDependencies(files, vendored);
+		report.unmapped.dependencies = unresolved;
+
+		const remappings = config.settings.remappings.map(remapping => {
+			const [ prefix, target = '' ] = remapping.split('=');
+			const folder = Object.keys(config.folders).find(from => target === from || target.startsWith(`${ from }/`));
+			return folder ? `${ prefix }=${ config.folders[folder].to }${ target.slice(folder.length) }` : remapping;
+		});
+
+		const settings = {
+			compilerVersion: compilerVersion || project.compilerVersion || '0.8.19',
+			remappings,
+			optimizer: config.settings.optimizer || undefined,
+			viaIr: config.settings.viaIr,
+			evmVersion: config.settings.evmVersion,
+		};
+
+		await fs.promises.writeFile(path.join(WorkspaceService.dir(project), 'foundry.toml'), WorkspaceService.foundryToml(settings));
+
+		project = await PrimateService.prisma.project.update({
+			where: { id: project.id },
+			data: {
+				compilerVersion: settings.compilerVersion,
+				dependencies: mergeDependencies(project.dependencies, dependencies),
+				foundryConfig: {
+					...(project.foundryConfig || {}),
+					remappings,
+					...(settings.optimizer ? { optimizer: settings.optimizer } : {}),
+					...(settings.evmVersion ? { evmVersion: settings.evmVersion } : {}),
+					...(settings.viaIr ? { viaIr: true } : {}),
+				},
+				metas: {
+					...(project.metas || {}),
+					imported: { fileName, format, framework: config.framework, importedAt: new Date().toISOString() },
+				},
+			},
+		});
+
+		try {
+			const synced = await DependencyService.sync(project, { download: true });
+			report.imported.dependencies = synced.dependencies;
+			report.imported.config.remappings = synced.remappings;
+			report.unmapped.dependencies.push(...synced.missing);
+		} catch(e) {
+			this.logger.warn(`Could not install the dependencies of project ${ project.id }: ${ e.message }`);
+			report.unmapped.dependencies.push(...dependencies.map(dependency => ({ dependency, error: e.message })));
+		}
+
+		// Contracts, one per deployable contract of the sources
+		const revisionAuthor = { ...author, summary: `Imported from ${ fileName || 'an archive' }` };
+
+		for(const file of sources.sort((a, b) => a.path.localeCompare(b.path))) {
+			const content = file.content.toString('utf8');
+			const { saved } = await WorkspaceService.syncContracts(project, file.path, content, revisionAuthor);
+			report.imported.contracts.push(...saved.map(contract => ({ ...contract, filePath: file.path })));
+
+			for(const name of WorkspaceService.declaredContracts(file.path, content)) {
+				if(!saved.some(contract => contract.name === name)) {
+					report.unmapped.contracts.push({ name, path: file.path, reason: 'Another file declares a contract with the same name' });
+				}
+			}
+		}
+
+		report.imported.main = await this.pickMain(project, report.imported.contracts, mapped);
+
+		this.logger.info(`Imported ${ report.imported.files.length } files and ${ report.imported.contracts.length } contracts into project ${ project.id }`);
+
+		return report;
+	}
+
+	/**
+	 * Detects the framework of an unpacked project and reads its settings.
+	 *
+	 * @param {Map<string, Buffer>} files - The files by path.
+	 * @returns {{framework: string, folders: Object, files: string[], settings: Object, unmapped: Array}} - `folders`
+	 *   maps the project folders to the workspace ones, `files` lists the config files that were read.
+	 */
+	static readConfig(files) {
+		const text = file => files.get(file)?.toString('utf8');
+		const hardhatConfig = [ 'hardhat.config.ts', 'hardhat.config.js', 'hardhat.config.cjs', 'hardhat.config.mjs' ].find(file => files.has(file));
+
+		const settings = { compilerVersion: null, optimizer: null, evmVersion: null, viaIr: false, remappings: [] };
+		const unmapped = [];
+
+		if(files.has('remappings.txt')) {
+			settings.remappings = text('remappings.txt').split('\n').map(line => line.trim()).filter(line => line && !line.startsWith('#'));
+		}
+
+		if(files.has('foundry.toml')) {
+			const toml = parseFoundryToml(text('foundry.toml'));
+			const known = [ 'src', 'test', 'script', 'out', 'libs', 'solc', 'solc_version', 'optimizer', 'optimizer_runs', 'via_ir', 'evm_version', 'remappings' ];
+
+			settings.compilerVersion = toml.solc_version || toml.solc || null;
+			settings.optimizer = { enabled: toml.optimizer ?? true, runs: toml.optimizer_runs ?? 200 };
+			settings.evmVersion = toml.evm_version || null;
+			settings.viaIr = !!toml.via_ir;
+			settings.remappings = [ ...new Set([ ...(toml.remappings || []), ...settings.remappings ]) ];
+
+			for(const key of Object.keys(toml).filter(key => !known.includes(key))) unmapped.push({ key, reason: 'Not supported, foundry.toml setting' });
+
+			return {
+				framework: 'Foundry',
+				folders: {
+					[toml.src || 'src']: { to: 'src' },
+					[toml.test || 'test']: { to: 'test' },
+					[toml.script || 'script']: { to: 'script' },
+				},
+				files: [ 'foundry.toml', 'remappings.txt' ],
+				settings,
+				unmapped,
+			};
+		}
+
+		if(hardhatConfig) {
+			const source = text(hardhatConfig);
+			const versions = [ ...new Set([ ...source.matchAll(/(?:version|solidity)\s*:\s*["'](\d+\.\d+\.\d+)["']/g) ].map(match => match[1])) ];
+			const paths = source.match(/paths\s*:\s*{([^}]*)}/)?.[1] || '';
+
+			settings.compilerVersion = versions.length ? pragmaVersion(versions.map(version => `pragma solidity ${ version };`)) : null;
+			if(versions.length > 1) unmapped.push({ key: 'solidity.compilers', reason: `Several compilers (${ versions.join(', ') }), ${ settings.compilerVersion } is used for all sources` });
+
+			const optimizer = source.match(/optimizer\s*:\s*{([^}]*)}/)?.[1];
+			if(optimizer) {
+				settings.optimizer = {
+					enabled: /enabled\s*:\s*true/.test(optimizer),
+					runs: parseInt(optimizer.match(/runs\s*:\s*(\d+)/)?.[1] || '200', 10),
+				};
+			}
+
+			settings.evmVersion = source.match(/evmVersion\s*:\s*["'](\w+)["']/)?.[1] || null;
+			settings.viaIr = /viaIR\s*:\s*true/.test(source);
+
+			if(/networks\s*:/.test(source)) unmapped.push({ key: 'networks', reason: 'Networks are managed by the platform' });
+
+			return {
+				framework: 'Hardhat',
+				folders: {
+					[paths.match(/sources\s*:\s*["']\.?\/?([^"']+)["']/)?.[1] || 'contracts']: { to: 'src' },
+					[paths.match(/tests\s*:\s*["']\.?\/?([^"']+)["']/)?.[1] || 'test']: { to: 'test', solidityOnly: true },
+				},
+				files: [ hardhatConfig, 'remappings.txt', 'package.json' ],
+				settings,
+				unmapped,
+			};
+		}
+
+		return {
+			framework: 'Solidity',
+			folders: { src: { to: 'src' }, contracts: { to: 'src' }, test: { to: 'test', solidityOnly: true }, script: { to: 'script' } },
+			files: [ 'remappings.txt' ],
+			settings,
+			unmapped,
+		};
+	}
+
+	/**
+	 * Finds the libraries of an unpacked project, from lib/ (Foundry) or package.json (Hardhat).
+	 *
+	 * @param {Map<string, Buffer>} files - The files by path.
+	 * @param {Set<string>} vendored - The library folders, e.g. lib/forge-std.
+	 * @returns {{dependencies: string[], unresolved: Array<{dependency: string, error: string}>}}
+	 */
+	static readDependencies(files, vendored) {
+		const dependencies = [];
+		const unresolved = [];
+
+		const add = (name, version) => {
+			try {
+				dependencies.push(DependencyService.parse(version ? `${ name }@${ version }` : name).spec);
+			} catch(e) {
+				// A version that is not available falls back to the default one
+				try {
+					const { spec } = DependencyService.parse(name);
+					dependencies.push(spec);
+					unresolved.push({ dependency: `${ name }@${ version }`, error: `${ e.message }. ${ spec } is used instead` });
+				} catch(error) {
+					unresolved.push({ dependency: name, error: error.message });
+				}
+			}
+		};
+
+		for(const folder of vendored) {
+			if(!folder.startsWith('lib/')) continue;
+
+			let version = null;
+			try {
+				version = JSON.parse(files.get(`${ folder }/package.json`)?.toString('utf8') || '{}').version || null;
+			} catch(e) {
+				// Libraries without a readable package.json get the default version
+			}
+
+			add(folder.slice(4), version);
+		}
+
+		if(files.has('package.json')) {
+			try {
+				const manifest = JSON.parse(files.get('package.json').toString('utf8'));
+				const packages = { ...(manifest.dependencies || {}), ...(manifest.devDependencies || {}) };
+
+				// Only packages that are Solidity libraries, tooling such as hardhat itself is left out
+				for(const [ name, range ] of Object.entries(packages)) {
+					if(!DependencyService.list().some(library => library.aliases.includes(name))) continue;
+					add(name, String(range).match(/\d+\.\d+\.\d+/)?.[0]);
+				}
+			} catch(e) {
+				unresolved.push({ dependency: 'package.json', error: `Could not be read: ${ e.message }` });
+			}
+		}
+
+		return { dependencies: [ ...new Set(dependencies) ], unresolved };
+	}
+
+	/**
+	 * Picks the main contract of an imported project, unless it already has one: the contract named
+	 * like the project, then the one deployed by the scripts, then the one the tests create, and
+	 * finally the largest.
+	 *
+	 * @param {Object} project - The project.
+	 * @param {Array<{id: number, name: string}>} contracts - The imported contracts.
+	 * @param {Array<{path: string, content: Buffer}>} files - The imported files.
+	 * @returns {Promise<Object|null>} - The main contract, `{ id, name, reason }`.
+	 */
+	static async pickMain(project, contracts, files) {
+		const current = await PrimateService.prisma.contract.findFirst({ where: { projectId: project.id, isMain: true } });
+		if(current) return { id: current.id, name: current.name, reason: 'Already the main contract' };
+		if(!contracts.length) return null;
+
+		const texts = folder => files.filter(file => file.path.startsWith(`${ folder }/`)).map(file => file.content.toString('utf8')).join('\n');
+		const scripts = texts('script');
+		const tests = texts('test');
+		const projectName = (project.name || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+		const size = contract => files.find(file => file.path === contract.filePath)?.content.length || 0;
+
+		const scored = contracts.map(contract => {
+			const deploys = text => new RegExp(`\\bnew\\s+${ contract.name }\\s*[({]`).test(text);
+
+			if(contract.name.toLowerCase() === projectName) return { contract, score: 3, reason: 'Named like the project' };
+			if(deploys(scripts)) return { contract, score: 2, reason: 'Deployed by the scripts' };
+			if(deploys(tests)) return { contract, score: 1, reason: 'Created by the tests' };
+			return { contract, score: 0, reason: 'Largest source' };
+		}).sort((a, b) => b.score - a.score || size(b.contract) - size(a.contract));
+
+		const { contract, reason } = scored[0];
+
+		await PrimateService.prisma.contract.update({ where: { id: contract.id }, data: { isMain: true } });
+
+		return { id: contract.id, name: contract.name, reason };
+	}
+}
+
+export default ProjectArchiveService;
@@ -0,0 +1,311 @@
+import 'dotenv/config';
+import axios from 'axios';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createRequire } from 'module';
+import solc from 'solc';
+import setupMethods from 'solc/wrapper.js';
+import { createLogger } from '#utils/logger.js';
+
+const require = createRequire(import.meta.url);
+
+/**
+ * Compiles Solidity with solc-js.
+ *
+ * Compiler builds are pinned per project: the soljson release matching `Project.compilerVersion`
+ * is downloaded once from the solc binaries mirror into a local cache and reused afterwards.
+ */
+class SolcService {
+
+	static logger = createLogger({ name: 'SolcService' });
+
+	static binariesUrl = process.env.SOLC_BINARIES_URL || 'https://binaries.soliditylang.org/bin';
+	static cacheDir = process.env.SOLC_CACHE_DIR || path.join(os.tmpdir(), 'solc-cache');
+
+	/** @type {Map<string, Object>} Loaded compilers keyed by version */
+	static compilers = new Map();
+
+	static releases = null;
+
+	/**
+	 * Returns the release list of the solc binaries mirror (version => soljson file name).
+	 * The list is cached on disk so compilers already downloaded keep working offline.
+	 *
+	 * @returns {Promise<Object>}
+	 */
+	static async getReleases() {
+		if(this.releases) return this.releases;
+
+		const listPath = path.join(this.cacheDir, 'list.json');
+
+		try {
+			const response = await axios.get(`${ this.binariesUrl }/list.json`, { timeout: 15000 });
+			await fs.promises.mkdir(this.cacheDir, { recursive: true });
+			await fs.promises.writeFile(listPath, JSON.stringify(response.data));
+			this.releases = response.data.releases;
+		} catch(error) {
+			if(!fs.existsSync(listPath)) throw new Error(`Could not fetch the solc release list: ${ error.message }`);
+
+			this.logger.warn(`Using cached solc release list: ${ error.message }`);
+			this.releases = JSON.parse(await fs.promises.readFile(listPath, 'utf8')).releases;
+		}
+
+		return this.releases;
+	}
+
+	/**
+	 * Loads the compiler for an exact Solidity version (e.g. 0.8.19).
+	 *
+	 * @param {string} version - The Solidity version.
+	 * @returns {Promise<Object>} - The solc-js compiler.
+	 */
+	static async loadCompiler(version) {
+		if(!/^\d+\.\d+\.\d+$/.test(version || '')) throw new Error(`Invalid compiler version: ${ version }`);
+
+		if(this.compilers.has(version)) return this.compilers.get(version);
+
+		// The bundled compiler avoids a download when it already matches
+		if(solc.version().startsWith(`${ version }+`)) {
+			this.compilers.set(version, solc);
+			return solc;
+		}
+
+		const releases = await this.getReleases();
+		const fileName = releases[version];
+		if(!fileName) throw new Error(`Solidity compiler ${ version } is not available`);
+
+		const filePath = path.join(this.cacheDir, fileName);
+
+		if(!fs.existsSync(filePath)) {
+			this.logger.info(`Downloading solc ${ fileName }...`);
+			const response = await axios.get(`${ this.binariesUrl }/${ fileName }`, {
+				responseType: 'arraybuffer',
+				timeout: 120000,
+			});
+
+			await fs.promises.mkdir(this.cacheDir, { recursive: true });
+			// Write to a temporary file first so a failed download never leaves a corrupt build
+			await fs.promises.writeFile(`${ filePath }.part`, Buffer.from(response.data));
+			await fs.promises.rename(`${ filePath }.part`, filePath);
+		}
+
+		const compiler = setupMethods(require(filePath));
+		this.compilers.set(version, compiler);
+
+		this.logger.info(`Loaded solc ${ compiler.version() }`);
+		return compiler;
+	}
+
+	/**
+	 * Resolves the optimizer settings of a project.
+	 *
+	 * @param {Object} foundryConfig - The project's foundry config.
+	 * @param {Object} [overrides={}] - Explicit settings ({ enabled, runs }).
+	 * @returns {{enabled: boolean, runs: number}}
+	 */
+	static optimizerSettings(foundryConfig = {}, overrides = {}) {
+		const optimizer = foundryConfig?.optimizer || {};
+
+		return {
+			enabled: overrides.enabled ?? optimizer.enabled ?? true,
+			runs: parseInt(overrides.runs ?? optimizer.runs ?? 200, 10),
+		};
+	}
+
+	/**
+	 * Builds the standard JSON input for a project's contracts.
+	 *
+	 * @param {Object} project - The project with its foundryConfig.
+	 * @param {Array} contracts - Contracts with name, sourceCode and metas.filePath.
+	 * @param {Object} [options={}] - Compiler options.
+	 * @param {{enabled: boolean, runs: number}} [options.optimizer] - Optimizer settings.
+	 * @returns {Object} - The standard JSON input.
+	 */
+	static buildInput(project, contracts, options = {}) {
+		const foundryConfig = project.foundryConfig || {};
+		const sources = {};
+
+		for(const contract of contracts) {
+			sources[this.sourcePath(contract)] = { content: contract.sourceCode };
+		}
+
+		const settings = {
+			optimizer: options.optimizer || this.optimizerSettings(foundryConfig),
+			remappings: foundryConfig.remappings || [],
+			outputSelection: {
+				'*': {
+					'*': [ 'abi', 'evm.bytecode.object', 'evm.deployedBytecode.object', 'metadata' ],
+				},
+			},
+		};
+
+		if(foundryConfig.evmVersion) settings.evmVersion = foundryConfig.evmVersion;
+		if(foundryConfig.viaIr) settings.viaIR = true;
+
+		return { language: 'Solidity', sources, settings };
+	}
+
+	/**
+	 * Returns the source unit path of a contract inside the project.
+	 *
+	 * @param {Object} contract - The contract.
+	 * @returns {string}
+	 */
+	static sourcePath(contract) {
+		return contract.metas?.filePath || `src/${ contract.name }.sol`;
+	}
+
+	/**
+	 * Compiles a standard JSON input. Imports that are not part of the input are read
+	 * from the project directory, never from outside it.
+	 *
+	 * @param {string} version - The Solidity version.
+	 * @param {Object} input - The standard JSON input.
+	 * @param {Object} [options={}] - Compile options.
+	 * @param {string} [options.baseDir] - Directory used to resolve imports.
+	 * @returns {Promise<{output: Object, diagnostics: Array, errors: Array, warnings: Array, version: string, sources: Object}>}
+	 *   `sources` holds the content of every compiled file, imports included, keyed by source unit path.
+	 */
+	static async compile(version, input, options = {}) {
+		const compiler = await this.loadCompiler(version);
+		const baseDir = options.baseDir ? path.resolve(options.baseDir) : null;
+		const loadedSources = {};
+
+		const findImports = (importPath) => {
+			if(!baseDir) return { error: `File not found: ${ importPath }` };
+
+			const resolved = path.resolve(baseDir, importPath);
+			if(!resolved.startsWith(baseDir + path.sep)) return { error: `Import outside the project: ${ importPath }` };
+
+			try {
+				const contents = fs.readFileSync(resolved, 'utf8');
+				loadedSources[importPath] = contents;
+				return { contents };
+			} catch(e) {
+				return { error: `File not found: ${ importPath }` };
+			}
+		};
+
+		const output = JSON.parse(compiler.compile(JSON.stringify(input), { import: findImports }));
+
+		const sourceContents = { ...loadedSources };
+		for(const [ file, source ] of Object.entries(input.sources)) sourceContents[file] = source.content;
+
+		const diagnostics = (output.errors || []).map(error => this.toDiagnostic(error, sourceContents));
+
+		return {
+			output,
+			diagnostics,
+			errors: diagnostics.filter(d => d.severity === 'error'),
+			warnings: diagnostics.filter(d => d.severity === 'warning'),
+			version: compiler.version(),
+			sources: sourceContents,
+		};
+	}
+
+	/**
+	 * Parses sources into ASTs with the bundled compiler, without resolving imports or type checking.
+	 * Version pragmas are replaced by `*` (offsets are kept) so sources written for any 0.x compiler parse.
+	 *
+	 * @param {Object} sources - Source contents keyed by source unit path.
+	 * @returns {{asts: Object, diagnostics: Array}} - ASTs keyed by path (sources that fail to parse have none)
+	 *   and the parser errors.
+	 */
+	static parse(sources) {
+		const asts = {};
+		const diagnostics = [];
+
+		// One file per run, a syntax error in one source would otherwise drop the ASTs of all
+		for(const [ file, content ] of Object.entries(sources)) {
+			const neutralized = content.replace(/(pragma\s+solidity\s+)([^;]+)/g,
+				(match, prefix, version) => prefix + '*' + ' '.repeat(version.length - 1));
+
+			const input = {
+				language: 'Solidity',
+				sources: { [file]: { content: neutralized } },
+				settings: { stopAfter: 'parsing', outputSelection: { '*': { '': [ 'ast' ] } } },
+			};
+
+			const output = JSON.parse(solc.compile(JSON.stringify(input)));
+
+			for(const error of output.errors || []) diagnostics.push(this.toDiagnostic(error, sources));
+			if(output.sources?.[file]?.ast) asts[file] = output.sources[file].ast;
+		}
+
+		return { asts, diagnostics };
+	}
+
+	/**
+	 * Converts a compiler error into a diagnostic with file, line and column positions (1-based).
+	 *
+	 * @param {Object} error - Compiler error from the standard JSON output.
+	 * @param {Object} sources - Source contents keyed by file.
+	 * @returns {Object}
+	 */
+	static toDiagnostic(error, sources) {
+		const location = error.sourceLocation;
+		const diagnostic = {
+			severity: error.severity,
+			type: error.type,
+			code: error.errorCode || null,
+			message: error.message,
+			formattedMessage: error.formattedMessage || error.message,
+			file: location?.file || null,
+			line: null,
+			column: null,
+			endLine: null,
+			endColumn: null,
+		};
+
+		const content = location ? sources[location.file] : null;
+
+		if(content && location.start >= 0) {
+			const start = this.position(content, location.start);
+			const end = this.position(content, Math.max(location.start, location.end));
+
+			diagnostic.line = start.line;
+			diagnostic.column = start.column;
+			diagnostic.endLine = end.line;
+			diagnostic.endColumn = end.column;
+		}
+
+		return diagnostic;
+	}
+
+	/**
+	 * Converts a solc source offset into a 1-based line and column. solc offsets count UTF-8 bytes,
+	 * the column counts characters.
+	 *
+	 * @param {string} content - The source.
+	 * @param {number} offset - The byte offset.
+	 * @returns {{line: number, column: number}}
+	 */
+	static position(content, offset) {
+		const before = Buffer.from(content).subarray(0, offset).toString('utf8').split('\n');
+		return { line: before.length, column: before[before.length - 1].length + 1 };
+	}
+
+	/**
+	 * Formats diagnostics as a plain-text build log.
+	 *
+	 * @param {Array} diagnostics - Diagnostics returned by compile().
+	 * @param {string} version - Compiler version used.
+	 * @returns {string}
+	 */
+	static formatLog(diagnostics, version) {
+		const errors = diagnostics.filter(d => d.severity === 'error').length;
+		const warnings = diagnostics.filter(d => d.severity === 'warning').length;
+
+		const lines = [ `Compiled with solc ${ version }: ${ errors } error(s), ${ warnings } warning(s)` ];
+
+		for(const d of diagnostics) {
+			const where = d.file ? `${ d.file }${ d.line ? `:${ d.line }:${ d.column }` : '' }` : '';
+			lines.push('', `${ d.severity.toUpperCase() } ${ where }`.trim(), d.formattedMessage.trim());
+		}
+
+		return lines.join('\n');
+	}
+}
+
+export default SolcService;
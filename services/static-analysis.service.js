@@ -0,0 +1,477 @@
+import 'dotenv/config';
+import crypto from 'crypto';
+import SolcService from '#services/solc.service.js';
+import { createLogger } from '#utils/logger.js';
+
+const severities = [ 'High', 'Medium', 'Low', 'Informational' ];
+
+// Low-level calls that hand control to the callee, and OpenZeppelin Address helpers that wrap them
+const lowLevelCalls = [ 'call', 'delegatecall', 'staticcall', 'send' ];
+const valueCalls = [ 'call', 'sendValue', 'functionCallWithValue' ];
+
+const accessModifier = /only|auth|role|owner|admin|governance|restricted|whitelist|guard/i;
+const reentrancyGuard = /^(nonReentrant\w*|noReentran(cy|t)|reentrancyGuard|lock|locked|mutex)$/i;
+
+// Public functions with these names change privileged state or mint supply
+const mintName = /^(mint|safeMint|mintTo|mintBatch)([A-Z_]|$)/;
+const privilegedName = /^(set|update|change|configure|pause|unpause|upgrade|rescue|sweep|enable|disable|grant|revoke|withdrawAll|emergencyWithdraw)([A-Z_]|$)/;
+
+/**
+ * Visits every node of an AST depth-first, passing the ancestors of each node.
+ */
+function walk(node, visit, parents = []) {
+	if(!node || typeof node !== 'object') return;
+
+	if(Array.isArray(node)) {
+		for(const child of node) walk(child, visit, parents);
+		return;
+	}
+
+	if(node.nodeType) visit(node, parents);
+
+	const ancestors = node.nodeType ? [ ...parents, node ] : parents;
+	for(const [ key, value ] of Object.entries(node)) {
+		if(key !== 'typeDescriptions' && value && typeof value === 'object') walk(value, visit, ancestors);
+	}
+}
+
+function find(node, predicate) {
+	const found = [];
+	walk(node, (child, parents) => {
+		if(predicate(child, parents)) found.push({ node: child, parents });
+	});
+	return found;
+}
+
+function start(node) {
+	return parseInt(node.src.split(':')[0], 10);
+}
+
+// Name of the variable an lvalue such as `balances[user].amount` writes to
+function baseName(expression) {
+	let current = expression;
+
+	while(current) {
+		if(current.nodeType === 'Identifier') return current.name;
+		if(current.nodeType === 'IndexAccess') current = current.baseExpression;
+		else if(current.nodeType === 'MemberAccess') current = current.expression;
+		else if(current.nodeType === 'TupleExpression') return null;
+		else return null;
+	}
+
+	return null;
+}
+
+// The called member of `x.call(...)` or `x.call{value: v}(...)`
+function calledMember(call) {
+	const callee = call.expression?.nodeType === 'FunctionCallOptions' ? call.expression.expression : call.expression;
+	return callee?.nodeType === 'MemberAccess' ? callee.memberName : null;
+}
+
+function callOptions(call) {
+	return call.expression?.nodeType === 'FunctionCallOptions' ? call.expression.names || [] : [];
+}
+
+function isMsgSender(node) {
+	return (node.nodeType === 'MemberAccess' && node.memberName === 'sender' && node.expression?.name === 'msg')
+		|| (node.nodeType === 'FunctionCall' && node.expression?.name === '_msgSender');
+}
+
+function isExternallyCallable(fn) {
+	return fn.kind === 'function' && [ 'public', 'external' ].includes(fn.visibility);
+}
+
+function isReadOnly(fn) {
+	return [ 'view', 'pure' ].includes(fn.stateMutability);
+}
+
+function modifierNames(fn) {
+	return (fn.modifiers || []).map(modifier => modifier.modifierName?.name || '');
+}
+
+function within(node, container) {
+	const [ offset, length ] = container.src.split(':').map(Number);
+	return start(node) >= offset && start(node) < offset + length;
+}
+
+// Part of the condition of an `if` (which covers `if(...) revert`), or of a require or assert
+function inCondition(node, parents) {
+	return parents.some(parent => (parent.nodeType === 'IfStatement' && within(node, parent.condition))
+		|| (parent.nodeType === 'FunctionCall' && [ 'require', 'assert' ].includes(parent.expression?.name)
+			&& parent.arguments?.[0] && within(node, parent.arguments[0])));
+}
+
+// The caller compared to something (`msg.sender == owner`) or passed to a check (`hasRole(ROLE, msg.sender)`)
+// in a condition. Using msg.sender as a key, in an event or as a recipient does not restrict anything.
+function comparesCaller(node, parents) {
+	const parent = parents[parents.length - 1];
+	const compared = (parent?.nodeType === 'BinaryOperation' && [ '==', '!=' ].includes(parent.operator))
+		|| (parent?.nodeType === 'FunctionCall' && parent.arguments?.includes(node));
+
+	return compared && inCondition(node, parents);
+}
+
+// Restricted by a modifier, an explicit caller check, or OpenZeppelin's internal checks
+function checksCaller(fn) {
+	if(modifierNames(fn).some(name => accessModifier.test(name))) return true;
+
+	return find(fn.body, (node, parents) => (isMsgSender(node) && comparesCaller(node, parents))
+		|| (node.nodeType === 'Identifier' && /^(_checkOwner|_checkRole|hasRole|_authorizeUpgrade)$/.test(node.name))).length > 0;
+}
+
+function stateVariables(contract) {
+	return new Set((contract.nodes || [])
+		.filter(node => node.nodeType === 'VariableDeclaration' && node.mutability !== 'constant' && node.mutability !== 'immutable')
+		.map(node => node.name));
+}
+
+/**
+ * Detectors run over the parsed source of each contract. `run(context)` returns raw findings:
+ * `{ node, description, severity?, functionName? }`, where severity overrides the detector default.
+ */
+const detectors = [
+	{
+		id: 'reentrancy',
+		title: 'State written after an external call',
+		severity: 'High',
+		recommendation: 'Update state before the external call (checks-effects-interactions) or protect the function with a reentrancy guard such as OpenZeppelin ReentrancyGuard.',
+		run({ contract, functions, state }) {
+			const findings = [];
+
+			for(const fn of functions) {
+				if(!fn.body || isReadOnly(fn) || modifierNames(fn).some(name => reentrancyGuard.test(name))) continue;
+
+				const calls = find(fn.body, node => node.nodeType === 'FunctionCall'
+					&& ([ 'call', 'delegatecall' ].includes(calledMember(node)) || valueCalls.includes(calledMember(node))));
+
+				for(const { node: call } of calls) {
+					const writes = find(fn.body, node => start(node) > start(call) && (
+						(node.nodeType === 'Assignment' && state.has(baseName(node.leftHandSide)))
+						|| (node.nodeType === 'UnaryOperation' && [ '++', '--', 'delete' ].includes(node.operator) && state.has(baseName(node.subExpression)))
+					));
+
+					if(writes.length === 0) continue;
+
+					const written = [ ...new Set(writes.map(({ node }) => baseName(node.leftHandSide || node.subExpression))) ];
+					const withValue = callOptions(call).includes('value') || calledMember(call) !== 'call';
+
+					findings.push({
+						node: call,
+						functionName: fn.name,
+						severity: withValue ? 'High' : 'Medium',
+						description: `${ contract.name }.${ fn.name } makes an external call and writes ${ written.join(', ') } afterwards. The callee can re-enter the contract while that state is stale.`,
+					});
+				}
+			}
+
+			return findings;
+		},
+	},
+	{
+		id: 'unchecked-call',
+		title: 'Unchecked call result',
+		severity: 'Medium',
+		recommendation: 'Check the returned success flag (e.g. `require(success)`), or use OpenZeppelin Address and SafeERC20, which revert on failure.',
+		run({ contract, functions }) {
+			const findings = [];
+
+			for(const fn of functions) {
+				if(!fn.body) continue;
+
+				for(const { node: call, parents } of find(fn.body, node => node.nodeType === 'FunctionCall')) {
+					const member = calledMember(call);
+					const parent = parents[parents.length - 1];
+
+					const lowLevel = lowLevelCalls.includes(member);
+					// transfer(to, amount) and transferFrom(from, to, amount) are ERC20 calls, address.transfer takes one argument
+					const token = (member === 'transfer' && call.arguments.length === 2) || (member === 'transferFrom' && call.arguments.length === 3);
+					if(!lowLevel && !token) continue;
+
+					let unchecked = parent?.nodeType === 'ExpressionStatement';
+
+					if(lowLevel && parent?.nodeType === 'VariableDeclarationStatement') {
+						const success = parent.declarations?.[0];
+						unchecked = !success || find(fn.body, node => node.nodeType === 'Identifier'
+							&& node.name === success.name && start(node) > start(parent)).length === 0;
+					}
+
+					if(!unchecked) continue;
+
+					findings.push({
+						node: call,
+						functionName: fn.name,
+						severity: lowLevel ? 'Medium' : 'Low',
+						description: lowLevel
+							? `${ contract.name }.${ fn.name } ignores whether a low-level ${ member } succeeded, so a failed call goes unnoticed.`
+							: `${ contract.name }.${ fn.name } ignores the boolean returned by ${ member }. Tokens that return false instead of reverting make the transfer fail silently.`,
+					});
+				}
+			}
+
+			return findings;
+		},
+	},
+	{
+		id: 'tx-origin',
+		title: 'tx.origin used for authorization',
+		severity: 'High',
+		recommendation: 'Authorize with msg.sender. tx.origin is the account that started the transaction, so any contract that account calls can act on its behalf.',
+		run({ contract, source }) {
+			return find(source, node => node.nodeType === 'MemberAccess' && node.memberName === 'origin' && node.expression?.name === 'tx')
+				.map(({ node, parents }) => {
+					const comparison = [ ...parents ].reverse().find(parent => parent.nodeType === 'BinaryOperation' && [ '==', '!=' ].includes(parent.operator));
+					const fn = parents.find(parent => parent.nodeType === 'FunctionDefinition' || parent.nodeType === 'ModifierDefinition');
+					const withSender = comparison && find(comparison, isMsgSender).length > 0;
+
+					return {
+						node,
+						functionName: fn?.name || null,
+						// tx.origin == msg.sender only tells contracts and EOAs apart
+						severity: comparison ? (withSender ? 'Low' : 'High') : 'Medium',
+						description: comparison && !withSender
+							? `${ contract.name } compares tx.origin to authorize the caller. A malicious contract called by the authorized account passes this check.`
+							: `${ contract.name } reads tx.origin${ withSender ? ' to tell contracts and externally owned accounts apart, which breaks for smart contract wallets' : '' }.`,
+					};
+				});
+		},
+	},
+	{
+		id: 'missing-access-control',
+		title: 'Privileged function without access control',
+		severity: 'High',
+		recommendation: 'Restrict the function to authorized accounts, e.g. with OpenZeppelin Ownable (onlyOwner) or AccessControl (onlyRole).',
+		run({ contract, functions }) {
+			const findings = [];
+
+			for(const fn of functions) {
+				if(!fn.body || !isExternallyCallable(fn) || isReadOnly(fn) || checksCaller(fn)) continue;
+
+				// Payable mints are usually public sales
+				const mint = mintName.test(fn.name) && fn.stateMutability !== 'payable';
+				if(!mint && !privilegedName.test(fn.name)) continue;
+
+				findings.push({
+					node: fn,
+					functionName: fn.name,
+					severity: mint ? 'High' : 'Medium',
+					description: `${ contract.name }.${ fn.name } is ${ fn.visibility } and does not check the caller, so anyone can call it.`,
+				});
+			}
+
+			return findings;
+		},
+	},
+	{
+		id: 'floating-pragma',
+		title: 'Floating pragma',
+		severity: 'Informational',
+		recommendation: 'Pin the compiler version the contract was tested with, e.g. `pragma solidity 0.8.20;`.',
+		run({ source, contract, text }) {
+			// Reported once per file, on its first analyzed contract
+			if(source.nodes.find(node => node.nodeType === 'ContractDefinition' && node.contractKind !== 'interface') !== contract) return [];
+
+			return source.nodes
+				.filter(node => node.nodeType === 'PragmaDirective' && node.literals?.[0] === 'solidity')
+				// The parsed literals are neutralized (see SolcService.parse), the version is read from the source
+				.map(node => ({ node, version: text(node).replace(/^pragma\s+solidity\s+|;$/g, '').trim() }))
+				.filter(({ version }) => !/^=?\s*\d+\.\d+\.\d+$/.test(version))
+				.map(({ node, version }) => ({
+					node,
+					description: `The file accepts any compiler matching "${ version }", so it can be deployed with a different compiler than it was tested with.`,
+				}));
+		},
+	},
+	{
+		id: 'unbounded-loop',
+		title: 'Loop over a growing storage array',
+		severity: 'Medium',
+		recommendation: 'Bound the number of iterations (pagination, a maximum length) or replace the loop with a mapping lookup, so the function cannot exceed the block gas limit.',
+		run({ contract, functions, state }) {
+			const findings = [];
+
+			for(const fn of functions) {
+				if(!fn.body) continue;
+
+				const loops = find(fn.body, node => [ 'ForStatement', 'WhileStatement', 'DoWhileStatement' ].includes(node.nodeType) && node.condition);
+
+				for(const { node: loop } of loops) {
+					const lengths = find(loop.condition, node => node.nodeType === 'MemberAccess' && node.memberName === 'length'
+						&& state.has(baseName(node.expression)));
+					if(lengths.length === 0) continue;
+
+					const array = baseName(lengths[0].node.expression);
+					const readOnly = isReadOnly(fn);
+
+					findings.push({
+						node: loop,
+						functionName: fn.name,
+						severity: readOnly ? 'Low' : 'Medium',
+						description: readOnly
+							? `${ contract.name }.${ fn.name } iterates over every element of ${ array }; once it is large enough, calls to it run out of gas.`
+							: `${ contract.name }.${ fn.name } iterates over every element of ${ array }; once it is large enough, the function costs more gas than a block holds and can never succeed.`,
+					});
+				}
+			}
+
+			return findings;
+		},
+	},
+	{
+		id: 'selfdestruct',
+		title: 'selfdestruct',
+		severity: 'High',
+		recommendation: 'Remove selfdestruct. It is deprecated, no longer deletes code since the Cancun upgrade, and sends the whole balance to the given address.',
+		run({ contract, functions }) {
+			const findings = [];
+
+			for(const fn of functions) {
+				const calls = find(fn.body, node => node.nodeType === 'FunctionCall' && [ 'selfdestruct', 'suicide' ].includes(node.expression?.name));
+
+				for(const { node } of calls) {
+					const open = isExternallyCallable(fn) && !checksCaller(fn);
+
+					findings.push({
+						node,
+						functionName: fn.name || fn.kind,
+						severity: open ? 'High' : 'Medium',
+						description: open
+							? `Anyone can call ${ contract.name }.${ fn.name }, which self-destructs the contract and sends its balance away.`
+							: `${ contract.name }.${ fn.name || fn.kind } can self-destruct the contract.`,
+					});
+				}
+			}
+
+			return findings;
+		},
+	},
+];
+
+/**
+ * Static security analysis of Solidity sources.
+ *
+ * Sources are parsed without resolving imports or types, so the detectors match syntactic patterns
+ * (see `detectors`) and can both miss issues and report false positives. Findings have a fingerprint
+ * built from the detector, location names and code, which stays the same when lines move.
+ */
+class StaticAnalysisService {
+
+	static logger = createLogger({ name: 'StaticAnalysisService' });
+
+	static severities = severities;
+	static detectors = detectors;
+
+	// Deployments to mainnets are refused while the project has open high-severity findings
+	static blockMainnet = process.env.ANALYSIS_BLOCK_MAINNET !== 'false';
+
+	/**
+	 * Analyzes Solidity files.
+	 *
+	 * @param {Array<{path: string, content: string}>} files - The files, with any extra properties
+	 *   (e.g. contractId) copied to their findings.
+	 * @returns {{findings: Array<Object>, errors: Array<Object>}} - Findings sorted by severity, and the
+	 *   parser errors of files that could not be analyzed.
+	 */
+	static analyze(files) {
+		const sources = Object.fromEntries(files.map(file => [ file.path, file.content ]));
+		const { asts, diagnostics } = SolcService.parse(sources);
+
+		const findings = [];
+
+		for(const file of files) {
+			const source = asts[file.path];
+			if(!source) continue;
+
+			const { path: filePath, content, ...extra } = file;
+			const lines = this.lineStarts(content);
+
+			for(const contract of source.nodes.filter(node => node.nodeType === 'ContractDefinition' && node.contractKind !== 'interface')) {
+				const context = {
+					source,
+					contract,
+					functions: contract.nodes.filter(node => node.nodeType === 'FunctionDefinition'),
+					state: stateVariables(contract),
+					text: node => this.locate(node, content, lines).code,
+				};
+
+				for(const detector of this.detectors) {
+					for(const raw of detector.run(context)) {
+						findings.push({
+							...extra,
+							...this.locate(raw.node, content, lines),
+							detector: detector.id,
+							severity: raw.severity || detector.severity,
+							title: detector.title,
+							description: raw.description,
+							recommendation: detector.recommendation,
+							filePath,
+							contractName: contract.name,
+							functionName: raw.functionName || null,
+						});
+					}
+				}
+			}
+		}
+
+		for(const finding of findings) {
+			finding.fingerprint = crypto.createHash('sha256')
+				.update([ finding.detector, finding.filePath, finding.contractName, finding.functionName, finding.code ].join('|'))
+				.digest('hex');
+			delete finding.code;
+		}
+
+		findings.sort((a, b) => severities.indexOf(a.severity) - severities.indexOf(b.severity)
+			|| a.filePath.localeCompare(b.filePath) || a.startLine - b.startLine);
+
+		return { findings, errors: diagnostics.filter(diagnostic => diagnostic.severity === 'error') };
+	}
+
+	/**
+	 * Counts findings by severity.
+	 *
+	 * @param {Array<Object>} findings - The findings.
+	 * @returns {{high: number, medium: number, low: number, informational: number}}
+	 */
+	static summarize(findings) {
+		const summary = { high: 0, medium: 0, low: 0, informational: 0 };
+		for(const finding of findings) summary[finding.severity.toLowerCase()]++;
+		return summary;
+	}
+
+	/**
+	 * Returns the byte offset each line starts at. solc source locations are byte offsets.
+	 */
+	static lineStarts(content) {
+		const buffer = Buffer.from(content);
+		const starts = [ 0 ];
+		for(let i = 0; i < buffer.length; i++) if(buffer[i] === 0x0a) starts.push(i + 1);
+		return { buffer, starts };
+	}
+
+	/**
+	 * Returns the 1-based line range of a node, the first lines of its code as a snippet, and its
+	 * code with whitespace collapsed (for the fingerprint).
+	 */
+	static locate(node, content, { buffer, starts }) {
+		const [ offset, length ] = node.src.split(':').map(Number);
+		const line = position => {
+			let low = 0;
+			let high = starts.length - 1;
+			while(low < high) {
+				const mid = Math.ceil((low + high) / 2);
+				if(starts[mid] <= position) low = mid;
+				else high = mid - 1;
+			}
+			return low + 1;
+		};
+
+		const startLine = line(offset);
+		const endLine = line(offset + Math.max(length - 1, 0));
+		const code = buffer.subarray(offset, offset + length).toString('utf8');
+
+		const snippet = content.split('\n').slice(startLine - 1, Math.min(endLine, startLine + 4)).join('\n');
+
+		return { startLine, endLine, snippet, code: code.replace(/\s+/g, ' ').trim() };
+	}
+}
+
+export default StaticAnalysisService;
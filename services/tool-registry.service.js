@@ -0,0 +1,191 @@
+import Ajv from 'ajv';
+import { createLogger } from '#utils/logger.js';
+
+/**
+ * Registry of the tools the AI agent can call.
+ *
+ * A tool is registered once with its JSON schema, executor, required permissions and
+ * context-injection rules. Requests select a subset of the registered tools by name.
+ */
+class ToolRegistryService {
+
+	static logger = createLogger({ name: 'ToolRegistryService' });
+
+	/** @type {Map<string, Object>} */
+	static tools = new Map();
+
+	// Coerces scalar types and fills schema defaults so executors receive complete arguments
+	static ajv = new Ajv({ allErrors: true, useDefaults: true, coerceTypes: true, strict: false });
+
+	/**
+	 * Registers a tool, replacing any previous tool with the same name.
+	 *
+	 * @param {Object} definition - The tool definition.
+	 * @param {string} definition.name - Unique tool name.
+	 * @param {string} definition.description - Description sent to the model.
+	 * @param {Object} definition.parameters - JSON schema of the arguments.
+	 * @param {Function} definition.executor - Function receiving (args, context).
+	 * @param {string[]} [definition.permissions=[]] - Permissions required to run the tool.
+	 * @param {Object} [definition.inject={}] - Context-injection rules keyed by argument name.
+	 * @returns {Object} - The registered tool.
+	 */
+	static register(definition) {
+		const { name, description, parameters, executor, permissions = [], inject = {} } = definition;
+
+		if(!name) throw new Error('Tool name is required');
+		if(typeof executor !== 'function') throw new Error(`Tool ${ name } requires an executor function`);
+
+		if(this.tools.has(name)) this.logger.warn(`Tool ${ name } is already registered, replacing it`);
+
+		const schema = parameters || { type: 'object', properties: {} };
+
+		const tool = {
+			name,
+			description,
+			parameters: schema,
+			executor,
+			permissions,
+			inject,
+			validator: this.ajv.compile(schema),
+		};
+
+		this.tools.set(name, tool);
+		return tool;
+	}
+
+	/**
+	 * Returns a registered tool by name.
+	 *
+	 * @param {string} name - The tool name.
+	 * @returns {Object|null} - The tool, or null if it is not registered.
+	 */
+	static get(name) {
+		return this.tools.get(name) || null;
+	}
+
+	/**
+	 * Returns the names of all registered tools.
+	 *
+	 * @returns {string[]}
+	 */
+	static names() {
+		return [ ...this.tools.keys() ];
+	}
+
+	/**
+	 * Selects the tools for a request. Accepts tool names or legacy OpenAI tool objects;
+	 * an empty selection returns every registered tool. Unknown names are ignored.
+	 *
+	 * @param {Array<string|Object>} [selection=[]] - Tools requested by the client.
+	 * @returns {Object[]} - The selected tools.
+	 */
+	static select(selection = []) {
+		if(!Array.isArray(selection) || selection.length === 0) return [ ...this.tools.values() ];
+
+		const selected = [];
+
+		for(const item of selection) {
+			const name = typeof item === 'string' ? item : item?.function?.name || item?.name;
+			const tool = this.get(name);
+
+			if(!tool) {
+				this.logger.warn(`Requested tool ${ name } is not registered, ignoring it`);
+				continue;
+			}
+
+			if(!selected.includes(tool)) selected.push(tool);
+		}
+
+		return selected;
+	}
+
+	/**
+	 * Converts tools to the function-calling format sent to the providers.
+	 *
+	 * @param {Object[]} tools - Registered tools.
+	 * @returns {Array<{type: string, function: Object}>}
+	 */
+	static toRequestTools(tools) {
+		return tools.map(tool => ({
+			type: 'function',
+			function: {
+				name: tool.name,
+				description: tool.description,
+				parameters: tool.parameters,
+			},
+		}));
+	}
+
+	/**
+	 * Fills tool arguments from the request context following the tool's injection rules.
+	 *
+	 * @param {string} name - The tool name.
+	 * @param {Object} args - Arguments sent by the model.
+	 * @param {Object} [context={}] - Request context (userId, idProject...).
+	 * @returns {Object} - A new arguments object.
+	 */
+	static applyContext(name, args, context = {}) {
+		const tool = this.get(name);
+		const result = { ...args };
+
+		if(!tool) return result;
+
+		for(const [ arg, rule ] of Object.entries(tool.inject)) {
+			const contextValue = context[rule.from];
+			if(contextValue === undefined || contextValue === null) continue;
+
+			const alreadySet = result[arg] !== undefined && result[arg] !== null && result[arg] !== '';
+			if(alreadySet && !rule.override) continue;
+
+			result[arg] = rule.value !== undefined ? rule.value : contextValue;
+		}
+
+		return result;
+	}
+
+	/**
+	 * Validates tool arguments against the tool's JSON schema.
+	 * The returned arguments are a copy with defaults applied and scalar types coerced.
+	 *
+	 * @param {string} name - The tool name.
+	 * @param {Object} args - Arguments to validate.
+	 * @returns {{valid: boolean, args: Object, errors: Array<{path: string, message: string, keyword: string, params: Object}>}}
+	 */
+	static validate(name, args) {
+		const tool = this.get(name);
+		if(!tool) throw new Error(`Tool ${ name } is not registered`);
+
+		const candidate = structuredClone(args ?? {});
+		const valid = tool.validator(candidate);
+
+		const errors = valid ? [] : tool.validator.errors.map(error => {
+			const segments = error.instancePath.split('/').filter(Boolean);
+			if(error.keyword === 'required') segments.push(error.params.missingProperty);
+
+			const path = segments.join('.') || '(arguments)';
+			let message = `${ path } ${ error.message }`;
+			if(error.keyword === 'enum') message += `: ${ error.params.allowedValues.join(', ') }`;
+
+			return { path, message, keyword: error.keyword, params: error.params };
+		});
+
+		return { valid, args: candidate, errors };
+	}
+
+	/**
+	 * Returns the permissions the context is missing to run a tool.
+	 *
+	 * @param {string} name - The tool name.
+	 * @param {Object} [context={}] - Request context with a `permissions` array.
+	 * @returns {string[]} - Missing permissions, empty when the tool can run.
+	 */
+	static missingPermissions(name, context = {}) {
+		const tool = this.get(name);
+		if(!tool) return [];
+
+		const granted = context.permissions || [];
+		return tool.permissions.filter(permission => !granted.includes(permission));
+	}
+}
+
+export default ToolRegistryService;
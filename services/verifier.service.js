@@ -0,0 +1,310 @@
+import 'dotenv/config';
+import axios from 'axios';
+import { PrimateService } from '@thewebchimp/primate';
+import NetworkService from '#services/network.service.js';
+import SolcService from '#services/solc.service.js';
+import { createLogger } from '#utils/logger.js';
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Verifies deployed contracts on block explorers with an Etherscan-compatible API
+ * (Etherscan, Blockscout, Routescan...), configured per network in the NetworkService registry.
+ *
+ * The project sources are recompiled with the compiler and optimizer settings of the deployed build,
+ * submitted as standard JSON input together with the encoded constructor arguments, and the explorer
+ * is polled until it accepts or rejects them. Progress is stored on the Deployment.
+ */
+class VerifierService {
+
+	static logger = createLogger({ name: 'VerifierService' });
+
+	static pollInterval = parseInt(process.env.VERIFY_POLL_INTERVAL_MS || '5000', 10);
+	static timeout = parseInt(process.env.VERIFY_TIMEOUT_MS || '300000', 10);
+	static requestTimeout = parseInt(process.env.VERIFY_REQUEST_TIMEOUT_MS || '30000', 10);
+
+	// Explorers index new contracts with some delay, submissions are retried meanwhile
+	static submitRetries = parseInt(process.env.VERIFY_SUBMIT_RETRIES || '6', 10);
+
+	/** @type {Set<number>} Deployments being verified by this process */
+	static active = new Set();
+
+	/**
+	 * Whether contracts on a network can be verified.
+	 *
+	 * @param {string} network - The network name.
+	 * @returns {boolean}
+	 */
+	static supports(network) {
+		return !!NetworkService.networks.get(network)?.explorer?.apiUrl;
+	}
+
+	/**
+	 * Checks that a deployment can be verified.
+	 *
+	 * @param {Object} deployment - The deployment.
+	 * @throws {Error} - If it is not a successful deployment, is already verified or being verified,
+	 *   or the network has no explorer API.
+	 */
+	static assertVerifiable(deployment) {
+		if(deployment.status !== 'Success' || !deployment.contractAddress) {
+			throw new Error('Only successful deployments can be verified');
+		}
+
+		if(deployment.verificationStatus === 'Verified') throw new Error('Deployment is already verified');
+		if(this.active.has(deployment.id)) throw new Error('Verification already in progress');
+
+		if(!this.supports(deployment.network)) {
+			throw new Error(`${ NetworkService.get(deployment.network).label } has no explorer API configured`);
+		}
+	}
+
+	/**
+	 * Verifies a deployment in the background. Errors are recorded on the deployment.
+	 *
+	 * @param {number} deploymentId - The deployment.
+	 * @param {Object} [options={}] - Options passed to verify().
+	 */
+	static start(deploymentId, options = {}) {
+		this.verify(deploymentId, options).catch(error => {
+			this.logger.error(`Verification of deployment ${ deploymentId } could not start: ${ error.message }`);
+		});
+	}
+
+	/**
+	 * Verifies a deployment and waits for the explorer result.
+	 *
+	 * @param {number} deploymentId - The deployment.
+	 * @param {Object} [options={}] - Options.
+	 * @param {boolean} [options.resume=false] - Poll the stored GUID instead of submitting again.
+	 * @param {Function} [options.onLog] - Called with progress lines.
+	 * @returns {Promise<Object>} - The deployment with its verification result.
+	 * @throws {Error} - If the deployment cannot be verified. Explorer failures are recorded instead.
+	 */
+	static async verify(deploymentId, options = {}) {
+		const { resume = false, onLog = () => {} } = options;
+
+		const deployment = await PrimateService.prisma.deployment.findUnique({
+			where: { id: parseInt(deploymentId, 10) },
+			include: { contract: true, project: { include: { contracts: true } } },
+		});
+
+		if(!deployment) throw new Error('Deployment not found');
+		this.assertVerifiable(deployment);
+
+		const { network } = deployment;
+		const { explorer } = NetworkService.get(network);
+
+		this.active.add(deployment.id);
+
+		try {
+			let guid = resume ? deployment.verificationGuid : null;
+
+			if(!guid) {
+				await this.update(deployment.id, { verificationStatus: 'Pending', verificationGuid: null, verificationResult: null });
+
+				const submission = await this.buildSubmission(deployment);
+				onLog(`Submitting ${ submission.contractname } to ${ explorer.name }...`);
+
+				const submitted = await this.submit(network, submission);
+				if(submitted.alreadyVerified) return await this.finish(deployment, 'Verified', submitted.message);
+
+				guid = submitted.guid;
+				await this.update(deployment.id, { verificationGuid: guid });
+				onLog(`Verification submitted with GUID ${ guid }`);
+			}
+
+			const deadline = Date.now() + this.timeout;
+
+			while(Date.now() < deadline) {
+				await sleep(this.pollInterval);
+
+				try {
+					const { status, message } = await this.checkStatus(network, guid);
+					if(status !== 'Pending') return await this.finish(deployment, status, message);
+
+					onLog(`Verification pending: ${ message }`);
+				} catch(e) {
+					// The explorer may be briefly unavailable, keep polling until the deadline
+					this.logger.warn(`Checking verification ${ guid } failed: ${ e.message }`);
+				}
+			}
+
+			return await this.finish(deployment, 'Failed', `No result after ${ Math.round(this.timeout / 1000) }s, verify again later`);
+		} catch(e) {
+			return await this.finish(deployment, 'Failed', e.message);
+		} finally {
+			this.active.delete(deployment.id);
+		}
+	}
+
+	/**
+	 * Resumes the verifications that were pending when the server stopped.
+	 *
+	 * @returns {Promise<number>} - The number of resumed verifications.
+	 */
+	static async recover() {
+		const deployments = await PrimateService.prisma.deployment.findMany({
+			where: { verificationStatus: 'Pending' },
+			select: { id: true, verificationGuid: true },
+		});
+
+		for(const deployment of deployments) {
+			this.start(deployment.id, { resume: !!deployment.verificationGuid });
+		}
+
+		if(deployments.length > 0) this.logger.info(`Resumed ${ deployments.length } pending verifications`);
+		return deployments.length;
+	}
+
+	/**
+	 * Recompiles the project sources with the settings of the deployed build and builds the
+	 * `verifysourcecode` parameters.
+	 *
+	 * @param {Object} deployment - The deployment with its contract and project (with contracts).
+	 * @returns {Promise<Object>} - The API parameters.
+	 * @throws {Error} - If the sources no longer produce the deployed bytecode.
+	 */
+	static async buildSubmission(deployment) {
+		const { contract, project } = deployment;
+		if(!contract?.bytecode) throw new Error('The deployed contract has no compiled bytecode');
+
+		const compiler = contract.metas?.compiler || {};
+		const version = (compiler.version || project.compilerVersion || '').split('+')[0];
+		const optimizer = compiler.optimizer || SolcService.optimizerSettings(project.foundryConfig);
+
+		const input = SolcService.buildInput(project, project.contracts, { optimizer });
+		const { output, errors, sources, version: longVersion } = await SolcService.compile(version, input, {
+			baseDir: project.metas?.projectDir,
+		});
+
+		if(errors.length > 0) throw new Error(`The project sources no longer compile: ${ errors[0].message }`);
+
+		const sourcePath = SolcService.sourcePath(contract);
+		const artifact = output.contracts?.[sourcePath]?.[contract.name];
+		if(!artifact) throw new Error(`Contract ${ contract.name } not found in ${ sourcePath }`);
+
+		if(`0x${ artifact.evm.bytecode.object }` !== contract.bytecode) {
+			throw new Error('The sources changed since the contract was compiled, recompile and deploy again to verify it');
+		}
+
+		const standardInput = {
+			...input,
+			sources: Object.fromEntries(Object.entries(sources).map(([ file, content ]) => [ file, { content } ])),
+		};
+
+		return {
+			module: 'contract',
+			action: 'verifysourcecode',
+			contractaddress: deployment.contractAddress,
+			sourceCode: JSON.stringify(standardInput),
+			codeformat: 'solidity-standard-json-input',
+			contractname: `${ sourcePath }:${ contract.name }`,
+			// Explorers expect the release name, e.g. v0.8.19+commit.7dd6d404
+			compilerversion: `v${ longVersion.replace(/^(\d+\.\d+\.\d+\+commit\.[0-9a-f]+).*$/, '$1') }`,
+			optimizationUsed: optimizer.enabled ? '1' : '0',
+			runs: String(optimizer.runs),
+			// Spelled as in the Etherscan API
+			constructorArguements: (deployment.metas?.constructorArgsEncoded || '0x').replace(/^0x/, ''),
+		};
+	}
+
+	/**
+	 * Submits a verification, retrying while the explorer has not indexed the contract yet.
+	 *
+	 * @param {string} network - The network name.
+	 * @param {Object} params - Parameters from buildSubmission().
+	 * @returns {Promise<{guid: string|null, alreadyVerified: boolean, message: string}>}
+	 * @throws {Error} - If the explorer rejects the submission.
+	 */
+	static async submit(network, params) {
+		for(let attempt = 1; ; attempt++) {
+			const data = await this.request(network, params, 'POST');
+			const message = String(data.result || data.message || '');
+
+			if(data.status === '1') return { guid: message, alreadyVerified: false, message: data.message };
+			if(/already verified/i.test(message)) return { guid: null, alreadyVerified: true, message };
+
+			if(/unable to locate|not found|no bytecode|does not have/i.test(message) && attempt < this.submitRetries) {
+				this.logger.info(`Explorer has not indexed ${ params.contractaddress } yet (attempt ${ attempt }), retrying...`);
+				await sleep(this.pollInterval);
+				continue;
+			}
+
+			throw new Error(`Explorer rejected the verification: ${ message }`);
+		}
+	}
+
+	/**
+	 * Checks the status of a submitted verification.
+	 *
+	 * @param {string} network - The network name.
+	 * @param {string} guid - The GUID returned by the explorer.
+	 * @returns {Promise<{status: string, message: string}>} - Pending, Verified or Failed.
+	 */
+	static async checkStatus(network, guid) {
+		const data = await this.request(network, { module: 'contract', action: 'checkverifystatus', guid });
+		const message = String(data.result || data.message || '');
+
+		if(data.status === '1' || /already verified/i.test(message)) return { status: 'Verified', message };
+		if(/pending|queue|in progress/i.test(message)) return { status: 'Pending', message };
+
+		return { status: 'Failed', message };
+	}
+
+	/**
+	 * Calls the explorer API of a network.
+	 *
+	 * @param {string} network - The network name.
+	 * @param {Object} params - API parameters.
+	 * @param {string} [method='GET'] - GET or POST (form encoded).
+	 * @returns {Promise<{status: string, message: string, result: *}>}
+	 */
+	static async request(network, params, method = 'GET') {
+		const { chainId, explorer } = NetworkService.get(network);
+		if(!explorer?.apiUrl) throw new Error(`No explorer API configured for ${ network }`);
+
+		// chainid selects the chain on multichain APIs (Etherscan v2) and is ignored elsewhere
+		const query = { chainid: chainId };
+		if(explorer.apiKey) query.apikey = explorer.apiKey;
+
+		const response = method === 'POST'
+			? await axios.post(explorer.apiUrl, new URLSearchParams(params).toString(), {
+				params: query,
+				headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+				timeout: this.requestTimeout,
+			})
+			: await axios.get(explorer.apiUrl, { params: { ...query, ...params }, timeout: this.requestTimeout });
+
+		if(!response.data || typeof response.data !== 'object') throw new Error('Unexpected explorer response');
+		return response.data;
+	}
+
+	static async update(id, data) {
+		return PrimateService.prisma.deployment.update({ where: { id }, data });
+	}
+
+	/**
+	 * Records the verification result and marks the project as verified on success.
+	 */
+	static async finish(deployment, status, message) {
+		this.logger.info(`Verification of deployment ${ deployment.id }: ${ status } (${ message })`);
+
+		const updated = await this.update(deployment.id, {
+			verificationStatus: status,
+			verificationResult: message,
+			verifiedAt: status === 'Verified' ? new Date() : null,
+		});
+
+		if(status === 'Verified') {
+			await PrimateService.prisma.project.update({
+				where: { id: deployment.projectId },
+				data: { verified: true },
+			});
+		}
+
+		return updated;
+	}
+}
+
+export default VerifierService;
@@ -0,0 +1,500 @@
+import 'dotenv/config';
+import fs from 'fs';
+import path from 'path';
+import { PrimateService } from '@thewebchimp/primate';
+import SolcService from '#services/solc.service.js';
+import NetworkService from '#services/network.service.js';
+import ContractService from '#entities/contracts/contract.service.js';
+import { createLogger } from '#utils/logger.js';
+import { tomlString, tomlArray } from '#utils/toml.js';
+
+/**
+ * Project workspaces: the Foundry project directory of each project.
+ *
+ * New projects live in `<WORKSPACES_DIR>/project-<id>`; projects created before keep the directory
+ * stored in `metas.projectDir`. The file API only reaches the `src`, `test` and `script` folders,
+ * so build output, libraries and configuration stay out of reach. Solidity files in `src` are kept
+ * in sync with the project's Contract rows.
+ */
+class WorkspaceService {
+
+	static logger = createLogger({ name: 'WorkspaceService' });
+
+	static root = process.env.WORKSPACES_DIR || path.resolve(process.cwd(), 'projects');
+
+	static folders = [ 'src', 'test', 'script' ];
+
+	static maxFileSize = parseInt(process.env.WORKSPACE_MAX_FILE_SIZE, 10) || 512 * 1024;
+	static maxSize = parseInt(process.env.WORKSPACE_MAX_SIZE, 10) || 20 * 1024 * 1024;
+	static maxFiles = parseInt(process.env.WORKSPACE_MAX_FILES, 10) || 1000;
+
+	/**
+	 * Returns the default directory of a project.
+	 *
+	 * @param {Object} project - The project.
+	 * @returns {string}
+	 */
+	static dirFor(project) {
+		return path.join(this.root, `project-${ project.id }`);
+	}
+
+	/**
+	 * Returns the directory of a project: the stored one, or the default one.
+	 *
+	 * @param {Object} project - The project.
+	 * @returns {string}
+	 */
+	static dir(project) {
+		return project.metas?.projectDir || this.dirFor(project);
+	}
+
+	/**
+	 * Creates the directory of a project with its source folders and stores it in `metas.projectDir`.
+	 *
+	 * @param {Object} project - The project.
+	 * @returns {Promise<Object>} - The project, with `metas.projectDir` set.
+	 */
+	static async init(project) {
+		const projectDir = this.dir(project);
+
+		for(const folder of [ ...this.folders, 'lib' ]) {
+			await fs.promises.mkdir(path.join(projectDir, folder), { recursive: true });
+		}
+
+		if(project.metas?.projectDir === projectDir) return project;
+
+		this.logger.info(`Initialized workspace of project ${ project.id } in ${ projectDir }`);
+
+		return await PrimateService.prisma.project.update({
+			where: { id: project.id },
+			data: {
+				metas: {
+					...(project.metas || {}),
+					projectDir,
+					initialized: true,
+					initializeDate: new Date().toISOString(),
+				},
+			},
+		});
+	}
+
+	/**
+	 * Validates a path of the file API and returns it normalized with its absolute location.
+	 * The path must be relative and inside one of the source folders; symbolic links may not lead out of it.
+	 *
+	 * @param {Object} project - The project.
+	 * @param {string} filePath - Path relative to the project directory, e.g. src/Token.sol.
+	 * @returns {{path: string, absolute: string}}
+	 * @throws {Error} - If the path is invalid or outside the source folders.
+	 */
+	static resolve(project, filePath) {
+		if(typeof filePath !== 'string' || !filePath.trim() || filePath.includes('\0')) throw new Error('Invalid path');
+
+		const segments = filePath.replace(/\\/g, '/').split('/').filter(segment => segment && segment !== '.');
+
+		if(filePath.startsWith('/') || /^[a-zA-Z]:/.test(filePath) || segments.includes('..')) {
+			throw new Error(`Invalid path: ${ filePath }`);
+		}
+
+		if(!this.folders.includes(segments[0])) {
+			throw new Error(`Only files in ${ this.folders.join(', ') } can be accessed`);
+		}
+
+		const root = path.resolve(this.dir(project));
+		const absolute = path.join(root, ...segments);
+
+		// A symbolic link inside the folders could point anywhere, so the real location is checked too
+		let existing = absolute;
+		while(!fs.existsSync(existing) && existing !== root) existing = path.dirname(existing);
+
+		if(fs.existsSync(existing)) {
+			const realRoot = fs.realpathSync(root);
+			const real = fs.realpathSync(existing);
+			if(real !== realRoot && !real.startsWith(realRoot + path.sep)) throw new Error(`Invalid path: ${ filePath }`);
+		}
+
+		return { path: segments.join('/'), absolute };
+	}
+
+	/**
+	 * Lists the files and directories of the source folders.
+	 *
+	 * @param {Object} project - The project.
+	 * @returns {Promise<Array>} - One node per folder, `{ name, path, type: 'directory', children }`,
+	 *   with files as `{ name, path, type: 'file', size, modifiedAt }`.
+	 */
+	static async tree(project) {
+		const root = this.dir(project);
+
+		const walk = async (relative) => {
+			const entries = await fs.promises.readdir(path.join(root, relative), { withFileTypes: true }).catch(() => []);
+			const nodes = [];
+
+			for(const entry of entries.sort((a, b) => a.name.localeCompare(b.name))) {
+				const entryPath = `${ relative }/${ entry.name }`;
+
+				if(entry.isDirectory()) {
+					nodes.push({ name: entry.name, path: entryPath, type: 'directory', children: await walk(entryPath) });
+				} else if(entry.isFile()) {
+					const stat = await fs.promises.stat(path.join(root, entryPath));
+					nodes.push({ name: entry.name, path: entryPath, type: 'file', size: stat.size, modifiedAt: stat.mtime });
+				}
+			}
+
+			// Directories first, like file explorers
+			return nodes.sort((a, b) => (a.type === b.type ? 0 : a.type === 'directory' ? -1 : 1));
+		};
+
+		const tree = [];
+		for(const folder of this.folders) {
+			tree.push({ name: folder, path: folder, type: 'directory', children: await walk(folder) });
+		}
+
+		return tree;
+	}
+
+	/**
+	 * Reads a file.
+	 *
+	 * @param {Object} project - The project.
+	 * @param {string} filePath - Path of the file.
+	 * @returns {Promise<Object|null>} - `{ path, content, size, modifiedAt }`, or null if the file does not exist.
+	 */
+	static async read(project, filePath) {
+		const { path: relative, absolute } = this.resolve(project, filePath);
+
+		const stat = await fs.promises.stat(absolute).catch(() => null);
+		if(!stat?.isFile()) return null;
+
+		return {
+			path: relative,
+			content: await fs.promises.readFile(absolute, 'utf8'),
+			size: stat.size,
+			modifiedAt: stat.mtime,
+		};
+	}
+
+	/**
+	 * Creates or updates a file.
+	 *
+	 * @param {Object} project - The project.
+	 * @param {string} filePath - Path of the file.
+	 * @param {string} content - The content.
+	 * @param {Object} [options={}] - Options.
+	 * @param {string} [options.mode='upsert'] - `create` fails when the file exists, `update` when it does not.
+	 * @param {Object} [options.author] - Who made the change, stored with contract revisions.
+	 * @returns {Promise<{file: Object, created: boolean, contracts: Object}>} - The file, whether it is new,
+	 *   and the contracts synced from it.
+	 */
+	static async write(project, filePath, content, options = {}) {
+		const { mode = 'upsert', author = {} } = options;
+		const { path: relative, absolute } = this.resolve(project, filePath);
+
+		if(typeof content !== 'string') throw new Error('The content must be a string');
+
+		const size = Buffer.byteLength(content);
+		if(size > this.maxFileSize) throw new Error(`The file is larger than ${ this.maxFileSize } bytes`);
+
+		const stat = await fs.promises.stat(absolute).catch(() => null);
+		if(stat?.isDirectory()) throw new Error(`${ relative } is a directory`);
+		if(stat && mode === 'create') throw new Error(`${ relative } already exists`);
+		if(!stat && mode === 'update') throw new Error(`${ relative } does not exist`);
+
+		const usage = await this.usage(project);
+		if(!stat && usage.files >= this.maxFiles) throw new Error(`The workspace already has ${ this.maxFiles } files`);
+		if(usage.size - (stat?.size || 0) + size > this.maxSize) throw new Error(`The workspace would be larger than ${ this.maxSize } bytes`);
+
+		// Contracts are saved to the project directory, so it has to be known
+		project = await this.init(project);
+
+		await fs.promises.mkdir(path.dirname(absolute), { recursive: true });
+		await fs.promises.writeFile(absolute, content);
+
+		const contracts = await this.syncContracts(project, relative, content, author);
+
+		return { file: await this.read(project, relative), created: !stat, contracts };
+	}
+
+	/**
+	 * Renames or moves a file or directory within the source folders.
+	 *
+	 * @param {Object} project - The project.
+	 * @param {string} from - Current path.
+	 * @param {string} to - New path.
+	 * @param {Object} [author={}] - Who made the change, for Solidity files moved into src.
+	 * @returns {Promise<{path: string, contracts: Object}>} - The new path, the contracts whose file moved,
+	 *   and the contracts removed or saved because their file left or entered src.
+	 */
+	static async rename(project, from, to, author = {}) {
+		const source = this.resolve(project, from);
+		const target = this.resolve(project, to);
+
+		if(this.folders.includes(source.path)) throw new Error(`The ${ source.path } folder cannot be renamed`);
+		if(!fs.existsSync(source.absolute)) throw new Error(`${ source.path } does not exist`);
+		if(fs.existsSync(target.absolute)) throw new Error(`${ target.path } already exists`);
+		if(target.path.startsWith(`${ source.path }/`)) throw new Error('A directory cannot be moved into itself');
+
+		await fs.promises.mkdir(path.dirname(target.absolute), { recursive: true });
+		await fs.promises.rename(source.absolute, target.absolute);
+
+		// Contracts follow their file, also when a parent directory moved
+		const moved = [];
+		const left = [];
+		const contracts = await PrimateService.prisma.contract.findMany({
+			where: { projectId: project.id },
+			include: { _count: { select: { deployments: true } } },
+		});
+
+		for(const contract of contracts) {
+			const contractPath = SolcService.sourcePath(contract);
+			if(contractPath !== source.path && !contractPath.startsWith(`${ source.path }/`)) continue;
+
+			const filePath = target.path + contractPath.slice(source.path.length);
+			if(!filePath.startsWith('src/')) {
+				left.push(contract);
+				continue;
+			}
+
+			await PrimateService.prisma.contract.update({
+				where: { id: contract.id },
+				data: { metas: { ...(contract.metas || {}), filePath } },
+			});
+			moved.push({ id: contract.id, name: contract.name, filePath });
+		}
+
+		const { removed, flagged } = await this.detachContracts(left);
+
+		// A Solidity file moved into src declares its contracts like a new file
+		const { saved } = !source.path.startsWith('src/') && fs.statSync(target.absolute).isFile()
+			? await this.syncContracts(await this.init(project), target.path, await fs.promises.readFile(target.absolute, 'utf8'), author)
+			: { saved: [] };
+
+		return { path: target.path, contracts: { moved, saved, removed, flagged } };
+	}
+
+	/**
+	 * Deletes a file, or a directory with everything in it. Contracts of deleted files are removed,
+	 * unless they were deployed; those keep their last source and are flagged with `metas.sourceDeleted`.
+	 *
+	 * @param {Object} project - The project.
+	 * @param {string} filePath - Path of the file or directory.
+	 * @returns {Promise<{path: string, contracts: Object}>|null} - The removed and flagged contracts, or null
+	 *   if the path does not exist.
+	 */
+	static async remove(project, filePath) {
+		const { path: relative, absolute } = this.resolve(project, filePath);
+
+		if(this.folders.includes(relative)) throw new Error(`The ${ relative } folder cannot be deleted`);
+		if(!fs.existsSync(absolute)) return null;
+
+		await fs.promises.rm(absolute, { recursive: true });
+
+		const contracts = await PrimateService.prisma.contract.findMany({
+			where: { projectId: project.id },
+			include: { _count: { select: { deployments: true } } },
+		});
+
+		const deleted = contracts.filter(contract => {
+			const contractPath = SolcService.sourcePath(contract);
+			return contractPath === relative || contractPath.startsWith(`${ relative }/`);
+		});
+
+		return { path: relative, contracts: await this.detachContracts(deleted) };
+	}
+
+	/**
+	 * Updates the Contract rows of a Solidity file in `src` after it changed: every deployable contract
+	 * declared in the file is created or gets the new source (as a new revision), and contracts the file
+	 * no longer declares are detached.
+	 *
+	 * @param {Object} project - The project.
+	 * @param {string} filePath - Normalized path of the file.
+	 * @param {string} content - The new content.
+	 * @param {Object} [author={}] - Who made the change.
+	 * @returns {Promise<{saved: Array, removed: Array, flagged: Array}>}
+	 */
+	static async syncContracts(project, filePath, content, author = {}) {
+		const result = { saved: [], removed: [], flagged: [] };
+		if(!filePath.startsWith('src/') || !filePath.endsWith('.sol')) return result;
+
+		const names = this.declaredContracts(filePath, content);
+
+		const contracts = await PrimateService.prisma.contract.findMany({
+			where: { projectId: project.id },
+			include: { _count: { select: { deployments: true } } },
+		});
+
+		for(const name of names) {
+			// A contract of another file with the same name is left alone, names are unique per project
+			const existing = contracts.find(contract => contract.name === name);
+			if(existing && SolcService.sourcePath(existing) !== filePath) {
+				this.logger.warn(`Contract ${ name } of ${ filePath } is already declared in ${ SolcService.sourcePath(existing) }`);
+				continue;
+			}
+
+			const { contract, revision } = await ContractService.saveSource(project, {
+				id: existing?.id,
+				name,
+				sourceCode: content,
+				filePath,
+			}, author);
+
+			result.saved.push({ id: contract.id, name: contract.name, revision: revision.version });
+		}
+
+		const stale = contracts.filter(contract => SolcService.sourcePath(contract) === filePath && !names.includes(contract.name));
+		const { removed, flagged } = await this.detachContracts(stale);
+
+		return { ...result, removed, flagged };
+	}
+
+	/**
+	 * Updates the Contract rows after files of the workspace changed outside the file API, e.g. when
+	 * a commit is reverted. Solidity files in src are synced, deleted ones lose their contracts.
+	 *
+	 * @param {Object} project - The project.
+	 * @param {Array<string>} paths - The changed files, relative to the project directory.
+	 * @param {Object} [author={}] - Who made the change.
+	 * @returns {Promise<{saved: Array, removed: Array, flagged: Array}>}
+	 */
+	static async syncFiles(project, paths, author = {}) {
+		const result = { saved: [], removed: [], flagged: [] };
+
+		for(const filePath of paths.filter(file => file.startsWith('src/') && file.endsWith('.sol'))) {
+			const file = await this.read(project, filePath);
+			let synced;
+
+			if(file) {
+				synced = await this.syncContracts(project, file.path, file.content, author);
+			} else {
+				const contracts = await PrimateService.prisma.contract.findMany({
+					where: { projectId: project.id },
+					include: { _count: { select: { deployments: true } } },
+				});
+				synced = await this.detachContracts(contracts.filter(contract => SolcService.sourcePath(contract) === filePath));
+			}
+
+			for(const key of Object.keys(result)) result[key].push(...(synced[key] || []));
+		}
+
+		return result;
+	}
+
+	/**
+	 * Removes the Contract rows of sources that no longer exist. Deployed contracts are kept, flagged
+	 * with `metas.sourceDeleted`, so their deployment history and events are not lost.
+	 *
+	 * @param {Array} contracts - The contracts, with their deployment count.
+	 * @returns {Promise<{removed: Array, flagged: Array}>}
+	 */
+	static async detachContracts(contracts) {
+		const removed = [];
+		const flagged = [];
+
+		for(const contract of contracts) {
+			if(contract._count?.deployments > 0) {
+				await PrimateService.prisma.contract.update({
+					where: { id: contract.id },
+					data: { metas: { ...(contract.metas || {}), sourceDeleted: new Date().toISOString() } },
+				});
+				flagged.push({ id: contract.id, name: contract.name });
+			} else {
+				await PrimateService.prisma.contract.delete({ where: { id: contract.id } });
+				removed.push({ id: contract.id, name: contract.name });
+			}
+		}
+
+		return { removed, flagged };
+	}
+
+	/**
+	 * Returns the names of the deployable contracts (not interfaces, libraries or abstract contracts)
+	 * declared in a Solidity source. Sources that do not parse fall back to a plain text match.
+	 *
+	 * @param {string} filePath - Path of the file.
+	 * @param {string} content - The source.
+	 * @returns {Array<string>}
+	 */
+	static declaredContracts(filePath, content) {
+		const { asts } = SolcService.parse({ [filePath]: content });
+
+		if(asts[filePath]) {
+			return asts[filePath].nodes
+				.filter(node => node.nodeType === 'ContractDefinition' && node.contractKind === 'contract' && !node.abstract)
+				.map(node => node.name);
+		}
+
+		const code = content.replace(/\/\*[\s\S]*?\*\/|\/\/.*$/gm, '');
+		return [ ...code.matchAll(/^\s*contract\s+([A-Za-z_$][A-Za-z0-9_$]*)/gm) ].map(match => match[1]);
+	}
+
+	/**
+	 * Lists the files of the source folders.
+	 *
+	 * @param {Object} project - The project.
+	 * @returns {Promise<Array<{path: string, absolute: string, size: number}>>} - Paths relative to the project directory.
+	 */
+	static async files(project) {
+		const root = this.dir(project);
+		const files = [];
+
+		const walk = async (relative) => {
+			const entries = await fs.promises.readdir(path.join(root, relative), { withFileTypes: true }).catch(() => []);
+
+			for(const entry of entries.sort((a, b) => a.name.localeCompare(b.name))) {
+				const entryPath = `${ relative }/${ entry.name }`;
+				const absolute = path.join(root, entryPath);
+
+				if(entry.isDirectory()) {
+					await walk(entryPath);
+				} else if(entry.isFile()) {
+					files.push({ path: entryPath, absolute, size: (await fs.promises.stat(absolute)).size });
+				}
+			}
+		};
+
+		for(const folder of this.folders) await walk(folder);
+
+		return files;
+	}
+
+	/**
+	 * Returns the number of files and their total size in the source folders.
+	 *
+	 * @param {Object} project - The project.
+	 * @returns {Promise<{files: number, size: number}>}
+	 */
+	static async usage(project) {
+		const files = await this.files(project);
+		return { files: files.length, size: files.reduce((total, file) => total + file.size, 0) };
+	}
+
+	/**
+	 * Builds the foundry.toml of a project, with a profile per registered network. FFI is always off.
+	 *
+	 * @param {Object} settings - The settings.
+	 * @param {string} settings.compilerVersion - The solc version.
+	 * @param {string[]} [settings.remappings=[]] - The import remappings.
+	 * @param {Object} [settings.optimizer] - `{ enabled, runs }`, enabled with 200 runs by default.
+	 * @param {boolean} [settings.viaIr] - Compile through the IR pipeline.
+	 * @param {string} [settings.evmVersion] - The target EVM version.
+	 * @returns {string}
+	 */
+	static foundryToml({ compilerVersion, remappings = [], optimizer = { enabled: true, runs: 200 }, viaIr, evmVersion }) {
+		return `
+[profile.default]
+src = "src"
+out = "out"
+libs = ["lib"]
+solc = ${ tomlString(compilerVersion) }
+optimizer = ${ optimizer.enabled !== false }
+optimizer_runs = ${ parseInt(optimizer.runs, 10) || 200 }
+ffi = false
+${ viaIr ? 'via_ir = true\n' : '' }${ evmVersion ? `evm_version = ${ tomlString(evmVersion) }\n` : '' }remappings = ${ tomlArray(remappings) }
+
+${ NetworkService.foundryProfiles() }
+`;
+	}
+}
+
+export default WorkspaceService;
@@ -0,0 +1,178 @@
+// Lines around each change shown in a hunk
+const CONTEXT = 3;
+
+function split(text) {
+	if(!text) return [];
+	const lines = text.split('\n');
+	if(lines[lines.length - 1] === '') lines.pop();
+	return lines;
+}
+
+// Most edits looked for in the changed part of two texts; past it, that part is shown as replaced whole
+const MAX_EDITS = 2000;
+
+// Line operations turning `a` into `b`, skipping the lines both start and end with
+function operations(a, b) {
+	let start = 0;
+	while(start < a.length && start < b.length && a[start] === b[start]) start++;
+
+	let endA = a.length;
+	let endB = b.length;
+	while(endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+		endA--;
+		endB--;
+	}
+
+	return [
+		...a.slice(0, start).map(line => ({ type: ' ', line })),
+		...shortestEdit(a.slice(start, endA), b.slice(start, endB)),
+		...a.slice(endA).map(line => ({ type: ' ', line })),
+	];
+}
+
+// Myers' O(ND) diff: keeps the furthest point reached on each diagonal for every edit count,
+// so memory grows with the number of edits (at most MAX_EDITS) instead of the size of the texts
+function shortestEdit(a, b) {
+	const n = a.length;
+	const m = b.length;
+	const max = Math.min(n + m, MAX_EDITS);
+	const offset = max + 1;
+	const v = new Int32Array(2 * max + 3);
+	const trace = [];
+
+	let edits = -1;
+	for(let d = 0; d <= max && edits === -1; d++) {
+		for(let k = -d; k <= d; k += 2) {
+			let x = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])
+				? v[offset + k + 1]
+				: v[offset + k - 1] + 1;
+			let y = x - k;
+
+			while(x < n && y < m && a[x] === b[y]) {
+				x++;
+				y++;
+			}
+
+			v[offset + k] = x;
+			if(x >= n && y >= m) edits = d;
+		}
+
+		trace.push(v.slice(offset - d, offset + d + 1));
+	}
+
+	if(edits === -1) {
+		return [ ...a.map(line => ({ type: '-', line })), ...b.map(line => ({ type: '+', line })) ];
+	}
+
+	// Walk back from the end, one edit at a time
+	const ops = [];
+	let x = n;
+	let y = m;
+
+	for(let d = edits; d > 0; d--) {
+		const previous = trace[d - 1];
+		const reach = k => previous[k + d - 1];
+
+		const k = x - y;
+		const down = k === -d || (k !== d && reach(k - 1) < reach(k + 1));
+		const previousK = down ? k + 1 : k - 1;
+		const previousX = reach(previousK);
+		const previousY = previousX - previousK;
+
+		while(x > (down ? previousX : previousX + 1) && y > (down ? previousY + 1 : previousY)) {
+			ops.push({ type: ' ', line: a[--x] });
+			y--;
+		}
+
+		if(down) ops.push({ type: '+', line: b[--y] });
+		else ops.push({ type: '-', line: a[--x] });
+	}
+
+	while(x > 0 && y > 0) {
+		ops.push({ type: ' ', line: a[--x] });
+		y--;
+	}
+
+	return ops.reverse();
+}
+
+/**
+ * Compares two texts line by line. When the texts differ by more than MAX_EDITS lines, the part between
+ * their common first and last lines is shown as removed and added whole.
+ *
+ * @param {string} before - The old text.
+ * @param {string} after - The new text.
+ * @param {Object} [options={}] - Options.
+ * @param {string} [options.fromFile='a'] - Name of the old file in the patch header.
+ * @param {string} [options.toFile='b'] - Name of the new file in the patch header.
+ * @returns {{additions: number, deletions: number, hunks: Array, patch: string}} - The changed hunks
+ *   (`lines` prefixed with '+', '-' or ' ') and the same changes as a unified diff.
+ */
+function diffLines(before, after, options = {}) {
+	const { fromFile = 'a', toFile = 'b' } = options;
+	const ops = operations(split(before), split(after));
+
+	const hunks = [];
+	let oldLine = 1;
+	let newLine = 1;
+	let hunk = null;
+	let trailing = 0;
+
+	ops.forEach((op, index) => {
+		if(op.type !== ' ') {
+			if(!hunk) {
+				// Open the hunk with the unchanged lines before the change
+				const context = [];
+				for(let k = index - 1; k >= 0 && context.length < CONTEXT && ops[k].type === ' '; k--) context.unshift(ops[k]);
+
+				hunk = {
+					oldStart: oldLine - context.length,
+					newStart: newLine - context.length,
+					oldLines: context.length,
+					newLines: context.length,
+					lines: context.map(line => ` ${ line.line }`),
+				};
+				hunks.push(hunk);
+			}
+
+			hunk.lines.push(`${ op.type }${ op.line }`);
+			if(op.type === '-') hunk.oldLines++;
+			else hunk.newLines++;
+			trailing = 0;
+		} else if(hunk) {
+			// Unchanged lines join the hunk until the next change is too far away
+			const next = ops.slice(index + 1, index + 1 + CONTEXT * 2).findIndex(entry => entry.type !== ' ');
+
+			if(trailing < CONTEXT || next !== -1 && trailing + next + 1 < CONTEXT * 2 + 1) {
+				hunk.lines.push(` ${ op.line }`);
+				hunk.oldLines++;
+				hunk.newLines++;
+				trailing++;
+			} else {
+				hunk = null;
+			}
+		}
+
+		if(op.type !== '+') oldLine++;
+		if(op.type !== '-') newLine++;
+	});
+
+	const patch = hunks.length ? [
+		`--- ${ fromFile }`,
+		`+++ ${ toFile }`,
+		// An empty range starts at the line before it
+		...hunks.flatMap(h => [
+			`@@ -${ h.oldLines ? h.oldStart : h.oldStart - 1 },${ h.oldLines } +${ h.newLines ? h.newStart : h.newStart - 1 },${ h.newLines } @@`,
+			...h.lines,
+		]),
+	].join('\n') + '\n' : '';
+
+	return {
+		additions: ops.filter(op => op.type === '+').length,
+		deletions: ops.filter(op => op.type === '-').length,
+		hunks,
+		patch,
+	};
+}
+
+export { diffLines };
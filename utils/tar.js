@@ -0,0 +1,177 @@
+import zlib from 'zlib';
+
+const BLOCK = 512;
+
+function field(header, start, length) {
+	const value = header.subarray(start, start + length);
+	const end = value.indexOf(0);
+	return value.subarray(0, end === -1 ? length : end).toString('utf8');
+}
+
+function octal(header, start, length) {
+	return parseInt(field(header, start, length).trim() || '0', 8);
+}
+
+// PAX records are "<length> <key>=<value>\n"
+function paxRecords(content) {
+	const records = {};
+	let offset = 0;
+
+	while(offset < content.length) {
+		const space = content.indexOf(0x20, offset);
+		if(space === -1) break;
+
+		const length = parseInt(content.subarray(offset, space).toString(), 10);
+		if(!length) break;
+
+		const record = content.subarray(space + 1, offset + length - 1).toString('utf8');
+		const separator = record.indexOf('=');
+		if(separator > 0) records[record.slice(0, separator)] = record.slice(separator + 1);
+
+		offset += length;
+	}
+
+	return records;
+}
+
+// A PAX record counts the digits of its own length
+function paxRecord(key, value) {
+	const record = ` ${ key }=${ value }\n`;
+	const base = Buffer.byteLength(record);
+
+	let length = base + 1;
+	while(length !== base + String(length).length) length = base + String(length).length;
+
+	return `${ length }${ record }`;
+}
+
+function header(name, size, options = {}) {
+	const block = Buffer.alloc(BLOCK);
+	const write = (value, start, length) => block.write(value, start, length, 'utf8');
+	const number = (value, start, length) => write(value.toString(8).padStart(length - 1, '0'), start, length - 1);
+
+	write(name, 0, 100);
+	number(options.mode ?? 0o644, 100, 8);
+	number(0, 108, 8);
+	number(0, 116, 8);
+	number(size, 124, 12);
+	number(Math.floor((options.mtime ?? new Date()).getTime() / 1000), 136, 12);
+	write(options.type ?? '0', 156, 1);
+	write('ustar\0', 257, 6);
+	write('00', 263, 2);
+
+	// The checksum is computed with its own field filled with spaces
+	block.fill(0x20, 148, 156);
+	const checksum = block.reduce((sum, byte) => sum + byte, 0);
+	write(`${ checksum.toString(8).padStart(6, '0') }\0 `, 148, 8);
+
+	return block;
+}
+
+function pad(size) {
+	return Buffer.alloc((BLOCK - size % BLOCK) % BLOCK);
+}
+
+/**
+ * Writes files into a tar archive, gzipped unless disabled.
+ *
+ * Directories are implied by the file paths. Names longer than the ustar limit are stored in PAX headers.
+ *
+ * @param {Array<{path: string, content: Buffer|string, mode?: number}>} files - The files.
+ * @param {Object} [options={}] - Options.
+ * @param {boolean} [options.gzip=true] - Compress the archive.
+ * @param {Date} [options.mtime] - Modification time of every file, now by default.
+ * @returns {Buffer} - The .tar.gz (or .tar) archive.
+ */
+function writeTar(files, options = {}) {
+	const { gzip = true, mtime = new Date() } = options;
+	const blocks = [];
+
+	for(const file of files) {
+		const content = Buffer.isBuffer(file.content) ? file.content : Buffer.from(file.content ?? '', 'utf8');
+
+		if(Buffer.byteLength(file.path) > 100) {
+			const records = Buffer.from(paxRecord('path', file.path), 'utf8');
+			blocks.push(header('PaxHeader', records.length, { type: 'x', mtime }), records, pad(records.length));
+		}
+
+		blocks.push(header(file.path, content.length, { mode: file.mode, mtime }), content, pad(content.length));
+	}
+
+	// The archive ends with two empty blocks
+	blocks.push(Buffer.alloc(BLOCK * 2));
+
+	const archive = Buffer.concat(blocks);
+	return gzip ? zlib.gzipSync(archive) : archive;
+}
+
+/**
+ * Reads the entries of a tar archive, gunzipping it first when compressed.
+ *
+ * Only regular files and directories are returned. Long names (PAX and GNU) are supported;
+ * links, devices and other entry types are skipped.
+ *
+ * @param {Buffer} buffer - The .tar or .tar.gz archive.
+ * @param {Object} [options={}] - Options.
+ * @param {number} [options.maxSize] - Maximum size of the uncompressed archive.
+ * @returns {Array<{path: string, type: 'file'|'directory', mode: number, content: Buffer|null}>}
+ * @throws {Error} - If the uncompressed archive is larger than `maxSize`.
+ */
+function readTar(buffer, options = {}) {
+	const gzipped = buffer[0] === 0x1f && buffer[1] === 0x8b;
+	if(!gzipped && options.maxSize && buffer.length > options.maxSize) throw new Error(`The archive unpacks to more than ${ options.maxSize } bytes`);
+
+	let data = buffer;
+	if(gzipped) {
+		try {
+			data = zlib.gunzipSync(buffer, options.maxSize ? { maxOutputLength: options.maxSize } : {});
+		} catch(e) {
+			if(e.code === 'ERR_BUFFER_TOO_LARGE') throw new Error(`The archive unpacks to more than ${ options.maxSize } bytes`);
+			throw e;
+		}
+	}
+	const entries = [];
+
+	let offset = 0;
+	let longName = null;
+
+	while(offset + BLOCK <= data.length) {
+		const header = data.subarray(offset, offset + BLOCK);
+
+		// The archive ends with empty blocks
+		if(header.every(byte => byte === 0)) break;
+
+		const size = octal(header, 124, 12);
+		const type = String.fromCharCode(header[156] || 0x30);
+		const content = data.subarray(offset + BLOCK, offset + BLOCK + size);
+
+		offset += BLOCK + Math.ceil(size / BLOCK) * BLOCK;
+
+		if(type === 'x') {
+			longName = paxRecords(content).path || longName;
+			continue;
+		}
+
+		if(type === 'L') {
+			longName = content.toString('utf8').replace(/\0+$/, '');
+			continue;
+		}
+
+		// Global PAX headers only hold archive metadata (e.g. the commit of GitHub archives)
+		if(type === 'g') continue;
+
+		const prefix = field(header, 345, 155);
+		const name = longName || (prefix ? `${ prefix }/${ field(header, 0, 100) }` : field(header, 0, 100));
+		longName = null;
+
+		if(type === '0' || type === '\0' || type === '7') {
+			entries.push({ path: name, type: 'file', mode: octal(header, 100, 8), content: Buffer.from(content) });
+		} else if(type === '5') {
+			entries.push({ path: name.replace(/\/$/, ''), type: 'directory', mode: octal(header, 100, 8), content: null });
+		}
+	}
+
+	return entries;
+}
+
+export { readTar, writeTar };
@@ -0,0 +1,26 @@
+/**
+ * Quotes a value as a TOML basic string, escaping quotes, backslashes and control characters.
+ *
+ * @param {string} value - The value.
+ * @returns {string}
+ */
+function tomlString(value) {
+	const escaped = String(value ?? '').replace(/["\\\u0000-\u001f\u007f]/g, char => {
+		if(char === '"' || char === '\\') return `\\${ char }`;
+		return `\\u${ char.charCodeAt(0).toString(16).padStart(4, '0') }`;
+	});
+
+	return `"${ escaped }"`;
+}
+
+/**
+ * Builds a TOML array of strings, one per line.
+ *
+ * @param {string[]} values - The values.
+ * @returns {string}
+ */
+function tomlArray(values) {
+	return `[\n${ values.map(value => `    ${ tomlString(value) }`).join(',\n') }\n]`;
+}
+
+export { tomlString, tomlArray };
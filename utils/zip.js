@@ -0,0 +1,176 @@
+import zlib from 'zlib';
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+	let c = n;
+	for(let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+	return c >>> 0;
+});
+
+function crc32(buffer) {
+	let crc = 0xffffffff;
+	for(const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+	return (crc ^ 0xffffffff) >>> 0;
+}
+
+// MS-DOS time and date, with two-second precision
+function dosDateTime(date) {
+	return {
+		time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+		date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+	};
+}
+
+/**
+ * Writes files into a zip archive. Contents are deflated unless that does not make them smaller.
+ *
+ * Directories are implied by the file paths. Names are stored as UTF-8; archives over 4 GB (zip64)
+ * are not supported.
+ *
+ * @param {Array<{path: string, content: Buffer|string, mode?: number}>} files - The files.
+ * @param {Object} [options={}] - Options.
+ * @param {Date} [options.mtime] - Modification time of every file, now by default.
+ * @returns {Buffer} - The .zip archive.
+ */
+function writeZip(files, options = {}) {
+	const { time, date } = dosDateTime(options.mtime || new Date());
+	const local = [];
+	const central = [];
+	let offset = 0;
+
+	for(const file of files) {
+		const name = Buffer.from(file.path, 'utf8');
+		const content = Buffer.isBuffer(file.content) ? file.content : Buffer.from(file.content ?? '', 'utf8');
+		const deflated = zlib.deflateRawSync(content);
+		const stored = deflated.length >= content.length;
+		const data = stored ? content : deflated;
+		const crc = crc32(content);
+
+		const header = Buffer.alloc(30);
+		header.writeUInt32LE(0x04034b50, 0);
+		header.writeUInt16LE(20, 4);
+		header.writeUInt16LE(0x0800, 6); // UTF-8 names
+		header.writeUInt16LE(stored ? 0 : 8, 8);
+		header.writeUInt16LE(time, 10);
+		header.writeUInt16LE(date, 12);
+		header.writeUInt32LE(crc, 14);
+		header.writeUInt32LE(data.length, 18);
+		header.writeUInt32LE(content.length, 22);
+		header.writeUInt16LE(name.length, 26);
+		header.writeUInt16LE(0, 28);
+
+		const entry = Buffer.alloc(46);
+		entry.writeUInt32LE(0x02014b50, 0);
+		entry.writeUInt16LE((3 << 8) | 20, 4); // Made by Unix, so the file mode is kept
+		entry.writeUInt16LE(20, 6);
+		entry.writeUInt16LE(0x0800, 8);
+		entry.writeUInt16LE(stored ? 0 : 8, 10);
+		entry.writeUInt16LE(time, 12);
+		entry.writeUInt16LE(date, 14);
+		entry.writeUInt32LE(crc, 16);
+		entry.writeUInt32LE(data.length, 20);
+		entry.writeUInt32LE(content.length, 24);
+		entry.writeUInt16LE(name.length, 28);
+		entry.writeUInt32LE(((0o100000 | (file.mode ?? 0o644)) << 16) >>> 0, 38);
+		entry.writeUInt32LE(offset, 42);
+
+		local.push(header, name, data);
+		central.push(entry, name);
+		offset += header.length + name.length + data.length;
+	}
+
+	const directory = Buffer.concat(central);
+
+	const end = Buffer.alloc(22);
+	end.writeUInt32LE(0x06054b50, 0);
+	end.writeUInt16LE(files.length, 8);
+	end.writeUInt16LE(files.length, 10);
+	end.writeUInt32LE(directory.length, 12);
+	end.writeUInt32LE(offset, 16);
+
+	return Buffer.concat([ ...local, directory, end ]);
+}
+
+/**
+ * Reads the entries of a zip archive.
+ *
+ * Only regular files and directories are returned; symbolic links and encrypted entries are skipped.
+ * Entries must be stored or deflated.
+ *
+ * @param {Buffer} buffer - The .zip archive.
+ * @param {Object} [options={}] - Options.
+ * @param {number} [options.maxSize] - Maximum total size of the unpacked files, checked before inflating.
+ * @returns {Array<{path: string, type: 'file'|'directory', mode: number, content: Buffer|null}>}
+ * @throws {Error} - If the archive is invalid, too large or uses another compression method.
+ */
+function readZip(buffer, options = {}) {
+	// The end of central directory record is followed by a comment of up to 64 KB
+	let end = -1;
+	for(let i = buffer.length - 22; i >= Math.max(0, buffer.length - 22 - 0xffff); i--) {
+		if(buffer.readUInt32LE(i) === 0x06054b50) {
+			end = i;
+			break;
+		}
+	}
+	if(end === -1) throw new Error('Invalid zip archive');
+
+	const count = buffer.readUInt16LE(end + 10);
+	let offset = buffer.readUInt32LE(end + 16);
+
+	const records = [];
+	for(let i = 0; i < count; i++) {
+		if(buffer.readUInt32LE(offset) !== 0x02014b50) throw new Error('Invalid zip archive');
+
+		const nameLength = buffer.readUInt16LE(offset + 28);
+
+		records.push({
+			flags: buffer.readUInt16LE(offset + 8),
+			method: buffer.readUInt16LE(offset + 10),
+			crc: buffer.readUInt32LE(offset + 16),
+			compressedSize: buffer.readUInt32LE(offset + 20),
+			size: buffer.readUInt32LE(offset + 24),
+			mode: buffer.readUInt32LE(offset + 38) >>> 16,
+			localOffset: buffer.readUInt32LE(offset + 42),
+			path: buffer.subarray(offset + 46, offset + 46 + nameLength).toString('utf8'),
+		});
+
+		offset += 46 + nameLength + buffer.readUInt16LE(offset + 30) + buffer.readUInt16LE(offset + 32);
+	}
+
+	const total = records.reduce((sum, record) => sum + record.size, 0);
+	if(options.maxSize && total > options.maxSize) throw new Error(`The archive unpacks to more than ${ options.maxSize } bytes`);
+
+	const entries = [];
+
+	for(const record of records) {
+		const type = record.mode & 0o170000;
+
+		if(record.path.endsWith('/') || type === 0o040000) {
+			entries.push({ path: record.path.replace(/\/$/, ''), type: 'directory', mode: record.mode & 0o777, content: null });
+			continue;
+		}
+
+		// Encrypted entries and links
+		if(record.flags & 1 || type === 0o120000) continue;
+
+		if(record.method !== 0 && record.method !== 8) throw new Error(`Unsupported compression method in ${ record.path }`);
+
+		const local = record.localOffset;
+		const start = local + 30 + buffer.readUInt16LE(local + 26) + buffer.readUInt16LE(local + 28);
+		const data = buffer.subarray(start, start + record.compressedSize);
+
+		// The declared size bounds the output, so an entry cannot unpack to more than it claims
+		const content = record.method === 8
+			? zlib.inflateRawSync(data, { maxOutputLength: Math.max(record.size, 1) })
+			: Buffer.from(data);
+
+		if(content.length !== record.size || crc32(content) !== record.crc) {
+			throw new Error(`Corrupted entry in zip archive: ${ record.path }`);
+		}
+
+		entries.push({ path: record.path, type: 'file', mode: record.mode & 0o777 || 0o644, content });
+	}
+
+	return entries;
+}
+
+export { readZip, writeZip };